@@ -21,6 +21,9 @@ export default [
         clearTimeout: 'readonly',
         setInterval: 'readonly',
         clearInterval: 'readonly',
+        AbortController: 'readonly',
+        URL: 'readonly',
+        fetch: 'readonly',
         Promise: 'readonly',
         Map: 'readonly',
         Set: 'readonly',
@@ -48,6 +51,16 @@ export default [
       'no-duplicate-imports': 'error',
     },
   },
+  {
+    // Analysis board, runs in the browser
+    files: ['src/web/**/*.js'],
+    languageOptions: {
+      globals: {
+        navigator: 'readonly',
+        WebSocket: 'readonly',
+      },
+    },
+  },
   {
     ignores: ['node_modules/**', 'dist/**', 'build/**', '*.min.js'],
   },
@@ -10,6 +10,7 @@ import { EnginePoolManager } from './modules/enginePoolManager.js';
 import { DualAnalysis } from './modules/dualAnalysis.js';
 import { MoveExecutor } from './modules/moveExecutor.js';
 import { UIHighlighter } from './modules/uiHighlighter.js';
+import { logger } from './modules/logger.js';
 import { CHESS_COM_URL, ENGINE_TYPES } from './config/constants.js';
 import { DUAL_ANALYSIS_ENGINES } from './config/engines.config.js';
 
@@ -48,6 +49,7 @@ export class ChessAutomation {
       evaluation: null,
       currentEngine: null,
     };
+    this.logger = logger.child('automation');
   }
 
   /**
@@ -55,7 +57,7 @@ export class ChessAutomation {
    */
   async init() {
     try {
-      console.log('Initializing Chess Automation System...');
+      this.logger.info('Initializing Chess Automation System...');
 
       // Launch browser
       this.browser = await puppeteer.launch({
@@ -116,9 +118,9 @@ export class ChessAutomation {
         await this.uiHighlighter.init();
       }
 
-      console.log('Chess Automation System initialized successfully');
+      this.logger.info('Chess Automation System initialized successfully');
     } catch (error) {
-      console.error('Failed to initialize:', error);
+      this.logger.error('Failed to initialize', { error });
       throw error;
     }
   }
@@ -128,7 +130,7 @@ export class ChessAutomation {
    */
   async navigateToChess() {
     try {
-      console.log('Navigating to Chess.com...');
+      this.logger.info('Navigating to Chess.com...');
       await this.page.goto(CHESS_COM_URL, {
         waitUntil: 'networkidle2',
         timeout: 30000,
@@ -140,9 +142,9 @@ export class ChessAutomation {
       // Inject helper functions
       await this.fenExtractor.injectHelpers();
 
-      console.log('Successfully navigated to Chess.com');
+      this.logger.info('Successfully navigated to Chess.com');
     } catch (error) {
-      console.error('Failed to navigate to Chess.com:', error);
+      this.logger.error('Failed to navigate to Chess.com', { error });
       throw error;
     }
   }
@@ -152,12 +154,12 @@ export class ChessAutomation {
    */
   async startAutoPlay() {
     if (this.isPlaying) {
-      console.log('Already playing');
+      this.logger.warn('Already playing');
       return;
     }
 
     this.isPlaying = true;
-    console.log('Starting auto-play...');
+    this.logger.info('Starting auto-play...');
 
     while (this.isPlaying) {
       try {
@@ -177,7 +179,7 @@ export class ChessAutomation {
         // Wait before checking again
         await this.page.waitForTimeout(1000);
       } catch (error) {
-        console.error('Error during auto-play:', error);
+        this.logger.error('Error during auto-play', { error });
         // Continue playing despite errors
       }
     }
@@ -188,7 +190,7 @@ export class ChessAutomation {
    */
   stopAutoPlay() {
     this.isPlaying = false;
-    console.log('Auto-play stopped');
+    this.logger.info('Auto-play stopped');
   }
 
   /**
@@ -202,7 +204,7 @@ export class ChessAutomation {
         fen = await this.fenExtractor.extractFEN();
       }
 
-      console.log('Current position:', fen);
+      this.logger.debug(`Current position: ${fen}`);
       this.gameState.fen = fen;
 
       // Analyze position with appropriate engine
@@ -218,7 +220,7 @@ export class ChessAutomation {
 
         // Store current engine info
         this.gameState.currentEngine = this.enginePoolManager.getCurrentEngineInfo();
-        console.log(`Using engine: ${this.gameState.currentEngine?.name}`);
+        this.logger.info(`Using engine: ${this.gameState.currentEngine?.name}`);
 
         if (this.config.showEvaluation) {
           candidates = await this.enginePoolManager.getCandidateMoves(fen, 3, {
@@ -241,7 +243,7 @@ export class ChessAutomation {
         }
       }
 
-      console.log('Analysis:', analysis);
+      this.logger.debug('Analysis', { analysis });
       this.gameState.evaluation = analysis.evaluation;
 
       // Highlight moves if enabled
@@ -273,15 +275,15 @@ export class ChessAutomation {
         if (success) {
           this.gameState.lastMove = analysis.bestMove;
           this.gameState.moveCount++;
-          console.log(`Move ${this.gameState.moveCount}: ${analysis.bestMove}`);
+          this.logger.info(`Move ${this.gameState.moveCount}: ${analysis.bestMove}`);
         } else {
-          console.error('Failed to execute move');
+          this.logger.error('Failed to execute move');
         }
       }
 
       return analysis;
     } catch (error) {
-      console.error('Error making move:', error);
+      this.logger.error('Error making move', { error });
       throw error;
     }
   }
@@ -313,7 +315,7 @@ export class ChessAutomation {
     } else {
       await this.engineManager.switchEngine(engineType);
     }
-    console.log(`Switched to ${engineType} engine`);
+    this.logger.info(`Switched to ${engineType} engine`);
   }
 
   /**
@@ -380,7 +382,7 @@ export class ChessAutomation {
    */
   async cleanup() {
     try {
-      console.log('Cleaning up...');
+      this.logger.info('Cleaning up...');
 
       this.stopAutoPlay();
 
@@ -406,9 +408,9 @@ export class ChessAutomation {
         await this.browser.close();
       }
 
-      console.log('Cleanup complete');
+      this.logger.info('Cleanup complete');
     } catch (error) {
-      console.error('Error during cleanup:', error);
+      this.logger.error('Error during cleanup', { error });
     }
   }
 }
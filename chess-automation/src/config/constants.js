@@ -27,4 +27,102 @@ export const ENGINE_TYPES = {
   STOCKFISH: 'stockfish',
   LC0: 'lc0',
   MAIA: 'maia',
+  UCI: 'uci',
+};
+
+export const LC0_BACKENDS = {
+  CPU: ['onednn', 'blas', 'eigen'], // fallbacks without a GPU, fastest first
+  GPU_DEVICES: ['/dev/nvidia0', '/dev/dxg', '/dev/kfd'], // NVIDIA, WSL, ROCm
+};
+
+export const LC0_BENCH = {
+  THREADS: [1, 2, 4],
+  BATCH_SIZES: [32, 64, 128],
+  NODES: 1000, // per position
+  POSITIONS: [
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4',
+    '8/2k5/3p4/p2P1p2/P2P1P2/8/8/2K5 w - - 0 1',
+  ],
+};
+
+export const REVIEW_THRESHOLDS = {
+  INACCURACY: 50, // centipawn loss for ?!
+  MISTAKE: 100, // centipawn loss for ?
+  BLUNDER: 300, // centipawn loss for ??
+  EVAL_CAP: 1000, // evaluations are clamped to +/- this many centipawns
+};
+
+export const ACCURACY = {
+  OPENING_MOVES: 12, // moves that count as opening while most pieces are still on the board
+  MIDDLEGAME_PIECES: 10, // queens, rooks and minor pieces left when the opening ends early
+  ENDGAME_PIECES: 6, // queens, rooks and minor pieces left when the endgame starts
+};
+
+export const PUZZLE = {
+  DECISIVE: 300, // centipawns that count as a winning advantage
+  MIN_GAP: 200, // the winning move must be this many centipawns ahead of the second best
+  HOLD: -100, // a saving move keeps at least this score while every other move loses
+  MAX_SOLVER_MOVES: 5, // longest solution, in moves of the side solving the puzzle
+};
+
+export const HUMAN_LIKENESS = {
+  RATINGS: [1100, 1200, 1300, 1400, 1500, 1600, 1700, 1800, 1900], // Maia nets
+  SURPRISE_POLICY: 0.05, // played moves Maia gives less probability than this are surprising
+  MIN_POLICY: 0.001, // floor for moves the net gives (almost) no probability
+};
+
+export const NAGS = {
+  MISTAKE: 2, // ?
+  BLUNDER: 4, // ??
+  INACCURACY: 6, // ?!
+};
+
+export const REPRODUCIBLE = {
+  NODES: 1000000, // every search in reproducible mode, in place of depth and time limits
+  HASH: 16, // MB, the same on every machine
+};
+
+export const ENGINE_SUPERVISION = {
+  MAX_RESTARTS: 5, // consecutive crashes before giving up on an engine
+  BACKOFF_INITIAL: 500, // delay before the first restart (ms)
+  BACKOFF_MAX: 30000, // restart delay doubles up to this (ms)
+};
+
+export const ENGINE_HEALTH = {
+  STOPPED: 'stopped',
+  HEALTHY: 'healthy',
+  RESTARTING: 'restarting',
+  FAILED: 'failed',
+};
+
+export const LOGGING = {
+  LEVELS: ['error', 'warn', 'info', 'debug', 'trace'], // most to least severe
+  DEFAULT_LEVEL: 'info',
+  FORMATS: ['text', 'json'], // console output; log files are always JSON lines
+};
+
+export const ANALYSIS_SERVER = {
+  HOST: '127.0.0.1', // localhost only
+  PORT: 8765,
+  MAX_QUEUE: 100, // queued jobs before new submissions are refused
+  MAX_FINISHED_JOBS: 200, // finished jobs kept for GET /api/jobs/:id
+  MAX_BODY: 1024 * 1024, // request body limit (bytes)
+};
+
+export const GAME_DATABASE = {
+  PATH: 'games.jsonl', // default database file
+  SEARCH_LIMIT: 100, // results returned when a query sets no limit
+};
+
+export const SCHEDULER = {
+  MAX_QUEUE: 256, // queued positions before enqueue() waits for room
+};
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
 };
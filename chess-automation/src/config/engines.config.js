@@ -3,6 +3,8 @@
  * Define all available engines and their settings here
  */
 
+// Built-in defaults; entries and pools in a --config file (engineConfigFile.js)
+// replace the ones here with the same id
 export const ENGINES_CONFIG = {
   // Stockfish Native - Maximum strength
   'stockfish-native-max': {
@@ -49,7 +51,8 @@ export const ENGINES_CONFIG = {
     },
   },
 
-  // Lc0 with default network
+  // Lc0 with default network. Without a GPU, Lc0 entries switch from cuda-auto to a
+  // CPU backend by themselves; --bench saves the fastest settings to the config file.
   'lc0-default': {
     name: 'Leela Chess Zero',
     type: 'lc0',
@@ -174,6 +177,54 @@ export const ENGINES_CONFIG = {
       skill: 20,
     },
   },
+
+  // Other UCI engines run through the generic adapter. Everything under
+  // `options` is sent with setoption after checking it against the options
+  // the engine declares, so a typo fails at startup instead of being ignored.
+  dragon: {
+    name: 'Komodo Dragon',
+    type: 'uci',
+    enabled: false,
+    config: {
+      path: '/usr/local/bin/dragon',
+      multiPV: 3,
+      depth: 20,
+      options: {
+        Threads: 4,
+        Hash: 256,
+      },
+    },
+  },
+
+  berserk: {
+    name: 'Berserk',
+    type: 'uci',
+    enabled: false,
+    config: {
+      path: '/usr/local/bin/berserk',
+      multiPV: 3,
+      depth: 20,
+      options: {
+        Threads: 4,
+        Hash: 256,
+      },
+    },
+  },
+
+  ethereal: {
+    name: 'Ethereal',
+    type: 'uci',
+    enabled: false,
+    config: {
+      path: '/usr/local/bin/ethereal',
+      multiPV: 3,
+      depth: 20,
+      options: {
+        Threads: 4,
+        Hash: 256,
+      },
+    },
+  },
 };
 
 /**
@@ -299,6 +350,25 @@ export function selectRandomEngine(poolName) {
   return pool[Math.floor(Math.random() * pool.length)];
 }
 
+/**
+ * Build EngineManager options from an engine id, falling back to a bare engine type
+ */
+export function getEngineManagerConfig(engineId) {
+  const engineConfig = ENGINES_CONFIG[engineId];
+  if (!engineConfig) {
+    return { engine: engineId };
+  }
+  return {
+    engine: engineConfig.type,
+    engineId,
+    name: engineConfig.name,
+    // Syzygy directories, ':' or ';' separated like the UCI option; sent as SyzygyPath
+    // and probed by game review (config.syzygyProbeLimit caps the pieces)
+    ...(engineConfig.syzygyPath && { syzygyPath: engineConfig.syzygyPath }),
+    ...engineConfig.config,
+  };
+}
+
 /**
  * Get engine color based on type
  */
@@ -3,12 +3,71 @@
  * Supports multiple engines with flexible configuration
  */
 
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
 import { ChessAutomation } from './chessAutomation.js';
-import { ENGINE_TYPES } from './config/constants.js';
+import { EngineManager } from './modules/engineManager.js';
+import { GameReview } from './modules/gameReview.js';
+import { AnalysisCache } from './modules/analysisCache.js';
 import {
+  TOURNAMENT_DEFAULTS,
+  Tournament,
+  parseOpenings,
+  parseTimeControl,
+} from './modules/tournament.js';
+import { EPD_SUITE_DEFAULTS, EpdSuiteRunner, parseEpdSuite } from './modules/epdSuite.js';
+import { AnalysisServer } from './modules/analysisServer.js';
+import { DualAnalysis } from './modules/dualAnalysis.js';
+import {
+  formatDisagreementCsv,
+  formatDisagreementHtml,
+  positionsFromEpd,
+  positionsFromPgn,
+} from './modules/disagreementReport.js';
+import { BOOK_BUILD_DEFAULTS, PolyglotBook, buildPolyglotBook } from './modules/polyglotBook.js';
+import { SyzygyTablebase } from './modules/syzygy.js';
+import {
+  AccuracyReport,
+  formatAccuracyCsv,
+  formatAccuracyReport,
+} from './modules/accuracyReport.js';
+import { diffManifests, formatManifestDiff } from './modules/runManifest.js';
+import {
+  PuzzleGenerator,
+  formatPuzzleCsv,
+  formatPuzzleSummary,
+} from './modules/puzzleGenerator.js';
+import { HumanLikenessAnalyzer, formatHumanLikenessReport } from './modules/humanLikeness.js';
+import { configureLogging } from './modules/logger.js';
+import {
+  DEFAULT_CONFIG_FILE,
+  applyEngineConfig,
+  checkEngines,
+  formatEngineCheck,
+  loadEngineConfigFile,
+  saveEngineSettings,
+} from './modules/engineConfigFile.js';
+import { GameDatabase } from './modules/gameDatabase.js';
+import { AnalysisScheduler, formatSchedulerStatistics } from './modules/analysisScheduler.js';
+import { benchmarkLc0, formatBenchResults, pickBestSettings } from './modules/lc0Bench.js';
+import { EngineConfigError } from './modules/engines/engineErrors.js';
+import { parseTranscript, replayTranscript } from './modules/engines/uciTranscript.js';
+import {
+  ANALYSIS_SERVER,
+  ENGINE_TYPES,
+  GAME_DATABASE,
+  LC0_BACKENDS,
+  LC0_BENCH,
+  LOGGING,
+  REPRODUCIBLE,
+} from './config/constants.js';
+import {
+  DUAL_ANALYSIS_ENGINES,
   ENGINE_POOLS,
   ENGINES_CONFIG,
   ENGINE_SETUP_INSTRUCTIONS,
+  getEngineManagerConfig,
 } from './config/engines.config.js';
 
 // Command line argument parsing
@@ -25,6 +84,54 @@ const options = {
   showEval: true,
   highlight: true,
   dualAnalysis: false,
+  analyzePgn: null,
+  accuracy: null,
+  puzzles: null,
+  output: null,
+  cache: null,
+  instances: 1,
+  chess960: false,
+  timeBudget: null,
+  tournament: false,
+  engines: null,
+  format: 'round-robin',
+  timeControl: null, // --tc; tournaments and EPD suites have their own defaults
+  openings: null,
+  rounds: 1,
+  epd: null,
+  disagreements: null,
+  humanLikeness: null,
+  db: GAME_DATABASE.PATH,
+  dbImport: [],
+  dbSearch: false,
+  query: {},
+  analyze: false,
+  serve: false,
+  port: ANALYSIS_SERVER.PORT,
+  book: null,
+  syzygy: null,
+  buildBook: null,
+  minGames: BOOK_BUILD_DEFAULTS.minGames,
+  minScore: BOOK_BUILD_DEFAULTS.minScore,
+  maxPly: BOOK_BUILD_DEFAULTS.maxPly,
+  logLevel: null,
+  logFormat: null,
+  logFile: null,
+  uciTranscript: null,
+  replay: null,
+  config: null,
+  reproducible: false,
+  nodes: null,
+  manifest: null,
+  compareManifests: null,
+  checkEngines: false,
+  bench: null,
+  benchBackends: null,
+  benchThreads: null,
+  benchBatch: null,
+  benchNodes: null,
+  listEngines: false,
+  listPools: false,
 };
 
 // Parse arguments
@@ -64,13 +171,176 @@ for (let i = 0; i < args.length; i++) {
     case '--no-highlight':
       options.highlight = false;
       break;
+    case '--analyze-pgn':
+      options.analyzePgn = args[++i];
+      break;
+    case '--accuracy':
+      options.accuracy = args[++i];
+      break;
+    case '--puzzles':
+      options.puzzles = args[++i];
+      break;
+    case '--output':
+      options.output = args[++i];
+      break;
+    case '--cache':
+      options.cache = args[++i];
+      break;
+    case '--instances':
+      options.instances = parseInt(args[++i]) || 1;
+      break;
+    case '--chess960':
+      options.chess960 = true;
+      break;
+    case '--time-budget':
+      options.timeBudget = parseInt(args[++i]) || null;
+      break;
+    case '--tournament':
+      options.tournament = true;
+      break;
+    case '--engines':
+      options.engines = (args[++i] || '').split(',').filter(Boolean);
+      break;
+    case '--format':
+      options.format = args[++i] || 'round-robin';
+      break;
+    case '--tc':
+      options.timeControl = args[++i] || null;
+      break;
+    case '--openings':
+      options.openings = args[++i];
+      break;
+    case '--rounds':
+      options.rounds = parseInt(args[++i]) || 1;
+      break;
+    case '--epd':
+      options.epd = args[++i];
+      break;
+    case '--disagreements':
+      options.disagreements = args[++i];
+      break;
+    case '--db':
+      options.db = args[++i];
+      break;
+    case '--db-import':
+      options.dbImport.push(args[++i]);
+      break;
+    case '--db-search':
+      options.dbSearch = true;
+      break;
+    case '--fen':
+      options.query.fen = args[++i];
+      break;
+    case '--material':
+      options.query.material = args[++i];
+      break;
+    case '--player':
+      options.query.player = args[++i];
+      break;
+    case '--white':
+      options.query.white = args[++i];
+      break;
+    case '--black':
+      options.query.black = args[++i];
+      break;
+    case '--eco':
+      options.query.eco = args[++i];
+      break;
+    case '--date-from':
+      options.query.dateFrom = args[++i];
+      break;
+    case '--date-to':
+      options.query.dateTo = args[++i];
+      break;
+    case '--result':
+      options.query.result = args[++i];
+      break;
+    case '--limit':
+      options.query.limit = parseInt(args[++i]) || null;
+      break;
+    case '--analyze':
+      options.analyze = true;
+      break;
+    case '--human-likeness':
+      options.humanLikeness = args[++i];
+      break;
+    case '--serve':
+      options.serve = true;
+      break;
+    case '--port':
+      options.port = parseInt(args[++i]) || ANALYSIS_SERVER.PORT;
+      break;
+    case '--book':
+      options.book = args[++i];
+      break;
+    case '--syzygy':
+      options.syzygy = args[++i];
+      break;
+    case '--build-book':
+      options.buildBook = args[++i];
+      break;
+    case '--min-games':
+      options.minGames = parseInt(args[++i]) || BOOK_BUILD_DEFAULTS.minGames;
+      break;
+    case '--min-score':
+      options.minScore = parseFloat(args[++i]) || 0;
+      break;
+    case '--max-ply':
+      options.maxPly = parseInt(args[++i]) || BOOK_BUILD_DEFAULTS.maxPly;
+      break;
+    case '--log-level':
+      options.logLevel = args[++i];
+      break;
+    case '--log-format':
+      options.logFormat = args[++i];
+      break;
+    case '--log-file':
+      options.logFile = args[++i];
+      break;
+    case '--uci-transcript':
+      options.uciTranscript = args[++i];
+      break;
+    case '--replay':
+      options.replay = args[++i];
+      break;
+    case '--config':
+      options.config = args[++i];
+      break;
+    case '--reproducible':
+      options.reproducible = true;
+      break;
+    case '--nodes':
+      options.nodes = parseInt(args[++i]) || null;
+      break;
+    case '--manifest':
+      options.manifest = args[++i];
+      break;
+    case '--compare-manifests':
+      options.compareManifests = [args[++i], args[++i]];
+      break;
+    case '--check-engines':
+      options.checkEngines = true;
+      break;
+    case '--bench':
+      options.bench = args[++i];
+      break;
+    case '--bench-backends':
+      options.benchBackends = (args[++i] || '').split(',').filter(Boolean);
+      break;
+    case '--bench-threads':
+      options.benchThreads = (args[++i] || '').split(',').map(Number).filter(Boolean);
+      break;
+    case '--bench-batch':
+      options.benchBatch = (args[++i] || '').split(',').map(Number).filter(Boolean);
+      break;
+    case '--bench-nodes':
+      options.benchNodes = parseInt(args[++i]) || null;
+      break;
     case '--list-engines':
-      listEngines();
-      process.exit(0);
+      options.listEngines = true;
       break;
     case '--list-pools':
-      listPools();
-      process.exit(0);
+      options.listPools = true;
       break;
     case '--setup-help':
       console.log(ENGINE_SETUP_INSTRUCTIONS);
@@ -122,6 +392,120 @@ MULTIPLE ENGINE MODE:
                         Default: random
   --switch-every <n>    Switch engine every N moves (default: 1, 0 = never)
 
+OFFLINE REVIEW:
+  --analyze-pgn <file>  Annotate finished games with evals and ?!/?/?? marks
+  --output <file>       Where to write the annotated PGN
+                        (default: <file>.annotated.pgn)
+  --cache <file>        Reuse evaluations stored in this JSON-lines file and
+                        add new ones to it
+  --book <file>         Mark the opening moves found in this Polyglot book
+  --syzygy <dirs>       Judge endgame moves exactly with these Syzygy tablebase
+                        directories (default: the engine's syzygyPath)
+  --instances <n>       Run n engines at once, each with an equal share of the
+                        cores, and review n games at a time (default: 1)
+  --time-budget <ms>    Stop any single search after this long and keep its best move
+  --chess960            Read every game as Chess960 (games with a Variant "Chess960"
+                        tag are read that way anyway)
+
+ACCURACY:
+  --accuracy <file>     Accuracy, centipawn loss and ?!/?/?? counts for both sides of
+                        every game, per player, game phase and month (Date header).
+                        Takes the OFFLINE REVIEW options above
+  --player <name>       Only print players whose name contains this
+  --output <file>       Per-game results as .csv or the full report as .json
+                        (default: <file>.accuracy.csv)
+
+PUZZLES:
+  --puzzles <file>      Find positions in a PGN's games where only one move wins or
+                        saves the game, with the solution checked to stay unique
+  --engine, --depth     Engine and depth for each step (two lines per position)
+  --player <name>       Only positions where this player is to move
+  --cache <file>        Reuse evaluations stored in this JSON-lines file
+  --output <file>       Puzzle set as .json or .csv (default: <file>.puzzles.json)
+
+OPENING BOOKS:
+  --build-book <file>   Build a Polyglot .bin book from the games of a PGN file
+  --output <file>       Where to write the book (default: <file>.bin)
+  --min-games <n>       Keep moves played in at least n games (default: ${BOOK_BUILD_DEFAULTS.minGames})
+  --min-score <pct>     Keep moves that scored at least pct% (default: ${BOOK_BUILD_DEFAULTS.minScore})
+  --max-ply <n>         Only use the first n plies of each game (default: ${BOOK_BUILD_DEFAULTS.maxPly})
+
+ENGINE TOURNAMENT:
+  --tournament          Play engines against each other offline
+  --engines <a,b,...>   Participants (default: engines of --pool)
+  --format <type>       round-robin or gauntlet (first engine vs the rest)
+  --tc <spec>           Time control: movetime=500, depth=10, nodes=20000,
+                        or <base>+<inc> in seconds, e.g. 60+0.6
+                        (default: movetime=${TOURNAMENT_DEFAULTS.timeControl.movetime})
+  --openings <file>     Starting positions, one FEN/EPD per line
+  --rounds <n>          Repeat the schedule n times (default: 1)
+  --output <file>       PGN of all games (default: tournament.pgn)
+
+EPD TEST SUITES:
+  --epd <file>          Score engines on a bm/am test suite (WAC, STS, Arasan)
+  --engines <a,b,...>   Engines to test (default: engines of --pool)
+  --tc <spec>           Limit per position: movetime=1000, depth=20 or nodes=100000
+                        (default: movetime=${EPD_SUITE_DEFAULTS.timeControl.movetime})
+  --output <file>       Also write per-position results as JSON
+
+ENGINE DISAGREEMENTS:
+  --disagreements <file> Run every position of a PGN or EPD file through the dual
+                        analysis engines and rank where they disagree most
+  --engines <a,b,...>   Engines to compare (default: ${Object.values(DUAL_ANALYSIS_ENGINES).join(', ')})
+  --output <file>       Report as .csv or .html (default: <file>.disagreements.csv)
+
+HUMAN-LIKENESS:
+  --human-likeness <file> Score every move of a PGN against the Maia 1100-1900 nets:
+                        which rating band each player resembles and which moves
+                        surprised it. Bands without weights are skipped
+  --output <file>       Also write per-move probabilities as JSON
+
+GAME DATABASE:
+  --db <file>           Database file (default: ${GAME_DATABASE.PATH})
+  --db-import <file>    Add the games of a PGN file; repeat for more files
+  --db-search           List games matching all of:
+    --fen <fen>         reached this position, in any move order
+    --material <sig>    had this material, e.g. KRPvKR; '+' allows more pieces
+                        (KQ+vKQ+: queens on both sides), an empty side any
+    --player <name>     --white <name>  --black <name>  (case-insensitive parts)
+    --eco <code>        B2 (prefix) or B20-B29 (range)
+    --date-from <date>  --date-to <date>  YYYY, YYYY.MM or YYYY.MM.DD
+    --result <result>   1-0, 0-1, 1/2-1/2 or *
+    --limit <n>         Stop after n games (default: ${GAME_DATABASE.SEARCH_LIMIT})
+  --output <file>       Export the games found as PGN
+  --analyze             Analyze each position found with --engine and --depth
+                        (--instances <n> for several engines at once)
+
+ANALYSIS SERVER:
+  --serve               Serve the engine pool over HTTP/WebSocket on localhost,
+                        with an analysis board at http://127.0.0.1:<port>/
+  --port <n>            Port to listen on (default: ${ANALYSIS_SERVER.PORT})
+  --pool <name>         Engines are started on demand; the first one of the
+                        pool analyzes requests that do not name an engine
+  --cache <file>        Share an analysis cache between all clients
+
+REPRODUCIBLE RUNS:
+  --reproducible        One thread, a ${REPRODUCIBLE.HASH} MB hash cleared before every position, and
+                        fixed-node searches instead of depth or time limits, for
+                        --analyze-pgn, --accuracy, --puzzles, --db-search --analyze
+                        and --serve
+  --nodes <n>           Nodes per search (default: ${REPRODUCIBLE.NODES})
+  --manifest <file>     Record the engines' binaries, versions, UCI options and weights
+                        checksums (default with --reproducible: next to the output,
+                        as <output>.manifest.json)
+  --compare-manifests <a> <b>
+                        List what differs between two manifests (exit code 1 if any)
+
+LOGGING:
+  --log-level <level>   error, warn, info, debug or trace (default: ${LOGGING.DEFAULT_LEVEL});
+                        trace includes every UCI line
+  --log-format <type>   Console output as text or json (one record per line)
+  --log-file <file>     Also append every record to this file as JSON lines
+  --uci-transcript <dir> Record each engine's UCI traffic to <dir>/<engine>-<time>.jsonl
+  --replay <file>       Feed a recorded transcript back through the UCI parser and
+                        print the searches it contains (no engine needed)
+  --output <file>       Also write the replayed searches as JSON
+
 GENERAL OPTIONS:
   --auto                Enable auto-play mode
   --headless            Run browser in headless mode
@@ -129,8 +513,27 @@ GENERAL OPTIONS:
   --no-eval             Disable evaluation display
   --no-highlight        Disable move highlighting
 
+ENGINE CONFIGURATION:
+  --config <file>       Load engines, pools and dual analysis engines from a YAML
+                        or JSON file; entries replace built-in ones with the same id
+                        (default: ${DEFAULT_CONFIG_FILE}, if it exists)
+  --check-engines       Start each engine and check it answers uci and isready
+  --engines <a,b,...>   Engines to check (default: all enabled engines)
+
+LC0 BENCHMARK:
+  --bench <engine>      Time an Lc0 engine with each backend, thread count and batch
+                        size, and save the fastest to the --config file
+                        (default: ${DEFAULT_CONFIG_FILE}); the file is rewritten, so
+                        its comments are lost. Without a GPU only CPU backends
+                        (${LC0_BACKENDS.CPU.join(', ')}) are timed, and Lc0 engines
+                        started without a GPU fall back to the first one they have
+  --bench-backends <a,b> Backends to time (default: the usable ones the binary has)
+  --bench-threads <n,m> Thread counts to time (default: ${LC0_BENCH.THREADS.join(',')})
+  --bench-batch <n,m>   Batch sizes to time (default: ${LC0_BENCH.BATCH_SIZES.join(',')})
+  --bench-nodes <n>     Nodes searched per position (default: ${LC0_BENCH.NODES})
+
 INFO COMMANDS:
-  --list-engines        List all available engines
+  --list-engines        List all available engines (including --config ones)
   --list-pools          List all engine pools
   --setup-help          Show instructions for setting up engines
   --help                Show this help message
@@ -152,6 +555,61 @@ EXAMPLES:
   npm start --pool strong --switch-every 5    # Strong engines, switch every 5 moves
   npm start --pool human-like --auto          # Human-like play with auto-play
 
+  # Offline game review (no browser)
+  npm start --analyze-pgn club.pgn            # Writes club.annotated.pgn
+  npm start --analyze-pgn club.pgn --engine stockfish-native-max --depth 20
+  npm start --analyze-pgn club.pgn --cache ~/.chess-cache.jsonl
+  npm start --analyze-pgn club.pgn --book openings.bin
+  npm start --analyze-pgn club.pgn --syzygy ~/syzygy/3-4-5
+  npm start --analyze-pgn database.pgn --instances 8 --time-budget 2000 --cache db.jsonl
+  npm start --analyze-pgn club960.pgn --chess960
+
+  # The club's own games: import once, then research them offline
+  npm start --db-import club-2023.pgn --db-import club-2024.pgn
+  npm start --db-search --material KRPvKR --player smith --output rook-endings.pgn
+  npm start --db-search --eco B20-B99 --date-from 2024 \
+            --fen "rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2" \
+            --analyze --engine stockfish-native-max --depth 20
+
+  # Opening book from a game collection
+  npm start --build-book master-games.pgn --min-games 5 --min-score 45 --max-ply 24
+
+  # Engine tournament (no browser)
+  npm start --tournament --pool stockfish-varied --tc 10+0.1
+  npm start --tournament --engines stockfish-native-max,maia-1500,maia-1900 \\
+            --format gauntlet --openings openings.epd --rounds 2
+
+  # EPD test suite (no browser)
+  npm start --epd wac.epd --engines stockfish-native-max --tc movetime=1000
+  npm start --epd sts1.epd --pool strong --tc depth=18 --output sts1.json
+
+  # Positions where Stockfish, Lc0 and Maia disagree (no browser)
+  npm start --disagreements club.pgn --engines stockfish-native-max,lc0-default,maia-1100,maia-1900 \\
+            --depth 18 --output coaching.html
+
+  # A student's accuracy by phase, month by month (no browser)
+  npm start --accuracy student.pgn --player Student --depth 18 --instances 4
+
+  # Training puzzles from a club's games (no browser)
+  npm start --puzzles club.annotated.pgn --engine stockfish-native-max --depth 20
+
+  # Which Maia rating band a student's moves resemble (no browser)
+  npm start --human-likeness student.pgn --output student.maia.json
+
+  # Engines from your own config file, checked before use
+  npm start --config ~/chess/engines.yaml --check-engines
+  npm start --config ~/chess/engines.yaml --pool my-pool --auto
+
+  # Find the fastest Lc0 settings for this machine and keep them
+  npm start --bench maia-1500 --config ~/chess/engines.yaml
+
+  # Record engine traffic for a bug report, then reproduce it without the engine
+  npm start --epd wac.epd --log-file run.log --uci-transcript transcripts/
+  npm start --replay transcripts/stockfish-2025-01-01T12-00-00-000Z.jsonl
+
+  # Analysis server for other local tools (no browser)
+  npm start --serve --pool strong --port 8765
+
   # Custom configurations
   npm start --pool stockfish-varied --auto    # Stockfish with varying skill levels
   npm start --pool maia-varied --selection weighted --auto
@@ -173,8 +631,578 @@ NOTES:
   `);
 }
 
+/**
+ * EngineManager settings for --reproducible and --manifest
+ * @param {string} output - The run's main output; the manifest goes next to it by default
+ */
+function reproducibilityConfig(output) {
+  const manifest =
+    options.manifest ||
+    (options.reproducible ? `${output.replace(/\.[^./\\]+$/, '')}.manifest.json` : null);
+  if (manifest) {
+    console.log(`Engine manifest: ${manifest}`);
+  }
+  return {
+    reproducible: options.reproducible && (options.nodes ? { nodes: options.nodes } : true),
+    manifest,
+  };
+}
+
+/**
+ * Engines, cache, book and tablebases for reviewing games, from the OFFLINE REVIEW options
+ * @param {string} output - The review's output file, for the manifest
+ */
+async function openReviewEngines(output) {
+  const cache = options.cache ? new AnalysisCache({ path: options.cache }) : null;
+  await cache?.load();
+  const book = options.book ? await PolyglotBook.load(options.book) : null;
+
+  const engineConfig = getEngineManagerConfig(options.engine);
+  const syzygyPath = options.syzygy || engineConfig.syzygyPath;
+  const tablebase = syzygyPath ? new SyzygyTablebase({ path: syzygyPath }) : null;
+  if (tablebase) {
+    await tablebase.init();
+    console.log(`Syzygy tablebases: up to ${tablebase.maxPieces} pieces`);
+  }
+
+  const managerConfig = {
+    depth: options.depth,
+    cache,
+    book,
+    syzygyPath,
+    ...reproducibilityConfig(output),
+  };
+  const scheduled = options.instances > 1 || options.timeBudget;
+  const engineManager = scheduled
+    ? new AnalysisScheduler({
+        ...managerConfig,
+        engines: [options.engine],
+        instances: options.instances,
+        timeBudget: options.timeBudget,
+      })
+    : new EngineManager({ ...engineConfig, ...managerConfig });
+  try {
+    await (scheduled ? engineManager.start() : engineManager.init());
+  } catch (error) {
+    await closeReviewEngines({ engineManager, scheduled, tablebase });
+    throw error;
+  }
+
+  return {
+    engineManager,
+    scheduled,
+    cache,
+    tablebase,
+    reviewConfig: {
+      depth: options.depth,
+      tablebase,
+      concurrency: options.instances,
+      chess960: options.chess960,
+    },
+  };
+}
+
+/**
+ * Scheduler and cache statistics after a review
+ */
+function printReviewStatistics({ engineManager, scheduled, cache }) {
+  if (scheduled) {
+    console.log(`\n${formatSchedulerStatistics(engineManager.getStatistics())}`);
+  }
+  if (cache) {
+    const { hits, misses, entries, hitRate } = cache.getStatistics();
+    console.log(
+      `Cache: ${hits} hits, ${misses} misses (${Math.round(hitRate * 100)}%), ${entries} entries`
+    );
+  }
+}
+
+async function closeReviewEngines({ engineManager, scheduled, tablebase }) {
+  await (scheduled ? engineManager.stop() : engineManager.quit());
+  await tablebase?.close();
+}
+
+/**
+ * Review every game in a PGN file and write an annotated copy
+ */
+async function reviewPgnFile(file) {
+  const output = options.output || `${file.replace(/\.pgn$/i, '')}.annotated.pgn`;
+  const pgnText = await fs.readFile(file, 'utf8');
+  const engines = await openReviewEngines(output);
+
+  try {
+    const review = new GameReview(engines.engineManager, engines.reviewConfig);
+    const reviews = await review.reviewPgn(pgnText);
+
+    await fs.writeFile(output, reviews.map((game) => game.annotatedPgn).join('\n'));
+
+    console.log('\n=== Review Summary ===');
+    reviews.forEach((game, index) => {
+      const { White = '?', Black = '?' } = game.headers;
+      console.log(`\nGame ${index + 1}: ${White} - ${Black}`);
+      for (const [side, stats] of Object.entries(game.summary)) {
+        console.log(
+          `  ${side.padEnd(6)} ACPL ${stats.averageCpLoss}, ` +
+            `${stats.inaccuracies} inaccuracies, ${stats.mistakes} mistakes, ${stats.blunders} blunders`
+        );
+      }
+    });
+    console.log(`\nAnnotated PGN written to ${output}`);
+    printReviewStatistics(engines);
+  } finally {
+    await closeReviewEngines(engines);
+  }
+}
+
+/**
+ * Accuracy and centipawn loss per player, phase and month for the games of a PGN file
+ */
+async function runAccuracyReport(file) {
+  const output = options.output || `${file.replace(/\.pgn$/i, '')}.accuracy.csv`;
+  const pgnText = await fs.readFile(file, 'utf8');
+  const engines = await openReviewEngines(output);
+
+  try {
+    const report = await new AccuracyReport(engines.engineManager, engines.reviewConfig).analyzePgn(
+      pgnText
+    );
+    if (options.query.player) {
+      const name = options.query.player.toLowerCase();
+      report.players = report.players.filter((entry) => entry.player.toLowerCase().includes(name));
+    }
+
+    console.log('\n=== Accuracy ===\n');
+    console.log(formatAccuracyReport(report));
+
+    await fs.writeFile(
+      output,
+      /\.json$/i.test(output) ? JSON.stringify(report, null, 2) : formatAccuracyCsv(report)
+    );
+    console.log(`\nReport written to ${output}`);
+    printReviewStatistics(engines);
+  } finally {
+    await closeReviewEngines(engines);
+  }
+}
+
+/**
+ * Puzzles from the games of a PGN file
+ */
+async function runPuzzleGenerator(file) {
+  const output = options.output || `${file.replace(/\.pgn$/i, '')}.puzzles.json`;
+  const pgnText = await fs.readFile(file, 'utf8');
+  const cache = options.cache ? new AnalysisCache({ path: options.cache }) : null;
+  await cache?.load();
+
+  const engineManager = new EngineManager({
+    ...getEngineManagerConfig(options.engine),
+    cache,
+    ...reproducibilityConfig(output),
+  });
+  try {
+    await engineManager.init();
+    const generator = new PuzzleGenerator(engineManager, {
+      depth: options.depth,
+      player: options.query.player,
+    });
+    const puzzles = await generator.generateFromPgn(pgnText);
+
+    console.log(`\n${formatPuzzleSummary(puzzles)}`);
+    await fs.writeFile(
+      output,
+      /\.csv$/i.test(output) ? formatPuzzleCsv(puzzles) : JSON.stringify(puzzles, null, 2)
+    );
+    console.log(`\nPuzzles written to ${output}`);
+  } finally {
+    await engineManager.quit();
+  }
+}
+
+/**
+ * Build a Polyglot book from a PGN file
+ */
+async function buildBookFile(file) {
+  const output = options.output || `${file.replace(/\.pgn$/i, '')}.bin`;
+  const { book, stats } = buildPolyglotBook(await fs.readFile(file, 'utf8'), {
+    minGames: options.minGames,
+    minScore: options.minScore,
+    maxPly: options.maxPly,
+  });
+
+  await book.save(output);
+  console.log(
+    `Read ${stats.games} games (${stats.skipped} skipped): ` +
+      `${stats.entries} moves in ${stats.positions} positions`
+  );
+  console.log(`Book written to ${output}`);
+}
+
+/**
+ * Play an engine tournament and write the games and crosstable
+ */
+async function runTournament() {
+  const engines = options.engines || ENGINE_POOLS[options.pool] || [];
+  const output = options.output || 'tournament.pgn';
+  const openings = options.openings
+    ? parseOpenings(await fs.readFile(options.openings, 'utf8'))
+    : undefined;
+
+  const tournament = new Tournament({
+    engines,
+    format: options.format,
+    rounds: options.rounds,
+    ...(options.timeControl && { timeControl: parseTimeControl(options.timeControl) }),
+    openings,
+  });
+
+  try {
+    await tournament.init();
+    await tournament.run(() => fs.writeFile(output, tournament.toPgn()));
+
+    await fs.writeFile(output, tournament.toPgn());
+    console.log('\n=== Crosstable ===\n');
+    console.log(tournament.formatCrosstable());
+    console.log(`\nGames written to ${output}`);
+  } finally {
+    await tournament.cleanup();
+  }
+}
+
+/**
+ * Run an EPD test suite and print solved/failed positions and totals
+ */
+async function runEpdSuite() {
+  const positions = parseEpdSuite(await fs.readFile(options.epd, 'utf8'));
+  const runner = new EpdSuiteRunner({
+    engines: options.engines || ENGINE_POOLS[options.pool] || [],
+    ...(options.timeControl && { timeControl: parseTimeControl(options.timeControl) }),
+    positions,
+  });
+
+  try {
+    await runner.init();
+    await runner.run();
+
+    console.log('\n=== EPD Suite Results ===\n');
+    console.log(runner.formatReport());
+    if (options.output) {
+      const report = { summary: runner.getSummary(), results: runner.results };
+      await fs.writeFile(options.output, JSON.stringify(report, null, 2));
+      console.log(`\nResults written to ${options.output}`);
+    }
+  } finally {
+    await runner.cleanup();
+  }
+}
+
+/**
+ * Compare the dual analysis engines on every position of a file and write the report
+ */
+async function runDisagreementReport(file) {
+  const text = await fs.readFile(file, 'utf8');
+  const positions = /\.epd$/i.test(file) ? positionsFromEpd(text) : positionsFromPgn(text);
+  const output = options.output || `${file.replace(/\.(pgn|epd)$/i, '')}.disagreements.csv`;
+  const engines = options.engines
+    ? Object.fromEntries(options.engines.map((engineId) => [engineId, engineId]))
+    : DUAL_ANALYSIS_ENGINES;
+
+  const dual = new DualAnalysis({ engines, depth: options.depth });
+  try {
+    const entries = await dual.analyzeBatch(positions);
+
+    const report = /\.html?$/i.test(output)
+      ? formatDisagreementHtml(entries, { title: `Engine disagreements: ${file}` })
+      : formatDisagreementCsv(entries);
+    await fs.writeFile(output, report);
+
+    console.log('\n=== Most Disagreement ===\n');
+    for (const entry of entries.slice(0, 10)) {
+      const moves = Object.entries(entry.engines)
+        .map(([name, engine]) => `${name} ${engine.san || engine.move}`)
+        .join(', ');
+      console.log(`${entry.rank}. ${entry.label} (gap ${entry.evalGap.toFixed(2)}): ${moves}`);
+    }
+    console.log(`\n${entries.length} positions written to ${output}`);
+  } finally {
+    await dual.cleanup();
+  }
+}
+
+/**
+ * Import PGN files into the game database and/or search it, exporting or analyzing the matches
+ */
+async function runDatabase() {
+  const database = new GameDatabase({ path: options.db });
+  await database.load();
+
+  for (const file of options.dbImport) {
+    const { imported, duplicates, errors } = await database.importPgn(
+      await fs.readFile(file, 'utf8'),
+      { source: path.basename(file) }
+    );
+    console.log(`${file}: ${imported} imported, ${duplicates} already in the database`);
+    for (const { game, error } of errors) {
+      console.log(`  game ${game} skipped: ${error}`);
+    }
+  }
+
+  const { games, positions } = database.getStatistics();
+  console.log(`${options.db}: ${games} games, ${positions} distinct positions`);
+  if (!options.dbSearch) {
+    return;
+  }
+
+  const results = database.search(options.query);
+  console.log(`\n=== ${results.length} game(s) found ===\n`);
+  for (const { id, headers, ply, nextMove } of results) {
+    const { White = '?', Black = '?', Date: date = '?', Result = '*', ECO } = headers;
+    const where = ply === null ? '' : `, ply ${ply}${nextMove ? ` (${nextMove} played)` : ''}`;
+    console.log(`#${id} ${White} - ${Black} ${Result} ${date}${ECO ? ` ${ECO}` : ''}${where}`);
+  }
+
+  if (options.output) {
+    await fs.writeFile(options.output, database.exportPgn(results));
+    console.log(`\n${results.length} game(s) written to ${options.output}`);
+  }
+
+  const found = results.filter((result) => result.fen);
+  if (options.analyze && found.length > 0) {
+    const cache = options.cache ? new AnalysisCache({ path: options.cache }) : null;
+    await cache?.load();
+    const analyzer = new AnalysisScheduler({
+      engines: [options.engine],
+      instances: options.instances,
+      depth: options.depth,
+      cache,
+      ...reproducibilityConfig(options.output || options.db),
+    });
+    await analyzer.start();
+    try {
+      console.log('\n=== Analysis ===\n');
+      const analyses = await Promise.all(
+        found.map((result) => analyzer.analyzePosition(result.fen, { depth: options.depth }))
+      );
+      found.forEach((result, index) => {
+        const { bestMoveSan, bestMove, evaluation, mate } = analyses[index];
+        const score = mate !== null ? `mate ${mate}` : evaluation.toFixed(2);
+        console.log(
+          `#${result.id} ply ${result.ply}: best ${bestMoveSan || bestMove} (${score})` +
+            `${result.nextMove ? `, played ${result.nextMove}` : ''}`
+        );
+      });
+    } finally {
+      await analyzer.stop();
+    }
+  }
+}
+
+/**
+ * Score a PGN file's moves against the Maia bands and print who plays like which band
+ */
+async function runHumanLikeness(file) {
+  const analyzer = new HumanLikenessAnalyzer();
+  const { moves, players } = await analyzer.analyzePgn(await fs.readFile(file, 'utf8'));
+
+  console.log('\n=== Human-Likeness ===\n');
+  console.log(formatHumanLikenessReport(players));
+
+  if (options.output) {
+    await fs.writeFile(options.output, JSON.stringify({ players, moves }, null, 2));
+    console.log(`\nResults written to ${options.output}`);
+  }
+}
+
+/**
+ * Replay a recorded UCI transcript and print what the parser made of it
+ */
+async function runReplay(file) {
+  const { engine, entries } = parseTranscript(await fs.readFile(file, 'utf8'));
+  const replay = replayTranscript(entries, { name: engine || undefined });
+
+  console.log('\n=== UCI Transcript Replay ===\n');
+  console.log(`Engine: ${replay.engine.name || engine || 'unknown'}`);
+  console.log(`Lines: ${entries.length}, declared options: ${replay.options.length}`);
+
+  replay.searches.forEach(({ position, go, result }, index) => {
+    console.log(`\nSearch ${index + 1}: ${go}`);
+    console.log(`  position ${position || '(none)'}`);
+    if (!result) {
+      console.log('  no bestmove before the transcript ends');
+      return;
+    }
+    const { evaluation } = result;
+    const score = evaluation?.mate !== undefined ? `mate ${evaluation.mate}` : evaluation?.score;
+    console.log(
+      `  bestmove ${result.move}${result.ponder ? ` ponder ${result.ponder}` : ''}, ` +
+        `score ${score ?? '?'}, depth ${evaluation?.depth ?? '?'}, ${result.candidates.length} line(s)`
+    );
+  });
+
+  for (const { index, line, error } of replay.errors) {
+    console.log(`\nParser error at entry ${index + 1}: ${error}\n  < ${line}`);
+  }
+
+  if (options.output) {
+    await fs.writeFile(options.output, JSON.stringify(replay, null, 2));
+    console.log(`\nReplay written to ${options.output}`);
+  }
+}
+
+/**
+ * Benchmark an Lc0 engine and store the fastest settings in the config file
+ */
+async function runBench(engineId) {
+  const entry = ENGINES_CONFIG[engineId];
+  if (!entry || ![ENGINE_TYPES.LC0, ENGINE_TYPES.MAIA].includes(entry.type)) {
+    throw new Error(`--bench needs an Lc0 or Maia engine, got '${engineId}'`);
+  }
+
+  const results = await benchmarkLc0(getEngineManagerConfig(engineId), {
+    backends: options.benchBackends,
+    threads: options.benchThreads,
+    batchSizes: options.benchBatch,
+    nodes: options.benchNodes,
+  });
+
+  console.log(`\n=== Lc0 Benchmark: ${entry.name} ===\n`);
+  console.log(formatBenchResults(results));
+
+  const best = pickBestSettings(results);
+  if (!best) {
+    throw new Error('Every combination failed; see the errors above');
+  }
+
+  const file = options.config || DEFAULT_CONFIG_FILE;
+  const saved = await saveEngineSettings(file, engineId, best);
+  ENGINES_CONFIG[engineId] = { ...entry, config: { ...entry.config, ...best } };
+  console.log(
+    `\nSaved backend ${best.backend}, ${best.threads} thread(s), batch ${best.batchSize} ` +
+      `for ${saved.name} to ${file}`
+  );
+}
+
+/**
+ * Serve the engine pool until the process is stopped
+ */
+async function runServer() {
+  const cache = options.cache ? new AnalysisCache({ path: options.cache }) : null;
+  await cache?.load();
+
+  const server = new AnalysisServer({
+    pool: options.pool,
+    port: options.port,
+    cache,
+    ...reproducibilityConfig('analysis-server'),
+  });
+  try {
+    const { host, port } = await server.start();
+    console.log(`Analysis board: http://${host}:${port}/`);
+  } catch (error) {
+    await server.stop();
+    throw error;
+  }
+  console.log('REST API under /api, live lines on /ws. Press Ctrl+C to stop.');
+}
+
 // Main execution
 async function main() {
+  configureLogging({
+    level: options.logLevel ?? undefined,
+    format: options.logFormat ?? undefined,
+    file: options.logFile ?? undefined,
+    transcriptDir: options.uciTranscript ?? undefined,
+  });
+
+  const configFile =
+    options.config ?? (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  if (configFile) {
+    applyEngineConfig(await loadEngineConfigFile(configFile));
+  }
+
+  if (options.compareManifests) {
+    const [a, b] = await Promise.all(
+      options.compareManifests.map(async (file) => JSON.parse(await fs.readFile(file, 'utf8')))
+    );
+    const differences = diffManifests(a, b);
+    console.log(formatManifestDiff(differences));
+    process.exit(differences.length === 0 ? 0 : 1);
+  }
+
+  if (options.listEngines || options.listPools) {
+    if (options.listEngines) listEngines();
+    if (options.listPools) listPools();
+    process.exit(0);
+  }
+
+  if (options.checkEngines) {
+    const engineIds =
+      options.engines || Object.keys(ENGINES_CONFIG).filter((id) => ENGINES_CONFIG[id].enabled);
+    console.log(`\n=== Checking ${engineIds.length} engine(s) ===\n`);
+    const results = await checkEngines(engineIds);
+    console.log(formatEngineCheck(results));
+    process.exit(results.every((result) => result.ok) ? 0 : 1);
+  }
+
+  if (options.bench) {
+    await runBench(options.bench);
+    process.exit(0);
+  }
+
+  if (options.replay) {
+    await runReplay(options.replay);
+    process.exit(0);
+  }
+
+  if (options.analyzePgn) {
+    await reviewPgnFile(options.analyzePgn);
+    process.exit(0);
+  }
+
+  if (options.accuracy) {
+    await runAccuracyReport(options.accuracy);
+    process.exit(0);
+  }
+
+  if (options.puzzles) {
+    await runPuzzleGenerator(options.puzzles);
+    process.exit(0);
+  }
+
+  if (options.buildBook) {
+    await buildBookFile(options.buildBook);
+    process.exit(0);
+  }
+
+  if (options.tournament) {
+    await runTournament();
+    process.exit(0);
+  }
+
+  if (options.epd) {
+    await runEpdSuite();
+    process.exit(0);
+  }
+
+  if (options.disagreements) {
+    await runDisagreementReport(options.disagreements);
+    process.exit(0);
+  }
+
+  if (options.dbImport.length > 0 || options.dbSearch) {
+    await runDatabase();
+    process.exit(0);
+  }
+
+  if (options.humanLikeness) {
+    await runHumanLikeness(options.humanLikeness);
+    process.exit(0);
+  }
+
+  if (options.serve) {
+    await runServer();
+    return;
+  }
+
   // Show configuration
   console.log('\n===========================================');
   console.log('Chess Automation System');
@@ -381,6 +1409,7 @@ process.on('unhandledRejection', (error) => {
 
 // Start the application
 main().catch((error) => {
-  console.error('Failed to start:', error);
+  // Configuration problems are already listed one per line; a stack adds nothing
+  console.error('Failed to start:', error instanceof EngineConfigError ? error.message : error);
   process.exit(1);
 });
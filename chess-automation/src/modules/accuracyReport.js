@@ -0,0 +1,317 @@
+/**
+ * Accuracy Report
+ * Centipawn loss, win-probability loss and accuracy for each side of finished
+ * games, split into opening, middlegame and endgame, and gathered per player
+ * and month so progress can be followed over time
+ */
+
+import { GameReview } from './gameReview.js';
+import { formatCsv } from './csv.js';
+import { logger } from './logger.js';
+import { ACCURACY, REVIEW_THRESHOLDS } from '../config/constants.js';
+
+const log = logger.child('accuracy');
+
+export const PHASES = ['opening', 'middlegame', 'endgame'];
+const OUTCOME_SCORES = { win: 100, draw: 50, loss: 0 };
+
+/**
+ * Chance of winning, as a percentage, for the side a score is from
+ * @param {number} centipawns - Score from that side (capped like the review's)
+ * @returns {number} 0-100, 50 for a level position
+ */
+export function winProbability(centipawns) {
+  const cap = REVIEW_THRESHOLDS.EVAL_CAP;
+  const score = Math.max(-cap, Math.min(cap, centipawns));
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * score)) - 1);
+}
+
+/**
+ * Accuracy of a single move from the winning chances it gave away: 100 for
+ * none, falling steeply so that a 30% drop scores about 25
+ * @param {number} winLoss - Win probability lost (percentage points)
+ * @returns {number} 0-100
+ */
+export function moveAccuracy(winLoss) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * winLoss) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+}
+
+/**
+ * Phase of the game at a position: the opening lasts while the first moves are
+ * played with most pieces on the board, the endgame starts once few queens,
+ * rooks and minor pieces are left
+ * @param {string} fen - Position
+ * @returns {string} 'opening', 'middlegame' or 'endgame'
+ */
+export function gamePhase(fen) {
+  const [board, , , , , fullmove] = fen.split(' ');
+  const pieces = (board.match(/[qrbnQRBN]/g) || []).length;
+
+  if (pieces <= ACCURACY.ENDGAME_PIECES) {
+    return 'endgame';
+  }
+  if ((Number(fullmove) || 1) <= ACCURACY.OPENING_MOVES && pieces > ACCURACY.MIDDLEGAME_PIECES) {
+    return 'opening';
+  }
+  return 'middlegame';
+}
+
+/**
+ * Win-probability loss and accuracy for each reviewed move
+ * @param {Array<Object>} moves - GameReview move records
+ * @returns {Array<Object>} { ply, color, san, phase, cpLoss, winLoss, accuracy, classification }
+ */
+export function scoreMoves(moves) {
+  return moves.map((move) => {
+    let winLoss = 0;
+    if (move.tablebase) {
+      // The result is exact: only a move that changes it loses anything
+      winLoss = OUTCOME_SCORES[move.tablebase.before] - OUTCOME_SCORES[move.tablebase.after];
+    } else if (move.cpLoss > 0) {
+      winLoss = winProbability(move.bestScore) - winProbability(move.playedScore);
+    }
+    winLoss = Math.max(0, winLoss);
+
+    return {
+      ply: move.ply,
+      color: move.color,
+      san: move.san,
+      phase: move.book ? 'opening' : gamePhase(move.fenBefore),
+      cpLoss: move.cpLoss,
+      winLoss,
+      accuracy: moveAccuracy(winLoss),
+      classification: move.classification,
+    };
+  });
+}
+
+/**
+ * Statistics for a set of scored moves. Accuracy is the mean of the arithmetic
+ * and harmonic means of the move accuracies, so a few bad moves weigh more
+ * than an average would give them.
+ * @param {Array<Object>} moves - scoreMoves() results
+ * @returns {Object} { moves, accuracy, averageCpLoss, averageWinLoss, inaccuracies, mistakes,
+ *   blunders }; accuracy is null without moves
+ */
+export function summarizeAccuracy(moves) {
+  const count = moves.length;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  // A single move scored 0 would make the harmonic mean 0
+  const harmonic = count > 0 ? count / sum(moves.map((move) => 1 / Math.max(move.accuracy, 1))) : 0;
+  const arithmetic = count > 0 ? sum(moves.map((move) => move.accuracy)) / count : 0;
+
+  return {
+    moves: count,
+    accuracy: count > 0 ? round((arithmetic + harmonic) / 2) : null,
+    averageCpLoss: count > 0 ? Math.round(sum(moves.map((move) => move.cpLoss)) / count) : 0,
+    averageWinLoss: count > 0 ? round(sum(moves.map((move) => move.winLoss)) / count) : 0,
+    inaccuracies: moves.filter((move) => move.classification === 'inaccuracy').length,
+    mistakes: moves.filter((move) => move.classification === 'mistake').length,
+    blunders: moves.filter((move) => move.classification === 'blunder').length,
+  };
+}
+
+/**
+ * summarizeAccuracy() for all the moves and for each phase
+ * @param {Array<Object>} moves - scoreMoves() results
+ * @returns {Object} Summary with phases: { opening, middlegame, endgame }
+ */
+export function summarizeWithPhases(moves) {
+  const phases = {};
+  for (const phase of PHASES) {
+    phases[phase] = summarizeAccuracy(moves.filter((move) => move.phase === phase));
+  }
+  return { ...summarizeAccuracy(moves), phases };
+}
+
+/**
+ * Gather the games' moves per player, overall, per phase and per month of the
+ * Date header (games without a date count as '?')
+ * @param {Array<Object>} games - AccuracyReport game entries
+ * @returns {Array<Object>} { player, games, ...summary, phases, months: [{ month, games,
+ *   ...summary, phases }] } per player, by name
+ */
+export function summarizePlayers(games) {
+  const players = new Map();
+
+  for (const game of games) {
+    const month = gameMonth(game.headers.Date);
+    for (const side of ['white', 'black']) {
+      const name = game.headers[side === 'white' ? 'White' : 'Black'] || '?';
+      const color = side === 'white' ? 'w' : 'b';
+      const moves = game.moves.filter((move) => move.color === color);
+      if (!players.has(name)) {
+        players.set(name, { games: 0, moves: [], months: new Map() });
+      }
+
+      const entry = players.get(name);
+      entry.games++;
+      entry.moves.push(...moves);
+      if (!entry.months.has(month)) {
+        entry.months.set(month, { games: 0, moves: [] });
+      }
+      entry.months.get(month).games++;
+      entry.months.get(month).moves.push(...moves);
+    }
+  }
+
+  return [...players.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([player, entry]) => ({
+      player,
+      games: entry.games,
+      ...summarizeWithPhases(entry.moves),
+      months: [...entry.months.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, monthEntry]) => ({
+          month,
+          games: monthEntry.games,
+          ...summarizeWithPhases(monthEntry.moves),
+        })),
+    }));
+}
+
+/**
+ * Printable report: each player's totals and phases, then one line per month
+ * @param {Object} report - AccuracyReport.analyzePgn() result
+ * @returns {string}
+ */
+export function formatAccuracyReport(report) {
+  const lines = [];
+  const accuracy = (value) => (value === null ? '-' : value.toFixed(1));
+  const columns = (cells) =>
+    `  ${cells[0].padEnd(8)} ${cells
+      .slice(1)
+      .map((cell, index) => String(cell).padStart([5, 5, 6, 5, 3, 3, 3][index] || 10))
+      .join(' ')}`;
+  const header = columns(['Month', 'Games', 'Moves', 'Acc', 'ACPL', '?!', '?', '??', ...PHASES]);
+  const row = (label, summary) =>
+    columns([
+      label,
+      summary.games,
+      summary.moves,
+      accuracy(summary.accuracy),
+      summary.averageCpLoss,
+      summary.inaccuracies,
+      summary.mistakes,
+      summary.blunders,
+      ...PHASES.map((phase) => accuracy(summary.phases[phase].accuracy)),
+    ]);
+
+  for (const player of report.players) {
+    lines.push(
+      `${player.player}: accuracy ${accuracy(player.accuracy)}%, ACPL ${player.averageCpLoss}`
+    );
+    lines.push(header);
+    lines.push(row('All', player));
+    for (const month of player.months) {
+      lines.push(row(month.month, month));
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * One CSV row per player per game
+ * @param {Object} report - AccuracyReport.analyzePgn() result
+ * @returns {string}
+ */
+export function formatAccuracyCsv(report) {
+  const rows = [
+    [
+      'game',
+      'date',
+      'event',
+      'player',
+      'color',
+      'opponent',
+      'result',
+      'moves',
+      'accuracy',
+      'acpl',
+      'win_loss',
+      'inaccuracies',
+      'mistakes',
+      'blunders',
+      ...PHASES.flatMap((phase) => [`${phase}_accuracy`, `${phase}_acpl`]),
+    ],
+  ];
+
+  report.games.forEach((game, index) => {
+    for (const side of ['white', 'black']) {
+      const summary = game[side];
+      const [own, opponent] = side === 'white' ? ['White', 'Black'] : ['Black', 'White'];
+      rows.push([
+        index + 1,
+        game.headers.Date,
+        game.headers.Event,
+        game.headers[own],
+        side,
+        game.headers[opponent],
+        game.headers.Result,
+        summary.moves,
+        summary.accuracy,
+        summary.averageCpLoss,
+        summary.averageWinLoss,
+        summary.inaccuracies,
+        summary.mistakes,
+        summary.blunders,
+        ...PHASES.flatMap((phase) => [
+          summary.phases[phase].accuracy,
+          summary.phases[phase].moves > 0 ? summary.phases[phase].averageCpLoss : null,
+        ]),
+      ]);
+    }
+  });
+
+  return formatCsv(rows);
+}
+
+export class AccuracyReport {
+  /**
+   * @param {EngineManager|AnalysisScheduler} engineManager - Initialized engine manager, or a
+   *   started scheduler
+   * @param {Object} config - GameReview options (depth, time, tablebase, concurrency)
+   */
+  constructor(engineManager, config = {}) {
+    this.review = new GameReview(engineManager, config);
+  }
+
+  /**
+   * Review every game and score both sides
+   * @param {string} pgnText - One or more games in PGN format
+   * @returns {Promise<Object>} { games: [{ headers, moves, white, black }], players } where
+   *   white and black are summarizeWithPhases() results and players is summarizePlayers()
+   */
+  async analyzePgn(pgnText) {
+    const reviews = await this.review.reviewPgn(pgnText);
+    log.info(`Scoring ${reviews.length} game(s)`);
+
+    const games = reviews.map((review) => {
+      const moves = scoreMoves(review.moves);
+      return {
+        headers: review.headers,
+        moves,
+        white: summarizeWithPhases(moves.filter((move) => move.color === 'w')),
+        black: summarizeWithPhases(moves.filter((move) => move.color === 'b')),
+      };
+    });
+
+    return { games, players: summarizePlayers(games) };
+  }
+}
+
+/**
+ * 'YYYY.MM' from a PGN date, '?' when the month is unknown
+ */
+function gameMonth(date) {
+  const match = /^(\d{4})\.(\d{2})/.exec(date || '');
+  return match ? `${match[1]}.${match[2]}` : '?';
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,265 @@
+/**
+ * Analysis Cache
+ * Persistent store of engine results, one JSON object per line. Entries are
+ * keyed by normalized FEN (Chess960 apart from standard chess), engine id,
+ * search limit and number of lines; a
+ * deeper (or longer) search answers any shallower request for the same key.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Position } from './chess/position.js';
+
+const LIMIT_TYPES = ['depth', 'time', 'nodes'];
+
+/**
+ * Normalize a FEN for cache lookups: move counters are dropped and an en
+ * passant square that allows no capture is cleared
+ * @param {string} fen - FEN string
+ * @param {boolean} chess960 - Read the FEN as Chess960, keeping castling rights that
+ *   standard chess would drop
+ * @returns {string}
+ * @throws {Error} If the FEN is invalid
+ */
+export function normalizeFen(fen, chess960 = false) {
+  const position = new Position(fen, { chess960 });
+  const [placement, side, castling, epSquare] = position.toFen().split(' ');
+  const canCaptureEp = epSquare !== '-' && position.legalMoves().some((move) => move.enPassant);
+  return `${placement} ${side} ${castling} ${canCaptureEp ? epSquare : '-'}`;
+}
+
+/**
+ * The search limit of a request, or null if its result should not be cached
+ * (clock-based and infinite searches depend on timing)
+ * @param {Object} options - Search options
+ * @returns {{ type: string, value: number }|null}
+ */
+export function getSearchLimit(options = {}) {
+  if (options.infinite || options.wtime !== undefined) {
+    return null;
+  }
+  const type = LIMIT_TYPES.find((limit) => options[limit]);
+  return type ? { type, value: options[type] } : { type: 'default', value: 0 };
+}
+
+export class AnalysisCache {
+  /**
+   * @param {Object} config - { path: JSON-lines file (omit for memory only), maxEntries }
+   */
+  constructor(config = {}) {
+    this.config = {
+      path: null,
+      maxEntries: 10000,
+      ...config,
+    };
+
+    this.entries = new Map(); // exact key -> entry, least recently used first
+    this.positions = new Map(); // position key -> Set of exact keys
+    this.fileLines = 0;
+    this.writes = Promise.resolve();
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Read the cache file. Malformed lines are skipped; later lines win.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.config.path) {
+      return;
+    }
+
+    let text;
+    try {
+      text = await fs.readFile(this.config.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const lines = text.split('\n').filter((line) => line.trim());
+    for (const line of lines) {
+      try {
+        this.insert(JSON.parse(line));
+      } catch {
+        // Ignore lines damaged by an interrupted write
+      }
+    }
+    this.fileLines = lines.length;
+  }
+
+  /**
+   * Find a stored result that answers a request
+   * @param {Object} request - { fen, engine, kind, multiPV, options, chess960? }
+   * @returns {Object|null} Stored result
+   */
+  get(request) {
+    const limit = getSearchLimit(request.options);
+    if (!limit) {
+      return null;
+    }
+
+    const chess960 = Boolean(request.chess960);
+    const position = positionKey(
+      normalizeFen(request.fen, chess960),
+      request.engine,
+      request.kind,
+      chess960
+    );
+    const keys = this.positions.get(position) || new Set();
+    let best = null;
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (
+        entry.limit.type === limit.type &&
+        entry.limit.value >= limit.value &&
+        entry.multiPV >= request.multiPV &&
+        (!best || entry.limit.value > best.limit.value)
+      ) {
+        best = entry;
+      }
+    }
+
+    if (!best) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    const key = exactKey(best);
+    this.entries.delete(key);
+    this.entries.set(key, best);
+    this.stats.hits++;
+    return best.result;
+  }
+
+  /**
+   * Store a result and append it to the cache file
+   * @param {Object} request - { fen, engine, kind, multiPV, options, chess960? }
+   * @param {Object} result - Result to store (must be JSON-serializable)
+   * @returns {Promise<void>}
+   */
+  async set(request, result) {
+    const limit = getSearchLimit(request.options);
+    if (!limit) {
+      return;
+    }
+
+    const chess960 = Boolean(request.chess960);
+    const entry = {
+      fen: normalizeFen(request.fen, chess960),
+      chess960,
+      engine: request.engine,
+      kind: request.kind,
+      multiPV: request.multiPV,
+      limit,
+      result,
+      storedAt: new Date().toISOString(),
+    };
+
+    this.insert(entry);
+    this.stats.writes++;
+
+    if (this.config.path) {
+      await this.write(() => this.append(entry));
+    }
+  }
+
+  /**
+   * Add an entry in memory and enforce the size limit
+   */
+  insert(entry) {
+    const key = exactKey(entry);
+    const position = positionKey(entry.fen, entry.engine, entry.kind, entry.chess960);
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (!this.positions.has(position)) {
+      this.positions.set(position, new Set());
+    }
+    this.positions.get(position).add(key);
+
+    while (this.entries.size > this.config.maxEntries) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      const oldestPosition = positionKey(oldest.fen, oldest.engine, oldest.kind, oldest.chess960);
+      this.entries.delete(oldestKey);
+      this.positions.get(oldestPosition).delete(oldestKey);
+      if (this.positions.get(oldestPosition).size === 0) {
+        this.positions.delete(oldestPosition);
+      }
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Queue a file operation so appends and rewrites never interleave
+   */
+  write(operation) {
+    this.writes = this.writes.then(operation, operation);
+    return this.writes;
+  }
+
+  async append(entry) {
+    if (this.fileLines === 0) {
+      await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+    }
+    await fs.appendFile(this.config.path, `${JSON.stringify(entry)}\n`);
+    this.fileLines++;
+
+    // Rewrite once the file mostly holds replaced or evicted entries
+    if (this.fileLines > Math.max(100, this.entries.size * 2)) {
+      await this.rewrite();
+    }
+  }
+
+  /**
+   * Rewrite the cache file with only the live entries
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    if (this.config.path) {
+      await this.write(() => this.rewrite());
+    }
+  }
+
+  async rewrite() {
+    const temporary = `${this.config.path}.tmp`;
+    const lines = [...this.entries.values()].map((entry) => `${JSON.stringify(entry)}\n`);
+    await fs.writeFile(temporary, lines.join(''));
+    await fs.rename(temporary, this.config.path);
+    this.fileLines = lines.length;
+  }
+
+  /**
+   * Drop every entry, on disk too
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+    this.positions.clear();
+    await this.compact();
+  }
+
+  /**
+   * Hit/miss statistics
+   * @returns {Object} { hits, misses, writes, evictions, entries, hitRate }
+   */
+  getStatistics() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+    };
+  }
+}
+
+function positionKey(normalizedFen, engine, kind, chess960) {
+  return `${engine}|${kind}|${chess960 ? '960|' : ''}${normalizedFen}`;
+}
+
+function exactKey({ fen, engine, kind, multiPV, limit, chess960 }) {
+  return `${positionKey(fen, engine, kind, chess960)}|${multiPV}|${limit.type}:${limit.value}`;
+}
@@ -0,0 +1,367 @@
+/**
+ * Analysis Scheduler
+ * Keeps several engine instances running and spreads a queue of positions
+ * across them, so batch jobs (game review, databases) use every core instead
+ * of one engine at a time.
+ *
+ * Usage:
+ *   const scheduler = new AnalysisScheduler({ engines: ['stockfish-native-max'], instances: 4 });
+ *   await scheduler.start();
+ *   for (const fen of fens) {
+ *     const job = await scheduler.enqueue(fen, { depth: 18 });  // waits while the queue is full
+ *     job.promise.then(...);
+ *   }
+ *   await scheduler.drain();
+ *   console.log(formatSchedulerStatistics(scheduler.getStatistics()));
+ *   await scheduler.stop();
+ */
+
+import os from 'os';
+import { EngineManager } from './engineManager.js';
+import { logger } from './logger.js';
+import { writeRunManifest } from './runManifest.js';
+import { ENGINE_HEALTH, SCHEDULER } from '../config/constants.js';
+import { getEngineManagerConfig } from '../config/engines.config.js';
+
+export class AnalysisScheduler {
+  /**
+   * @param {Object} config - { engines: ids from ENGINES_CONFIG, spread over the instances in
+   *   turn; instances (default: one per core); threads per instance (default: the cores shared
+   *   out between several instances); maxQueue; timeBudget: default per-job limit (ms); manifest:
+   *   file to write getManifest() to once started; cache, book, reproducible and any other
+   *   EngineManager settings, given to every instance }
+   */
+  constructor(config = {}) {
+    const { engines, instances, threads, maxQueue, timeBudget, manifest, ...managerConfig } =
+      config;
+    const cores = os.availableParallelism?.() || os.cpus().length;
+
+    this.config = {
+      engines: engines?.length ? engines : ['stockfish'],
+      instances: instances || cores,
+      maxQueue: maxQueue || SCHEDULER.MAX_QUEUE,
+      // A search cut short by the clock cannot be repeated
+      timeBudget: managerConfig.reproducible ? null : timeBudget || null,
+      manifest: manifest || null,
+    };
+    // A single instance keeps the engine's own setting
+    this.config.threads =
+      threads ||
+      (this.config.instances > 1 ? Math.max(1, Math.floor(cores / this.config.instances)) : null);
+    this.managerConfig = managerConfig;
+
+    this.workers = [];
+    this.queue = []; // highest priority first, then in submission order
+    this.spaceWaiters = [];
+    this.idleWaiters = [];
+    this.jobCounter = 0;
+    this.stopped = false;
+    this.stats = { completed: 0, failed: 0, overBudget: 0, cached: 0, nodes: 0 };
+    this.startedAt = null;
+    this.logger = logger.child('scheduler');
+  }
+
+  /**
+   * Start every instance. Instances that fail to start are left out.
+   * @throws {Error} If none starts
+   */
+  async start() {
+    const { engines, instances, threads } = this.config;
+    this.logger.info(`Starting ${instances} instance(s)`, { engines, threads });
+
+    const workers = Array.from({ length: instances }, (_, index) => {
+      const engineId = engines[index % engines.length];
+      return {
+        index,
+        engineId,
+        manager: new EngineManager({
+          ...getEngineManagerConfig(engineId),
+          ...this.managerConfig,
+          ...(threads && { threads }),
+          logger: this.logger.child(`${engineId}#${index + 1}`),
+        }),
+        busy: false,
+        retired: false,
+        completed: 0,
+        busyTime: 0,
+      };
+    });
+
+    const results = await Promise.allSettled(workers.map((worker) => worker.manager.init()));
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        this.workers.push(workers[index]);
+      } else {
+        this.logger.error(`Instance ${index + 1} failed to start`, { error: result.reason });
+      }
+    });
+
+    if (this.workers.length === 0) {
+      throw new Error(`No engine instance started: ${results[0].reason.message}`);
+    }
+    this.startedAt = Date.now();
+
+    if (this.config.manifest) {
+      await writeRunManifest(this.config.manifest, await this.getManifest());
+    }
+  }
+
+  /**
+   * One manifest per engine; the instances of an engine share their settings
+   * @returns {Promise<Array<Object>>} EngineManager.getManifest() results
+   */
+  async getManifest() {
+    const first = new Map();
+    for (const worker of this.workers) {
+      if (!worker.retired && !first.has(worker.engineId)) {
+        first.set(worker.engineId, worker.manager);
+      }
+    }
+    return Promise.all([...first.values()].map((manager) => manager.getManifest()));
+  }
+
+  /**
+   * Queue a position, waiting for room while the queue is full
+   * @param {string} fen - Position to analyze
+   * @param {Object} options - EngineManager search options plus { priority: higher runs first
+   *   (default 0), timeBudget: ms the search may take, engine: id of the instances to use }
+   * @returns {Promise<Object>} The job: { id, fen, priority, promise } where promise resolves to
+   *   the analysis with engineId, instance and overBudget (the search was cut short)
+   * @throws {Error} If the scheduler is stopped or no instance runs the engine
+   */
+  async enqueue(fen, options = {}) {
+    const { priority = 0, engine = null, ...searchOptions } = options;
+    if (engine && !this.workers.some((worker) => worker.engineId === engine && !worker.retired)) {
+      throw new Error(`No running instance of ${engine}`);
+    }
+
+    while (this.queue.length >= this.config.maxQueue && !this.stopped) {
+      await new Promise((resolve) => this.spaceWaiters.push(resolve));
+    }
+    if (this.stopped) {
+      throw new Error('Scheduler stopped');
+    }
+
+    const job = {
+      id: ++this.jobCounter,
+      fen,
+      priority,
+      engineId: engine,
+      options: { timeBudget: this.config.timeBudget, ...searchOptions },
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only await drain() should not see unhandled rejections
+    job.promise.catch(() => {});
+
+    const index = this.queue.findIndex((queued) => queued.priority < priority);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, job);
+    this.dispatch();
+    return job;
+  }
+
+  /**
+   * Queue a position and wait for its analysis; a drop-in for EngineManager.analyzePosition
+   * @param {string} fen - Position to analyze
+   * @param {Object} options - As for enqueue()
+   * @returns {Promise<Object>} Analysis
+   */
+  async analyzePosition(fen, options = {}) {
+    const job = await this.enqueue(fen, options);
+    return job.promise;
+  }
+
+  /**
+   * Opening book moves, from the book the instances share
+   */
+  getBookMoves(position, options = {}) {
+    return this.workers[0]?.manager.getBookMoves(position, options) || [];
+  }
+
+  /**
+   * Wait until the queue is empty and every instance is idle
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    if (this.queue.length > 0 || this.workers.some((worker) => worker.busy)) {
+      await new Promise((resolve) => this.idleWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * Give every idle instance the most urgent job it can run
+   */
+  dispatch() {
+    for (const worker of this.workers) {
+      if (worker.busy || worker.retired) {
+        continue;
+      }
+      const index = this.queue.findIndex(
+        (job) => !job.engineId || job.engineId === worker.engineId
+      );
+      if (index === -1) {
+        continue;
+      }
+
+      const [job] = this.queue.splice(index, 1);
+      this.spaceWaiters.shift()?.();
+      this.runJob(worker, job);
+    }
+
+    if (this.queue.length === 0 && !this.workers.some((worker) => worker.busy)) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  async runJob(worker, job) {
+    worker.busy = true;
+    const startTime = Date.now();
+
+    try {
+      const analysis = await this.search(worker.manager, job);
+      worker.completed++;
+      this.stats.completed++;
+      this.stats.nodes += analysis.cached ? 0 : analysis.info?.nodes || 0;
+      this.stats.cached += analysis.cached ? 1 : 0;
+      this.stats.overBudget += analysis.overBudget ? 1 : 0;
+      job.resolve({ ...analysis, engineId: worker.engineId, instance: worker.index + 1 });
+    } catch (error) {
+      this.stats.failed++;
+      job.reject(error);
+    } finally {
+      worker.busy = false;
+      worker.busyTime += Date.now() - startTime;
+    }
+
+    if (worker.manager.health.state === ENGINE_HEALTH.FAILED) {
+      this.retire(worker);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Run one search. A budget alone becomes the search time; with another limit (or
+   * infinite) it is a deadline after which the search is stopped and its best move taken.
+   */
+  async search(manager, job) {
+    const { timeBudget, ...options } = job.options;
+    if (!timeBudget) {
+      return manager.analyzePosition(job.fen, options);
+    }
+    if (!options.depth && !options.nodes && !options.time && !options.infinite) {
+      return manager.analyzePosition(job.fen, { ...options, time: timeBudget });
+    }
+
+    const stream = manager.analyzeStream(job.fen, options);
+    let overBudget = false;
+    const timer = setTimeout(() => {
+      overBudget = true;
+      stream.cancel();
+    }, timeBudget);
+    try {
+      const analysis = await stream.result;
+      return { ...analysis, overBudget };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stop giving work to an instance whose engine could not be restarted, and fail
+   * the queued jobs no other instance can run
+   */
+  retire(worker) {
+    worker.retired = true;
+    this.logger.error(`Instance ${worker.index + 1} (${worker.engineId}) retired`, {
+      error: worker.manager.health.lastError,
+    });
+
+    const active = this.workers.filter((candidate) => !candidate.retired);
+    const stranded = this.queue.filter(
+      (job) =>
+        active.length === 0 ||
+        (job.engineId && !active.some((candidate) => candidate.engineId === job.engineId))
+    );
+    for (const job of stranded) {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      job.reject(new Error(`No running instance of ${job.engineId || 'any engine'}`));
+      this.stats.failed++;
+    }
+    this.spaceWaiters.splice(0, stranded.length).forEach((resolve) => resolve());
+  }
+
+  /**
+   * Throughput since start()
+   * @returns {Object} { instances, queued, running, completed, failed, overBudget, cached, nodes,
+   *   elapsed (ms), positionsPerSecond, nodesPerSecond, utilization (0-1 busy share),
+   *   perInstance: [{ instance, engineId, completed, busyTime, retired }] }
+   */
+  getStatistics() {
+    const elapsed = this.startedAt ? Date.now() - this.startedAt : 0;
+    const seconds = Math.max(elapsed, 1) / 1000;
+    const busyTime = this.workers.reduce((sum, worker) => sum + worker.busyTime, 0);
+
+    return {
+      instances: this.workers.filter((worker) => !worker.retired).length,
+      queued: this.queue.length,
+      running: this.workers.filter((worker) => worker.busy).length,
+      ...this.stats,
+      elapsed,
+      positionsPerSecond: Math.round((this.stats.completed / seconds) * 100) / 100,
+      nodesPerSecond: Math.round(this.stats.nodes / seconds),
+      utilization:
+        this.workers.length > 0
+          ? Math.round((busyTime / (Math.max(elapsed, 1) * this.workers.length)) * 100) / 100
+          : 0,
+      perInstance: this.workers.map((worker) => ({
+        instance: worker.index + 1,
+        engineId: worker.engineId,
+        completed: worker.completed,
+        busyTime: worker.busyTime,
+        retired: worker.retired,
+      })),
+    };
+  }
+
+  /**
+   * Fail queued jobs and waiting enqueue() calls, then shut every instance down
+   */
+  async stop() {
+    this.stopped = true;
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Scheduler stopped'));
+    }
+    this.spaceWaiters.splice(0).forEach((resolve) => resolve());
+
+    await Promise.allSettled(this.workers.map((worker) => worker.manager.quit()));
+    this.idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+}
+
+/**
+ * Printable throughput summary
+ * @param {Object} stats - From getStatistics()
+ * @returns {string}
+ */
+export function formatSchedulerStatistics(stats) {
+  const lines = [
+    `${stats.completed} position(s) in ${(stats.elapsed / 1000).toFixed(1)}s on ` +
+      `${stats.instances} instance(s): ${stats.positionsPerSecond} positions/s, ` +
+      `${stats.nodesPerSecond} nodes/s, ${Math.round(stats.utilization * 100)}% busy`,
+  ];
+  if (stats.failed || stats.overBudget || stats.cached) {
+    lines.push(
+      `${stats.failed} failed, ${stats.overBudget} stopped at their time budget, ` +
+        `${stats.cached} from the cache`
+    );
+  }
+  for (const instance of stats.perInstance) {
+    lines.push(
+      `  #${instance.instance} ${instance.engineId.padEnd(22)} ${String(instance.completed).padStart(6)} ` +
+        `positions${instance.retired ? ' (retired)' : ''}`
+    );
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,651 @@
+/**
+ * Analysis Server
+ * Exposes the engine pool over localhost so other tools can share the same
+ * engine configuration without spawning their own binaries.
+ *
+ * REST:
+ *   GET    /api/engines      Configured engines and the health of running ones
+ *   GET    /api/status       Queue and pool status
+ *   POST   /api/analyze      Submit { fen | pgn, engine?, depth?, time?, nodes?, multiPV?, infinite?,
+ *                            chess960?, cache? } (a raw body with Content-Type application/x-chess-pgn
+ *                            is read as PGN, options from the query string); answers 202 with
+ *                            the job
+ *   GET    /api/jobs         All queued, running and recently finished jobs
+ *   GET    /api/jobs/:id     One job, with its latest lines and result
+ *   DELETE /api/jobs/:id     Cancel a queued or running job
+ *
+ * WebSocket (/ws), JSON messages:
+ *   client -> { type: 'analyze', ...same fields as POST /api/analyze, requestId? }
+ *             { type: 'subscribe', jobId? }    no jobId subscribes to every job
+ *             { type: 'unsubscribe', jobId? }
+ *             { type: 'cancel', jobId }
+ *   server -> { type: 'job', job, requestId? }  job created or changed status
+ *             { type: 'info', jobId, ply, update } live search line
+ *             { type: 'error', message, requestId? }
+ *
+ * Static:
+ *   GET    /                 The analysis board (src/web), which uses the API above
+ *
+ * Each engine runs one job at a time; jobs for different engines run in parallel.
+ * Browsers may only use the API from the server's own pages: POST, DELETE and
+ * WebSocket requests with another Origin are refused, and POST bodies must be
+ * application/json or application/x-chess-pgn, which a plain HTML form cannot send.
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Chess } from 'chess.js';
+import { WebSocketServer } from 'ws';
+import { EnginePoolManager } from './enginePoolManager.js';
+import { logger } from './logger.js';
+import { Position } from './chess/position.js';
+import { isChess960Game, parsePgnHeaders, readPgnGame } from './pgn.js';
+import { DUAL_ANALYSIS_ENGINES, ENGINES_CONFIG, getEngineColor } from '../config/engines.config.js';
+import { ANALYSIS_SERVER, JOB_STATUS } from '../config/constants.js';
+
+const SEARCH_LIMITS = ['depth', 'time', 'nodes', 'multiPV'];
+
+// The board app and the chess modules it imports, served as-is to the browser
+const STATIC_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STATIC_DIRS = ['/web/', '/modules/chess/'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const BODY_TYPES = ['application/json', 'application/x-chess-pgn'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+};
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export class AnalysisServer {
+  constructor(config = {}) {
+    this.config = {
+      host: ANALYSIS_SERVER.HOST,
+      port: ANALYSIS_SERVER.PORT,
+      pool: 'stockfish',
+      selection: 'single', // engine for jobs that do not name one
+      cache: null,
+      reproducible: null, // EnginePoolManager reproducible mode and manifest file
+      manifest: null,
+      maxQueue: ANALYSIS_SERVER.MAX_QUEUE,
+      maxFinishedJobs: ANALYSIS_SERVER.MAX_FINISHED_JOBS,
+      ...config,
+    };
+
+    this.pool = new EnginePoolManager({
+      pool: this.config.pool,
+      selection: this.config.selection,
+      cache: this.config.cache,
+      reproducible: this.config.reproducible,
+      manifest: this.config.manifest,
+    });
+    this.jobs = new Map(); // id -> job, oldest first
+    this.queue = [];
+    this.busyEngines = new Set();
+    this.clients = new Set();
+    this.jobCounter = 0;
+    this.server = null;
+    this.wss = null;
+    this.logger = logger.child('server');
+  }
+
+  /**
+   * Start the engine pool and listen for connections
+   * @returns {Promise<{ host: string, port: number }>}
+   */
+  async start() {
+    await this.pool.init();
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch((error) => {
+        this.sendJson(response, error.status || 500, { error: error.message });
+      });
+    });
+
+    this.wss = new WebSocketServer({
+      server: this.server,
+      path: '/ws',
+      verifyClient: ({ req }, done) =>
+        done(this.isSameOrigin(req), 403, `Cross-origin request refused: ${req.headers.origin}`),
+    });
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { address, port } = this.server.address();
+    this.logger.info(`Analysis server listening on http://${address}:${port}`);
+    return { host: address, port };
+  }
+
+  /**
+   * Cancel all work, close connections and shut the engines down
+   */
+  async stop() {
+    this.queue.splice(0).forEach((job) => this.finishJob(job, JOB_STATUS.CANCELLED));
+    for (const job of this.jobs.values()) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        this.cancelJob(job.id);
+      }
+    }
+
+    for (const socket of this.clients) {
+      socket.terminate();
+    }
+    this.clients.clear();
+
+    if (this.wss) {
+      await new Promise((resolve) => this.wss.close(resolve));
+    }
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+    }
+    await this.pool.cleanup();
+  }
+
+  // --- Jobs ---
+
+  /**
+   * Validate a request and queue it
+   * @param {Object} body - { fen | pgn, engine?, depth?, time?, nodes?, multiPV?, infinite?, cache? }
+   * @returns {Object} The queued job
+   * @throws {Error} With status 400 for invalid input, 503 when the queue is full
+   */
+  submitJob(body = {}) {
+    const engineId = body.engine || this.pool.currentEngineId;
+    if (!ENGINES_CONFIG[engineId]) {
+      throw requestError(400, `Unknown engine: ${engineId}`);
+    }
+    if (!ENGINES_CONFIG[engineId].enabled) {
+      throw requestError(400, `Engine ${engineId} is disabled`);
+    }
+    if (this.queue.length >= this.config.maxQueue) {
+      throw requestError(503, 'Analysis queue is full');
+    }
+
+    const options = this.readSearchOptions(body);
+    const job = {
+      id: String(++this.jobCounter),
+      status: JOB_STATUS.QUEUED,
+      engineId,
+      options,
+      positions: this.readPositions(body, options),
+      headers: null,
+      lines: new Map(),
+      results: [],
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      stream: null,
+      cancelRequested: false,
+    };
+
+    if (body.pgn !== undefined) {
+      job.headers = job.positions.headers;
+      if (job.options.infinite) {
+        throw requestError(400, 'Infinite analysis needs a single FEN');
+      }
+    }
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.broadcastJob(job);
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Search limits from a request; numbers may arrive as strings from a query string.
+   * chess960 is set by the request or by a PGN whose Variant tag names Chess960.
+   */
+  readSearchOptions(body) {
+    const options = {};
+    for (const key of SEARCH_LIMITS) {
+      if (body[key] !== undefined && body[key] !== null) {
+        const value = Number(body[key]);
+        if (!Number.isInteger(value) || value <= 0) {
+          throw requestError(400, `Invalid ${key}: ${body[key]}`);
+        }
+        options[key] = value;
+      }
+    }
+    if (body.infinite === true || body.infinite === 'true') {
+      options.infinite = true;
+    }
+    if (body.cache === false || body.cache === 'false') {
+      options.cache = false;
+    }
+    const chess960Game = typeof body.pgn === 'string' && isChess960Game(parsePgnHeaders(body.pgn));
+    if (body.chess960 === true || body.chess960 === 'true' || chess960Game) {
+      options.chess960 = true;
+    }
+    return options;
+  }
+
+  /**
+   * Positions to analyze: the FEN, or the start and every position of the PGN mainline
+   * @param {Object} body - Request
+   * @param {Object} options - readSearchOptions() result, for chess960
+   * @returns {Array<Object>} { ply, san, fen }, with a headers property for PGN input
+   */
+  readPositions(body, options) {
+    if (typeof body.fen === 'string') {
+      try {
+        const position = new Position(body.fen, { chess960: options.chess960 });
+        return [{ ply: null, san: null, fen: position.toFen() }];
+      } catch (error) {
+        throw requestError(400, error.message);
+      }
+    }
+
+    if (typeof body.pgn === 'string' && options.chess960) {
+      let game;
+      try {
+        game = readPgnGame(body.pgn, { chess960: true });
+      } catch (error) {
+        throw requestError(400, `Invalid PGN: ${error.message}`);
+      }
+
+      const positions = [
+        { ply: 0, san: null, fen: game.startFen },
+        ...game.moves.map((move, index) => ({ ply: index + 1, san: move.san, fen: move.after })),
+      ];
+      positions.headers = game.headers;
+      return positions;
+    }
+
+    if (typeof body.pgn === 'string') {
+      const chess = new Chess();
+      try {
+        chess.loadPgn(body.pgn);
+      } catch (error) {
+        throw requestError(400, `Invalid PGN: ${error.message}`);
+      }
+
+      const history = chess.history({ verbose: true });
+      const positions = [
+        { ply: 0, san: null, fen: history[0]?.before || chess.fen() },
+        ...history.map((move, index) => ({ ply: index + 1, san: move.san, fen: move.after })),
+      ];
+      positions.headers = chess.getHeaders();
+      return positions;
+    }
+
+    throw requestError(400, 'Request needs a fen or pgn');
+  }
+
+  /**
+   * Start every queued job whose engine is free, in submission order
+   */
+  processQueue() {
+    for (const job of [...this.queue]) {
+      if (!this.busyEngines.has(job.engineId)) {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this.runJob(job);
+      }
+    }
+  }
+
+  async runJob(job) {
+    this.busyEngines.add(job.engineId);
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+    this.broadcastJob(job);
+
+    let status = JOB_STATUS.DONE;
+    try {
+      const manager = await this.pool.getEngine(job.engineId);
+      for (const position of job.positions) {
+        if (job.cancelRequested) {
+          break;
+        }
+        job.results.push(await this.analyzePosition(job, manager, position));
+      }
+      if (job.cancelRequested) {
+        status = JOB_STATUS.CANCELLED;
+      }
+    } catch (error) {
+      status = JOB_STATUS.FAILED;
+      job.error = error.message;
+    } finally {
+      this.busyEngines.delete(job.engineId);
+    }
+
+    this.finishJob(job, status);
+    this.processQueue();
+  }
+
+  /**
+   * Stream one position to subscribers and return its final analysis
+   */
+  async analyzePosition(job, manager, { ply, san, fen }) {
+    if (new Position(fen, { chess960: job.options.chess960 }).legalMoves().length === 0) {
+      return { ply, san, fen, analysis: null, gameOver: true };
+    }
+
+    job.lines.clear();
+    job.stream = manager.analyzeStream(fen, job.options);
+    try {
+      for await (const update of job.stream) {
+        job.lines.set(update.multipv || 1, update);
+        this.broadcast(job.id, { type: 'info', jobId: job.id, ply, update });
+      }
+      return { ply, san, fen, analysis: await job.stream.result };
+    } finally {
+      job.stream = null;
+    }
+  }
+
+  finishJob(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    this.broadcastJob(job);
+    this.pruneJobs();
+  }
+
+  /**
+   * Cancel a job. Queued jobs end immediately; running ones stop their search
+   * and end once the engine has answered.
+   * @param {string} id - Job id
+   * @returns {Object} The job
+   * @throws {Error} With status 404 for unknown jobs, 409 for finished ones
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw requestError(404, `Job not found: ${id}`);
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.finishJob(job, JOB_STATUS.CANCELLED);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      job.cancelRequested = true;
+      job.stream?.cancel();
+    } else {
+      throw requestError(409, `Job ${id} already ${job.status}`);
+    }
+    return job;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxFinishedJobs
+   */
+  pruneJobs() {
+    const finished = [...this.jobs.values()].filter((job) => job.finishedAt !== null);
+    for (const job of finished.slice(0, finished.length - this.config.maxFinishedJobs)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Public view of a job
+   */
+  serializeJob(job) {
+    const single = job.positions.length === 1 && job.positions[0].ply === null;
+    return {
+      id: job.id,
+      status: job.status,
+      engine: job.engineId,
+      engineName: ENGINES_CONFIG[job.engineId]?.name,
+      type: single ? 'fen' : 'pgn',
+      fen: single ? job.positions[0].fen : undefined,
+      headers: job.headers || undefined,
+      options: job.options,
+      queuePosition: job.status === JOB_STATUS.QUEUED ? this.queue.indexOf(job) + 1 : undefined,
+      progress: { analyzed: job.results.length, total: job.positions.length },
+      lines: [...job.lines.values()].sort((a, b) => (a.multipv || 1) - (b.multipv || 1)),
+      result: single ? job.results[0]?.analysis || null : job.results,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  // --- HTTP ---
+
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([^/]+)$/);
+
+    if (request.method !== 'GET' && !this.isSameOrigin(request)) {
+      throw requestError(403, `Cross-origin request refused: ${request.headers.origin}`);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/engines') {
+      return this.sendJson(response, 200, this.getEngines());
+    }
+    if (request.method === 'GET' && url.pathname === '/api/status') {
+      return this.sendJson(response, 200, this.getStatus());
+    }
+    if (request.method === 'POST' && url.pathname === '/api/analyze') {
+      const job = this.submitJob(await this.readBody(request, url));
+      return this.sendJson(response, 202, this.serializeJob(job));
+    }
+    if (request.method === 'GET' && url.pathname === '/api/jobs') {
+      return this.sendJson(
+        response,
+        200,
+        [...this.jobs.values()].map((job) => this.serializeJob(job))
+      );
+    }
+    if (jobMatch && request.method === 'GET') {
+      const job = this.jobs.get(jobMatch[1]);
+      if (!job) {
+        throw requestError(404, `Job not found: ${jobMatch[1]}`);
+      }
+      return this.sendJson(response, 200, this.serializeJob(job));
+    }
+    if (jobMatch && request.method === 'DELETE') {
+      return this.sendJson(response, 200, this.serializeJob(this.cancelJob(jobMatch[1])));
+    }
+
+    if (request.method === 'GET') {
+      return this.serveStatic(response, url.pathname === '/' ? '/web/index.html' : url.pathname);
+    }
+
+    throw requestError(404, `Not found: ${request.method} ${url.pathname}`);
+  }
+
+  /**
+   * Whether a request comes from a page of this server, or from no page at all.
+   * Clients outside a browser send no Origin; browsers always send one for
+   * cross-site POSTs and WebSocket upgrades. The Host must also be this server's own
+   * name, so a page on a domain rebound to 127.0.0.1 does not count as same-origin.
+   * @param {http.IncomingMessage} request - HTTP request or WebSocket upgrade
+   * @returns {boolean}
+   */
+  isSameOrigin(request) {
+    const { origin, host = '' } = request.headers;
+    if (origin === undefined) {
+      return true;
+    }
+    const hostname = host.replace(/:\d+$/, '');
+    const ownHost = LOOPBACK_HOSTS.includes(hostname) || hostname === this.config.host;
+    return ownHost && origin === `http://${host}`;
+  }
+
+  /**
+   * Serve a file of the analysis board
+   */
+  async serveStatic(response, pathname) {
+    const file = path.join(STATIC_ROOT, path.normalize(pathname));
+    const contentType = CONTENT_TYPES[path.extname(file)];
+    const allowed = STATIC_DIRS.some((dir) => file.startsWith(path.join(STATIC_ROOT, dir)));
+    if (!allowed || !contentType) {
+      throw requestError(404, `Not found: GET ${pathname}`);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(file);
+    } catch {
+      throw requestError(404, `Not found: GET ${pathname}`);
+    }
+    response.writeHead(200, { 'Content-Type': contentType });
+    response.end(content);
+  }
+
+  /**
+   * Read a JSON body, or a raw PGN body with options in the query string
+   * @throws {Error} With status 415 for any other Content-Type, 413 for large bodies
+   */
+  async readBody(request, url) {
+    const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!BODY_TYPES.includes(contentType)) {
+      throw requestError(415, `Content-Type must be ${BODY_TYPES.join(' or ')}`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > ANALYSIS_SERVER.MAX_BODY) {
+        throw requestError(413, 'Request body too large');
+      }
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    if (contentType === 'application/x-chess-pgn') {
+      return { ...Object.fromEntries(url.searchParams), pgn: text };
+    }
+    try {
+      return JSON.parse(text || '{}');
+    } catch {
+      throw requestError(400, 'Body must be JSON');
+    }
+  }
+
+  sendJson(response, status, body) {
+    if (response.headersSent) {
+      response.end();
+      return;
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  getEngines() {
+    const { health } = this.pool.getStatistics();
+    return Object.entries(ENGINES_CONFIG).map(([id, config]) => ({
+      id,
+      name: config.name,
+      type: config.type,
+      enabled: config.enabled,
+      color: getEngineColor(id),
+      running: this.pool.engines.has(id),
+      busy: this.busyEngines.has(id),
+      health: health[id] || null,
+    }));
+  }
+
+  getStatus() {
+    return {
+      pool: this.config.pool,
+      defaultEngine: this.pool.currentEngineId,
+      dualAnalysisEngines: Object.values(DUAL_ANALYSIS_ENGINES),
+      queued: this.queue.length,
+      running: [...this.jobs.values()].filter((job) => job.status === JOB_STATUS.RUNNING).length,
+      busyEngines: [...this.busyEngines],
+      clients: this.clients.size,
+    };
+  }
+
+  // --- WebSocket ---
+
+  handleConnection(socket) {
+    socket.subscriptions = new Set();
+    socket.subscribedToAll = false;
+    this.clients.add(socket);
+
+    socket.on('message', (data) => this.handleMessage(socket, data));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+  }
+
+  handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this.sendMessage(socket, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    const { type, jobId, requestId, ...body } = message;
+    try {
+      switch (type) {
+        case 'analyze': {
+          // Engines start asynchronously, so no line is missed by subscribing here
+          const job = this.submitJob(body);
+          socket.subscriptions.add(job.id);
+          this.sendMessage(socket, { type: 'job', job: this.serializeJob(job), requestId });
+          break;
+        }
+        case 'subscribe':
+          if (jobId === undefined) {
+            socket.subscribedToAll = true;
+          } else {
+            const job = this.jobs.get(String(jobId));
+            if (!job) {
+              throw requestError(404, `Job not found: ${jobId}`);
+            }
+            socket.subscriptions.add(job.id);
+            this.sendMessage(socket, { type: 'job', job: this.serializeJob(job), requestId });
+          }
+          break;
+        case 'unsubscribe':
+          if (jobId === undefined) {
+            socket.subscribedToAll = false;
+            socket.subscriptions.clear();
+          } else {
+            socket.subscriptions.delete(String(jobId));
+          }
+          break;
+        case 'cancel':
+          this.cancelJob(String(jobId));
+          break;
+        default:
+          throw requestError(400, `Unknown message type: ${type}`);
+      }
+    } catch (error) {
+      this.sendMessage(socket, { type: 'error', message: error.message, requestId });
+    }
+  }
+
+  sendMessage(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send a message to every client following a job
+   */
+  broadcast(jobId, message) {
+    for (const socket of this.clients) {
+      if (socket.subscribedToAll || socket.subscriptions.has(jobId)) {
+        this.sendMessage(socket, message);
+      }
+    }
+  }
+
+  broadcastJob(job) {
+    this.broadcast(job.id, { type: 'job', job: this.serializeJob(job) });
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Move Notation Module
+ * Conversion between move objects, UCI and SAN
+ */
+
+import { Position, parseSquare, squareName } from './position.js';
+
+const SAN_PATTERN = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/;
+
+function toPosition(position) {
+  return position instanceof Position ? position : new Position(position);
+}
+
+/**
+ * Format a move object as UCI. Chess960 castling is written king-takes-rook, as
+ * engines in UCI_Chess960 mode expect.
+ * @param {Object} move - Move object from Position.legalMoves()
+ * @returns {string} e.g. 'e2e4', 'e7e8q', 'e1g1' or in Chess960 'e1h1'
+ */
+export function moveToUci(move) {
+  const to = move.castle && move.chess960 ? move.rookFrom : move.to;
+  return `${squareName(move.from)}${squareName(to)}${move.promotion || ''}`;
+}
+
+/**
+ * Find the legal move matching a UCI string. Castling is accepted king-takes-rook;
+ * in standard chess also as the king's two-square move, but not in Chess960, where
+ * the king's destination may be an ordinary king move.
+ * @param {Position} position - Position to search
+ * @param {string} uci - Move in UCI format
+ * @returns {Object|null} Move object, or null if the move is not legal
+ */
+export function findUciMove(position, uci) {
+  if (typeof uci !== 'string' || !/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci)) {
+    return null;
+  }
+
+  const from = parseSquare(uci.substring(0, 2));
+  const to = parseSquare(uci.substring(2, 4));
+  const promotion = uci[4] || null;
+
+  const reaches = (move) =>
+    move.castle ? move.rookFrom === to || (!position.chess960 && move.to === to) : move.to === to;
+
+  return (
+    position
+      .legalMoves()
+      .find((move) => move.from === from && reaches(move) && move.promotion === promotion) || null
+  );
+}
+
+/**
+ * Format a move object as SAN
+ * @param {Position} position - Position before the move
+ * @param {Object} move - Legal move object
+ * @returns {string} e.g. 'Nbd2', 'exd5', 'e8=Q+', 'O-O'
+ */
+export function moveToSan(position, move) {
+  let san;
+
+  if (move.castle) {
+    san = move.castle === 'k' ? 'O-O' : 'O-O-O';
+  } else {
+    const type = move.piece.toLowerCase();
+    const target = squareName(move.to);
+
+    if (type === 'p') {
+      san = move.captured ? `${squareName(move.from)[0]}x${target}` : target;
+      if (move.promotion) {
+        san += `=${move.promotion.toUpperCase()}`;
+      }
+    } else {
+      const rivals = position
+        .legalMoves()
+        .filter(
+          (other) =>
+            other.piece === move.piece &&
+            other.to === move.to &&
+            other.from !== move.from &&
+            !other.castle
+        );
+
+      let disambiguation = '';
+      if (rivals.length > 0) {
+        const from = squareName(move.from);
+        const sameFile = rivals.some((other) => squareName(other.from)[0] === from[0]);
+        const sameRank = rivals.some((other) => squareName(other.from)[1] === from[1]);
+        if (!sameFile) {
+          [disambiguation] = from;
+        } else if (!sameRank) {
+          [, disambiguation] = from;
+        } else {
+          disambiguation = from;
+        }
+      }
+
+      san = `${type.toUpperCase()}${disambiguation}${move.captured ? 'x' : ''}${target}`;
+    }
+  }
+
+  position.makeMove(move);
+  if (position.isCheck()) {
+    san += position.legalMoves().length === 0 ? '#' : '+';
+  }
+  position.undoMove();
+
+  return san;
+}
+
+/**
+ * Find the legal move matching a SAN string. Check marks, annotations and
+ * redundant disambiguation are tolerated.
+ * @param {Position} position - Position to search
+ * @param {string} san - Move in SAN
+ * @returns {Object|null} Move object, or null if no single legal move matches
+ */
+export function findSanMove(position, san) {
+  if (typeof san !== 'string') {
+    return null;
+  }
+
+  const clean = san.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+  const moves = position.legalMoves();
+
+  if (clean === 'O-O' || clean === 'O-O-O') {
+    const side = clean === 'O-O' ? 'k' : 'q';
+    return moves.find((move) => move.castle === side) || null;
+  }
+
+  const match = clean.match(SAN_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, pieceLetter, fromFile, fromRank, target, promotion] = match;
+  const type = (pieceLetter || 'p').toLowerCase();
+  const to = parseSquare(target);
+
+  const candidates = moves.filter((move) => {
+    const from = squareName(move.from);
+    return (
+      !move.castle &&
+      move.piece.toLowerCase() === type &&
+      move.to === to &&
+      (!fromFile || from[0] === fromFile) &&
+      (!fromRank || from[1] === fromRank) &&
+      move.promotion === (promotion ? promotion.toLowerCase() : null)
+    );
+  });
+
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Convert a UCI move to SAN
+ * @param {Position|string} position - Position or FEN before the move
+ * @param {string} uci - Move in UCI format
+ * @returns {string}
+ * @throws {Error} If the move is not legal
+ */
+export function uciToSan(position, uci) {
+  const board = toPosition(position);
+  const move = findUciMove(board, uci);
+  if (!move) {
+    throw new Error(`Illegal move: ${uci}`);
+  }
+  return moveToSan(board, move);
+}
+
+/**
+ * Convert a SAN move to UCI
+ * @param {Position|string} position - Position or FEN before the move
+ * @param {string} san - Move in SAN
+ * @returns {string}
+ * @throws {Error} If the move is illegal or ambiguous
+ */
+export function sanToUci(position, san) {
+  const move = findSanMove(toPosition(position), san);
+  if (!move) {
+    throw new Error(`Illegal or ambiguous move: ${san}`);
+  }
+  return moveToUci(move);
+}
+
+/**
+ * Convert a UCI principal variation to SAN, stopping at the first illegal move
+ * @param {Position|string} position - Position or FEN at the start of the line
+ * @param {string[]} pv - Moves in UCI format
+ * @returns {string[]}
+ */
+export function pvToSan(position, pv = []) {
+  const board = toPosition(position).clone();
+  const line = [];
+
+  for (const uci of pv) {
+    const move = findUciMove(board, uci);
+    if (!move) {
+      break;
+    }
+    line.push(moveToSan(board, move));
+    board.makeMove(move);
+  }
+
+  return line;
+}
@@ -0,0 +1,783 @@
+/**
+ * Chess Position Module
+ * Self-contained board model: FEN parsing/serialization, legal move generation
+ * and game state detection, for standard chess and Chess960. Squares are 0x88
+ * indices internally (a1 = 0, h8 = 119).
+ */
+
+export const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const KNIGHT_OFFSETS = [33, 31, 18, 14, -14, -18, -31, -33];
+const BISHOP_OFFSETS = [17, 15, -15, -17];
+const ROOK_OFFSETS = [16, 1, -1, -16];
+const KING_OFFSETS = [...BISHOP_OFFSETS, ...ROOK_OFFSETS];
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+/**
+ * Convert a 0x88 index to a square name
+ * @param {number} square - 0x88 index
+ * @returns {string} e.g. 'e4'
+ */
+export function squareName(square) {
+  return `${'abcdefgh'[square & 7]}${(square >> 4) + 1}`;
+}
+
+/**
+ * Convert a square name to a 0x88 index
+ * @param {string} name - e.g. 'e4'
+ * @returns {number} 0x88 index, or -1 if the name is not a square
+ */
+export function parseSquare(name) {
+  if (typeof name !== 'string' || !/^[a-h][1-8]$/.test(name)) {
+    return -1;
+  }
+  return (name.charCodeAt(1) - 49) * 16 + (name.charCodeAt(0) - 97);
+}
+
+export function colorOf(piece) {
+  return piece === piece.toUpperCase() ? 'w' : 'b';
+}
+
+function opponent(color) {
+  return color === 'w' ? 'b' : 'w';
+}
+
+function pieceFor(color, type) {
+  return color === 'w' ? type.toUpperCase() : type;
+}
+
+function isOnBoard(square) {
+  return (square & 0x88) === 0;
+}
+
+export class Position {
+  /**
+   * @param {string} fen - Position in FEN (the move counters may be omitted); X-FEN and
+   *   Shredder-FEN castling rights are read too
+   * @param {Object} options - { chess960: castle with any rook the rights name, and write
+   *   castling moves king-takes-rook. Shredder-FEN rights (file letters) turn it on. }
+   */
+  constructor(fen = START_FEN, options = {}) {
+    this.chess960 = Boolean(options.chess960);
+    this.board = new Array(128).fill(null);
+    this.turn = 'w';
+    this.castling = { w: { k: null, q: null }, b: { k: null, q: null } };
+    this.epSquare = null;
+    this.halfmoveClock = 0;
+    this.fullmoveNumber = 1;
+    this.kings = { w: -1, b: -1 };
+    this.history = [];
+
+    this.loadFen(fen);
+  }
+
+  static fromFen(fen, options = {}) {
+    return new Position(fen, options);
+  }
+
+  /**
+   * Parse a FEN string into this position
+   * @param {string} fen - FEN string
+   * @throws {Error} If the FEN is malformed or describes an impossible position
+   */
+  loadFen(fen) {
+    if (typeof fen !== 'string') {
+      throw new Error('Invalid FEN: expected a string');
+    }
+
+    const fields = fen.trim().split(/\s+/);
+    if (fields.length < 4 || fields.length > 6) {
+      throw new Error(`Invalid FEN: expected 4 to 6 fields, got ${fields.length}`);
+    }
+
+    const [placement, turn, castling, ep, halfmove = '0', fullmove = '1'] = fields;
+
+    this.board.fill(null);
+    this.kings = { w: -1, b: -1 };
+    this.history = [];
+
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) {
+      throw new Error(`Invalid FEN: expected 8 ranks, got ${ranks.length}`);
+    }
+
+    ranks.forEach((rankText, index) => {
+      const rank = 7 - index;
+      let file = 0;
+
+      for (const char of rankText) {
+        if (/[1-8]/.test(char)) {
+          file += Number(char);
+        } else if (/[pnbrqkPNBRQK]/.test(char)) {
+          if (file > 7) {
+            throw new Error(`Invalid FEN: rank ${rank + 1} has more than 8 squares`);
+          }
+          const square = rank * 16 + file;
+          this.board[square] = char;
+          if (char.toLowerCase() === 'k') {
+            const color = colorOf(char);
+            if (this.kings[color] !== -1) {
+              throw new Error(
+                `Invalid FEN: more than one ${color === 'w' ? 'white' : 'black'} king`
+              );
+            }
+            this.kings[color] = square;
+          }
+          file++;
+        } else {
+          throw new Error(`Invalid FEN: unexpected character '${char}' in piece placement`);
+        }
+      }
+
+      if (file !== 8) {
+        throw new Error(`Invalid FEN: rank ${rank + 1} does not have 8 squares`);
+      }
+    });
+
+    if (this.kings.w === -1 || this.kings.b === -1) {
+      throw new Error('Invalid FEN: each side needs exactly one king');
+    }
+
+    for (let file = 0; file < 8; file++) {
+      const backRanks = [this.board[file], this.board[0x70 + file]];
+      if (backRanks.some((piece) => piece && piece.toLowerCase() === 'p')) {
+        throw new Error('Invalid FEN: pawns on the first or last rank');
+      }
+    }
+
+    if (turn !== 'w' && turn !== 'b') {
+      throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${turn}'`);
+    }
+    this.turn = turn;
+
+    this.parseCastling(castling);
+
+    if (ep === '-') {
+      this.epSquare = null;
+    } else {
+      const square = parseSquare(ep);
+      const expectedRank = turn === 'w' ? 5 : 2;
+      if (square === -1 || square >> 4 !== expectedRank) {
+        throw new Error(`Invalid FEN: bad en passant square '${ep}'`);
+      }
+      const pawnSquare = square + (turn === 'w' ? -16 : 16);
+      if (this.board[square] || this.board[pawnSquare] !== pieceFor(opponent(turn), 'p')) {
+        throw new Error(`Invalid FEN: no pawn can be captured en passant on ${ep}`);
+      }
+      this.epSquare = square;
+    }
+
+    this.halfmoveClock = Number(halfmove);
+    this.fullmoveNumber = Number(fullmove);
+    if (!Number.isInteger(this.halfmoveClock) || this.halfmoveClock < 0) {
+      throw new Error(`Invalid FEN: bad halfmove clock '${halfmove}'`);
+    }
+    if (!Number.isInteger(this.fullmoveNumber) || this.fullmoveNumber < 1) {
+      throw new Error(`Invalid FEN: bad fullmove number '${fullmove}'`);
+    }
+
+    if (this.isAttacked(this.kings[opponent(turn)], turn)) {
+      throw new Error('Invalid FEN: the side not to move is in check');
+    }
+  }
+
+  /**
+   * Read castling rights. Rights that do not match the king and rook placement are
+   * dropped rather than rejected, since board scrapers often emit a fixed 'KQkq'.
+   * In standard chess they need the king on the e-file and the rook in the corner. In
+   * Chess960, K/Q name the outermost rook on that side of the king (X-FEN) and a file
+   * letter names the rook on that file (Shredder-FEN).
+   */
+  parseCastling(castling) {
+    this.castling = { w: { k: null, q: null }, b: { k: null, q: null } };
+
+    if (castling === '-') {
+      return;
+    }
+    if (!/^[KQkqA-Ha-h]+$/.test(castling)) {
+      throw new Error(`Invalid FEN: bad castling field '${castling}'`);
+    }
+    if (/[A-Ha-h]/.test(castling)) {
+      this.chess960 = true;
+    }
+
+    for (const char of castling) {
+      const color = colorOf(char);
+      const backRank = color === 'w' ? 0 : 0x70;
+      const king = this.kings[color];
+      const kingFile = king & 7;
+      const rook = pieceFor(color, 'r');
+
+      if (king >> 4 !== backRank >> 4) {
+        continue;
+      }
+
+      let side;
+      let file;
+      if (/[kq]/i.test(char)) {
+        side = char.toLowerCase();
+        // The outermost rook on that side of the king
+        const files = side === 'k' ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+        file = files.find(
+          (f) => this.board[backRank + f] === rook && (side === 'k' ? f > kingFile : f < kingFile)
+        );
+      } else {
+        file = char.toLowerCase().charCodeAt(0) - 97;
+        side = file > kingFile ? 'k' : 'q';
+      }
+
+      const standard = kingFile === 4 && file === (side === 'k' ? 7 : 0);
+      if (
+        file !== undefined &&
+        this.board[backRank + file] === rook &&
+        (this.chess960 || standard)
+      ) {
+        this.castling[color][side] = backRank + file;
+      }
+    }
+  }
+
+  /**
+   * Serialize the position as FEN
+   * @returns {string}
+   */
+  toFen() {
+    const ranks = [];
+
+    for (let rank = 7; rank >= 0; rank--) {
+      let text = '';
+      let empty = 0;
+      for (let file = 0; file < 8; file++) {
+        const piece = this.board[rank * 16 + file];
+        if (piece) {
+          if (empty > 0) {
+            text += empty;
+            empty = 0;
+          }
+          text += piece;
+        } else {
+          empty++;
+        }
+      }
+      if (empty > 0) {
+        text += empty;
+      }
+      ranks.push(text);
+    }
+
+    const ep = this.epSquare === null ? '-' : squareName(this.epSquare);
+
+    return [
+      ranks.join('/'),
+      this.turn,
+      this.castlingString(),
+      ep,
+      this.halfmoveClock,
+      this.fullmoveNumber,
+    ].join(' ');
+  }
+
+  /**
+   * Castling field of the FEN. Chess960 positions use X-FEN: a right is written as the
+   * rook's file instead of K/Q when another rook stands further out on that side.
+   */
+  castlingString() {
+    let text = '';
+    for (const color of ['w', 'b']) {
+      for (const side of ['k', 'q']) {
+        const rookSquare = this.castling[color][side];
+        if (rookSquare === null) {
+          continue;
+        }
+        const backRank = rookSquare & 0x70;
+        const further =
+          side === 'k'
+            ? this.board.slice(rookSquare + 1, backRank + 8)
+            : this.board.slice(backRank, rookSquare);
+        const letter = further.includes(pieceFor(color, 'r')) ? 'abcdefgh'[rookSquare & 7] : side;
+        text += color === 'w' ? letter.toUpperCase() : letter;
+      }
+    }
+    return text || '-';
+  }
+
+  clone() {
+    const copy = Object.create(Position.prototype);
+    copy.chess960 = this.chess960;
+    copy.board = [...this.board];
+    copy.turn = this.turn;
+    copy.castling = { w: { ...this.castling.w }, b: { ...this.castling.b } };
+    copy.epSquare = this.epSquare;
+    copy.halfmoveClock = this.halfmoveClock;
+    copy.fullmoveNumber = this.fullmoveNumber;
+    copy.kings = { ...this.kings };
+    copy.history = [];
+    return copy;
+  }
+
+  /**
+   * Get the piece on a square
+   * @param {string|number} square - Square name or 0x88 index
+   * @returns {string|null} Piece letter (uppercase white) or null
+   */
+  get(square) {
+    const index = typeof square === 'string' ? parseSquare(square) : square;
+    return index >= 0 && isOnBoard(index) ? this.board[index] : null;
+  }
+
+  /**
+   * Check whether a square is attacked by a color
+   * @param {number} square - 0x88 index
+   * @param {string} by - 'w' or 'b'
+   * @returns {boolean}
+   */
+  isAttacked(square, by) {
+    const { board } = this;
+
+    // Pawns attack diagonally forward, so look backwards from the target
+    const pawnStep = by === 'w' ? -16 : 16;
+    const pawn = pieceFor(by, 'p');
+    for (const offset of [pawnStep - 1, pawnStep + 1]) {
+      const from = square + offset;
+      if (isOnBoard(from) && board[from] === pawn) return true;
+    }
+
+    const knight = pieceFor(by, 'n');
+    for (const offset of KNIGHT_OFFSETS) {
+      const from = square + offset;
+      if (isOnBoard(from) && board[from] === knight) return true;
+    }
+
+    const king = pieceFor(by, 'k');
+    for (const offset of KING_OFFSETS) {
+      const from = square + offset;
+      if (isOnBoard(from) && board[from] === king) return true;
+    }
+
+    const queen = pieceFor(by, 'q');
+    const sliders = [
+      [BISHOP_OFFSETS, pieceFor(by, 'b')],
+      [ROOK_OFFSETS, pieceFor(by, 'r')],
+    ];
+    for (const [offsets, slider] of sliders) {
+      for (const offset of offsets) {
+        let from = square + offset;
+        while (isOnBoard(from)) {
+          const piece = board[from];
+          if (piece) {
+            if (piece === slider || piece === queen) return true;
+            break;
+          }
+          from += offset;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Is the side to move in check
+   * @returns {boolean}
+   */
+  isCheck() {
+    return this.isAttacked(this.kings[this.turn], opponent(this.turn));
+  }
+
+  /**
+   * Generate pseudo-legal moves (may leave the king in check)
+   * @returns {Array<Object>}
+   */
+  generatePseudoMoves() {
+    const moves = [];
+    const us = this.turn;
+
+    for (let square = 0; square < 128; square++) {
+      if (!isOnBoard(square)) {
+        square += 7;
+        continue;
+      }
+
+      const piece = this.board[square];
+      if (!piece || colorOf(piece) !== us) {
+        continue;
+      }
+
+      switch (piece.toLowerCase()) {
+        case 'p':
+          this.addPawnMoves(square, moves);
+          break;
+        case 'n':
+          this.addStepMoves(square, KNIGHT_OFFSETS, moves);
+          break;
+        case 'b':
+          this.addSlideMoves(square, BISHOP_OFFSETS, moves);
+          break;
+        case 'r':
+          this.addSlideMoves(square, ROOK_OFFSETS, moves);
+          break;
+        case 'q':
+          this.addSlideMoves(square, KING_OFFSETS, moves);
+          break;
+        case 'k':
+          this.addStepMoves(square, KING_OFFSETS, moves);
+          break;
+      }
+    }
+
+    this.addCastlingMoves(moves);
+    return moves;
+  }
+
+  addPawnMoves(from, moves) {
+    const us = this.turn;
+    const piece = this.board[from];
+    const step = us === 'w' ? 16 : -16;
+    const startRank = us === 'w' ? 1 : 6;
+    const lastRank = us === 'w' ? 7 : 0;
+
+    const push = (to, captured, enPassant = false) => {
+      if (to >> 4 === lastRank) {
+        PROMOTION_PIECES.forEach((promotion) =>
+          moves.push({ from, to, piece, captured, promotion, enPassant: false, castle: null })
+        );
+      } else {
+        moves.push({ from, to, piece, captured, promotion: null, enPassant, castle: null });
+      }
+    };
+
+    const forward = from + step;
+    if (isOnBoard(forward) && !this.board[forward]) {
+      push(forward, null);
+      const double = forward + step;
+      if (from >> 4 === startRank && !this.board[double]) {
+        push(double, null);
+      }
+    }
+
+    for (const side of [-1, 1]) {
+      const to = forward + side;
+      if (!isOnBoard(to)) {
+        continue;
+      }
+      const target = this.board[to];
+      if (target && colorOf(target) !== us) {
+        push(to, target);
+      } else if (to === this.epSquare) {
+        push(to, pieceFor(opponent(us), 'p'), true);
+      }
+    }
+  }
+
+  addStepMoves(from, offsets, moves) {
+    const piece = this.board[from];
+    for (const offset of offsets) {
+      const to = from + offset;
+      if (!isOnBoard(to)) continue;
+      const target = this.board[to];
+      if (!target || colorOf(target) !== this.turn) {
+        moves.push({
+          from,
+          to,
+          piece,
+          captured: target,
+          promotion: null,
+          enPassant: false,
+          castle: null,
+        });
+      }
+    }
+  }
+
+  addSlideMoves(from, offsets, moves) {
+    const piece = this.board[from];
+    for (const offset of offsets) {
+      let to = from + offset;
+      while (isOnBoard(to)) {
+        const target = this.board[to];
+        if (target) {
+          if (colorOf(target) !== this.turn) {
+            moves.push({
+              from,
+              to,
+              piece,
+              captured: target,
+              promotion: null,
+              enPassant: false,
+              castle: null,
+            });
+          }
+          break;
+        }
+        moves.push({
+          from,
+          to,
+          piece,
+          captured: null,
+          promotion: null,
+          enPassant: false,
+          castle: null,
+        });
+        to += offset;
+      }
+    }
+  }
+
+  /**
+   * Castling moves. The king lands on the g/c file and the rook on the f/d file;
+   * every square both pieces cross must be empty apart from the two of them. In
+   * Chess960 the king may already stand on its destination.
+   */
+  addCastlingMoves(moves) {
+    const us = this.turn;
+    const them = opponent(us);
+    const king = this.kings[us];
+    const backRank = us === 'w' ? 0 : 0x70;
+
+    for (const side of ['k', 'q']) {
+      const rookFrom = this.castling[us][side];
+      if (rookFrom === null) {
+        continue;
+      }
+
+      const kingTo = backRank + (side === 'k' ? 6 : 2);
+      const rookTo = backRank + (side === 'k' ? 5 : 3);
+      const low = Math.min(king, kingTo, rookFrom, rookTo);
+      const high = Math.max(king, kingTo, rookFrom, rookTo);
+
+      let blocked = false;
+      for (let square = low; square <= high; square++) {
+        if (square !== king && square !== rookFrom && this.board[square]) {
+          blocked = true;
+          break;
+        }
+      }
+      if (blocked) {
+        continue;
+      }
+
+      // The king may not start in, pass through or land on an attacked square
+      const step = kingTo > king ? 1 : -1;
+      let attacked = false;
+      for (let square = king; ; square += step) {
+        if (this.isAttacked(square, them)) {
+          attacked = true;
+          break;
+        }
+        if (square === kingTo) break;
+      }
+      if (attacked) {
+        continue;
+      }
+
+      moves.push({
+        from: king,
+        to: kingTo,
+        piece: this.board[king],
+        captured: null,
+        promotion: null,
+        enPassant: false,
+        castle: side,
+        rookFrom,
+        rookTo,
+        chess960: this.chess960,
+      });
+    }
+  }
+
+  /**
+   * Generate all legal moves
+   * @returns {Array<Object>} Move objects { from, to, piece, captured, promotion, enPassant,
+   *   castle }; castling moves also have rookFrom, rookTo and chess960
+   */
+  legalMoves() {
+    const us = this.turn;
+    const them = opponent(us);
+
+    return this.generatePseudoMoves().filter((move) => {
+      this.makeMove(move);
+      const legal = !this.isAttacked(this.kings[us], them);
+      this.undoMove();
+      return legal;
+    });
+  }
+
+  /**
+   * Play a move produced by legalMoves(). No legality check is done here.
+   * @param {Object} move - Move object
+   */
+  makeMove(move) {
+    const us = this.turn;
+    const them = opponent(us);
+    const changes = [];
+    const set = (square, piece) => {
+      changes.push([square, this.board[square]]);
+      this.board[square] = piece;
+    };
+
+    this.history.push({
+      move,
+      changes,
+      castling: { w: { ...this.castling.w }, b: { ...this.castling.b } },
+      epSquare: this.epSquare,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+      kings: { ...this.kings },
+    });
+
+    if (move.castle) {
+      const rook = this.board[move.rookFrom];
+      set(move.from, null);
+      set(move.rookFrom, null);
+      set(move.rookTo, rook);
+      set(move.to, move.piece);
+    } else {
+      set(move.from, null);
+      set(move.to, move.promotion ? pieceFor(us, move.promotion) : move.piece);
+      if (move.enPassant) {
+        set(move.to + (us === 'w' ? -16 : 16), null);
+      }
+    }
+
+    const isPawn = move.piece.toLowerCase() === 'p';
+
+    if (move.piece.toLowerCase() === 'k') {
+      this.kings[us] = move.to;
+      this.castling[us] = { k: null, q: null };
+    }
+
+    // Moving or capturing a castling rook removes that right
+    for (const color of ['w', 'b']) {
+      for (const side of ['k', 'q']) {
+        const rook = this.castling[color][side];
+        if (rook === move.from || rook === move.to) {
+          this.castling[color][side] = null;
+        }
+      }
+    }
+
+    // Only record an en passant square when a capture is actually possible
+    this.epSquare = null;
+    if (isPawn && Math.abs(move.to - move.from) === 32) {
+      const epSquare = (move.from + move.to) / 2;
+      const enemyPawn = pieceFor(them, 'p');
+      if ([move.to - 1, move.to + 1].some((sq) => isOnBoard(sq) && this.board[sq] === enemyPawn)) {
+        this.epSquare = epSquare;
+      }
+    }
+
+    this.halfmoveClock = isPawn || move.captured ? 0 : this.halfmoveClock + 1;
+    if (us === 'b') {
+      this.fullmoveNumber++;
+    }
+    this.turn = them;
+  }
+
+  /**
+   * Take back the last move played with makeMove()
+   * @returns {Object|null} The move that was undone
+   */
+  undoMove() {
+    const state = this.history.pop();
+    if (!state) {
+      return null;
+    }
+
+    for (let i = state.changes.length - 1; i >= 0; i--) {
+      const [square, piece] = state.changes[i];
+      this.board[square] = piece;
+    }
+
+    this.castling = state.castling;
+    this.epSquare = state.epSquare;
+    this.halfmoveClock = state.halfmoveClock;
+    this.fullmoveNumber = state.fullmoveNumber;
+    this.kings = state.kings;
+    this.turn = opponent(this.turn);
+
+    return state.move;
+  }
+
+  isCheckmate() {
+    return this.isCheck() && this.legalMoves().length === 0;
+  }
+
+  isStalemate() {
+    return !this.isCheck() && this.legalMoves().length === 0;
+  }
+
+  /**
+   * Neither side can possibly mate: bare kings, a single minor piece, or only
+   * bishops all standing on the same square color
+   */
+  isInsufficientMaterial() {
+    const pieces = [];
+    for (let square = 0; square < 128; square++) {
+      if (!isOnBoard(square)) {
+        square += 7;
+        continue;
+      }
+      const piece = this.board[square];
+      if (piece && piece.toLowerCase() !== 'k') {
+        pieces.push({ type: piece.toLowerCase(), square });
+      }
+    }
+
+    if (pieces.length === 0) return true;
+    if (pieces.length === 1 && ['n', 'b'].includes(pieces[0].type)) return true;
+    if (pieces.every((piece) => piece.type === 'b')) {
+      const shades = new Set(pieces.map(({ square }) => ((square >> 4) + (square & 7)) % 2));
+      return shades.size === 1;
+    }
+    return false;
+  }
+
+  isFiftyMoveDraw() {
+    return this.halfmoveClock >= 100;
+  }
+
+  isGameOver() {
+    return (
+      this.legalMoves().length === 0 || this.isInsufficientMaterial() || this.isFiftyMoveDraw()
+    );
+  }
+
+  /**
+   * Count leaf nodes of the legal move tree
+   * @param {number} depth - Plies to search
+   * @returns {number}
+   */
+  perft(depth) {
+    if (depth === 0) {
+      return 1;
+    }
+
+    const moves = this.legalMoves();
+    if (depth === 1) {
+      return moves.length;
+    }
+
+    let nodes = 0;
+    for (const move of moves) {
+      this.makeMove(move);
+      nodes += this.perft(depth - 1);
+      this.undoMove();
+    }
+    return nodes;
+  }
+}
+
+/**
+ * Check a FEN string without throwing
+ * @param {string} fen - FEN string
+ * @param {Object} options - See Position
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+export function validateFen(fen, options = {}) {
+  try {
+    new Position(fen, options);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
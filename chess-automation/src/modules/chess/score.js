@@ -0,0 +1,41 @@
+/**
+ * Engine Scores
+ * Scores are in pawns, with mate in n stored as 10000 - n and mated in n as
+ * -10000 + n, so mates sort above any material advantage. Shared by the
+ * reports and the analysis board, which loads this file in the browser.
+ */
+
+export const MATE_SCORE = 10000;
+
+// Anything beyond this is a mate score rather than an evaluation
+export const MATE_THRESHOLD = 9000;
+
+/**
+ * Score for a UCI `score mate n`: positive n mates, negative n (or 0) is mated
+ * @param {number} moves - Moves to mate
+ * @returns {number}
+ */
+export function mateScore(moves) {
+  return moves > 0 ? MATE_SCORE - moves : -MATE_SCORE - moves;
+}
+
+/**
+ * @param {number} score - Pawns
+ * @returns {boolean} Whether the score announces a mate
+ */
+export function isMateScore(score) {
+  return Math.abs(score) > MATE_THRESHOLD;
+}
+
+/**
+ * Format a score: '0.35', '-1.20', '#3' or '#-2'
+ * @param {number} score - Pawns
+ * @param {Object} options - { sign: prefix positive evaluations with '+' }
+ * @returns {string}
+ */
+export function formatScore(score, { sign = false } = {}) {
+  if (isMateScore(score)) {
+    return `#${score > 0 ? '' : '-'}${MATE_SCORE - Math.abs(score)}`;
+  }
+  return `${sign && score > 0 ? '+' : ''}${score.toFixed(2)}`;
+}
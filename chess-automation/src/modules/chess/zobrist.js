@@ -0,0 +1,60 @@
+/**
+ * Zobrist Hashing
+ * Polyglot-compatible 64-bit position keys, so positions can be looked up in
+ * opening books made by other programs
+ */
+
+import { Position } from './position.js';
+import { POLYGLOT_RANDOM } from './polyglotRandom.js';
+
+// Polyglot piece kinds: black pawn 0, white pawn 1, black knight 2, ... white king 11
+const PIECE_KINDS = 'pPnNbBrRqQkK';
+const CASTLING_OFFSET = 768;
+const EN_PASSANT_OFFSET = 772;
+const TURN_OFFSET = 780;
+
+/**
+ * Compute the Polyglot key of a position
+ * @param {Position|string} position - Position or FEN
+ * @returns {bigint} Unsigned 64-bit key
+ * @throws {Error} If the FEN is invalid
+ */
+export function polyglotKey(position) {
+  const pos = position instanceof Position ? position : new Position(position);
+  let key = 0n;
+
+  for (let rank = 0; rank < 8; rank++) {
+    for (let file = 0; file < 8; file++) {
+      const piece = pos.board[rank * 16 + file];
+      if (piece) {
+        key ^= POLYGLOT_RANDOM[64 * PIECE_KINDS.indexOf(piece) + 8 * rank + file];
+      }
+    }
+  }
+
+  ['w.k', 'w.q', 'b.k', 'b.q'].forEach((right, index) => {
+    const [color, side] = right.split('.');
+    if (pos.castling[color][side] !== null) {
+      key ^= POLYGLOT_RANDOM[CASTLING_OFFSET + index];
+    }
+  });
+
+  // The en passant file only counts when a pawn of the side to move could capture
+  if (pos.epSquare !== null) {
+    const file = pos.epSquare & 7;
+    const pawnRank = pos.turn === 'w' ? 4 : 3;
+    const pawn = pos.turn === 'w' ? 'P' : 'p';
+    const capturer = [file - 1, file + 1].some(
+      (f) => f >= 0 && f < 8 && pos.board[pawnRank * 16 + f] === pawn
+    );
+    if (capturer) {
+      key ^= POLYGLOT_RANDOM[EN_PASSANT_OFFSET + file];
+    }
+  }
+
+  if (pos.turn === 'w') {
+    key ^= POLYGLOT_RANDOM[TURN_OFFSET];
+  }
+
+  return key;
+}
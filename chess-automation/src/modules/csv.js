@@ -0,0 +1,23 @@
+/**
+ * CSV Utilities
+ * Comma-separated output shared by the report writers
+ */
+
+/**
+ * Format rows as CSV, one line per row with a trailing newline
+ * @param {Array<Array>} rows - Rows of cells; the first is usually the header
+ * @returns {string}
+ */
+export function formatCsv(rows) {
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * One CSV cell: empty for null or undefined, quoted if it holds a quote, comma or newline
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,273 @@
+/**
+ * Engine Disagreement Reports
+ * Collects positions from PGN or EPD files for DualAnalysis batch runs and
+ * writes the positions where engines disagree most as CSV or HTML
+ */
+
+import { Chess } from 'chess.js';
+import { Position } from './chess/position.js';
+import { findUciMove, moveToSan, moveToUci } from './chess/notation.js';
+import { formatScore } from './chess/score.js';
+import { parseEpd } from './epdSuite.js';
+import { splitPgnGames } from './pgn.js';
+import { formatCsv } from './csv.js';
+import { logger } from './logger.js';
+import { REVIEW_THRESHOLDS } from '../config/constants.js';
+
+const log = logger.child('disagreements');
+
+/**
+ * Every position of every game, before each move. Repeated positions (the same
+ * opening in several games) are kept once, with the first game's label.
+ * @param {string} pgnText - One or more games in PGN format
+ * @returns {Array<Object>} { fen, label, played (SAN of the game move) }
+ */
+export function positionsFromPgn(pgnText) {
+  const positions = [];
+  const seen = new Set();
+
+  splitPgnGames(pgnText).forEach((pgn, index) => {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(pgn);
+    } catch (error) {
+      log.info(`Skipping game ${index + 1}: ${error.message}`);
+      return;
+    }
+
+    const { White = '?', Black = '?' } = chess.getHeaders();
+    for (const move of chess.history({ verbose: true })) {
+      const key = move.before.split(' ').slice(0, 4).join(' ');
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const [, , , , , moveNumber] = move.before.split(' ');
+      positions.push({
+        fen: move.before,
+        label: `${White} - ${Black}, ${moveNumber}${move.color === 'w' ? '.' : '...'}`,
+        played: move.san,
+      });
+    }
+  });
+
+  return positions;
+}
+
+/**
+ * Positions of an EPD file; opcodes other than id are ignored and positions
+ * without legal moves are left out
+ * @param {string} text - File contents
+ * @returns {Array<Object>} { fen, label (id or line number), played: null }
+ * @throws {Error} Naming the line of the first invalid record
+ */
+export function positionsFromEpd(text) {
+  return text
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      try {
+        const { fen, id } = parseEpd(line);
+        return { fen, label: id || `Line ${number}`, played: null };
+      } catch (error) {
+        throw new Error(`Line ${number}: ${error.message}`);
+      }
+    })
+    .filter(({ fen }) => new Position(fen).legalMoves().length > 0);
+}
+
+/**
+ * Reduce DualAnalysis results for one position to what the report shows
+ * @param {Object} position - { fen, label, played }
+ * @param {Object} results - DualAnalysis.consolidateResults() output
+ * @returns {Object} { fen, label, played, engines: { name: { move, san, evaluation, color } },
+ *   consensus (SAN), uniqueMoves, divergence, evalGap (pawns) }
+ */
+export function summarizeDisagreement(position, results) {
+  const board = new Position(position.fen);
+  const toSan = (uci) => {
+    const move = uci && findUciMove(board, uci);
+    return move ? { uci: moveToUci(move), san: moveToSan(board, move) } : { uci, san: null };
+  };
+
+  const engines = {};
+  for (const [name, result] of Object.entries(results.engines)) {
+    const { uci, san } = toSan(result.bestMove);
+    engines[name] = { move: uci, san, evaluation: result.evaluation, color: result.color };
+  }
+
+  // Mates and huge scores are capped so one engine finding mate does not dwarf everything
+  const cap = REVIEW_THRESHOLDS.EVAL_CAP / 100;
+  const scores = Object.values(engines)
+    .map((engine) => engine.evaluation)
+    .filter(Number.isFinite)
+    .map((score) => Math.max(-cap, Math.min(cap, score)));
+  const moves = new Set(Object.values(engines).map((engine) => engine.move));
+
+  return {
+    ...position,
+    engines,
+    consensus: toSan(results.consensus).san,
+    uniqueMoves: [...moves].filter(Boolean).length,
+    divergence: results.divergence,
+    evalGap: scores.length > 1 ? roundPawns(Math.max(...scores) - Math.min(...scores)) : 0,
+  };
+}
+
+/**
+ * Order positions by the number of different best moves, then by eval gap
+ * @param {Array<Object>} entries - summarizeDisagreement() results
+ * @returns {Array<Object>} New array with a 1-based rank on every entry
+ */
+export function rankDisagreements(entries) {
+  return [...entries]
+    .sort((a, b) => b.uniqueMoves - a.uniqueMoves || b.evalGap - a.evalGap)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * One row per position, with a move and evaluation column per engine
+ * @param {Array<Object>} entries - Ranked entries
+ * @returns {string}
+ */
+export function formatDisagreementCsv(entries) {
+  const names = engineNames(entries);
+  const rows = [
+    [
+      'rank',
+      'position',
+      'fen',
+      'played',
+      'consensus',
+      'unique_moves',
+      'eval_gap',
+      ...names.flatMap((name) => [`${name}_move`, `${name}_eval`]),
+    ],
+  ];
+
+  for (const entry of entries) {
+    rows.push([
+      entry.rank,
+      entry.label,
+      entry.fen,
+      entry.played,
+      entry.consensus,
+      entry.uniqueMoves,
+      entry.evalGap,
+      ...names.flatMap((name) => {
+        const engine = entry.engines[name];
+        return engine ? [engine.san || engine.move, formatEvaluation(engine.evaluation)] : ['', ''];
+      }),
+    ]);
+  }
+
+  return formatCsv(rows);
+}
+
+/**
+ * A standalone HTML page with the ranked positions
+ * @param {Array<Object>} entries - Ranked entries
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+export function formatDisagreementHtml(entries, options = {}) {
+  const title = options.title || 'Engine disagreements';
+  const names = engineNames(entries);
+  const colors = {};
+  for (const entry of entries) {
+    for (const [name, engine] of Object.entries(entry.engines)) {
+      colors[name] ??= engine.color;
+    }
+  }
+
+  const header = [
+    '<th>#</th><th>Position</th><th>Played</th>',
+    ...names.map(
+      (name) =>
+        `<th><span class="swatch" style="background:${escapeHtml(colors[name] || '#888')}"></span>${escapeHtml(name)}</th>`
+    ),
+    '<th>Moves</th><th>Eval gap</th>',
+  ].join('');
+
+  const rows = entries.map((entry) => {
+    const cells = names.map((name) => {
+      const engine = entry.engines[name];
+      if (!engine) {
+        return '<td></td>';
+      }
+      const agrees = engine.san !== null && engine.san === entry.consensus;
+      return (
+        `<td class="${agrees ? 'agree' : 'differ'}">${escapeHtml(engine.san || engine.move || '')}` +
+        ` <span class="eval">${escapeHtml(formatEvaluation(engine.evaluation))}</span></td>`
+      );
+    });
+
+    return [
+      '<tr>',
+      `<td>${entry.rank}</td>`,
+      `<td>${escapeHtml(entry.label)}<div class="fen">${escapeHtml(entry.fen)}</div></td>`,
+      `<td>${escapeHtml(entry.played || '')}</td>`,
+      ...cells,
+      `<td>${entry.uniqueMoves}</td>`,
+      `<td>${entry.evalGap.toFixed(2)}</td>`,
+      '</tr>',
+    ].join('');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 20px; background: #161512; color: #e8e6e3; }
+  table { border-collapse: collapse; }
+  th, td { padding: 4px 10px; border-bottom: 1px solid #3a3835; text-align: left; vertical-align: top; }
+  th { color: #888; font-size: 13px; text-transform: uppercase; }
+  .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+  .fen { font-family: monospace; font-size: 11px; color: #888; }
+  .eval { color: #888; font-size: 12px; }
+  .differ { color: #ffff00; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${entries.length} positions, most disagreement first. Evaluations are in pawns from the side to move.</p>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Engine names in the order they first appear
+ */
+function engineNames(entries) {
+  return [...new Set(entries.flatMap((entry) => Object.keys(entry.engines)))];
+}
+
+function roundPawns(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a score in pawns, mates as #n, empty when the engine gave none
+ */
+function formatEvaluation(score) {
+  return Number.isFinite(score) ? formatScore(score) : '';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -4,47 +4,50 @@
  */
 
 import { EngineManager } from './engineManager.js';
-import { DUAL_ANALYSIS_ENGINES, ENGINES_CONFIG, getEngineColor } from '../config/engines.config.js';
+import { rankDisagreements, summarizeDisagreement } from './disagreementReport.js';
+import { logger } from './logger.js';
+import {
+  DUAL_ANALYSIS_ENGINES,
+  getEngineColor,
+  getEngineManagerConfig,
+} from '../config/engines.config.js';
 
 export class DualAnalysis {
   constructor(config = {}) {
     this.config = {
       engines: config.engines || DUAL_ANALYSIS_ENGINES,
       depth: config.depth || 15,
-      timeLimit: config.timeLimit || 3000,
+      timeLimit: config.timeLimit || null, // ms; null searches to depth only
       ...config,
     };
 
     this.engines = new Map();
     this.results = new Map();
     this.isInitialized = false;
+    this.logger = logger.child('dual');
   }
 
   /**
    * Initialize all engines for dual analysis
    */
   async init() {
-    console.log('Initializing dual analysis engines...');
+    this.logger.info('Initializing dual analysis engines...');
 
     for (const [name, engineId] of Object.entries(this.config.engines)) {
       try {
-        console.log(`Initializing ${name}: ${engineId}`);
+        this.logger.info(`Initializing ${name}: ${engineId}`);
 
         const manager = new EngineManager({
-          engine: engineId.includes('stockfish')
-            ? 'stockfish-native'
-            : engineId.includes('maia') || engineId.includes('lc0')
-              ? 'lc0'
-              : engineId,
-          ...this.getEngineConfig(engineId),
+          ...getEngineManagerConfig(engineId),
+          logger: this.logger.child(name),
         });
 
         await manager.init();
         this.engines.set(name, { manager, engineId });
 
-        console.log(`✓ ${name} engine ready`);
+        this.logger.info(`✓ ${name} engine ready`);
       } catch (error) {
-        console.error(`Failed to initialize ${name} (${engineId}):`, error);
+        this.logger.error(`Failed to initialize ${name} (${engineId})`, { error });
       }
     }
 
@@ -53,14 +56,7 @@ export class DualAnalysis {
     }
 
     this.isInitialized = true;
-    console.log(`Dual analysis ready with ${this.engines.size} engines`);
-  }
-
-  /**
-   * Get engine configuration from ID
-   */
-  getEngineConfig(engineId) {
-    return ENGINES_CONFIG[engineId]?.config || {};
+    this.logger.info(`Dual analysis ready with ${this.engines.size} engines`);
   }
 
   /**
@@ -71,13 +67,17 @@ export class DualAnalysis {
       await this.init();
     }
 
-    const analysisOptions = {
-      depth: options.depth || this.config.depth,
-      time: options.time || this.config.timeLimit,
-    };
+    // Only send the limits that were asked for: a movetime would override the depth
+    const analysisOptions = { depth: options.depth || this.config.depth };
+    const time = options.time || this.config.timeLimit;
+    if (time) {
+      analysisOptions.time = time;
+    }
+    if (options.nodes) {
+      analysisOptions.nodes = options.nodes;
+    }
 
-    console.log('\n=== Dual Engine Analysis ===');
-    console.log(`Position: ${fen}`);
+    this.logger.info(`Dual engine analysis of ${fen}`);
 
     // Clear previous results
     this.results.clear();
@@ -95,6 +95,31 @@ export class DualAnalysis {
     return this.consolidateResults();
   }
 
+  /**
+   * Analyze a list of positions with every engine, for a disagreement report
+   * @param {Array<Object>} positions - { fen, label, played }, e.g. from positionsFromPgn()
+   * @param {Object} options - Search options (depth, time, nodes)
+   * @param {Function} onResult - Optional callback after each position
+   * @returns {Promise<Array<Object>>} Ranked entries, most disagreement first
+   *   (see summarizeDisagreement)
+   */
+  async analyzeBatch(positions, options = {}, onResult = null) {
+    const entries = [];
+
+    for (let i = 0; i < positions.length; i++) {
+      this.logger.info(`Position ${i + 1}/${positions.length}: ${positions[i].label}`);
+      const results = await this.analyzePosition(positions[i].fen, options);
+      const entry = summarizeDisagreement(positions[i], results);
+      entries.push(entry);
+
+      if (onResult) {
+        await onResult(entry);
+      }
+    }
+
+    return rankDisagreements(entries);
+  }
+
   /**
    * Analyze with a specific engine
    */
@@ -104,10 +129,11 @@ export class DualAnalysis {
 
       // Get best move and candidates
       const analysis = await engine.manager.analyzePosition(fen, options);
-      const candidates = await engine.manager.getCandidateMoves(fen, 3, {
-        depth: Math.min(options.depth, 10),
-        time: Math.min(options.time, 1000),
-      });
+      const candidates = await engine.manager.getCandidateMoves(
+        fen,
+        3,
+        this.getCandidateOptions(options)
+      );
 
       const timeElapsed = Date.now() - startTime;
 
@@ -124,17 +150,31 @@ export class DualAnalysis {
 
       this.results.set(name, result);
 
-      console.log(
+      this.logger.info(
         `${name}: ${analysis.bestMove} (${analysis.evaluation.toFixed(2)}) - ${timeElapsed}ms`
       );
 
       return result;
     } catch (error) {
-      console.error(`Error analyzing with ${name}:`, error);
+      this.logger.error(`Error analyzing with ${name}`, { error });
       return null;
     }
   }
 
+  /**
+   * Shorter limits for the candidate search, keeping the kind of limit the caller chose
+   */
+  getCandidateOptions(options) {
+    const candidateOptions = { depth: Math.min(options.depth, 10) };
+    if (options.time) {
+      candidateOptions.time = Math.min(options.time, 1000);
+    }
+    if (options.nodes) {
+      candidateOptions.nodes = options.nodes;
+    }
+    return candidateOptions;
+  }
+
   /**
    * Consolidate results from all engines
    */
@@ -218,7 +258,7 @@ export class DualAnalysis {
       try {
         await engine.manager.stopAnalysis();
       } catch (error) {
-        console.error(`Error stopping ${name}:`, error);
+        this.logger.error(`Error stopping ${name}`, { error });
       }
     }
   }
@@ -227,14 +267,14 @@ export class DualAnalysis {
    * Cleanup all engines
    */
   async cleanup() {
-    console.log('Cleaning up dual analysis engines...');
+    this.logger.info('Cleaning up dual analysis engines...');
 
     for (const [name, engine] of this.engines) {
       try {
         await engine.manager.quit();
-        console.log(`✓ ${name} cleaned up`);
+        this.logger.info(`✓ ${name} cleaned up`);
       } catch (error) {
-        console.error(`Error cleaning up ${name}:`, error);
+        this.logger.error(`Error cleaning up ${name}`, { error });
       }
     }
 
@@ -0,0 +1,68 @@
+/**
+ * Elo Utilities
+ * Rating differences and confidence intervals from match scores
+ */
+
+const Z_95 = 1.959964;
+
+/**
+ * Elo difference implied by a score fraction
+ * @param {number} score - Points per game, 0..1
+ * @returns {number} Elo difference (+/-Infinity for 1 and 0)
+ */
+export function eloFromScore(score) {
+  if (score <= 0) return -Infinity;
+  if (score >= 1) return Infinity;
+  return 400 * Math.log10(score / (1 - score));
+}
+
+/**
+ * Expected score for an Elo difference
+ * @param {number} elo - Elo difference
+ * @returns {number} Expected points per game, 0..1
+ */
+export function scoreFromElo(elo) {
+  return 1 / (1 + 10 ** (-elo / 400));
+}
+
+/**
+ * Elo estimate with a 95% error bar from a win/draw/loss record
+ * @param {Object} record - { wins, draws, losses }
+ * @returns {Object} { games, score, elo, error, lower, upper }
+ */
+export function eloEstimate({ wins = 0, draws = 0, losses = 0 }) {
+  const games = wins + draws + losses;
+  if (games === 0) {
+    return { games: 0, score: null, elo: null, error: null, lower: null, upper: null };
+  }
+
+  const score = (wins + draws / 2) / games;
+  const variance =
+    (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games;
+  const margin = Z_95 * Math.sqrt(variance / games);
+
+  const lower = eloFromScore(score - margin);
+  const upper = eloFromScore(score + margin);
+
+  return {
+    games,
+    score,
+    elo: eloFromScore(score),
+    error: Number.isFinite(lower) && Number.isFinite(upper) ? (upper - lower) / 2 : Infinity,
+    lower,
+    upper,
+  };
+}
+
+/**
+ * Format an Elo value for tables
+ * @param {number|null} elo - Elo difference
+ * @returns {string}
+ */
+export function formatElo(elo) {
+  if (elo === null || elo === undefined || Number.isNaN(elo)) return '-';
+  if (elo === Infinity) return '+inf';
+  if (elo === -Infinity) return '-inf';
+  const rounded = Math.round(elo);
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+}
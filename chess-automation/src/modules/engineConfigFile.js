@@ -0,0 +1,518 @@
+/**
+ * Engine Configuration Files
+ * Loads engines and pools from a user YAML or JSON file instead of editing
+ * engines.config.js, validates them against a schema, and checks that each
+ * configured engine actually starts and answers uci/isready
+ */
+
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { EngineManager } from './engineManager.js';
+import { EngineConfigError } from './engines/engineErrors.js';
+import { findExecutable } from './runManifest.js';
+import { ENGINE_TYPES } from '../config/constants.js';
+import {
+  DUAL_ANALYSIS_ENGINES,
+  ENGINE_POOLS,
+  ENGINES_CONFIG,
+  getEngineManagerConfig,
+} from '../config/engines.config.js';
+
+// Types EngineManager.init() accepts
+export const ENGINE_TYPE_NAMES = [...Object.values(ENGINE_TYPES), 'stockfish-native'];
+
+// Executable used when an entry has no path
+const DEFAULT_PATHS = {
+  stockfish: '/usr/games/stockfish',
+  'stockfish-native': '/usr/games/stockfish',
+  lc0: 'lc0',
+  maia: 'lc0',
+};
+
+const OPTION_VALUE = { type: ['string', 'number', 'boolean'] };
+
+/**
+ * Settings allowed under an entry's `config`, as read by the engine classes
+ */
+export const ENGINE_SETTINGS_SCHEMA = {
+  path: { type: 'string' },
+  args: { type: 'array', items: { type: 'string' } },
+  threads: { type: 'integer', min: 0 },
+  hash: { type: 'integer', min: 1 },
+  multiPV: { type: 'integer', min: 1, max: 500 },
+  depth: { type: 'integer', min: 1 },
+  nodes: { type: 'integer', min: 1 },
+  timeLimit: { type: 'integer', min: 1 },
+  skill: { type: 'integer', min: 0, max: 20 },
+  weightsPath: { type: 'string', nullable: true },
+  backend: { type: 'string' },
+  gpu: { type: 'boolean' },
+  batchSize: { type: 'integer', min: 1 },
+  temperature: { type: 'number', min: 0 },
+  policyTemperature: { type: 'number', min: 0 },
+  cacheHistoryLength: { type: 'integer', min: 0, max: 7 },
+  fpu: { type: 'number' },
+  verboseMoveStats: { type: 'boolean' },
+  syzygyProbeLimit: { type: 'integer', min: 0, max: 7 },
+  chess960: { type: 'boolean' },
+  uciTimeout: { type: 'integer', min: 1 },
+  readyTimeout: { type: 'integer', min: 1 },
+  searchTimeout: { type: 'integer', min: 1 },
+  verbose: { type: 'boolean' },
+  options: { type: 'object', values: OPTION_VALUE },
+};
+
+/**
+ * One entry under `engines`, shaped like the entries of ENGINES_CONFIG
+ */
+export const ENGINE_ENTRY_SCHEMA = {
+  name: { type: 'string', required: true },
+  type: { type: 'string', enum: ENGINE_TYPE_NAMES, required: true },
+  enabled: { type: 'boolean' },
+  syzygyPath: { type: 'string' },
+  config: { type: 'object', properties: ENGINE_SETTINGS_SCHEMA },
+};
+
+const FILE_KEYS = ['replace', 'engines', 'pools', 'dualAnalysis'];
+
+// Read from the working directory when no file is given, and where --bench saves
+export const DEFAULT_CONFIG_FILE = 'engines.yaml';
+
+/**
+ * Parse a configuration file's text; JSON for .json files, YAML otherwise
+ * @param {string} text - File contents
+ * @param {string} file - File name, for the format and error messages
+ * @returns {Object}
+ * @throws {EngineConfigError} On a syntax error
+ */
+export function parseEngineConfig(text, file = 'engines.yaml') {
+  try {
+    const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+    return data ?? {};
+  } catch (error) {
+    throw new EngineConfigError(file, [error.message.split('\n')[0]]);
+  }
+}
+
+/**
+ * Check parsed file contents against the schema. Relative paths are resolved
+ * against baseDir and `~` against the home directory.
+ * @param {Object} data - Parsed file
+ * @param {Object} options - { baseDir, engines: ids already configured (default: ENGINES_CONFIG) }
+ * @returns {Object} { config: { replace, engines, pools, dualAnalysis }, problems: Array<string> }
+ */
+export function validateEngineConfig(data, options = {}) {
+  const problems = [];
+  const baseDir = options.baseDir || process.cwd();
+
+  if (!isPlainObject(data)) {
+    return { config: null, problems: ['expected a mapping with engines and/or pools'] };
+  }
+  for (const key of Object.keys(data)) {
+    if (!FILE_KEYS.includes(key)) {
+      problems.push(`${key}: unknown section (expected ${FILE_KEYS.join(', ')})`);
+    }
+  }
+
+  const replace = data.replace ?? false;
+  checkValue(replace, { type: 'boolean' }, 'replace', problems);
+
+  const engines = {};
+  if (data.engines !== undefined && !isPlainObject(data.engines)) {
+    problems.push('engines: expected a mapping of engine ids to entries');
+  } else {
+    for (const [id, entry] of Object.entries(data.engines || {})) {
+      const where = `engines.${id}`;
+      if (
+        !checkValue(entry, { type: 'object', properties: ENGINE_ENTRY_SCHEMA }, where, problems)
+      ) {
+        continue;
+      }
+      if (entry.type === ENGINE_TYPES.UCI && !entry.config?.path) {
+        problems.push(`${where}.config.path: required for engines of type uci`);
+      }
+
+      const config = { ...entry.config };
+      for (const key of ['path', 'weightsPath']) {
+        if (typeof config[key] === 'string') {
+          config[key] = resolvePath(config[key], baseDir);
+        }
+      }
+      engines[id] = { enabled: true, ...entry, config };
+    }
+  }
+
+  const known = new Set([
+    ...(replace === true ? [] : Object.keys(options.engines || ENGINES_CONFIG)),
+    // Invalid entries are reported above; don't report them again where they are used
+    ...(isPlainObject(data.engines) ? Object.keys(data.engines) : []),
+  ]);
+  const checkReference = (id, where) => {
+    if (!known.has(id)) {
+      problems.push(`${where}: unknown engine '${id}'`);
+    }
+  };
+
+  const pools = {};
+  if (data.pools !== undefined && !isPlainObject(data.pools)) {
+    problems.push('pools: expected a mapping of pool names to lists of engine ids');
+  } else {
+    for (const [name, ids] of Object.entries(data.pools || {})) {
+      const rule = { type: 'array', items: { type: 'string' }, minItems: 1 };
+      if (checkValue(ids, rule, `pools.${name}`, problems)) {
+        ids.forEach((id, index) => checkReference(id, `pools.${name}[${index}]`));
+        pools[name] = ids;
+      }
+    }
+  }
+
+  let dualAnalysis = null;
+  if (data.dualAnalysis !== undefined) {
+    const rule = { type: 'object', values: { type: 'string' } };
+    if (checkValue(data.dualAnalysis, rule, 'dualAnalysis', problems)) {
+      for (const [name, id] of Object.entries(data.dualAnalysis)) {
+        checkReference(id, `dualAnalysis.${name}`);
+      }
+      ({ dualAnalysis } = data);
+    }
+  }
+
+  return { config: { replace, engines, pools, dualAnalysis }, problems };
+}
+
+/**
+ * Look for the executables and weights of the enabled entries
+ * @param {Object} engines - Validated entries by id
+ * @returns {Promise<Array<string>>} Problems
+ */
+export async function findMissingFiles(engines) {
+  const problems = [];
+
+  for (const [id, entry] of Object.entries(engines)) {
+    if (entry.enabled === false) {
+      continue;
+    }
+
+    const executable = entry.config.path || DEFAULT_PATHS[entry.type];
+    if (executable && !(await findExecutable(executable))) {
+      problems.push(
+        `engines.${id}.config.path: ${executable} not found or not executable${
+          entry.config.path ? '' : ` (default for type ${entry.type})`
+        }`
+      );
+    }
+
+    if (entry.config.weightsPath && !(await isAccessible(entry.config.weightsPath))) {
+      problems.push(`engines.${id}.config.weightsPath: ${entry.config.weightsPath} not found`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read, validate and check a configuration file
+ * @param {string} file - YAML or JSON file
+ * @param {Object} options - { checkFiles: look for executables and weights (default true) }
+ * @returns {Promise<Object>} { replace, engines, pools, dualAnalysis }
+ * @throws {EngineConfigError} Listing every problem found
+ */
+export async function loadEngineConfigFile(file, options = {}) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new EngineConfigError(file, [error.message]);
+  }
+
+  const { config, problems } = validateEngineConfig(parseEngineConfig(text, file), {
+    baseDir: path.dirname(path.resolve(file)),
+  });
+  if (config && options.checkFiles !== false) {
+    problems.push(...(await findMissingFiles(config.engines)));
+  }
+  if (problems.length > 0) {
+    throw new EngineConfigError(file, problems);
+  }
+
+  return config;
+}
+
+/**
+ * Make a loaded configuration the one every module uses. File entries and pools
+ * replace built-in ones with the same id; with `replace: true` the built-in engines
+ * and pools are dropped first.
+ * @param {Object} config - From loadEngineConfigFile()
+ */
+export function applyEngineConfig(config) {
+  if (config.replace) {
+    clear(ENGINES_CONFIG);
+    clear(ENGINE_POOLS);
+  }
+  Object.assign(ENGINES_CONFIG, config.engines);
+  Object.assign(ENGINE_POOLS, config.pools);
+
+  if (config.dualAnalysis) {
+    clear(DUAL_ANALYSIS_ENGINES);
+    Object.assign(DUAL_ANALYSIS_ENGINES, config.dualAnalysis);
+  }
+}
+
+/**
+ * Store settings for one engine in a configuration file, creating the file or
+ * the entry as needed. An entry that isn't in the file yet starts as a copy of
+ * the built-in one. The file is rewritten, so YAML comments are not kept.
+ * @param {string} file - YAML or JSON file
+ * @param {string} engineId - Entry to update
+ * @param {Object} settings - Merged into the entry's `config`
+ * @returns {Promise<Object>} The updated entry, as written
+ * @throws {EngineConfigError} If the file can't be read or the result is invalid
+ */
+export async function saveEngineSettings(file, engineId, settings) {
+  let data = {};
+  try {
+    data = parseEngineConfig(await fs.readFile(file, 'utf8'), file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error instanceof EngineConfigError
+        ? error
+        : new EngineConfigError(file, [error.message]);
+    }
+  }
+  if (!isPlainObject(data)) {
+    throw new EngineConfigError(file, ['expected a mapping with engines and/or pools']);
+  }
+
+  data.engines ??= {};
+  if (!data.engines[engineId]) {
+    const builtIn = ENGINES_CONFIG[engineId];
+    if (!builtIn) {
+      throw new EngineConfigError(file, [`no engine named '${engineId}' is configured`]);
+    }
+    const config = { ...builtIn.config };
+    // Built-in weights are relative to the working directory, not to the file
+    if (config.weightsPath) {
+      config.weightsPath = path.resolve(config.weightsPath);
+    }
+    data.engines[engineId] = { ...builtIn, config };
+  }
+  const entry = data.engines[engineId];
+  entry.config = { ...entry.config, ...settings };
+
+  const { problems } = validateEngineConfig(data, { baseDir: path.dirname(path.resolve(file)) });
+  if (problems.length > 0) {
+    throw new EngineConfigError(file, problems);
+  }
+
+  const text =
+    path.extname(file).toLowerCase() === '.json'
+      ? `${JSON.stringify(data, null, 2)}\n`
+      : yaml.dump(data, { lineWidth: 100 });
+  await fs.writeFile(file, text);
+  return entry;
+}
+
+/**
+ * Start each engine, wait for uciok and readyok, and shut it down again
+ * @param {Array<string>} engineIds - Entries of ENGINES_CONFIG
+ * @returns {Promise<Array<Object>>} { id, name, ok, engine (id name it reported), options (count),
+ *   time (ms), error }
+ */
+export async function checkEngines(engineIds) {
+  const results = [];
+
+  for (const id of engineIds) {
+    const entry = ENGINES_CONFIG[id];
+    const result = { id, name: entry?.name || id, ok: false, engine: null, options: 0, time: 0 };
+    const startTime = Date.now();
+
+    if (!entry) {
+      results.push({ ...result, error: `no engine named '${id}' is configured` });
+      continue;
+    }
+
+    const manager = new EngineManager(getEngineManagerConfig(id));
+    try {
+      await manager.init();
+      const info = manager.currentEngine.getInfo();
+      Object.assign(result, {
+        ok: true,
+        engine: manager.currentEngine.engineId?.name || info.name,
+        options: manager.currentEngine.getOptions?.().length || 0,
+      });
+    } catch (error) {
+      result.error = error.message;
+    } finally {
+      result.time = Date.now() - startTime;
+      await manager.quit().catch(() => {});
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Printable --check-engines report
+ * @param {Array<Object>} results - checkEngines() results
+ * @returns {string}
+ */
+export function formatEngineCheck(results) {
+  const lines = results.map((result) =>
+    result.ok
+      ? `✓ ${result.id.padEnd(22)} ${result.engine} (${result.options} options, ${result.time}ms)`
+      : `✗ ${result.id.padEnd(22)} ${result.error}`
+  );
+  const failed = results.filter((result) => !result.ok).length;
+  lines.push('', `${results.length - failed}/${results.length} engines answered uci and isready`);
+  return lines.join('\n');
+}
+
+/**
+ * Check one value against a rule; problems are added with their location
+ * @returns {boolean} Whether the value is usable
+ */
+function checkValue(value, rule, where, problems) {
+  if (value === null && rule.nullable) {
+    return true;
+  }
+
+  const types = [].concat(rule.type);
+  if (!types.some((type) => hasType(value, type))) {
+    problems.push(`${where}: expected ${types.join(' or ')}, got ${describe(value)}`);
+    return false;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push(`${where}: unknown value '${value}' (expected one of ${rule.enum.join(', ')})`);
+    return false;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    problems.push(`${where}: must be at least ${rule.min}, got ${value}`);
+    return false;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    problems.push(`${where}: must be at most ${rule.max}, got ${value}`);
+    return false;
+  }
+
+  let valid = true;
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      problems.push(`${where}: must list at least ${rule.minItems} item(s)`);
+      valid = false;
+    }
+    value.forEach((item, index) => {
+      valid = checkValue(item, rule.items, `${where}[${index}]`, problems) && valid;
+    });
+  }
+
+  if (rule.properties) {
+    for (const key of Object.keys(value)) {
+      if (!rule.properties[key]) {
+        problems.push(`${where}.${key}: unknown setting${suggest(key, rule.properties)}`);
+        valid = false;
+      }
+    }
+    for (const [key, property] of Object.entries(rule.properties)) {
+      if (value[key] === undefined) {
+        if (property.required) {
+          problems.push(`${where}.${key}: required`);
+          valid = false;
+        }
+        continue;
+      }
+      valid = checkValue(value[key], property, `${where}.${key}`, problems) && valid;
+    }
+  }
+
+  if (rule.values) {
+    for (const [key, item] of Object.entries(value)) {
+      valid = checkValue(item, rule.values, `${where}.${key}`, problems) && valid;
+    }
+  }
+
+  return valid;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'string') return `'${value}'`;
+  return typeof value === 'object' ? 'a mapping' : String(value);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * " (did you mean 'x'?)" for a key that differs from a known one only in case or by a letter
+ */
+function suggest(key, properties) {
+  const match = Object.keys(properties).find(
+    (name) => name.toLowerCase() === key.toLowerCase() || editDistance(name, key) <= 1
+  );
+  return match ? ` (did you mean '${match}'?)` : '';
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function resolvePath(value, baseDir) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  // Bare command names are looked up on PATH when the engine starts
+  if (!value.includes('/') && !value.includes('\\')) {
+    return value;
+  }
+  return path.resolve(baseDir, value);
+}
+
+async function isAccessible(file, mode = fsConstants.R_OK) {
+  try {
+    await fs.access(file, mode);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function clear(object) {
+  for (const key of Object.keys(object)) {
+    delete object[key];
+  }
+}
@@ -5,17 +5,70 @@
 
 import { StockfishAsmEngine } from './engines/stockfishAsmEngine.js';
 import { Lc0Engine } from './engines/lc0Engine.js';
-import { ENGINE_TYPES, ENGINE_DEFAULTS } from '../config/constants.js';
+import { UciEngine } from './engines/uciEngine.js';
+import { AnalysisStream } from './engines/analysisStream.js';
+import { Position } from './chess/position.js';
+import { pvToSan, uciToSan } from './chess/notation.js';
+import { logger } from './logger.js';
+import { fileChecksum, findExecutable, writeRunManifest } from './runManifest.js';
+import {
+  ENGINE_TYPES,
+  ENGINE_DEFAULTS,
+  ENGINE_HEALTH,
+  ENGINE_SUPERVISION,
+  REPRODUCIBLE,
+} from '../config/constants.js';
 
 export class EngineManager {
+  /**
+   * @param {Object} config - Engine settings (see getEngineManagerConfig) plus cache, book,
+   *   supervision, reproducible: true or { nodes, hash } for one thread, a fixed hash size,
+   *   fixed-node searches and a cleared hash before each one, manifest: file to write
+   *   getManifest() to once the engine has started, and chess960: treat every position as
+   *   Chess960 (otherwise only Shredder-FEN positions and searches given { chess960: true })
+   */
   constructor(config = {}) {
+    this.engineType = config.engine || ENGINE_TYPES.STOCKFISH;
+    // One child logger per engine, shared with the engine process it runs
+    this.logger = config.logger || logger.child(config.engineId || this.engineType);
+    this.reproducible = config.reproducible
+      ? {
+          nodes: REPRODUCIBLE.NODES,
+          hash: REPRODUCIBLE.HASH,
+          ...(config.reproducible === true ? {} : config.reproducible),
+        }
+      : null;
     this.config = {
       ...ENGINE_DEFAULTS,
       ...config,
+      ...(this.reproducible && {
+        threads: 1,
+        hash: this.reproducible.hash,
+        options: withoutOptions(config.options, ['Threads', 'Hash']),
+      }),
+      logger: this.logger,
     };
     this.currentEngine = null;
-    this.engineType = config.engine || ENGINE_TYPES.STOCKFISH;
     this.analysisHistory = [];
+    this.cache = config.cache || null; // AnalysisCache shared by any number of managers
+    this.book = config.book || null; // PolyglotBook consulted before searching
+
+    // Crash supervision
+    this.supervision = {
+      maxRestarts: ENGINE_SUPERVISION.MAX_RESTARTS,
+      initialDelay: ENGINE_SUPERVISION.BACKOFF_INITIAL,
+      maxDelay: ENGINE_SUPERVISION.BACKOFF_MAX,
+      ...config.supervision,
+    };
+    this.health = {
+      state: ENGINE_HEALTH.STOPPED,
+      restarts: 0,
+      consecutiveCrashes: 0,
+      lastError: null,
+      lastCrashAt: null,
+    };
+    this.restarting = null;
+    this.restartDelay = null;
   }
 
   /**
@@ -28,7 +81,7 @@ export class EngineManager {
       this.engineType = engineType;
     }
 
-    console.log(`Initializing engine manager with ${this.engineType}...`);
+    this.logger.info(`Initializing engine manager with ${this.engineType}...`);
 
     // Clean up existing engine if any
     if (this.currentEngine) {
@@ -53,12 +106,129 @@ export class EngineManager {
         this.currentEngine = new Lc0Engine(this.config);
         break;
 
+      case ENGINE_TYPES.UCI:
+        // Any other UCI binary, configured entirely from ENGINES_CONFIG
+        this.currentEngine = new UciEngine(this.config);
+        break;
+
       default:
         throw new Error(`Unknown engine type: ${this.engineType}`);
     }
 
-    await this.currentEngine.init();
-    console.log('Engine manager initialized successfully');
+    this.currentEngine.onCrash = (error) => this.handleEngineCrash(error);
+
+    try {
+      await this.currentEngine.init();
+    } catch (error) {
+      this.health.state = ENGINE_HEALTH.FAILED;
+      this.health.lastError = error.message;
+      throw error;
+    }
+
+    this.health.state = ENGINE_HEALTH.HEALTHY;
+    this.health.consecutiveCrashes = 0;
+    this.logger.info('Engine manager initialized successfully');
+
+    const random = this.reproducible
+      ? randomizingOptions(this.currentEngine.getOptionValues())
+      : [];
+    if (random.length > 0) {
+      this.logger.warn(`Reproducible mode: moves stay random with ${random.join(', ')}`);
+    }
+    if (this.config.manifest) {
+      await writeRunManifest(this.config.manifest, [await this.getManifest()]);
+    }
+  }
+
+  /**
+   * Called by the engine when its process dies after init
+   * @param {EngineCrashError} error - Crash details
+   */
+  handleEngineCrash(error) {
+    this.health.consecutiveCrashes++;
+    this.health.lastError = error.message;
+    this.health.lastCrashAt = new Date().toISOString();
+
+    if (!this.restarting) {
+      this.restarting = this.superviseRestart().finally(() => {
+        this.restarting = null;
+      });
+    }
+  }
+
+  /**
+   * Restart the crashed engine with exponential backoff until it comes back,
+   * the restart budget is spent, or the manager is shut down
+   * @returns {Promise<void>}
+   */
+  async superviseRestart() {
+    const engine = this.currentEngine;
+
+    while (this.currentEngine === engine) {
+      if (this.health.consecutiveCrashes > this.supervision.maxRestarts) {
+        this.health.state = ENGINE_HEALTH.FAILED;
+        this.logger.error(
+          `${this.engineType} crashed ${this.health.consecutiveCrashes} times in a row, giving up`,
+          { lastError: this.health.lastError }
+        );
+        return;
+      }
+
+      this.health.state = ENGINE_HEALTH.RESTARTING;
+      const delay = this.getRestartDelay(this.health.consecutiveCrashes);
+      this.logger.warn(`Restarting ${this.engineType} in ${delay}ms...`);
+
+      await new Promise((resolve) => {
+        this.restartDelay = { timer: setTimeout(resolve, delay), resolve };
+      });
+      this.restartDelay = null;
+
+      if (this.currentEngine !== engine) {
+        return;
+      }
+
+      try {
+        await engine.restart();
+        this.health.restarts++;
+        this.health.state = ENGINE_HEALTH.HEALTHY;
+        this.logger.info(`${this.engineType} restarted`);
+        return;
+      } catch (error) {
+        this.health.consecutiveCrashes++;
+        this.health.lastError = error.message;
+      }
+    }
+  }
+
+  /**
+   * Backoff before a restart attempt
+   * @param {number} attempt - 1 for the first restart after a crash
+   * @returns {number} Milliseconds
+   */
+  getRestartDelay(attempt) {
+    const { initialDelay, maxDelay } = this.supervision;
+    return Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+  }
+
+  /**
+   * Wait out a pending restart and return the engine if it is usable
+   * @returns {Promise<BaseEngine>}
+   * @throws {Error} If the engine is not running
+   */
+  async getReadyEngine() {
+    if (this.restarting) {
+      await this.restarting;
+    }
+
+    if (!this.currentEngine || !this.currentEngine.getIsReady()) {
+      throw new Error(
+        this.health.state === ENGINE_HEALTH.FAILED
+          ? `Engine not ready (${this.health.lastError})`
+          : 'Engine not ready'
+      );
+    }
+
+    return this.currentEngine;
   }
 
   /**
@@ -67,74 +237,323 @@ export class EngineManager {
    * @returns {Promise<void>}
    */
   async switchEngine(engineType) {
-    console.log(`Switching from ${this.engineType} to ${engineType}`);
+    this.logger.info(`Switching from ${this.engineType} to ${engineType}`);
     await this.init(engineType);
   }
 
   /**
    * Analyze a position and get the best move
    * @param {string} fen - FEN string of the position
-   * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} Analysis result
+   * @param {Object} options - Analysis options; { cache: false } skips the cache,
+   *   { book } replaces the manager's opening book for this call and { book: false } skips it,
+   *   { chess960: true } reads the FEN as Chess960
+   * @returns {Promise<Object>} Analysis result (with cached: true when served from the cache,
+   *   or inBook: true and the book moves instead of a search when the position is in the book)
+   * @throws {Error} If the FEN does not describe a legal position
    */
   async analyzePosition(fen, options = {}) {
-    if (!this.currentEngine || !this.currentEngine.getIsReady()) {
-      throw new Error('Engine not ready');
+    const position = this.positionFor(fen, options);
+    const searchOptions = this.getSearchOptions(options);
+
+    const bookMoves = this.getBookMoves(position, options);
+    if (bookMoves.length > 0) {
+      return this.recordBookAnalysis(fen, bookMoves);
+    }
+
+    const cacheRequest = this.getCacheRequest(position, fen, 'analysis', 1, searchOptions);
+    const cached = cacheRequest && this.cache.get(cacheRequest);
+    if (cached) {
+      return { ...cached, fen, cached: true };
     }
 
+    const engine = await this.getReadyEngine();
     const startTime = Date.now();
 
     // Set position
-    await this.currentEngine.setPosition(fen);
+    await this.prepareSearch(engine, position);
+    await engine.setPosition(fen);
 
     // Get best move
-    const result = await this.currentEngine.getBestMove(options);
+    const result = await engine.getBestMove(searchOptions);
+    this.health.consecutiveCrashes = 0;
+
+    const analysis = this.recordAnalysis(fen, position, result, searchOptions, startTime);
+    if (cacheRequest) {
+      await this.cache.set(cacheRequest, analysis);
+    }
+    return analysis;
+  }
+
+  /**
+   * Search options with reproducible mode's node count in place of any other limit
+   * @param {Object} options - Search options
+   * @returns {Object}
+   */
+  getSearchOptions(options) {
+    if (!this.reproducible) {
+      return options;
+    }
+    const { depth, time, infinite, wtime, btime, ...rest } = options;
+    if (depth || time || infinite || wtime !== undefined || btime !== undefined) {
+      this.logger.debug(`Reproducible mode: searching ${this.reproducible.nodes} nodes instead`);
+    }
+    return { ...rest, nodes: this.reproducible.nodes };
+  }
+
+  /**
+   * Read a FEN the way this manager plays it
+   * @param {string} fen - FEN string
+   * @param {Object} options - { chess960 } for this position only
+   * @returns {Position}
+   * @throws {Error} If the FEN does not describe a legal position
+   */
+  positionFor(fen, options = {}) {
+    return new Position(fen, { chess960: this.config.chess960 || options.chess960 });
+  }
+
+  /**
+   * Put the engine in Chess960 mode exactly when the position needs it and, in
+   * reproducible mode, start every search from an empty hash: ucinewgame also clears
+   * the history tables that a plain Clear Hash would keep
+   */
+  async prepareSearch(engine, position) {
+    await engine.setChess960(position.chess960);
+    if (this.reproducible) {
+      await engine.newGame();
+    }
+  }
+
+  /**
+   * Moves the opening book has for a position
+   * @param {Position|string} position - Position or FEN
+   * @param {Object} options - { book: PolyglotBook|false } overrides the manager's book
+   * @returns {Array<Object>} { move, san, weight, learn, probability }, empty when out of book;
+   *   Polyglot books are standard chess, so always empty for Chess960
+   */
+  getBookMoves(position, options = {}) {
+    const book = options.book === undefined ? this.book : options.book;
+    if (!book) {
+      return [];
+    }
+    const board = position instanceof Position ? position : this.positionFor(position, options);
+    return board.chess960 ? [] : book.lookup(board);
+  }
+
+  /**
+   * Build the analysis object for a position answered by the book
+   */
+  recordBookAnalysis(fen, bookMoves) {
+    const [best] = bookMoves;
+    const analysis = {
+      fen,
+      bestMove: best.move,
+      bestMoveSan: best.san,
+      evaluation: null,
+      depth: 0,
+      mate: null,
+      wdl: null,
+      pv: [best.move],
+      pvSan: [best.san],
+      info: null,
+      moveStats: [],
+      inBook: true,
+      bookMoves,
+      engineType: this.engineType,
+      timestamp: new Date().toISOString(),
+      analysisTime: 0,
+    };
 
-    const analysisTime = Date.now() - startTime;
+    this.addToHistory(analysis);
+    return analysis;
+  }
+
+  /**
+   * Describe a request for the analysis cache
+   * @param {Position} position - Position, as read by positionFor()
+   * @param {string} fen - Its FEN
+   * @param {string} kind - 'analysis' or 'candidates'
+   * @param {number} multiPV - Number of lines
+   * @param {Object} options - Search options
+   * @returns {Object|null} null when there is no cache or the caller opted out
+   */
+  getCacheRequest(position, fen, kind, multiPV, options) {
+    if (!this.cache || options.cache === false) {
+      return null;
+    }
+    const { depth, time, nodes, infinite, wtime } = options;
+    const engine = this.config.engineId || this.engineType;
+    return {
+      fen,
+      // Reproducible results are kept apart from ordinary searches of the same size
+      engine: this.reproducible ? `${engine}#reproducible` : engine,
+      // Chess960 results write castling king-takes-rook and keep X-FEN castling rights
+      chess960: position.chess960,
+      kind,
+      multiPV,
+      options: { depth, time, nodes, infinite, wtime },
+    };
+  }
+
+  /**
+   * Analyze a position with live updates for every depth and PV
+   * @param {string} fen - FEN string of the position
+   * @param {Object} options - Analysis options; { infinite: true } runs until cancelled,
+   *   { multiPV } sets the number of lines, { signal } is an AbortSignal, { cache: false }
+   *   skips the cache, { chess960: true } reads the FEN as Chess960
+   * @returns {AnalysisStream} Yields updates with SAN lines; `result` resolves to the
+   *   same analysis object analyzePosition returns. A cached result ends the stream
+   *   without updates.
+   * @throws {Error} If the FEN does not describe a legal position
+   */
+  analyzeStream(fen, options = {}) {
+    const position = this.positionFor(fen, options);
+    const { signal, ...streamOptions } = options;
+    const searchOptions = this.getSearchOptions(streamOptions);
+    const stream = new AnalysisStream({ signal });
+    const startTime = Date.now();
+    const cacheRequest = this.getCacheRequest(
+      position,
+      fen,
+      'analysis',
+      searchOptions.multiPV || 1,
+      searchOptions
+    );
+
+    const run = async () => {
+      const cached = cacheRequest && this.cache.get(cacheRequest);
+      if (cached) {
+        return { ...cached, fen, cached: true };
+      }
+
+      const engine = await this.getReadyEngine();
+      await this.prepareSearch(engine, position);
+      if (stream.cancelled) {
+        return null;
+      }
+
+      const engineStream = engine.analyzeStream(fen, searchOptions);
+      stream.onCancel(() => engineStream.cancel());
+
+      for await (const update of engineStream) {
+        stream.push({
+          ...update,
+          pvSan: pvToSan(position, update.pv),
+          engineType: this.engineType,
+        });
+      }
+
+      const result = await engineStream.result;
+      if (!result) {
+        return null;
+      }
+      this.health.consecutiveCrashes = 0;
+
+      const analysis = this.recordAnalysis(fen, position, result, searchOptions, startTime);
+      // A cancelled search stopped short of its limit
+      if (cacheRequest && !stream.cancelled) {
+        await this.cache.set(cacheRequest, analysis);
+      }
+      return analysis;
+    };
+
+    run().then(
+      (analysis) => stream.end(analysis),
+      (error) => stream.fail(error)
+    );
+
+    return stream;
+  }
+
+  /**
+   * Build the analysis object for a finished search and store it in history
+   */
+  recordAnalysis(fen, position, result, options, startTime) {
+    const pv = result.evaluation?.pv || [result.move];
 
-    // Create analysis result
     const analysis = {
       fen,
       bestMove: result.move,
+      bestMoveSan: toSan(position, result.move),
       evaluation: result.evaluation?.score || 0,
       depth: result.evaluation?.depth || options.depth || this.config.DEPTH,
-      pv: result.evaluation?.pv || [result.move],
+      mate: result.evaluation?.mate ?? null,
+      wdl: result.evaluation?.wdl || null,
+      pv,
+      pvSan: pvToSan(position, pv),
+      info: result.evaluation || null,
+      moveStats: result.moveStats || [],
+      inBook: false,
       engineType: this.engineType,
       timestamp: new Date().toISOString(),
-      analysisTime,
+      analysisTime: Date.now() - startTime,
     };
 
-    // Store in history
+    this.addToHistory(analysis);
+    return analysis;
+  }
+
+  addToHistory(analysis) {
     this.analysisHistory.push(analysis);
     if (this.analysisHistory.length > 100) {
       this.analysisHistory.shift();
     }
-
-    return analysis;
   }
 
   /**
    * Get multiple candidate moves for a position
    * @param {string} fen - FEN string
    * @param {number} count - Number of candidates to get
-   * @param {Object} options - Analysis options
+   * @param {Object} options - Analysis options; { chess960: true } reads the FEN as Chess960
    * @returns {Promise<Array>} Array of candidate moves
    */
   async getCandidateMoves(fen, count = 3, options = {}) {
-    if (!this.currentEngine || !this.currentEngine.getIsReady()) {
-      throw new Error('Engine not ready');
+    const position = this.positionFor(fen, options);
+    const searchOptions = this.getSearchOptions(options);
+
+    const cacheRequest = this.getCacheRequest(position, fen, 'candidates', count, searchOptions);
+    const cached = cacheRequest && this.cache.get(cacheRequest);
+    if (cached) {
+      return cached.slice(0, count);
     }
 
-    await this.currentEngine.setPosition(fen);
-    const candidates = await this.currentEngine.getCandidateMoves(count, options);
+    const engine = await this.getReadyEngine();
+
+    await this.prepareSearch(engine, position);
+    await engine.setPosition(fen);
+    const candidates = await engine.getCandidateMoves(count, searchOptions);
+    this.health.consecutiveCrashes = 0;
+
+    const ranked = candidates.map((candidate, index) => {
+      const pv = candidate.pv || [candidate.move];
+      return {
+        rank: index + 1,
+        move: candidate.move,
+        san: toSan(position, candidate.move),
+        evaluation: candidate.evaluation,
+        depth: candidate.depth,
+        mate: candidate.mate ?? null,
+        wdl: candidate.wdl || null,
+        policy: candidate.policy ?? null,
+        pv,
+        pvSan: pvToSan(position, pv),
+        info: candidate.info || null,
+      };
+    });
+
+    if (cacheRequest) {
+      await this.cache.set(cacheRequest, ranked);
+    }
+    return ranked;
+  }
 
-    return candidates.map((candidate, index) => ({
-      rank: index + 1,
-      move: candidate.move,
-      evaluation: candidate.evaluation,
-      depth: candidate.depth,
-      pv: candidate.pv || [candidate.move],
-    }));
+  /**
+   * Reset engine state between games
+   * @returns {Promise<void>}
+   */
+  async newGame() {
+    if (this.currentEngine) {
+      await this.currentEngine.newGame();
+    }
   }
 
   /**
@@ -174,6 +593,46 @@ export class EngineManager {
       currentPosition: this.currentEngine?.currentPosition || null,
       lastEvaluation: this.currentEngine?.getEvaluation() || null,
       historySize: this.analysisHistory.length,
+      health: { ...this.health },
+      cache: this.cache?.getStatistics() || null,
+    };
+  }
+
+  /**
+   * What produces this manager's results, for comparing runs across machines
+   * @returns {Promise<Object>} { engineId, type, name and author (from `id`), binary: { path,
+   *   args, sha256 }, options: every UCI option's value, files: [{ source, path, sha256 }] for
+   *   the weights and any *File option, reproducible: { threads, hash, nodes } or null }
+   * @throws {Error} If the engine is not running
+   */
+  async getManifest() {
+    const engine = await this.getReadyEngine();
+    const { path: command, args } = engine.getSpawnCommand();
+    const binary = await findExecutable(command);
+    const options = engine.getOptionValues();
+
+    const files = [];
+    if (this.config.weightsPath) {
+      files.push({ source: 'weightsPath', path: this.config.weightsPath });
+    }
+    for (const [name, value] of Object.entries(options)) {
+      // Values like <empty> or <autodiscover> are placeholders, not files
+      if (/File$/.test(name) && value && !/^<.*>$/.test(value)) {
+        files.push({ source: name, path: value });
+      }
+    }
+
+    return {
+      engineId: this.config.engineId || this.engineType,
+      type: this.engineType,
+      name: engine.engineId.name,
+      author: engine.engineId.author,
+      binary: { path: binary || command, args, sha256: binary && (await fileChecksum(binary)) },
+      options,
+      files: await Promise.all(
+        files.map(async (file) => ({ ...file, sha256: await fileChecksum(file.path) }))
+      ),
+      reproducible: this.reproducible && { threads: 1, ...this.reproducible },
     };
   }
 
@@ -182,9 +641,50 @@ export class EngineManager {
    * @returns {Promise<void>}
    */
   async quit() {
-    if (this.currentEngine) {
-      await this.currentEngine.quit();
-      this.currentEngine = null;
+    // Cut a pending restart short and let an attempt in progress finish
+    if (this.restartDelay) {
+      clearTimeout(this.restartDelay.timer);
+      this.restartDelay.resolve();
+    }
+    const engine = this.currentEngine;
+    this.currentEngine = null;
+    await this.restarting;
+
+    if (engine) {
+      await engine.quit();
     }
+    this.health.state = ENGINE_HEALTH.STOPPED;
+  }
+}
+
+/**
+ * Option settings that make an engine pick its moves at random
+ */
+function randomizingOptions(values) {
+  return [
+    Number(values['Skill Level']) < 20 && `Skill Level ${values['Skill Level']}`,
+    String(values.UCI_LimitStrength) === 'true' && 'UCI_LimitStrength',
+    Number(values.Temperature) > 0 && `Temperature ${values.Temperature}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Copy of config.options without the named options, matched case-insensitively
+ */
+function withoutOptions(options, names) {
+  const lowered = names.map((name) => name.toLowerCase());
+  return Object.fromEntries(
+    Object.entries(options || {}).filter(([name]) => !lowered.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * SAN for an engine move, or null when the engine returned something unplayable
+ */
+function toSan(position, uci) {
+  try {
+    return uciToSan(position, uci);
+  } catch {
+    return null;
   }
 }
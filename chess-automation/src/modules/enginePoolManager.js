@@ -4,7 +4,9 @@
  */
 
 import { EngineManager } from './engineManager.js';
-import { ENGINES_CONFIG, getEnginePool } from '../config/engines.config.js';
+import { logger } from './logger.js';
+import { writeRunManifest } from './runManifest.js';
+import { ENGINES_CONFIG, getEnginePool, getEngineManagerConfig } from '../config/engines.config.js';
 
 export class EnginePoolManager {
   constructor(config = {}) {
@@ -13,6 +15,9 @@ export class EnginePoolManager {
       selection: 'random', // random, sequential, weighted, single
       switchEvery: 1, // switch engine every N moves
       weights: null, // for weighted selection
+      cache: null, // AnalysisCache shared by all engines in the pool
+      reproducible: null, // EngineManager reproducible mode for every engine
+      manifest: null, // file rewritten with getManifest() whenever an engine starts
       ...config,
     };
 
@@ -22,14 +27,15 @@ export class EnginePoolManager {
     this.moveCount = 0;
     this.poolEngines = [];
     this.poolIndex = 0;
+    this.logger = logger.child('pool');
   }
 
   /**
    * Initialize the engine pool
    */
   async init() {
-    console.log(`Initializing engine pool: ${this.config.pool}`);
-    console.log(`Selection strategy: ${this.config.selection}`);
+    this.logger.info(`Initializing engine pool: ${this.config.pool}`);
+    this.logger.info(`Selection strategy: ${this.config.selection}`);
 
     // Get engines for the pool
     this.poolEngines = getEnginePool(this.config.pool);
@@ -38,7 +44,9 @@ export class EnginePoolManager {
       throw new Error(`No engines defined in pool: ${this.config.pool}`);
     }
 
-    console.log(`Pool contains ${this.poolEngines.length} engine(s):`, this.poolEngines);
+    this.logger.info(`Pool contains ${this.poolEngines.length} engine(s)`, {
+      engines: this.poolEngines,
+    });
 
     // Select and initialize first engine
     await this.selectAndInitEngine();
@@ -77,7 +85,7 @@ export class EnginePoolManager {
     this.currentEngineId = engineId;
     this.currentEngine = this.engines.get(engineId);
 
-    console.log(`Selected engine: ${engineId} (${ENGINES_CONFIG[engineId]?.name})`);
+    this.logger.info(`Selected engine: ${engineId} (${ENGINES_CONFIG[engineId]?.name})`);
   }
 
   /**
@@ -91,23 +99,28 @@ export class EnginePoolManager {
     }
 
     if (!engineConfig.enabled) {
-      console.warn(`Engine ${engineId} is disabled, skipping`);
+      this.logger.warn(`Engine ${engineId} is disabled, skipping`);
       return;
     }
 
-    console.log(`Initializing engine: ${engineId} (${engineConfig.name})`);
+    this.logger.info(`Initializing engine: ${engineId} (${engineConfig.name})`);
 
     const manager = new EngineManager({
-      engine: engineConfig.type,
-      ...engineConfig.config,
+      ...getEngineManagerConfig(engineId),
+      cache: this.config.cache,
+      reproducible: this.config.reproducible,
+      logger: this.logger.child(engineId),
     });
 
     try {
       await manager.init();
       this.engines.set(engineId, manager);
-      console.log(`Engine ${engineId} initialized successfully`);
+      this.logger.info(`Engine ${engineId} initialized successfully`);
+      if (this.config.manifest) {
+        await writeRunManifest(this.config.manifest, await this.getManifest());
+      }
     } catch (error) {
-      console.error(`Failed to initialize engine ${engineId}:`, error);
+      this.logger.error(`Failed to initialize engine ${engineId}`, { error });
       // Remove from pool if initialization fails
       this.poolEngines = this.poolEngines.filter((id) => id !== engineId);
       throw error;
@@ -125,6 +138,8 @@ export class EnginePoolManager {
    * Select next engine sequentially
    */
   selectSequentialEngine() {
+    // The pool may have shrunk since the index was advanced
+    this.poolIndex %= this.poolEngines.length;
     const engineId = this.poolEngines[this.poolIndex];
     this.poolIndex = (this.poolIndex + 1) % this.poolEngines.length;
     return engineId;
@@ -204,9 +219,11 @@ export class EnginePoolManager {
   }
 
   /**
-   * Force switch to a specific engine
+   * Get an initialized engine by id without changing the current engine
+   * @param {string} engineId - Key in ENGINES_CONFIG; need not belong to the pool
+   * @returns {Promise<EngineManager>}
    */
-  async switchToEngine(engineId) {
+  async getEngine(engineId) {
     if (!ENGINES_CONFIG[engineId]) {
       throw new Error(`Unknown engine: ${engineId}`);
     }
@@ -215,10 +232,21 @@ export class EnginePoolManager {
       await this.initializeEngine(engineId);
     }
 
+    const manager = this.engines.get(engineId);
+    if (!manager) {
+      throw new Error(`Engine ${engineId} is disabled`);
+    }
+    return manager;
+  }
+
+  /**
+   * Force switch to a specific engine
+   */
+  async switchToEngine(engineId) {
+    this.currentEngine = await this.getEngine(engineId);
     this.currentEngineId = engineId;
-    this.currentEngine = this.engines.get(engineId);
 
-    console.log(`Switched to engine: ${engineId}`);
+    this.logger.info(`Switched to engine: ${engineId}`);
   }
 
   /**
@@ -254,6 +282,14 @@ export class EnginePoolManager {
     };
   }
 
+  /**
+   * Manifests of the engines started so far
+   * @returns {Promise<Array<Object>>} EngineManager.getManifest() results
+   */
+  async getManifest() {
+    return Promise.all([...this.engines.values()].map((manager) => manager.getManifest()));
+  }
+
   /**
    * Stop all engines
    */
@@ -262,7 +298,7 @@ export class EnginePoolManager {
       try {
         await engine.stopAnalysis();
       } catch (error) {
-        console.error(`Error stopping engine ${id}:`, error);
+        this.logger.error(`Error stopping engine ${id}`, { error });
       }
     }
   }
@@ -271,14 +307,14 @@ export class EnginePoolManager {
    * Cleanup all engines
    */
   async cleanup() {
-    console.log('Cleaning up engine pool...');
+    this.logger.info('Cleaning up engine pool...');
 
     for (const [id, engine] of this.engines) {
       try {
         await engine.quit();
-        console.log(`Engine ${id} cleaned up`);
+        this.logger.info(`Engine ${id} cleaned up`);
       } catch (error) {
-        console.error(`Error cleaning up engine ${id}:`, error);
+        this.logger.error(`Error cleaning up engine ${id}`, { error });
       }
     }
 
@@ -295,10 +331,13 @@ export class EnginePoolManager {
       totalMoves: this.moveCount,
       enginesUsed: new Set(),
       engineUsage: {},
+      health: {},
     };
 
     // Analyze history from all engines
     for (const [id, engine] of this.engines) {
+      stats.health[id] = engine.getStatus().health;
+
       const history = engine.getHistory();
       if (history.length > 0) {
         stats.enginesUsed.add(id);
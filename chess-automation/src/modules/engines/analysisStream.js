@@ -0,0 +1,139 @@
+/**
+ * Analysis Stream
+ * Async-iterable feed of engine search updates with cancellation
+ *
+ * Usage:
+ *   const stream = engine.analyzeStream(fen, { infinite: true });
+ *   for await (const update of stream) { ... }   // break or stream.cancel() stops the search
+ *   const result = await stream.result;           // final bestmove
+ */
+
+export class AnalysisStream {
+  /**
+   * @param {Object} options - { signal } AbortSignal that cancels the stream
+   */
+  constructor({ signal } = {}) {
+    this.buffer = [];
+    this.waiting = [];
+    this.lines = new Map(); // multipv -> latest update
+    this.finished = false;
+    this.error = null;
+    this.cancelled = false;
+    this.cancelCallbacks = [];
+
+    this.result = new Promise((resolve, reject) => {
+      this.resolveResult = resolve;
+      this.rejectResult = reject;
+    });
+    // Consumers that only iterate still see the error through next()
+    this.result.catch(() => {});
+
+    if (signal) {
+      if (signal.aborted) {
+        this.cancel();
+      } else {
+        signal.addEventListener('abort', () => this.cancel(), { once: true });
+      }
+    }
+  }
+
+  /**
+   * Deliver an update to the consumer
+   * @param {Object} update - Search update
+   */
+  push(update) {
+    if (this.finished) {
+      return;
+    }
+
+    this.lines.set(update.multipv || 1, update);
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve({ value: update, done: false });
+    } else {
+      this.buffer.push(update);
+    }
+  }
+
+  /**
+   * Finish the stream with the final search result
+   * @param {Object} result - Final result
+   */
+  end(result) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.resolveResult(result);
+    this.waiting.splice(0).forEach((waiter) => waiter.resolve({ value: undefined, done: true }));
+  }
+
+  /**
+   * Finish the stream with an error
+   * @param {Error} error - Failure
+   */
+  fail(error) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.error = error;
+    this.rejectResult(error);
+    this.waiting.splice(0).forEach((waiter) => waiter.reject(error));
+  }
+
+  /**
+   * Stop the search. Buffered updates can still be read; the stream ends once
+   * the engine reports its best move.
+   */
+  cancel() {
+    if (this.cancelled) {
+      return;
+    }
+    this.cancelled = true;
+    this.cancelCallbacks.splice(0).forEach((callback) => callback());
+  }
+
+  /**
+   * Register what cancelling should do; runs immediately if already cancelled
+   * @param {Function} callback - Called once on cancel
+   */
+  onCancel(callback) {
+    if (this.cancelled) {
+      callback();
+    } else {
+      this.cancelCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * Latest update of every principal variation, best first
+   * @returns {Array<Object>}
+   */
+  getLines() {
+    return [...this.lines.values()].sort((a, b) => (a.multipv || 1) - (b.multipv || 1));
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (this.error) {
+          return Promise.reject(this.error);
+        }
+        if (this.finished) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+      },
+      // Leaving a for-await loop early cancels the search
+      return: () => {
+        this.cancel();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
@@ -3,12 +3,15 @@
  * All chess engines must implement this interface
  */
 
+import { AnalysisStream } from './analysisStream.js';
+
 export class BaseEngine {
   constructor(config = {}) {
     this.config = config;
     this.isReady = false;
     this.currentPosition = null;
     this.evaluation = null;
+    this.infoListeners = new Set();
   }
 
   /**
@@ -37,6 +40,52 @@ export class BaseEngine {
     throw new Error('getBestMove() must be implemented by subclass');
   }
 
+  /**
+   * Analyze a position, yielding every search update as it arrives
+   * @param {string} fen - FEN string of the position
+   * @param {Object} options - Search options; { infinite: true } runs until cancelled,
+   *   { signal } is an AbortSignal that cancels the search
+   * @returns {AnalysisStream} Async iterable of updates; `result` resolves to the final best move
+   */
+  analyzeStream(fen, options = {}) {
+    const { signal, ...searchOptions } = options;
+    const stream = new AnalysisStream({ signal });
+    const listener = (update) => stream.push(update);
+
+    stream.onCancel(() => {
+      // Don't stop a later search once this one is over
+      if (!stream.finished) {
+        this.stop();
+      }
+    });
+    this.infoListeners.add(listener);
+
+    const search = async () => {
+      await this.setPosition(fen);
+      if (stream.cancelled) {
+        return null;
+      }
+      return this.getBestMove(searchOptions);
+    };
+
+    search()
+      .then(
+        (result) => stream.end(result),
+        (error) => stream.fail(error)
+      )
+      .finally(() => this.infoListeners.delete(listener));
+
+    return stream;
+  }
+
+  /**
+   * Send a search update to active analysis streams
+   * @param {Object} update - { multipv, depth, score, wdl, nodes, nps, pv, ... }
+   */
+  emitInfo(update) {
+    this.infoListeners.forEach((listener) => listener(update));
+  }
+
   /**
    * Get multiple candidate moves with evaluations
    * @param {number} count - Number of moves to return
@@ -47,6 +96,26 @@ export class BaseEngine {
     throw new Error('getCandidateMoves() must be implemented by subclass');
   }
 
+  /**
+   * Switch Chess960 castling on or off for the following positions
+   * @param {boolean} enabled - Whether positions are Chess960
+   * @returns {Promise<void>}
+   * @throws {Error} If Chess960 is asked for and the engine cannot play it
+   */
+  async setChess960(enabled) {
+    if (enabled) {
+      throw new Error('This engine does not support Chess960');
+    }
+  }
+
+  /**
+   * Tell the engine the next position belongs to a new game
+   * @returns {Promise<void>}
+   */
+  async newGame() {
+    // Override in subclass if needed
+  }
+
   /**
    * Stop the current search
    * @returns {Promise<void>}
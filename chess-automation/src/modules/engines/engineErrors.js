@@ -0,0 +1,39 @@
+/**
+ * Engine Errors
+ * Typed errors raised by the engine layer
+ */
+
+/**
+ * The engine process exited or failed while it was expected to be running.
+ * Requests that were in flight at the time are rejected with this error.
+ */
+export class EngineCrashError extends Error {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {Object} details - { engine, exitCode, signal, cause }
+   */
+  constructor(message, { engine = null, exitCode = null, signal = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'EngineCrashError';
+    this.engine = engine;
+    this.exitCode = exitCode;
+    this.signal = signal;
+  }
+}
+
+/**
+ * An engine configuration file could not be used. Every problem found is
+ * listed, each prefixed with where in the file it is.
+ */
+export class EngineConfigError extends Error {
+  /**
+   * @param {string} file - Configuration file
+   * @param {Array<string>} problems - One message per problem
+   */
+  constructor(file, problems) {
+    super(`Invalid engine configuration ${file}:\n${problems.map((p) => `  ${p}`).join('\n')}`);
+    this.name = 'EngineConfigError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
@@ -3,322 +3,248 @@
  * Supports standard Lc0 networks and Maia weights for human-like play
  */
 
-import { BaseEngine } from './baseEngine.js';
-import { spawn } from 'child_process';
+import { UciEngine, parseOptionLine } from './uciEngine.js';
+import { LC0_BACKENDS } from '../../config/constants.js';
+import { existsSync } from 'fs';
 import fs from 'fs/promises';
+import { spawn } from 'child_process';
+
+/**
+ * Whether a GPU backend has a device to run on. Only Linux device files are
+ * checked; elsewhere the configured backend is trusted.
+ * @returns {boolean}
+ */
+export function detectGpu() {
+  if (process.platform !== 'linux') {
+    return true;
+  }
+  return LC0_BACKENDS.GPU_DEVICES.some((device) => existsSync(device));
+}
+
+/**
+ * Backends compiled into an Lc0 binary, read from its Backend option. Only
+ * `uci` is sent, so no network is loaded.
+ * @param {string} path - Lc0 executable
+ * @param {Array<string>} args - Extra command-line arguments (the engine config's args)
+ * @param {number} timeout - Milliseconds to wait for uciok
+ * @returns {Promise<Array<string>|null>} Backend names, null if Lc0 declares no Backend option
+ */
+export function probeLc0Backends(path, args = [], timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(path, args, { stdio: ['pipe', 'pipe', 'ignore'] });
+    let buffer = '';
+    let backends = null;
+
+    const finish = (error) => {
+      clearTimeout(timer);
+      child.stdin.end('quit\n');
+      child.kill();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(backends);
+      }
+    };
+    const timer = setTimeout(
+      () => finish(new Error(`Timeout waiting for uciok from ${path}`)),
+      timeout
+    );
+
+    child.on('error', (error) => finish(error));
+    child.stdin.on('error', () => {});
+    child.stdout.on('data', (data) => {
+      const lines = (buffer + data.toString()).split('\n');
+      buffer = lines.pop();
+      for (const line of lines.map((text) => text.trim())) {
+        const option = parseOptionLine(line);
+        if (option?.name.toLowerCase() === 'backend') {
+          backends = option.vars;
+        } else if (line === 'uciok') {
+          finish();
+          return;
+        }
+      }
+    });
+    child.stdin.write('uci\n');
+  });
+}
 
-export class Lc0Engine extends BaseEngine {
+export class Lc0Engine extends UciEngine {
   constructor(config = {}) {
-    super(config);
-    this.process = null;
-    this.messageQueue = [];
-    this.waitingFor = null;
-    this.currentSearch = null;
-    this.pvLines = new Map();
+    super({ name: 'Lc0', ...config });
     this.isMaia = config.weightsPath && config.weightsPath.includes('maia');
   }
 
   async init() {
-    try {
-      console.log(`Initializing Lc0 engine${this.isMaia ? ' with Maia weights' : ''}...`);
-
-      // Check if weights file exists
-      if (this.config.weightsPath) {
-        try {
-          await fs.access(this.config.weightsPath);
-        } catch {
-          console.warn(`Weights file not found: ${this.config.weightsPath}`);
-          console.log('Using default network. To use Maia, download weights from:');
-          console.log('https://github.com/CSSLab/maia-chess/releases');
-          this.config.weightsPath = null;
-        }
+    this.logger.info(`Initializing Lc0 engine${this.isMaia ? ' with Maia weights' : ''}...`);
+
+    // Check if weights file exists
+    if (this.config.weightsPath) {
+      try {
+        await fs.access(this.config.weightsPath);
+      } catch {
+        this.logger.warn(`Weights file not found: ${this.config.weightsPath}`);
+        this.logger.info('Using default network. To use Maia, download weights from:');
+        this.logger.info('https://github.com/CSSLab/maia-chess/releases');
+        this.config.weightsPath = null;
       }
+    }
 
-      // Build Lc0 command with options
-      const lc0Path = this.config.path || 'lc0';
-      const args = [];
+    this.config.backend = await this.resolveBackend();
 
-      // Add weights file if specified
-      if (this.config.weightsPath) {
-        args.push('--weights', this.config.weightsPath);
-      }
+    await super.init();
+    this.logger.info(`Lc0 engine ready${this.isMaia ? ' (Maia mode)' : ''}`);
+  }
 
-      // Add backend configuration
-      if (this.config.backend) {
-        args.push('--backend', this.config.backend);
-      }
+  /**
+   * Backend to start with. GPU backends (Lc0's default included) are replaced by
+   * the fastest CPU backend the binary has when there is no GPU; `backend: 'auto'`
+   * means Lc0's default with a GPU and a CPU backend without. `gpu` in the config
+   * overrides the detection.
+   * @returns {Promise<string|null>} Backend name, null for Lc0's default
+   * @throws {Error} If there is no GPU and the binary has no CPU backend
+   */
+  async resolveBackend() {
+    const configured = this.config.backend === 'auto' ? null : this.config.backend || null;
+    const gpu = this.config.gpu ?? detectGpu();
+    if (gpu || LC0_BACKENDS.CPU.includes(configured)) {
+      return configured;
+    }
 
-      // Add other UCI options via command line
-      if (this.config.threads) {
-        args.push('--threads', this.config.threads.toString());
-      }
+    const { path } = this.getSpawnCommand();
+    const available = await probeLc0Backends(path, this.config.args, this.config.uciTimeout);
+    if (!available) {
+      this.logger.warn(
+        'No GPU found and Lc0 does not list its backends; keeping the configured one'
+      );
+      return configured;
+    }
+
+    const fallback = LC0_BACKENDS.CPU.find((backend) => available.includes(backend));
+    if (!fallback) {
+      throw new Error(
+        `No GPU found and ${path} has no CPU backend (it has ${available.join(', ')}); ` +
+          `install an Lc0 build with ${LC0_BACKENDS.CPU.join(', ')} support`
+      );
+    }
+    this.logger.warn(
+      `No GPU found; using the ${fallback} backend instead of ${configured || "Lc0's default"}`
+    );
+    return fallback;
+  }
+
+  getSpawnCommand() {
+    // Build Lc0 command with options, after any configured arguments
+    const args = [...(this.config.args || [])];
 
-      // Spawn Lc0 process
-      this.process = spawn(lc0Path, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      // Handle process output
-      this.process.stdout.on('data', (data) => {
-        const lines = data
-          .toString()
-          .split('\n')
-          .filter((line) => line.trim());
-        lines.forEach((line) => this.handleEngineMessage(line));
-      });
-
-      this.process.stderr.on('data', (data) => {
-        console.error('Lc0 error:', data.toString());
-      });
-
-      this.process.on('error', (error) => {
-        console.error('Failed to start Lc0:', error);
-        console.log('Make sure Lc0 is installed. Install with:');
-        console.log('  Ubuntu: apt-get install lc0');
-        console.log('  macOS: brew install lc0');
-        console.log('  Or download from: https://github.com/LeelaChessZero/lc0/releases');
-        throw error;
-      });
-
-      // Initialize UCI
-      await this.sendCommand('uci');
-      await this.waitFor('uciok', 10000);
-
-      // Configure engine via UCI
-      await this.setUciOptions();
-
-      await this.sendCommand('isready');
-      await this.waitFor('readyok', 5000);
-
-      this.isReady = true;
-      console.log(`Lc0 engine ready${this.isMaia ? ' (Maia mode)' : ''}`);
-    } catch (error) {
-      console.error('Failed to initialize Lc0:', error);
-      throw error;
+    // Add weights file if specified
+    if (this.config.weightsPath) {
+      args.push('--weights', this.config.weightsPath);
     }
+
+    // Add backend configuration
+    if (this.config.backend) {
+      args.push('--backend', this.config.backend);
+    }
+
+    // Add other UCI options via command line
+    if (this.config.threads) {
+      args.push('--threads', this.config.threads.toString());
+    }
+
+    return { path: this.config.path || 'lc0', args };
+  }
+
+  printInstallHelp() {
+    this.logger.info('Make sure Lc0 is installed. Install with:');
+    this.logger.info('  Ubuntu: apt-get install lc0');
+    this.logger.info('  macOS: brew install lc0');
+    this.logger.info('  Or download from: https://github.com/LeelaChessZero/lc0/releases');
+  }
+
+  async configure() {
+    await this.setUciOptions();
+    await this.applyConfiguredOptions();
   }
 
   async setUciOptions() {
     // Set MultiPV
     if (this.config.multiPV) {
-      await this.sendCommand(`setoption name MultiPV value ${this.config.multiPV}`);
+      await this.setOption('MultiPV', this.config.multiPV);
     }
 
     // Set batch size for neural network
     if (this.config.batchSize) {
-      await this.sendCommand(`setoption name MinibatchSize value ${this.config.batchSize}`);
+      await this.setOption('MinibatchSize', this.config.batchSize);
     }
 
     // Set temperature for Maia (controls randomness)
     if (this.isMaia && this.config.temperature) {
-      await this.sendCommand(`setoption name Temperature value ${this.config.temperature}`);
+      await this.setOption('Temperature', this.config.temperature);
     }
 
     // Set other Lc0-specific options
     if (this.config.cacheHistoryLength) {
-      await this.sendCommand(
-        `setoption name CacheHistoryLength value ${this.config.cacheHistoryLength}`
-      );
+      await this.setOption('CacheHistoryLength', this.config.cacheHistoryLength);
     }
 
     // Policy temperature for move randomness
     if (this.config.policyTemperature) {
-      await this.sendCommand(
-        `setoption name PolicyTemperature value ${this.config.policyTemperature}`
-      );
+      await this.setOption('PolicyTemperature', this.config.policyTemperature);
     }
 
     // FPU (First Play Urgency) value
     if (this.config.fpu) {
-      await this.sendCommand(`setoption name FpuValue value ${this.config.fpu}`);
-    }
-  }
-
-  handleEngineMessage(message) {
-    // console.log('Lc0:', message);
-
-    // Check if we're waiting for this message
-    if (this.waitingFor && message.includes(this.waitingFor.expected)) {
-      this.waitingFor.resolve(message);
-      this.waitingFor = null;
-      return;
+      await this.setOption('FpuValue', this.config.fpu);
     }
 
-    // Handle best move
-    if (message.startsWith('bestmove')) {
-      const parts = message.split(' ');
-      const [, bestMove] = parts;
-      const ponderMove = parts[3] || null;
-
-      if (this.currentSearch) {
-        // Collect all PV lines for candidate moves
-        const candidates = [];
-        this.pvLines.forEach((info, multipv) => {
-          candidates[multipv - 1] = info;
-        });
-
-        this.currentSearch.resolve({
-          move: bestMove,
-          ponder: ponderMove,
-          evaluation: this.evaluation,
-          candidates: candidates.filter(Boolean),
-        });
-        this.currentSearch = null;
-        this.pvLines.clear();
-      }
+    // Local Syzygy tablebases; Lc0 has no probe limit option
+    if (this.config.syzygyPath) {
+      await this.setOption('SyzygyPath', this.config.syzygyPath);
     }
-
-    // Handle evaluation info
-    if (message.startsWith('info')) {
-      this.parseInfoMessage(message);
+    if (this.config.syzygyProbeLimit && this.hasOption('SyzygyProbeLimit')) {
+      await this.setOption('SyzygyProbeLimit', this.config.syzygyProbeLimit);
     }
 
-    // Store message in queue
-    this.messageQueue.push(message);
-    if (this.messageQueue.length > 100) {
-      this.messageQueue.shift();
+    // Per-move N/P/Q statistics as `info string` lines
+    if (this.config.verboseMoveStats) {
+      await this.setOption('VerboseMoveStats', true);
     }
   }
 
-  parseInfoMessage(message) {
-    const parts = message.split(' ');
-    const info = {};
-
-    for (let i = 0; i < parts.length; i++) {
-      switch (parts[i]) {
-        case 'depth':
-          info.depth = parseInt(parts[++i]);
-          break;
-        case 'seldepth':
-          info.seldepth = parseInt(parts[++i]);
-          break;
-        case 'multipv':
-          info.multipv = parseInt(parts[++i]);
-          break;
-        case 'score':
-          i++;
-          if (parts[i] === 'cp') {
-            // Lc0 uses different scaling, typically already in centipawns
-            info.score = parseInt(parts[++i]) / 100;
-          } else if (parts[i] === 'mate') {
-            const mateIn = parseInt(parts[++i]);
-            info.score = mateIn > 0 ? 10000 - mateIn : -10000 - mateIn;
-            info.mate = mateIn;
-          }
-          break;
-        case 'wdl':
-          // Win-Draw-Loss probabilities (Lc0 specific)
-          info.win = parseInt(parts[++i]) / 1000;
-          info.draw = parseInt(parts[++i]) / 1000;
-          info.loss = parseInt(parts[++i]) / 1000;
-          break;
-        case 'pv':
-          info.pv = [];
-          for (let j = i + 1; j < parts.length; j++) {
-            if (parts[j] && !parts[j].includes('info')) {
-              info.pv.push(parts[j]);
-            }
-          }
-          i = parts.length;
-          break;
-        case 'nodes':
-          info.nodes = parseInt(parts[++i]);
-          break;
-        case 'nps':
-          info.nps = parseInt(parts[++i]);
-          break;
-        case 'time':
-          info.time = parseInt(parts[++i]);
-          break;
-      }
-    }
+  buildGoCommand(options = {}) {
+    const nodes = options.nodes || this.config.nodes || 10000;
+    const timeLimit = options.time || this.config.timeLimit || 5000;
+    const depth = options.depth || this.config.depth || 20;
 
-    // Store PV line for multi-PV
-    if (info.multipv && info.pv && info.pv.length > 0) {
-      this.pvLines.set(info.multipv, {
-        move: info.pv[0],
-        evaluation: info.score || 0,
-        pv: info.pv,
-        depth: info.depth,
-        nodes: info.nodes,
-        wdl: info.win ? { win: info.win, draw: info.draw, loss: info.loss } : null,
-      });
-    }
+    const clockCommand = this.buildClockCommand(options);
 
-    // Update main evaluation
-    if (info.multipv === 1 || !info.multipv) {
-      this.evaluation = info;
+    if (options.infinite) {
+      return 'go infinite';
     }
-  }
 
-  async sendCommand(command) {
-    if (!this.process) {
-      throw new Error('Engine process not initialized');
+    // For Maia, use nodes limit for consistent play strength
+    if (this.isMaia && nodes) {
+      return `go nodes ${nodes}`;
+    } else if (clockCommand) {
+      return clockCommand;
+    } else if (options.time) {
+      return `go movetime ${timeLimit}`;
+    } else if (options.nodes) {
+      return `go nodes ${nodes}`;
     }
-    // console.log('Sending to Lc0:', command);
-    this.process.stdin.write(`${command}\n`);
+    return `go depth ${depth}`;
   }
 
-  async waitFor(expected, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      this.waitingFor = { expected, resolve, reject };
-
-      setTimeout(() => {
-        if (this.waitingFor && this.waitingFor.expected === expected) {
-          this.waitingFor = null;
-          reject(new Error(`Timeout waiting for ${expected}`));
-        }
-      }, timeout);
-    });
-  }
-
-  async setPosition(fen) {
-    await super.setPosition(fen);
-    await this.sendCommand(`position fen ${fen}`);
-  }
-
-  async getBestMove(options = {}) {
-    const nodes = options.nodes || this.config.nodes || 10000;
+  getSearchTimeout(options = {}) {
+    if (this.config.searchTimeout || options.wtime !== undefined) {
+      return super.getSearchTimeout(options);
+    }
     const timeLimit = options.time || this.config.timeLimit || 5000;
-    const depth = options.depth || this.config.depth || 20;
-
-    this.evaluation = null;
-    this.pvLines.clear();
-
-    return new Promise((resolve, reject) => {
-      this.currentSearch = { resolve, reject };
-
-      // Build go command
-      let searchCommand = 'go';
-
-      // For Maia, use nodes limit for consistent play strength
-      if (this.isMaia && nodes) {
-        searchCommand += ` nodes ${nodes}`;
-      } else if (options.time) {
-        searchCommand += ` movetime ${timeLimit}`;
-      } else if (options.nodes) {
-        searchCommand += ` nodes ${nodes}`;
-      } else {
-        searchCommand += ` depth ${depth}`;
-      }
-
-      this.sendCommand(searchCommand);
-
-      // Set timeout
-      const searchTimeout = Math.max(timeLimit, 10000) + 5000;
-      setTimeout(() => {
-        if (this.currentSearch) {
-          this.stop();
-          reject(new Error('Search timeout'));
-          this.currentSearch = null;
-        }
-      }, searchTimeout);
-    });
+    return Math.max(timeLimit, 10000) + 5000;
   }
 
   async getCandidateMoves(count = 3, options = {}) {
-    const originalMultiPV = this.config.multiPV || 1;
-
     // For Maia, typically only use single PV as it's meant to be human-like
     if (this.isMaia && !options.forceMultiPV) {
       const result = await this.getBestMove(options);
@@ -328,44 +254,14 @@ export class Lc0Engine extends BaseEngine {
           evaluation: result.evaluation?.score || 0,
           pv: result.evaluation?.pv || [result.move],
           depth: result.evaluation?.depth,
-          wdl: result.evaluation?.wdl,
+          wdl: result.candidates?.[0]?.wdl || null,
+          policy: result.moveStats.find((stats) => stats.move === result.move)?.policy ?? null,
+          moveStats: result.moveStats,
         },
       ];
     }
 
-    // Set MultiPV for this search
-    await this.sendCommand(`setoption name MultiPV value ${count}`);
-
-    // Run search
-    const result = await this.getBestMove(options);
-
-    // Restore original MultiPV
-    await this.sendCommand(`setoption name MultiPV value ${originalMultiPV}`);
-
-    // Return candidates from the search
-    return (
-      result.candidates || [
-        {
-          move: result.move,
-          evaluation: result.evaluation?.score || 0,
-          pv: result.evaluation?.pv || [result.move],
-          depth: result.evaluation?.depth,
-        },
-      ]
-    );
-  }
-
-  async stop() {
-    await this.sendCommand('stop');
-  }
-
-  async quit() {
-    if (this.process) {
-      await this.sendCommand('quit');
-      this.process.kill();
-      this.process = null;
-      this.isReady = false;
-    }
+    return super.getCandidateMoves(count, options);
   }
 
   /**
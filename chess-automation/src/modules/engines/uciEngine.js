@@ -0,0 +1,719 @@
+/**
+ * Generic UCI Engine Implementation
+ * Runs any UCI binary, discovers its options at `uci` time and validates
+ * configured options against what the engine declares
+ */
+
+import { BaseEngine } from './baseEngine.js';
+import { EngineCrashError } from './engineErrors.js';
+import { parseInfoLine } from './uciInfo.js';
+import { UciTranscript } from './uciTranscript.js';
+import { getLoggingSettings, logger } from '../logger.js';
+import { spawn } from 'child_process';
+
+// Milliseconds an engine gets to exit after `quit` before it is killed
+const QUIT_TIMEOUT = 500;
+
+const OPTION_KEYWORDS = ['name', 'type', 'default', 'min', 'max', 'var'];
+
+// Shorthand config keys that map onto standard UCI options
+const OPTION_SHORTHANDS = {
+  threads: 'Threads',
+  hash: 'Hash',
+  multiPV: 'MultiPV',
+  syzygyPath: 'SyzygyPath',
+  syzygyProbeLimit: 'SyzygyProbeLimit',
+};
+
+/**
+ * Parse an `option name ... type ...` line sent in reply to `uci`
+ * @param {string} line - Raw engine output line
+ * @returns {Object|null} { name, type, default, min, max, vars }
+ */
+export function parseOptionLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'option') {
+    return null;
+  }
+
+  const fields = { name: [], type: [], default: null, min: [], max: [], var: [] };
+  const vars = [];
+  let key = null;
+
+  for (const token of tokens.slice(1)) {
+    // Keywords inside the option name are part of the name until 'type' appears
+    const isKeyword = OPTION_KEYWORDS.includes(token) && (key !== 'name' || token === 'type');
+    if (isKeyword) {
+      key = token;
+      if (key === 'var') {
+        vars.push([]);
+      } else if (key === 'default') {
+        fields.default = [];
+      }
+      continue;
+    }
+
+    if (key === 'var') {
+      vars[vars.length - 1].push(token);
+    } else if (key === 'default') {
+      fields.default.push(token);
+    } else if (key) {
+      fields[key].push(token);
+    }
+  }
+
+  const name = fields.name.join(' ');
+  const type = fields.type.join(' ');
+  if (!name || !type) {
+    return null;
+  }
+
+  const option = {
+    name,
+    type,
+    default: fields.default ? fields.default.join(' ') : null,
+    vars: vars.map((words) => words.join(' ')),
+  };
+
+  if (fields.min.length > 0) option.min = parseInt(fields.min[0]);
+  if (fields.max.length > 0) option.max = parseInt(fields.max[0]);
+
+  return option;
+}
+
+export class UciEngine extends BaseEngine {
+  constructor(config = {}) {
+    super(config);
+    this.process = null;
+    this.outputBuffer = '';
+    this.messageQueue = [];
+    this.waitingFor = null;
+    this.currentSearch = null;
+    this.pvLines = new Map();
+    this.moveStats = new Map(); // Lc0 VerboseMoveStats, move -> stats
+    this.options = new Map(); // lowercased option name -> declared option
+    this.optionValues = new Map(); // declared option name -> last value sent
+    this.restoredOptionValues = null;
+    this.onCrash = null; // called with an EngineCrashError if the process dies after init
+    this.engineId = { name: null, author: null };
+    this.displayName = config.name || 'UCI engine';
+    this.verbose = config.verbose || false; // log engine traffic at info instead of trace
+    this.logger = config.logger || logger.child(this.displayName);
+    this.transcript = config.transcript || null; // UciTranscript of every line in and out
+  }
+
+  /**
+   * Executable and arguments used to start the engine
+   * @returns {{ path: string, args: string[] }}
+   */
+  getSpawnCommand() {
+    if (!this.config.path) {
+      throw new Error(`No executable path configured for ${this.displayName}`);
+    }
+    return { path: this.config.path, args: this.config.args || [] };
+  }
+
+  async init() {
+    try {
+      this.logger.info(`Initializing ${this.displayName}...`);
+
+      const { path, args } = this.getSpawnCommand();
+
+      const transcriptDir = this.config.transcriptDir ?? getLoggingSettings().transcriptDir;
+      if (!this.transcript && transcriptDir) {
+        this.transcript = UciTranscript.inDirectory(transcriptDir, this.displayName);
+        this.logger.info(`Recording UCI transcript to ${this.transcript.config.path}`);
+      }
+
+      this.options.clear();
+      this.optionValues.clear();
+      this.outputBuffer = '';
+      const child = spawn(path, args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      this.process = child;
+
+      // Handle process output; a line may be split across chunks
+      this.process.stdout.on('data', (data) => {
+        const lines = (this.outputBuffer + data.toString()).split('\n');
+        this.outputBuffer = lines.pop();
+        lines
+          .map((line) => line.trim())
+          .filter(Boolean)
+          .forEach((line) => {
+            this.transcript?.record('recv', line);
+            this.handleEngineMessage(line);
+          });
+      });
+
+      this.process.stderr.on('data', (data) => {
+        const text = data.toString().trimEnd();
+        this.transcript?.record('stderr', text);
+        this.logger.error(`${this.displayName} error: ${text}`);
+      });
+
+      this.process.on('error', (error) => {
+        if (!this.isReady) {
+          this.logger.error(`Failed to start ${this.displayName}`, { error });
+          this.printInstallHelp();
+        }
+        this.handleProcessExit(child, null, null, error);
+      });
+
+      this.process.on('exit', (code, signal) => this.handleProcessExit(child, code, signal));
+
+      // Writes to a dead process fail with EPIPE; the exit handler reports the crash
+      this.process.stdin.on('error', () => {});
+
+      // Initialize UCI; option lines arrive before uciok
+      await this.sendCommand('uci');
+      await this.waitFor('uciok', this.config.uciTimeout || 10000);
+
+      await this.configure();
+      if (this.config.chess960) {
+        await this.setChess960(true);
+      }
+
+      // Options changed at runtime on a previous process, when restarting
+      for (const [name, value] of this.restoredOptionValues || []) {
+        if (this.optionValues.get(name) !== value && this.hasOption(name)) {
+          await this.setOption(name, value);
+        }
+      }
+
+      await this.sendCommand('isready');
+      await this.waitFor('readyok', this.config.readyTimeout || 5000);
+
+      this.isReady = true;
+      this.logger.info(`${this.engineId.name || this.displayName} ready`);
+    } catch (error) {
+      this.logger.error(`Failed to initialize ${this.displayName}`, { error });
+      // Don't leave a half-started process behind
+      this.process?.kill();
+      this.process = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Handle the engine process going away. Pending waits and searches are
+   * rejected immediately instead of running into their timeouts.
+   * @param {ChildProcess} child - Process that exited
+   * @param {number|null} exitCode - Exit code
+   * @param {string|null} signal - Signal that terminated the process
+   * @param {Error} cause - Spawn or pipe error, if any
+   */
+  handleProcessExit(child, exitCode, signal, cause) {
+    // Ignore processes we already quit or replaced
+    if (child !== this.process) {
+      return;
+    }
+
+    const wasReady = this.isReady;
+    this.process = null;
+    this.isReady = false;
+
+    const reason = cause ? cause.message : `exit code ${exitCode}, signal ${signal}`;
+    const error = new EngineCrashError(`${this.displayName} process died (${reason})`, {
+      engine: this.displayName,
+      exitCode,
+      signal,
+      cause,
+    });
+
+    this.waitingFor?.reject(error);
+    this.waitingFor = null;
+    this.currentSearch?.reject(error);
+    this.currentSearch = null;
+
+    if (wasReady) {
+      this.logger.warn(error.message, { exitCode, signal });
+      this.onCrash?.(error);
+    }
+  }
+
+  /**
+   * Start a fresh process and restore every option set on the previous one
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    this.restoredOptionValues = new Map(this.optionValues);
+
+    if (this.process) {
+      await this.quit();
+    }
+
+    try {
+      await this.init();
+    } finally {
+      this.restoredOptionValues = null;
+    }
+  }
+
+  /**
+   * Hook for subclasses to print setup hints when the binary cannot be started
+   */
+  printInstallHelp() {}
+
+  /**
+   * Apply configuration once the engine has declared its options
+   */
+  async configure() {
+    for (const [key, optionName] of Object.entries(OPTION_SHORTHANDS)) {
+      if (this.config[key] !== undefined && this.hasOption(optionName)) {
+        await this.setOption(optionName, this.config[key]);
+      }
+    }
+
+    await this.applyConfiguredOptions();
+  }
+
+  /**
+   * Send every entry of config.options, validated against the declared options
+   */
+  async applyConfiguredOptions() {
+    for (const [name, value] of Object.entries(this.config.options || {})) {
+      await this.setOption(name, value);
+    }
+  }
+
+  /**
+   * Check whether the engine declared an option
+   * @param {string} name - UCI option name (case-insensitive)
+   * @returns {boolean}
+   */
+  hasOption(name) {
+    return this.options.has(name.toLowerCase());
+  }
+
+  /**
+   * Get the declared options
+   * @returns {Array<Object>}
+   */
+  getOptions() {
+    return [...this.options.values()];
+  }
+
+  /**
+   * Current value of every declared option: the last one sent, otherwise the default
+   * @returns {Object} Option name -> value; buttons are left out
+   */
+  getOptionValues() {
+    const values = {};
+    for (const option of this.options.values()) {
+      if (option.type !== 'button') {
+        values[option.name] = this.optionValues.get(option.name) ?? option.default;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Switch UCI_Chess960 when it differs from the engine's current setting. Engines
+   * without the option can still play standard chess.
+   * @param {boolean} enabled - Whether positions are Chess960
+   * @returns {Promise<void>}
+   * @throws {Error} If Chess960 is asked for and the engine has no UCI_Chess960 option
+   */
+  async setChess960(enabled) {
+    const option = this.options.get('uci_chess960');
+    if (!option) {
+      if (enabled) {
+        throw new Error(`${this.displayName} does not support Chess960 (no UCI_Chess960 option)`);
+      }
+      return;
+    }
+
+    if ((this.optionValues.get(option.name) ?? option.default) !== String(enabled)) {
+      await this.setOption(option.name, enabled);
+    }
+  }
+
+  /**
+   * Validate a value against a declared option
+   * @param {string} name - UCI option name
+   * @param {*} value - Value to send
+   * @returns {string|null} Value formatted for setoption (null for buttons)
+   * @throws {Error} If the option is unknown or the value is invalid
+   */
+  validateOption(name, value) {
+    const option = this.options.get(name.toLowerCase());
+    if (!option) {
+      throw new Error(`${this.displayName} has no UCI option named '${name}'`);
+    }
+
+    switch (option.type) {
+      case 'spin': {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+          throw new Error(`Option '${option.name}' expects an integer, got '${value}'`);
+        }
+        if (
+          (option.min !== undefined && number < option.min) ||
+          (option.max !== undefined && number > option.max)
+        ) {
+          throw new Error(
+            `Option '${option.name}' must be between ${option.min} and ${option.max}, got ${number}`
+          );
+        }
+        return String(number);
+      }
+
+      case 'check':
+        if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+          throw new Error(`Option '${option.name}' expects true or false, got '${value}'`);
+        }
+        return String(value);
+
+      case 'combo': {
+        const match = option.vars.find((v) => v.toLowerCase() === String(value).toLowerCase());
+        if (!match) {
+          throw new Error(
+            `Option '${option.name}' must be one of ${option.vars.join(', ')}, got '${value}'`
+          );
+        }
+        return match;
+      }
+
+      case 'button':
+        return null;
+
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Set a declared UCI option
+   * @param {string} name - UCI option name
+   * @param {*} value - Option value (ignored for buttons)
+   * @returns {Promise<void>}
+   */
+  async setOption(name, value) {
+    const formatted = this.validateOption(name, value);
+    const { name: declaredName } = this.options.get(name.toLowerCase());
+
+    if (formatted === null) {
+      await this.sendCommand(`setoption name ${declaredName}`);
+    } else {
+      await this.sendCommand(`setoption name ${declaredName} value ${formatted}`);
+      this.optionValues.set(declaredName, formatted);
+    }
+  }
+
+  handleEngineMessage(message) {
+    this.logger.log(this.verbose ? 'info' : 'trace', `< ${message}`);
+
+    // Check if we're waiting for this message
+    if (this.waitingFor && message.includes(this.waitingFor.expected)) {
+      this.waitingFor.resolve(message);
+      this.waitingFor = null;
+      return;
+    }
+
+    if (message.startsWith('id name ')) {
+      this.engineId.name = message.substring('id name '.length);
+    } else if (message.startsWith('id author ')) {
+      this.engineId.author = message.substring('id author '.length);
+    } else if (message.startsWith('option ')) {
+      const option = parseOptionLine(message);
+      if (option) {
+        this.options.set(option.name.toLowerCase(), option);
+      }
+    }
+
+    // Handle best move
+    if (message.startsWith('bestmove')) {
+      const parts = message.split(' ');
+      const [, bestMove] = parts;
+      const ponderMove = parts[3] || null;
+
+      if (this.currentSearch) {
+        // Collect all PV lines for candidate moves
+        const candidates = [];
+        this.pvLines.forEach((line, multipv) => {
+          candidates[multipv - 1] = {
+            ...line,
+            policy: this.moveStats.get(line.move)?.policy ?? null,
+          };
+        });
+
+        this.currentSearch.resolve({
+          move: bestMove,
+          ponder: ponderMove,
+          evaluation: this.evaluation,
+          candidates: candidates.filter(Boolean),
+          moveStats: [...this.moveStats.values()].sort((a, b) => b.visits - a.visits),
+        });
+        this.currentSearch = null;
+        this.pvLines.clear();
+      }
+    }
+
+    // Handle evaluation info
+    if (message.startsWith('info')) {
+      this.parseInfoMessage(message);
+    }
+
+    // Store message in queue
+    this.messageQueue.push(message);
+    if (this.messageQueue.length > 100) {
+      this.messageQueue.shift();
+    }
+  }
+
+  /**
+   * Record an info line: multi-PV lines, the main evaluation, Lc0 move
+   * statistics, and updates for analysis streams
+   * @param {string} message - Raw `info` line
+   */
+  parseInfoMessage(message) {
+    const info = parseInfoLine(message);
+
+    if (info.moveStats && info.moveStats.move !== 'node') {
+      this.moveStats.set(info.moveStats.move, info.moveStats);
+    }
+
+    // Store PV line for multi-PV
+    if (info.pv && info.pv.length > 0) {
+      this.pvLines.set(info.multipv || 1, {
+        move: info.pv[0],
+        evaluation: info.score || 0,
+        pv: info.pv,
+        depth: info.depth,
+        seldepth: info.seldepth,
+        nodes: info.nodes,
+        mate: info.mate ?? null,
+        bound: info.bound || null,
+        wdl: info.wdl || null,
+        info,
+      });
+
+      this.emitInfo({ ...info, multipv: info.multipv || 1 });
+    }
+
+    // Update main evaluation; currmove, hashfull and string lines carry no score
+    if ((info.score !== undefined || info.pv) && (info.multipv || 1) === 1) {
+      this.evaluation = info;
+    }
+  }
+
+  async sendCommand(command) {
+    if (!this.process) {
+      throw new Error('Engine process not initialized');
+    }
+    this.logger.log(this.verbose ? 'info' : 'trace', `> ${command}`);
+    this.transcript?.record('send', command);
+    this.process.stdin.write(`${command}\n`);
+  }
+
+  async waitFor(expected, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.waitingFor && this.waitingFor.expected === expected) {
+          this.waitingFor = null;
+          reject(new Error(`Timeout waiting for ${expected}`));
+        }
+      }, timeout);
+
+      this.waitingFor = {
+        expected,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+    });
+  }
+
+  async setPosition(fen) {
+    await super.setPosition(fen);
+    await this.sendCommand(`position fen ${fen}`);
+  }
+
+  async newGame() {
+    await this.sendCommand('ucinewgame');
+    await this.sendCommand('isready');
+    await this.waitFor('readyok', this.config.readyTimeout || 5000);
+  }
+
+  /**
+   * Build a clock-based `go` command when the search options carry clock times
+   * @param {Object} options - Search options (wtime, btime, winc, binc)
+   * @returns {string|null}
+   */
+  buildClockCommand(options = {}) {
+    if (options.wtime === undefined || options.btime === undefined) {
+      return null;
+    }
+    return `go wtime ${Math.max(0, Math.round(options.wtime))} btime ${Math.max(0, Math.round(options.btime))} winc ${options.winc || 0} binc ${options.binc || 0}`;
+  }
+
+  /**
+   * Build the `go` command for a search
+   * @param {Object} options - Search options (infinite, depth, time, nodes, or clock times)
+   * @returns {string}
+   */
+  buildGoCommand(options = {}) {
+    if (options.infinite) {
+      return 'go infinite';
+    }
+    const clockCommand = this.buildClockCommand(options);
+    if (clockCommand) {
+      return clockCommand;
+    }
+    if (options.time) {
+      return `go movetime ${options.time}`;
+    }
+    if (options.nodes) {
+      return `go nodes ${options.nodes}`;
+    }
+    return `go depth ${options.depth || this.config.depth || 15}`;
+  }
+
+  /**
+   * How long to wait for bestmove before giving up on a search
+   * @param {Object} options - Search options
+   * @returns {number} Milliseconds
+   */
+  getSearchTimeout(options = {}) {
+    if (this.config.searchTimeout) {
+      return this.config.searchTimeout;
+    }
+    if (options.wtime !== undefined) {
+      return Math.max(options.wtime, options.btime) + 5000;
+    }
+    const timeLimit = options.time || this.config.timeLimit || 2000;
+    return Math.max(timeLimit, 10000) + 5000;
+  }
+
+  /**
+   * Search the current position
+   * @param {Object} options - Search options; multiPV sets MultiPV for this search only,
+   *   infinite searches run without a timeout until stop()
+   * @returns {Promise<Object>} { move, ponder, evaluation, candidates }
+   */
+  async getBestMove(options = {}) {
+    const originalMultiPV = this.config.multiPV || 1;
+    const changeMultiPV = options.multiPV && this.hasOption('MultiPV');
+
+    if (changeMultiPV) {
+      await this.setOption('MultiPV', options.multiPV);
+    }
+
+    try {
+      return await this.search(options);
+    } finally {
+      // Restore original MultiPV; a crashed engine gets it back when restarted
+      if (changeMultiPV && this.process) {
+        await this.setOption('MultiPV', originalMultiPV);
+      } else if (changeMultiPV) {
+        this.optionValues.set(this.options.get('multipv').name, String(originalMultiPV));
+      }
+    }
+  }
+
+  /**
+   * Run one `go` command and wait for bestmove
+   * @param {Object} options - Search options
+   * @returns {Promise<Object>}
+   */
+  search(options) {
+    this.resetSearchState();
+
+    return new Promise((resolve, reject) => {
+      // Set timeout
+      const timer = options.infinite
+        ? null
+        : setTimeout(() => {
+            if (this.currentSearch) {
+              this.stop();
+              reject(new Error('Search timeout'));
+              this.currentSearch = null;
+            }
+          }, this.getSearchTimeout(options));
+
+      this.currentSearch = {
+        resolve: (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+
+      this.sendCommand(this.buildGoCommand(options)).catch((error) => {
+        this.currentSearch?.reject(error);
+        this.currentSearch = null;
+      });
+    });
+  }
+
+  /**
+   * Forget the lines of the previous search before a new `go`
+   */
+  resetSearchState() {
+    this.evaluation = null;
+    this.pvLines.clear();
+    this.moveStats.clear();
+  }
+
+  async getCandidateMoves(count = 3, options = {}) {
+    const result = await this.getBestMove({ ...options, multiPV: count });
+
+    if (result.candidates && result.candidates.length > 0) {
+      return result.candidates.slice(0, count);
+    }
+
+    return [
+      {
+        move: result.move,
+        evaluation: result.evaluation?.score || 0,
+        pv: result.evaluation?.pv || [result.move],
+        depth: result.evaluation?.depth,
+      },
+    ];
+  }
+
+  async stop() {
+    await this.sendCommand('stop');
+  }
+
+  async quit() {
+    const child = this.process;
+    if (child) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      await this.sendCommand('quit');
+      this.process = null;
+      this.isReady = false;
+
+      // Let the engine exit on its own before killing it
+      let timer;
+      await Promise.race([
+        exited,
+        new Promise((resolve) => (timer = setTimeout(resolve, QUIT_TIMEOUT))),
+      ]);
+      clearTimeout(timer);
+      child.kill();
+    }
+    this.transcript?.close();
+  }
+
+  /**
+   * Get engine info for display
+   */
+  getInfo() {
+    return {
+      name: this.engineId.name || this.displayName,
+      author: this.engineId.author,
+      type: 'uci',
+      options: this.getOptions().map((option) => option.name),
+    };
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * UCI Info Parsing
+ * Turns `info ...` lines from any UCI engine into one typed structure
+ */
+
+import { mateScore } from '../chess/score.js';
+
+/**
+ * @typedef {Object} Wdl
+ * @property {number} win - Probability 0..1 for the side to move
+ * @property {number} draw
+ * @property {number} loss
+ */
+
+/**
+ * @typedef {Object} MoveStats
+ * Lc0 per-move statistics from `info string` (VerboseMoveStats)
+ * @property {string} move - UCI move, or 'node' for the root summary
+ * @property {number} visits - N
+ * @property {number} inFlight - Visits still being evaluated
+ * @property {number|null} policy - P, prior probability 0..1
+ * @property {number|null} q - Q, expected outcome -1..1
+ * @property {number|null} wl - WL, win minus loss
+ * @property {number|null} d - D, draw probability
+ * @property {number|null} m - M, moves left estimate
+ * @property {number|null} u - U, exploration term
+ * @property {number|null} s - S, selection score
+ * @property {number|null} v - V, raw network value (null before evaluation)
+ */
+
+/**
+ * @typedef {Object} UciInfo
+ * Only fields present in the line are set.
+ * @property {number} [depth]
+ * @property {number} [seldepth]
+ * @property {number} [multipv]
+ * @property {number} [score] - Pawns from the side to move; mate in n is 10000 - n, mated in n is -10000 + n
+ * @property {number} [cp] - Raw centipawn score
+ * @property {number} [mate] - Moves to mate, negative when getting mated
+ * @property {'lower'|'upper'} [bound] - The score is only a lower or upper bound
+ * @property {Wdl} [wdl]
+ * @property {number} [nodes]
+ * @property {number} [nps]
+ * @property {number} [time] - Milliseconds
+ * @property {number} [hashfull] - Per mille
+ * @property {number} [tbhits]
+ * @property {number} [sbhits]
+ * @property {number} [cpuload] - Per mille
+ * @property {string[]} [pv]
+ * @property {string[]} [refutation]
+ * @property {{ cpu: number|null, moves: string[] }} [currline]
+ * @property {string} [currmove]
+ * @property {number} [currmovenumber]
+ * @property {string} [string] - Free text, always the rest of the line
+ * @property {MoveStats} [moveStats] - Set when `string` holds Lc0 move statistics
+ */
+
+const INTEGER_FIELDS = [
+  'depth',
+  'seldepth',
+  'multipv',
+  'nodes',
+  'nps',
+  'time',
+  'hashfull',
+  'tbhits',
+  'sbhits',
+  'cpuload',
+  'currmovenumber',
+];
+
+const MOVE_PATTERN = /^(?:[a-h][1-8][a-h][1-8][qrbn]?|0000)$/;
+
+const LC0_STATS_PATTERN = /^(\S+)\s+\(\s*\d+\s*\)\s+N:\s*(\d+)\s+\(\+\s*(\d+)\)(.*)$/;
+const LC0_STAT_FIELDS = { P: 'policy', Q: 'q', WL: 'wl', D: 'd', M: 'm', U: 'u', S: 's', V: 'v' };
+
+/**
+ * Parse an integer token
+ * @param {string} token - Raw token
+ * @returns {number|undefined} undefined if the token is missing or not a number
+ */
+function parseInteger(token) {
+  const value = parseInt(token);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Read consecutive UCI moves starting at an index
+ * @returns {string[]}
+ */
+function readMoves(tokens, start) {
+  const moves = [];
+  for (let i = start; i < tokens.length && MOVE_PATTERN.test(tokens[i]); i++) {
+    moves.push(tokens[i]);
+  }
+  return moves;
+}
+
+/**
+ * Parse Lc0's verbose move statistics, e.g.
+ * `d2d4  (293 ) N:     120 (+ 0) (P: 22.41%) (WL:  0.02862) (D: 0.376) ... (V:  0.0257)`
+ * @param {string} text - Text after `info string`
+ * @returns {MoveStats|null}
+ */
+export function parseLc0MoveStats(text) {
+  const match = text.trim().match(LC0_STATS_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, move, visits, inFlight, rest] = match;
+  const stats = {
+    move,
+    visits: parseInt(visits),
+    inFlight: parseInt(inFlight),
+    ...Object.fromEntries(Object.values(LC0_STAT_FIELDS).map((field) => [field, null])),
+  };
+
+  for (const [, key, value] of rest.matchAll(/\(([A-Za-z+]+):\s*(-?[\d.]+|-\.-+)%?\)/g)) {
+    const field = LC0_STAT_FIELDS[key];
+    const number = parseFloat(value);
+    if (field && !Number.isNaN(number)) {
+      stats[field] = key === 'P' ? Number((number / 100).toFixed(6)) : number;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Parse a UCI `info` line. Malformed or missing values are left out rather
+ * than reported as NaN.
+ * @param {string} line - Raw engine output line
+ * @returns {UciInfo}
+ */
+export function parseInfoLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  const info = {};
+
+  for (let i = tokens[0] === 'info' ? 1 : 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (INTEGER_FIELDS.includes(token)) {
+      const value = parseInteger(tokens[i + 1]);
+      if (value !== undefined) {
+        info[token] = value;
+        i++;
+      }
+      continue;
+    }
+
+    switch (token) {
+      case 'score': {
+        const value = parseInteger(tokens[i + 2]);
+        if (value === undefined) {
+          break;
+        }
+        if (tokens[i + 1] === 'cp') {
+          info.cp = value;
+          info.score = value / 100;
+        } else if (tokens[i + 1] === 'mate') {
+          info.mate = value;
+          info.score = mateScore(value);
+        } else {
+          break;
+        }
+        i += 2;
+        if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+          info.bound = tokens[i + 1] === 'lowerbound' ? 'lower' : 'upper';
+          i++;
+        }
+        break;
+      }
+
+      case 'wdl': {
+        // Win-Draw-Loss probabilities (per mille)
+        const values = tokens.slice(i + 1, i + 4).map((value) => parseInteger(value));
+        if (values.length === 3 && values.every((value) => value !== undefined)) {
+          const [win, draw, loss] = values;
+          info.wdl = { win: win / 1000, draw: draw / 1000, loss: loss / 1000 };
+          i += 3;
+        }
+        break;
+      }
+
+      case 'pv':
+      case 'refutation': {
+        const moves = readMoves(tokens, i + 1);
+        info[token] = moves;
+        i += moves.length;
+        break;
+      }
+
+      case 'currline': {
+        // Optional CPU number, then moves
+        const cpu = parseInteger(tokens[i + 1]);
+        const start = cpu !== undefined && !MOVE_PATTERN.test(tokens[i + 1]) ? i + 2 : i + 1;
+        const moves = readMoves(tokens, start);
+        info.currline = { cpu: start === i + 2 ? cpu : null, moves };
+        i = start + moves.length - 1;
+        break;
+      }
+
+      case 'currmove':
+        if (MOVE_PATTERN.test(tokens[i + 1] || '')) {
+          info.currmove = tokens[++i];
+        }
+        break;
+
+      case 'string': {
+        // The rest of the line, spacing included
+        const text = line.trim().replace(/^(?:info\s+)?(?:.*?\s)?string\s?/, '');
+        info.string = text;
+        const moveStats = parseLc0MoveStats(text);
+        if (moveStats) {
+          info.moveStats = moveStats;
+        }
+        i = tokens.length;
+        break;
+      }
+    }
+  }
+
+  return info;
+}
@@ -0,0 +1,166 @@
+/**
+ * UCI Transcripts
+ * Records every command sent to an engine and every line it prints, and
+ * replays a recording through the UCI parser so a bug report can be
+ * reproduced without the engine that produced it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { UciEngine } from './uciEngine.js';
+
+const DIRECTIONS = { '>': 'send', '<': 'recv', '!': 'stderr' };
+
+export class UciTranscript {
+  /**
+   * @param {Object} config - { path: JSON-lines file to append to (omit to keep entries
+   *   in memory), engine: name stored with the recording }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.entries = [];
+    this.startedAt = Date.now();
+    this.fd = null;
+  }
+
+  /**
+   * Transcript file for an engine in a directory, named after the engine and start time
+   * @param {string} dir - Directory to write to
+   * @param {string} engine - Engine name
+   * @returns {UciTranscript}
+   */
+  static inDirectory(dir, engine) {
+    const slug = engine.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.mkdirSync(dir, { recursive: true });
+    return new UciTranscript({ path: path.join(dir, `${slug}-${stamp}.jsonl`), engine });
+  }
+
+  /**
+   * Record one line
+   * @param {string} direction - 'send', 'recv' or 'stderr'
+   * @param {string} line - Command or engine output, without the newline
+   */
+  record(direction, line) {
+    const entry = { t: Date.now() - this.startedAt, dir: direction, line };
+
+    if (!this.config.path) {
+      this.entries.push(entry);
+      return;
+    }
+
+    // Synchronous so the lines before a crash or process.exit() are on disk
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.config.path, 'a');
+      if (fs.fstatSync(this.fd).size === 0) {
+        this.writeLine({ engine: this.config.engine || null, started: new Date().toISOString() });
+      }
+    }
+    this.writeLine(entry);
+  }
+
+  writeLine(object) {
+    fs.writeSync(this.fd, `${JSON.stringify(object)}\n`);
+  }
+
+  /**
+   * Close the file; later records reopen it and append
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Read a recording: JSON lines as written by UciTranscript, or plain text with
+ * '> ' before commands and '< ' before engine output, as pasted into bug reports
+ * @param {string} text - File contents
+ * @returns {Object} { engine, entries: [{ t, dir, line }] }
+ * @throws {Error} Naming the first line that is neither
+ */
+export function parseTranscript(text) {
+  let engine = null;
+  const entries = [];
+
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      return;
+    }
+
+    if (line.startsWith('{')) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+      }
+      if (entry.dir) {
+        entries.push({ t: entry.t ?? null, dir: entry.dir, line: entry.line });
+      } else if (entry.engine) {
+        ({ engine } = entry);
+      }
+      return;
+    }
+
+    const direction = DIRECTIONS[line[0]];
+    if (!direction) {
+      throw new Error(`Line ${index + 1}: expected '> command', '< output' or a JSON entry`);
+    }
+    entries.push({ t: null, dir: direction, line: line.slice(1).trim() });
+  });
+
+  return { engine, entries };
+}
+
+/**
+ * Feed a recording through the same parser a live engine uses
+ * @param {Array<Object>} entries - From parseTranscript() or UciTranscript.entries
+ * @param {Object} options - { name }
+ * @returns {Object} { engine: { name, author }, options (declared), searches: [{ position, go,
+ *   result (as from getBestMove, null if bestmove never came) }], errors: [{ index, line, error }] }
+ */
+export function replayTranscript(entries, options = {}) {
+  // Never started: output lines are handed straight to the parser
+  const engine = new UciEngine({ name: options.name || 'Replay' });
+  const searches = [];
+  const errors = [];
+  let position = null;
+
+  entries.forEach(({ dir, line }, index) => {
+    if (dir === 'send') {
+      if (line.startsWith('position ')) {
+        position = line.slice('position '.length);
+      } else if (line.startsWith('go')) {
+        const search = { position, go: line, result: null };
+        searches.push(search);
+        engine.resetSearchState();
+        engine.currentSearch = {
+          resolve: (result) => {
+            search.result = result;
+          },
+          reject: () => {},
+        };
+      }
+      return;
+    }
+
+    if (dir === 'recv') {
+      try {
+        engine.handleEngineMessage(line);
+      } catch (error) {
+        errors.push({ index, line, error: error.message });
+      }
+    }
+  });
+
+  return {
+    engine: { ...engine.engineId },
+    options: engine.getOptions(),
+    searches,
+    errors,
+  };
+}
@@ -0,0 +1,374 @@
+/**
+ * EPD Test Suite Module
+ * Runs tactical/positional test suites (WAC, STS, Arasan style) against
+ * configured engines and scores best-move (bm) and avoid-move (am) answers
+ */
+
+import { EngineManager } from './engineManager.js';
+import { Position } from './chess/position.js';
+import { findSanMove, findUciMove, moveToSan, moveToUci } from './chess/notation.js';
+import { logger } from './logger.js';
+import { ENGINES_CONFIG, getEngineManagerConfig } from '../config/engines.config.js';
+
+export const EPD_SUITE_DEFAULTS = {
+  timeControl: { type: 'movetime', movetime: 1000 },
+};
+
+/**
+ * Split the operation part of an EPD line into opcodes and operands
+ * @param {string} text - Everything after the four position fields
+ * @returns {Object} opcode -> array of operands
+ */
+function parseOperations(text) {
+  const operations = {};
+  const tokens = text.match(/"[^"]*"|;|[^\s;]+/g) || [];
+  let current = null;
+
+  for (const token of tokens) {
+    if (token === ';') {
+      current = null;
+    } else if (current === null) {
+      current = token;
+      operations[current] = [];
+    } else {
+      operations[current].push(token.startsWith('"') ? token.slice(1, -1) : token);
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Read a move given in SAN or UCI
+ * @returns {Object|null} Move object
+ */
+function findMove(position, text) {
+  return findSanMove(position, text) || findUciMove(position, text);
+}
+
+/**
+ * Parse one EPD record
+ * @param {string} line - EPD line, e.g. `<fen fields> bm Qg6; id "WAC.003";`
+ * @returns {Object} { fen, id, bm, am, bmSan, amSan, points, operations } with moves in UCI
+ * @throws {Error} If the position or a bm/am move is invalid
+ */
+export function parseEpd(line) {
+  const fields = line.trim().split(/\s+/);
+  const operations = parseOperations(fields.slice(4).join(' '));
+  const halfmove = operations.hmvc?.[0] || '0';
+  const fullmove = operations.fmvn?.[0] || '1';
+  const position = new Position([...fields.slice(0, 4), halfmove, fullmove].join(' '));
+  const id = operations.id?.[0] || null;
+
+  const readMoves = (opcode) =>
+    (operations[opcode] || []).map((text) => {
+      const move = findMove(position, text);
+      if (!move) {
+        throw new Error(`${id || 'EPD'}: illegal ${opcode} move '${text}'`);
+      }
+      return { uci: moveToUci(move), san: moveToSan(position, move) };
+    });
+
+  const bm = readMoves('bm');
+  const am = readMoves('am');
+
+  // STS-style partial credit: c0 "f4=10, Kg2=3, ..."
+  const points = new Map();
+  for (const [, text, value] of (operations.c0?.[0] || '').matchAll(/([^\s,=]+)=(\d+)/g)) {
+    const move = findMove(position, text);
+    if (move) {
+      points.set(moveToUci(move), Number(value));
+    }
+  }
+
+  return {
+    fen: position.toFen(),
+    id,
+    bm: bm.map((move) => move.uci),
+    am: am.map((move) => move.uci),
+    bmSan: bm.map((move) => move.san),
+    amSan: am.map((move) => move.san),
+    points,
+    operations,
+  };
+}
+
+/**
+ * Parse an EPD file; blank lines and lines starting with '#' are ignored
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Parsed records (see parseEpd)
+ * @throws {Error} Naming the line of the first invalid record
+ */
+export function parseEpdSuite(text) {
+  return text
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      try {
+        const record = parseEpd(line);
+        if (record.bm.length === 0 && record.am.length === 0) {
+          throw new Error('no bm or am opcode');
+        }
+        return record;
+      } catch (error) {
+        throw new Error(`Line ${number}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Whether a move answers a test position
+ * @param {Object} record - Parsed EPD record
+ * @param {string} move - Move in UCI
+ * @returns {boolean}
+ */
+export function isSolution(record, move) {
+  return (record.bm.length === 0 || record.bm.includes(move)) && !record.am.includes(move);
+}
+
+export class EpdSuiteRunner {
+  constructor(config = {}) {
+    this.config = {
+      ...EPD_SUITE_DEFAULTS,
+      engines: [],
+      positions: [],
+      ...config,
+    };
+
+    if (this.config.timeControl.type === 'clock') {
+      throw new Error('EPD suites need a fixed movetime, depth or nodes limit');
+    }
+
+    // Pools may repeat ids to weight selection; each engine runs the suite once
+    this.engineIds = [...new Set(this.config.engines)];
+    this.managers = new Map();
+    this.results = [];
+    this.logger = logger.child('epd');
+  }
+
+  /**
+   * Start every engine under test
+   */
+  async init() {
+    if (this.engineIds.length === 0) {
+      throw new Error('No engines selected for the EPD suite');
+    }
+
+    for (const engineId of this.engineIds) {
+      if (!ENGINES_CONFIG[engineId]) {
+        throw new Error(`Engine configuration not found: ${engineId}`);
+      }
+
+      this.logger.info(`Initializing engine: ${engineId} (${ENGINES_CONFIG[engineId].name})`);
+      const manager = new EngineManager({
+        ...getEngineManagerConfig(engineId),
+        logger: this.logger.child(engineId),
+      });
+      await manager.init();
+      this.managers.set(engineId, manager);
+    }
+  }
+
+  /**
+   * Search options for the configured limit
+   */
+  getSearchOptions() {
+    const { timeControl } = this.config;
+    switch (timeControl.type) {
+      case 'movetime':
+        return { time: timeControl.movetime };
+      case 'depth':
+        return { depth: timeControl.depth };
+      case 'nodes':
+        return { nodes: timeControl.nodes };
+      default:
+        throw new Error(`Unsupported limit for EPD suites: ${timeControl.type}`);
+    }
+  }
+
+  /**
+   * Run every position through every engine
+   * @param {Function} onResult - Optional callback after each position
+   * @returns {Promise<Array>} Results
+   */
+  async run(onResult = null) {
+    const { positions } = this.config;
+    this.logger.info(
+      `EPD suite: ${positions.length} positions, ${this.engineIds.length} engine(s)`
+    );
+
+    for (const engineId of this.engineIds) {
+      for (let i = 0; i < positions.length; i++) {
+        const result = await this.solvePosition(engineId, positions[i], i);
+        this.results.push(result);
+
+        this.logger.info(
+          `${engineId} ${result.id}: ${result.solved ? 'solved' : 'failed'} ` +
+            `(${result.bestMoveSan || result.bestMove}, expected ${result.expected})`
+        );
+
+        if (onResult) {
+          await onResult(result);
+        }
+      }
+    }
+
+    return this.results;
+  }
+
+  /**
+   * Search one position, tracking when the engine settled on a correct move
+   * @param {string} engineId - Engine under test
+   * @param {Object} record - Parsed EPD record
+   * @param {number} index - Position index in the suite
+   * @returns {Promise<Object>}
+   */
+  async solvePosition(engineId, record, index) {
+    const manager = this.managers.get(engineId);
+    const startTime = Date.now();
+    let solvedAt = null;
+    let solvedDepth = null;
+
+    // The final answer counts only if the engine never switched away from it again
+    const stream = manager.analyzeStream(record.fen, this.getSearchOptions());
+    for await (const update of stream) {
+      if (update.multipv !== 1 || !update.pv?.length) {
+        continue;
+      }
+      if (isSolution(record, canonicalMove(record.fen, update.pv[0]))) {
+        if (solvedAt === null) {
+          solvedAt = update.time ?? Date.now() - startTime;
+          solvedDepth = update.depth ?? null;
+        }
+      } else {
+        solvedAt = null;
+        solvedDepth = null;
+      }
+    }
+
+    const analysis = await stream.result;
+    const bestMove = canonicalMove(record.fen, analysis.bestMove);
+    const solved = isSolution(record, bestMove);
+    const maxPoints = record.points.size > 0 ? Math.max(...record.points.values()) : 1;
+
+    return {
+      engineId,
+      index,
+      id: record.id || `#${index + 1}`,
+      fen: record.fen,
+      bestMove,
+      bestMoveSan: analysis.bestMoveSan,
+      expected: [...record.bmSan, ...record.amSan.map((san) => `not ${san}`)].join(' '),
+      solved,
+      points: record.points.size > 0 ? record.points.get(bestMove) || 0 : Number(solved),
+      maxPoints,
+      timeToSolution: solved ? (solvedAt ?? analysis.analysisTime) : null,
+      depthToSolution: solved ? (solvedDepth ?? analysis.depth) : null,
+      evaluation: analysis.evaluation,
+      depth: analysis.depth,
+      time: analysis.analysisTime,
+    };
+  }
+
+  /**
+   * Aggregate scores per engine
+   * @returns {Array<Object>} { engineId, name, positions, solved, failed, percent, points,
+   *   maxPoints, averageTimeToSolution }
+   */
+  getSummary() {
+    return this.engineIds.map((engineId) => {
+      const results = this.results.filter((result) => result.engineId === engineId);
+      const solved = results.filter((result) => result.solved);
+      const solveTimes = solved.map((result) => result.timeToSolution);
+
+      return {
+        engineId,
+        name: ENGINES_CONFIG[engineId]?.name || engineId,
+        positions: results.length,
+        solved: solved.length,
+        failed: results.length - solved.length,
+        percent: results.length > 0 ? (solved.length / results.length) * 100 : 0,
+        points: results.reduce((sum, result) => sum + result.points, 0),
+        maxPoints: results.reduce((sum, result) => sum + result.maxPoints, 0),
+        averageTimeToSolution:
+          solveTimes.length > 0
+            ? Math.round(solveTimes.reduce((sum, time) => sum + time, 0) / solveTimes.length)
+            : null,
+      };
+    });
+  }
+
+  /**
+   * Per-position results and totals as a printable text table
+   * @returns {string}
+   */
+  formatReport() {
+    const { positions } = this.config;
+    const idWidth = Math.max(4, ...this.results.map((result) => result.id.length));
+    const columnWidth = Math.max(16, ...this.engineIds.map((id) => id.length));
+    const lines = [];
+
+    lines.push(
+      ['Position'.padEnd(idWidth), ...this.engineIds.map((id) => id.padStart(columnWidth))].join(
+        '  '
+      )
+    );
+
+    positions.forEach((_, index) => {
+      const row = this.results.filter((result) => result.index === index);
+      if (row.length === 0) {
+        return;
+      }
+      const cells = this.engineIds.map((engineId) => {
+        const result = row.find((entry) => entry.engineId === engineId);
+        if (!result) return ''.padStart(columnWidth);
+        const cell = result.solved
+          ? `ok ${(result.timeToSolution / 1000).toFixed(2)}s`
+          : `-- ${result.bestMoveSan || result.bestMove}`;
+        return cell.padStart(columnWidth);
+      });
+      lines.push([row[0].id.padEnd(idWidth), ...cells].join('  '));
+    });
+
+    lines.push('');
+    for (const summary of this.getSummary()) {
+      const points =
+        summary.maxPoints !== summary.positions
+          ? `, ${summary.points}/${summary.maxPoints} pts`
+          : '';
+      const time =
+        summary.averageTimeToSolution !== null
+          ? `, avg time-to-solution ${(summary.averageTimeToSolution / 1000).toFixed(2)}s`
+          : '';
+      lines.push(
+        `${summary.engineId}: ${summary.solved}/${summary.positions} solved ` +
+          `(${summary.percent.toFixed(1)}%)${points}${time}`
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Shut down every engine
+   */
+  async cleanup() {
+    for (const [id, manager] of this.managers) {
+      try {
+        await manager.quit();
+      } catch (error) {
+        this.logger.error(`Error cleaning up engine ${id}`, { error });
+      }
+    }
+    this.managers.clear();
+  }
+}
+
+/**
+ * Engine move in standard UCI form (king-takes-rook castling becomes king to target square)
+ */
+function canonicalMove(fen, uci) {
+  const move = findUciMove(new Position(fen), uci);
+  return move ? moveToUci(move) : uci;
+}
@@ -3,9 +3,12 @@
  * Responsible for extracting FEN strings from the Chess.com board
  */
 
+import { logger } from './logger.js';
+
 export class FenExtractor {
   constructor(page) {
     this.page = page;
+    this.logger = logger.child('fen');
   }
 
   /**
@@ -97,7 +100,7 @@ export class FenExtractor {
 
       return fen;
     } catch (error) {
-      console.error('Error extracting FEN:', error);
+      this.logger.error('Error extracting FEN', { error });
       throw error;
     }
   }
@@ -0,0 +1,441 @@
+/**
+ * Game Database
+ * Local store of PGN games, one JSON object per line, with every position
+ * indexed by its Polyglot key. Games can be searched by position, material,
+ * player, ECO code, date and result, exported back to PGN, and the matched
+ * positions handed to an EngineManager (each result carries its FEN).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Chess } from 'chess.js';
+import { Position, START_FEN } from './chess/position.js';
+import { findSanMove } from './chess/notation.js';
+import { polyglotKey } from './chess/zobrist.js';
+import { formatPgnGame, splitPgnGames } from './pgn.js';
+import { logger } from './logger.js';
+import { GAME_DATABASE } from '../config/constants.js';
+
+const PIECE_ORDER = 'KQRBNP';
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+/**
+ * Material of a position as white's pieces, 'v', black's pieces, strongest first
+ * (e.g. 'KRPPvKR')
+ * @param {Position|string} position - Position or FEN
+ * @returns {string}
+ */
+export function materialSignature(position) {
+  const pos = position instanceof Position ? position : new Position(position);
+  const sides = { w: [], b: [] };
+  for (const piece of pos.board) {
+    if (piece) {
+      sides[piece === piece.toUpperCase() ? 'w' : 'b'].push(piece.toUpperCase());
+    }
+  }
+  const sort = (pieces) =>
+    pieces.sort((a, b) => PIECE_ORDER.indexOf(a) - PIECE_ORDER.indexOf(b)).join('');
+  return `${sort(sides.w)}v${sort(sides.b)}`;
+}
+
+/**
+ * Parse a material query. Each side lists its pieces; a side ending in '+' may
+ * have more pieces than listed, and an empty side matches anything. 'KRvKR'
+ * matches only rook endings, 'KQ+vKQ+' any position with queens on both sides.
+ * @param {string} text - Query such as 'KRPvKR' or 'KQ+v'
+ * @returns {Function} Test taking a signature from materialSignature()
+ * @throws {Error} If the query is malformed
+ */
+export function parseMaterialQuery(text) {
+  const sides = String(text).toUpperCase().split('V');
+  if (sides.length !== 2 || !sides.every((side) => /^[KQRBNP]*\+?$/.test(side))) {
+    throw new Error(`Invalid material query '${text}' (expected e.g. KRPvKR or KQ+vKQ+)`);
+  }
+
+  const rules = sides.map((side) => ({
+    counts: countPieces(side.replace('+', '')),
+    atLeast: side.endsWith('+') || side === '',
+  }));
+
+  return (signature) =>
+    signature.split('v').every((side, index) => {
+      const { counts, atLeast } = rules[index];
+      const actual = countPieces(side);
+      return [...PIECE_ORDER].every((piece) =>
+        atLeast ? actual[piece] >= counts[piece] : actual[piece] === counts[piece]
+      );
+    });
+}
+
+export class GameDatabase {
+  /**
+   * @param {Object} config - { path: JSON-lines file (omit for memory only) }
+   */
+  constructor(config = {}) {
+    this.config = {
+      path: null,
+      ...config,
+    };
+
+    this.games = [];
+    this.byId = new Map();
+    this.positions = new Map(); // Polyglot key (hex) -> [[game index, ply], ...]
+    this.hashes = new Set(); // identifies games already imported
+    this.nextId = 1;
+    this.writes = Promise.resolve();
+    this.logger = logger.child('database');
+  }
+
+  /**
+   * Read the database file. Malformed lines are skipped.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.config.path) {
+      return;
+    }
+
+    let text;
+    try {
+      text = await fs.readFile(this.config.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.insert(JSON.parse(line));
+      } catch {
+        // Ignore lines damaged by an interrupted write
+      }
+    }
+  }
+
+  /**
+   * Add the games of a PGN file's contents. Games already in the database (same
+   * players, date, round and moves) are skipped.
+   * @param {string} pgnText - One or more games
+   * @param {Object} options - { source: stored with each game, e.g. the file name }
+   * @returns {Promise<Object>} { imported, duplicates, errors: [{ game (1-based), error }] }
+   */
+  async importPgn(pgnText, options = {}) {
+    const stats = { imported: 0, duplicates: 0, errors: [] };
+    const records = [];
+
+    splitPgnGames(pgnText).forEach((pgn, index) => {
+      let record;
+      try {
+        record = buildRecord(pgn, this.nextId, options.source);
+      } catch (error) {
+        stats.errors.push({ game: index + 1, error: error.message });
+        return;
+      }
+
+      if (this.hashes.has(gameHash(record))) {
+        stats.duplicates++;
+        return;
+      }
+      this.insert(record);
+      records.push(record);
+      stats.imported++;
+    });
+
+    if (this.config.path && records.length > 0) {
+      await this.write(async () => {
+        await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+        await fs.appendFile(
+          this.config.path,
+          records.map((record) => `${JSON.stringify(record)}\n`).join('')
+        );
+      });
+    }
+
+    this.logger.info(`Imported ${stats.imported} game(s)`, {
+      source: options.source,
+      duplicates: stats.duplicates,
+      errors: stats.errors.length,
+    });
+    return stats;
+  }
+
+  /**
+   * Index a stored game in memory
+   */
+  insert(record) {
+    const index = this.games.length;
+    this.games.push(record);
+    this.byId.set(record.id, record);
+    this.nextId = Math.max(this.nextId, record.id + 1);
+    this.hashes.add(gameHash(record));
+
+    record.keys.forEach((key, ply) => {
+      if (!this.positions.has(key)) {
+        this.positions.set(key, []);
+      }
+      this.positions.get(key).push([index, ply]);
+    });
+  }
+
+  /**
+   * Queue a file operation so appends never interleave
+   */
+  write(operation) {
+    this.writes = this.writes.then(operation, operation);
+    return this.writes;
+  }
+
+  /**
+   * Find games, or positions in games. All given criteria must hold.
+   * @param {Object} query - { fen: position reached (any move order), material: see
+   *   parseMaterialQuery(), player (either side), white, black: name substrings, eco: code
+   *   prefix ('B2') or range ('B20-B29'), dateFrom, dateTo: 'YYYY[.MM[.DD]]', result, limit }
+   * @returns {Array<Object>} { id, headers, ply, fen, nextMove } per game, oldest import first;
+   *   with fen or material, ply and fen are the first matching position (ply 0 is the start)
+   *   and nextMove the move played from it, otherwise they are null
+   * @throws {Error} If the FEN or material query is invalid
+   */
+  search(query = {}) {
+    const limit = query.limit || GAME_DATABASE.SEARCH_LIMIT;
+    const matchesGame = gameFilter(query);
+    const matchesMaterial = query.material ? parseMaterialQuery(query.material) : null;
+    const results = [];
+
+    // Position searches only visit the games that reached the position
+    let candidates = this.games.map((game, index) => [index, null]);
+    if (query.fen) {
+      const key = hexKey(new Position(query.fen));
+      const seen = new Set();
+      candidates = (this.positions.get(key) || []).filter(([index]) => {
+        const first = !seen.has(index);
+        seen.add(index);
+        return first;
+      });
+    }
+
+    for (const [index, positionPly] of candidates) {
+      const game = this.games[index];
+      if (!matchesGame(game)) {
+        continue;
+      }
+
+      let ply = positionPly;
+      if (matchesMaterial) {
+        ply = findMaterialPly(game, matchesMaterial, positionPly);
+        if (ply === null) {
+          continue;
+        }
+      }
+
+      results.push({
+        id: game.id,
+        headers: game.headers,
+        ply,
+        fen: ply === null ? null : this.positionAt(game, ply),
+        nextMove: ply === null ? null : game.moves[ply] || null,
+      });
+      if (results.length >= limit) {
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * A stored game
+   * @param {number} id - Game id
+   * @returns {Object|null} { id, source, headers, startFen, moves (SAN), keys, material }
+   */
+  getGame(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * FEN after a number of plies of a game
+   * @param {Object|number} game - Stored game or its id
+   * @param {number} ply - 0 for the starting position
+   * @returns {string}
+   */
+  positionAt(game, ply) {
+    const record = typeof game === 'number' ? this.getGame(game) : game;
+    const position = new Position(record.startFen || START_FEN);
+    for (const san of record.moves.slice(0, ply)) {
+      position.makeMove(findSanMove(position, san));
+    }
+    return position.toFen();
+  }
+
+  /**
+   * Games of search results (or ids) as PGN, each game once
+   * @param {Array<Object|number>} results - From search(), or game ids
+   * @returns {string}
+   */
+  exportPgn(results) {
+    const ids = [
+      ...new Set(results.map((result) => (typeof result === 'number' ? result : result.id))),
+    ];
+    return ids
+      .map((id) => this.getGame(id))
+      .filter(Boolean)
+      .map((game) => {
+        const [, turn, , , , moveNumber] = (game.startFen || START_FEN).split(' ');
+        return formatPgnGame(
+          game.headers,
+          game.moves.map((san) => ({ san })),
+          { startColor: turn, startMoveNumber: Number(moveNumber) || 1 }
+        );
+      })
+      .join('\n');
+  }
+
+  /**
+   * Size of the database
+   * @returns {Object} { games, positions (distinct) }
+   */
+  getStatistics() {
+    return { games: this.games.length, positions: this.positions.size };
+  }
+}
+
+/**
+ * Parse one game into a stored record
+ * @throws {Error} If chess.js cannot read the game
+ */
+function buildRecord(pgn, id, source) {
+  const chess = new Chess();
+  chess.loadPgn(pgn);
+
+  const headers = chess.getHeaders();
+  const history = chess.history({ verbose: true });
+  const startFen = history[0]?.before || chess.fen();
+  const fens = [startFen, ...history.map((move) => move.after)];
+
+  const keys = [];
+  const material = []; // [ply, signature] wherever the material changes
+  fens.forEach((fen, ply) => {
+    const position = new Position(fen);
+    keys.push(hexKey(position));
+    const signature = materialSignature(position);
+    if (material.length === 0 || material.at(-1)[1] !== signature) {
+      material.push([ply, signature]);
+    }
+  });
+
+  return {
+    id,
+    source: source || null,
+    headers,
+    startFen: startFen === START_FEN ? null : startFen,
+    moves: history.map((move) => move.san),
+    keys,
+    material,
+  };
+}
+
+function hexKey(position) {
+  return polyglotKey(position).toString(16).padStart(16, '0');
+}
+
+function gameHash({ headers, moves }) {
+  const identity = [headers.White, headers.Black, headers.Date, headers.Round, moves.join(' ')];
+  return crypto.createHash('sha1').update(identity.join('|')).digest('hex');
+}
+
+function countPieces(text) {
+  const counts = Object.fromEntries([...PIECE_ORDER].map((piece) => [piece, 0]));
+  for (const piece of text) {
+    counts[piece]++;
+  }
+  return counts;
+}
+
+/**
+ * First ply whose material matches, at or after `from` when a position was already
+ * matched (then only that ply counts)
+ */
+function findMaterialPly(game, matches, from) {
+  if (from !== null) {
+    const [, signature] = game.material.findLast(([ply]) => ply <= from);
+    return matches(signature) ? from : null;
+  }
+  const run = game.material.find(([, signature]) => matches(signature));
+  return run ? run[0] : null;
+}
+
+/**
+ * Test for the header criteria of a query
+ */
+function gameFilter(query) {
+  const contains = (value, part) =>
+    String(value || '')
+      .toLowerCase()
+      .includes(String(part).toLowerCase());
+  const dateFrom = query.dateFrom ? padDate(query.dateFrom, '00') : null;
+  const dateTo = query.dateTo ? padDate(query.dateTo, '99') : null;
+
+  if (query.result && !RESULTS.includes(query.result)) {
+    throw new Error(`Invalid result '${query.result}' (expected ${RESULTS.join(', ')})`);
+  }
+  const eco = query.eco ? parseEcoQuery(query.eco) : null;
+
+  return ({ headers }) => {
+    if (
+      query.player &&
+      !contains(headers.White, query.player) &&
+      !contains(headers.Black, query.player)
+    ) {
+      return false;
+    }
+    if (query.white && !contains(headers.White, query.white)) {
+      return false;
+    }
+    if (query.black && !contains(headers.Black, query.black)) {
+      return false;
+    }
+    if (eco && !eco(headers.ECO)) {
+      return false;
+    }
+    if (query.result && headers.Result !== query.result) {
+      return false;
+    }
+    if (dateFrom || dateTo) {
+      // Unknown parts ('2023.??.??') count as the start of the period
+      const date = padDate(headers.Date || '', '00');
+      if (date.startsWith('0000') || (dateFrom && date < dateFrom) || (dateTo && date > dateTo)) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * ECO code test: 'B' or 'B2' match by prefix, 'B20-B29' as a range
+ */
+function parseEcoQuery(text) {
+  const query = String(text).toUpperCase();
+  const range = query.match(/^([A-E]\d\d)-([A-E]\d\d)$/);
+  if (range) {
+    return (eco) => Boolean(eco) && eco.toUpperCase() >= range[1] && eco.toUpperCase() <= range[2];
+  }
+  if (!/^[A-E]\d{0,2}$/.test(query)) {
+    throw new Error(`Invalid ECO query '${text}' (expected e.g. B2 or B20-B29)`);
+  }
+  return (eco) => Boolean(eco) && eco.toUpperCase().startsWith(query);
+}
+
+/**
+ * 'YYYY[.MM[.DD]]' as a comparable 'YYYY.MM.DD', missing or unknown parts filled in
+ */
+function padDate(text, fill) {
+  const [year = '', month = '', day = ''] = String(text).split(/[.\-/]/);
+  const part = (value, length) => (/^\d+$/.test(value) ? value.padStart(length, '0') : null);
+  return [part(year, 4) || '0000', part(month, 2) || fill, part(day, 2) || fill].join('.');
+}
@@ -0,0 +1,323 @@
+/**
+ * Game Review Module
+ * Replays finished games and annotates every move with engine evaluations
+ */
+
+import { Chess } from 'chess.js';
+import { Position } from './chess/position.js';
+import { uciToSan } from './chess/notation.js';
+import { MATE_SCORE, formatScore } from './chess/score.js';
+import {
+  formatPgnGame,
+  isChess960Game,
+  parsePgnHeaders,
+  readPgnGame,
+  splitPgnGames,
+} from './pgn.js';
+import { wdlOutcome } from './syzygy.js';
+import { logger } from './logger.js';
+import { NAGS, REVIEW_THRESHOLDS } from '../config/constants.js';
+
+const OUTCOMES = { 1: 'win', 0: 'draw', '-1': 'loss' };
+
+export class GameReview {
+  /**
+   * @param {EngineManager|AnalysisScheduler} engineManager - Initialized engine manager used
+   *   for analysis, or a started scheduler to evaluate positions on several engines at once
+   * @param {Object} config - Review options (depth, time, tablebase: an initialized
+   *   SyzygyTablebase for exact endgame results, concurrency: games reviewed at once, for a
+   *   scheduler, chess960: review every game as Chess960, not only those whose Variant tag
+   *   says so)
+   */
+  constructor(engineManager, config = {}) {
+    this.engineManager = engineManager;
+    this.config = {
+      depth: 15,
+      time: null,
+      tablebase: null,
+      concurrency: 1,
+      chess960: false,
+      ...config,
+    };
+    this.logger = logger.child('review');
+  }
+
+  /**
+   * Review every game in a PGN file's contents
+   * @param {string} pgnText - One or more games in PGN format
+   * @returns {Promise<Array>} Review results, one per game
+   */
+  async reviewPgn(pgnText) {
+    const games = splitPgnGames(pgnText);
+    const reviews = new Array(games.length);
+    let next = 0;
+
+    const reviewNext = async () => {
+      while (next < games.length) {
+        const index = next++;
+        this.logger.info(`Reviewing game ${index + 1}/${games.length}...`);
+        reviews[index] = await this.reviewGame(games[index]);
+      }
+    };
+    const lanes = Math.max(1, Math.min(this.config.concurrency, games.length));
+    await Promise.all(Array.from({ length: lanes }, reviewNext));
+
+    return reviews;
+  }
+
+  /**
+   * Review a single game
+   * @param {string} pgn - PGN text of one game
+   * @returns {Promise<Object>} { headers, moves, summary, annotatedPgn }
+   */
+  async reviewGame(pgn) {
+    const { headers, chess960, moves: history } = this.readGame(pgn);
+
+    if (history.length === 0) {
+      return {
+        headers,
+        moves: [],
+        summary: this.summarize([]),
+        annotatedPgn: formatPgnGame(headers, []),
+      };
+    }
+
+    // Evaluate every position once: before the first move and after each move
+    const fens = [history[0].before, ...history.map((move) => move.after)];
+    let evaluations = [];
+    if (this.config.concurrency > 1) {
+      // The scheduler queues them and spreads them over its instances
+      evaluations = await Promise.all(fens.map((fen) => this.evaluatePosition(fen, chess960)));
+    } else {
+      for (const fen of fens) {
+        evaluations.push(await this.evaluatePosition(fen, chess960));
+      }
+    }
+    const wdls = await this.probeTablebase(fens, chess960);
+
+    // Moves are book moves until the first one the engine manager's book does not know
+    let inBook = true;
+
+    const moves = history.map((move, index) => {
+      const before = evaluations[index];
+      const after = evaluations[index + 1];
+      const { uci } = move;
+      inBook =
+        inBook &&
+        this.engineManager
+          .getBookMoves(move.before, { chess960 })
+          .some((entry) => entry.move === uci);
+
+      // Scores are from the side to move, so the played move is seen from the opponent
+      const bestScore = toCentipawns(before.evaluation);
+      const playedScore = -toCentipawns(after.evaluation);
+      const cpLoss = inBook || uci === before.bestMove ? 0 : Math.max(0, bestScore - playedScore);
+
+      // Where the tablebases know both positions the result is exact: only a move that
+      // gives up a win or a draw is an error, whatever the centipawns say
+      const tablebase = tablebaseTransition(wdls[index], wdls[index + 1]);
+      let classification = this.classifyMove(cpLoss);
+      if (tablebase) {
+        classification = tablebase.before === tablebase.after ? null : 'blunder';
+      }
+
+      return {
+        ply: index + 1,
+        color: move.color,
+        san: move.san,
+        uci,
+        fenBefore: move.before,
+        bestMove: before.bestMove,
+        bestSan: toSan(move.before, before.bestMove, chess960),
+        evaluation: whitePerspective(-after.evaluation, move.color),
+        bestScore,
+        playedScore,
+        cpLoss,
+        classification,
+        book: inBook,
+        tablebase,
+      };
+    });
+
+    const annotated = moves.map((move) => {
+      const evaluation = formatEvaluation(move.evaluation);
+      const comment = evaluation ? [`[%eval ${evaluation}]`] : [];
+      if (move.book) {
+        comment.push('Book.');
+      }
+      const nag = move.classification ? NAGS[move.classification.toUpperCase()] : null;
+
+      if (nag && move.tablebase) {
+        const { before, after } = move.tablebase;
+        comment.push(`${capitalize(before)} → ${after} (tablebase).`);
+      } else if (nag && move.bestSan) {
+        comment.push(`${capitalize(move.classification)}. ${move.bestSan} was best.`);
+      }
+
+      return { san: move.san, nags: nag ? [nag] : [], comment: comment.join(' ') };
+    });
+
+    const [first] = history;
+    return {
+      headers,
+      moves,
+      summary: this.summarize(moves),
+      annotatedPgn: formatPgnGame(headers, annotated, {
+        startColor: first.color,
+        startMoveNumber: Number(first.before.split(' ')[5]) || 1,
+      }),
+    };
+  }
+
+  /**
+   * Headers and moves of a game. chess.js reads standard games; Chess960 games are
+   * replayed with the built-in move generator, which knows their castling.
+   * @param {string} pgn - PGN text of one game
+   * @returns {Object} { headers, chess960, moves: [{ color, san, uci, before, after }] }
+   * @throws {Error} If the game cannot be read
+   */
+  readGame(pgn) {
+    if (this.config.chess960 || isChess960Game(parsePgnHeaders(pgn))) {
+      return readPgnGame(pgn, { chess960: true });
+    }
+
+    const chess = new Chess();
+    chess.loadPgn(pgn);
+    return {
+      headers: chess.getHeaders(),
+      chess960: false,
+      moves: chess.history({ verbose: true }).map((move) => ({
+        color: move.color,
+        san: move.san,
+        uci: `${move.from}${move.to}${move.promotion || ''}`,
+        before: move.before,
+        after: move.after,
+      })),
+    };
+  }
+
+  /**
+   * Evaluate a position, handling finished games without asking the engine
+   * @param {string} fen - Position to evaluate
+   * @param {boolean} chess960 - Whether the game is Chess960
+   * @returns {Promise<Object>} { evaluation, bestMove } from the side to move
+   */
+  async evaluatePosition(fen, chess960 = false) {
+    const position = new Position(fen, { chess960 });
+
+    if (position.isCheckmate()) {
+      return { evaluation: -MATE_SCORE, bestMove: null };
+    }
+    if (position.isStalemate() || position.isInsufficientMaterial()) {
+      return { evaluation: 0, bestMove: null };
+    }
+
+    // Book moves are still evaluated so the review has a score for every position
+    const options = { depth: this.config.depth, book: false };
+    if (this.config.time) {
+      options.time = this.config.time;
+    }
+    if (chess960) {
+      options.chess960 = true;
+    }
+
+    const analysis = await this.engineManager.analyzePosition(fen, options);
+    return { evaluation: analysis.evaluation, bestMove: analysis.bestMove };
+  }
+
+  /**
+   * Probe the configured tablebases for each position
+   * @param {Array<string>} fens - Positions to probe
+   * @param {boolean} chess960 - Whether the game is Chess960
+   * @returns {Promise<Array<number|null>>} WDL from the side to move, null where not covered
+   */
+  async probeTablebase(fens, chess960 = false) {
+    const { tablebase } = this.config;
+    const wdls = [];
+    for (const fen of fens) {
+      wdls.push(tablebase ? await tablebase.probeWdl(new Position(fen, { chess960 })) : null);
+    }
+    return wdls;
+  }
+
+  /**
+   * Classify a move by its centipawn loss
+   * @param {number} cpLoss - Centipawns lost compared to the best move
+   * @returns {string|null} 'blunder', 'mistake', 'inaccuracy' or null
+   */
+  classifyMove(cpLoss) {
+    if (cpLoss >= REVIEW_THRESHOLDS.BLUNDER) return 'blunder';
+    if (cpLoss >= REVIEW_THRESHOLDS.MISTAKE) return 'mistake';
+    if (cpLoss >= REVIEW_THRESHOLDS.INACCURACY) return 'inaccuracy';
+    return null;
+  }
+
+  /**
+   * Count errors and average centipawn loss for each side
+   */
+  summarize(moves) {
+    const summary = {};
+
+    for (const color of ['w', 'b']) {
+      const own = moves.filter((move) => move.color === color);
+      const totalLoss = own.reduce((sum, move) => sum + move.cpLoss, 0);
+
+      summary[color === 'w' ? 'white' : 'black'] = {
+        moves: own.length,
+        averageCpLoss: own.length > 0 ? Math.round(totalLoss / own.length) : 0,
+        inaccuracies: own.filter((move) => move.classification === 'inaccuracy').length,
+        mistakes: own.filter((move) => move.classification === 'mistake').length,
+        blunders: own.filter((move) => move.classification === 'blunder').length,
+      };
+    }
+
+    return summary;
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Convert an engine score (pawns, mates encoded as +/-10000) to capped centipawns
+ */
+function toCentipawns(score) {
+  const cap = REVIEW_THRESHOLDS.EVAL_CAP;
+  return Math.max(-cap, Math.min(cap, Math.round(score * 100)));
+}
+
+/**
+ * Result for the mover before and after a move, from the WDL of both positions
+ * @returns {Object|null} { before, after } as 'win', 'draw' or 'loss'
+ */
+function tablebaseTransition(wdlBefore, wdlAfter) {
+  if (wdlBefore === null || wdlAfter === null) {
+    return null;
+  }
+  return { before: OUTCOMES[wdlOutcome(wdlBefore)], after: OUTCOMES[-wdlOutcome(wdlAfter)] };
+}
+
+function whitePerspective(score, moverColor) {
+  // score is from the mover's point of view
+  return moverColor === 'w' ? score : -score;
+}
+
+/**
+ * Format a white-perspective score for a [%eval] comment, null once the game is mated
+ */
+function formatEvaluation(score) {
+  return Math.abs(score) >= MATE_SCORE ? null : formatScore(score);
+}
+
+function toSan(fen, uci, chess960) {
+  if (!uci) {
+    return null;
+  }
+
+  try {
+    return uciToSan(new Position(fen, { chess960 }), uci);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Human-Likeness Analysis
+ * Scores the moves of finished games against the Maia nets (1100-1900): how
+ * likely each rating band's policy found the move that was played, which band
+ * a player's decisions resemble most, and which moves surprised that band
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Chess } from 'chess.js';
+import { EngineManager } from './engineManager.js';
+import { splitPgnGames } from './pgn.js';
+import { pvToSan } from './chess/notation.js';
+import { logger } from './logger.js';
+import { HUMAN_LIKENESS } from '../config/constants.js';
+import { ENGINES_CONFIG, getEngineManagerConfig } from '../config/engines.config.js';
+
+const log = logger.child('human-likeness');
+
+/**
+ * Engine settings for every Maia band whose weights are on disk. Bands without a
+ * `maia-<rating>` entry in ENGINES_CONFIG use the maia-1500 settings with
+ * `maia-<rating>.pb.gz` from the weights directory.
+ * @param {Array<number>} ratings - Bands to look for
+ * @param {Object} options - { weightsDir: where to look for weights of bands without an entry }
+ * @returns {Promise<Array<Object>>} { rating, config } for EngineManager
+ */
+export async function findMaiaBands(ratings = HUMAN_LIKENESS.RATINGS, options = {}) {
+  const template = getEngineManagerConfig('maia-1500');
+  const weightsDir = options.weightsDir || path.dirname(template.weightsPath || './weights/x');
+  const bands = [];
+
+  for (const rating of ratings) {
+    const engineId = `maia-${rating}`;
+    const config = ENGINES_CONFIG[engineId]
+      ? getEngineManagerConfig(engineId)
+      : {
+          ...template,
+          engineId,
+          name: `Maia ${rating}`,
+          weightsPath: path.join(weightsDir, `${engineId}.pb.gz`),
+        };
+
+    // Lc0 falls back to its default network without the weights, which would not be Maia
+    try {
+      await fs.access(config.weightsPath);
+      bands.push({ rating, config });
+    } catch {
+      log.info(`Skipping Maia ${rating}: weights not found at ${config.weightsPath}`);
+    }
+  }
+
+  return bands;
+}
+
+/**
+ * The moves of every game with the position before them. Forced moves (the only
+ * legal move) are left out since they say nothing about the player.
+ * @param {string} pgnText - One or more games in PGN format
+ * @returns {Array<Object>} { game, ply, number ('12.' or '12...'), color, player, san, uci,
+ *   fen, policies: {} }
+ */
+export function collectMoves(pgnText) {
+  const moves = [];
+
+  splitPgnGames(pgnText).forEach((pgn, index) => {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(pgn);
+    } catch (error) {
+      log.info(`Skipping game ${index + 1}: ${error.message}`);
+      return;
+    }
+
+    const headers = chess.getHeaders();
+    chess.history({ verbose: true }).forEach((move, ply) => {
+      if (new Chess(move.before).moves().length === 1) {
+        return;
+      }
+      const [, , , , , fullmove] = move.before.split(' ');
+      moves.push({
+        game: index + 1,
+        ply: ply + 1,
+        number: `${fullmove}${move.color === 'w' ? '.' : '...'}`,
+        color: move.color,
+        player: (move.color === 'w' ? headers.White : headers.Black) || '?',
+        san: move.san,
+        uci: `${move.from}${move.to}${move.promotion || ''}`,
+        fen: move.before,
+        policies: {}, // rating -> { policy of the played move, top: { move, san, policy } }
+      });
+    });
+  });
+
+  return moves;
+}
+
+/**
+ * Per player and band: how often the played move was Maia's first choice, the
+ * average probability of the played move and its average log-likelihood
+ * @param {Array<Object>} moves - Moves with policies filled in
+ * @param {Object} options - { surpriseThreshold }
+ * @returns {Array<Object>} { player, moves, bands, bestBand, surprising } per player
+ */
+export function summarizeHumanLikeness(moves, options = {}) {
+  const surpriseThreshold = options.surpriseThreshold ?? HUMAN_LIKENESS.SURPRISE_POLICY;
+  const players = [...new Set(moves.map((move) => move.player))];
+
+  return players.map((player) => {
+    const own = moves.filter((move) => move.player === player);
+    const ratings = [...new Set(own.flatMap((move) => Object.keys(move.policies)))].map(Number);
+
+    const bands = ratings
+      .sort((a, b) => a - b)
+      .map((rating) => {
+        const scored = own.filter((move) => move.policies[rating]);
+        const policies = scored.map((move) => move.policies[rating].policy);
+        const matches = scored.filter((move) => move.policies[rating].top?.move === move.uci);
+        const logLikelihood = policies.reduce(
+          (sum, policy) => sum + Math.log(Math.max(policy, HUMAN_LIKENESS.MIN_POLICY)),
+          0
+        );
+
+        return {
+          rating,
+          moves: scored.length,
+          matchRate: scored.length > 0 ? matches.length / scored.length : 0,
+          averagePolicy:
+            scored.length > 0 ? policies.reduce((a, b) => a + b, 0) / scored.length : 0,
+          logLikelihood: scored.length > 0 ? logLikelihood / scored.length : -Infinity,
+        };
+      });
+
+    // The band under which the player's moves were most probable overall
+    const best = bands.reduce(
+      (top, band) => (top === null || band.logLikelihood > top.logLikelihood ? band : top),
+      null
+    );
+
+    const surprising = best
+      ? own
+          .filter((move) => move.policies[best.rating]?.policy < surpriseThreshold)
+          .map((move) => ({
+            game: move.game,
+            ply: move.ply,
+            number: move.number,
+            san: move.san,
+            fen: move.fen,
+            policy: move.policies[best.rating].policy,
+            expected: move.policies[best.rating].top,
+          }))
+      : [];
+
+    return {
+      player,
+      moves: own.length,
+      bands,
+      bestBand: best ? best.rating : null,
+      surprising,
+    };
+  });
+}
+
+/**
+ * Printable summary per player
+ * @param {Array<Object>} players - summarizeHumanLikeness() results
+ * @returns {string}
+ */
+export function formatHumanLikenessReport(players) {
+  const lines = [];
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+  for (const summary of players) {
+    const resemblance = summary.bestBand
+      ? `plays most like Maia ${summary.bestBand}`
+      : 'not scored';
+    lines.push(`${summary.player} (${summary.moves} moves): ${resemblance}`);
+    lines.push('  Band   Top-1  Avg prob  Log-lik');
+
+    for (const band of summary.bands) {
+      lines.push(
+        `  ${String(band.rating).padEnd(5)}  ${percent(band.matchRate).padStart(5)}  ` +
+          `${percent(band.averagePolicy).padStart(8)}  ${band.logLikelihood.toFixed(2).padStart(7)}`
+      );
+    }
+
+    if (summary.surprising.length > 0) {
+      lines.push(`  Surprising for ${summary.bestBand}:`);
+      for (const move of summary.surprising) {
+        const expected = move.expected
+          ? `, Maia expected ${move.expected.san} (${percent(move.expected.policy)})`
+          : '';
+        lines.push(
+          `    game ${move.game}, ${move.number} ${move.san} (${percent(move.policy)}${expected})`
+        );
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+export class HumanLikenessAnalyzer {
+  /**
+   * @param {Object} config - { bands: [{ rating, config }] (default: findMaiaBands()),
+   *   nodes: search per position (1 reads the raw policy), surpriseThreshold }
+   */
+  constructor(config = {}) {
+    this.config = {
+      bands: null,
+      nodes: 1,
+      surpriseThreshold: HUMAN_LIKENESS.SURPRISE_POLICY,
+      ...config,
+    };
+  }
+
+  /**
+   * Score every move of every game with every band
+   * @param {string} pgnText - One or more games in PGN format
+   * @returns {Promise<Object>} { moves, players } (see collectMoves, summarizeHumanLikeness)
+   * @throws {Error} If no Maia band is available
+   */
+  async analyzePgn(pgnText) {
+    const bands = this.config.bands || (await findMaiaBands());
+    if (bands.length === 0) {
+      throw new Error(
+        'No Maia weights found; download them from https://github.com/CSSLab/maia-chess/releases'
+      );
+    }
+
+    const moves = collectMoves(pgnText);
+    log.info(`Scoring ${moves.length} moves with ${bands.length} Maia band(s)...`);
+
+    // One net at a time, so only one is ever loaded
+    for (const band of bands) {
+      await this.scoreBand(band, moves);
+    }
+
+    return {
+      moves,
+      players: summarizeHumanLikeness(moves, { surpriseThreshold: this.config.surpriseThreshold }),
+    };
+  }
+
+  /**
+   * Record one band's policy for the played move of every position
+   * @param {Object} band - { rating, config }
+   * @param {Array<Object>} moves - From collectMoves(); policies are added in place
+   */
+  async scoreBand(band, moves) {
+    // Move statistics carry the policy; PolicyTemperature 1 keeps it as the net output
+    const manager = new EngineManager({
+      ...band.config,
+      nodes: this.config.nodes,
+      verboseMoveStats: true,
+      policyTemperature: 1,
+    });
+
+    try {
+      await manager.init();
+      log.info(`Maia ${band.rating}...`);
+
+      for (const move of moves) {
+        const analysis = await manager.analyzePosition(move.fen, {
+          nodes: this.config.nodes,
+          book: false,
+        });
+        const stats = analysis.moveStats.filter((entry) => entry.policy !== null);
+        if (stats.length === 0) {
+          continue;
+        }
+
+        const played = stats.find((entry) => entry.move === move.uci);
+        const top = stats.reduce((best, entry) => (entry.policy > best.policy ? entry : best));
+        move.policies[band.rating] = {
+          policy: played ? played.policy : 0,
+          top: {
+            move: top.move,
+            san: pvToSan(move.fen, [top.move])[0] || null,
+            policy: top.policy,
+          },
+        };
+      }
+    } finally {
+      await manager.quit();
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Lc0 Benchmark
+ * Measures Lc0's search speed for each backend, thread count and batch size so
+ * the fastest combination for this machine can be stored in the engine config
+ */
+
+import { Lc0Engine, detectGpu, probeLc0Backends } from './engines/lc0Engine.js';
+import { logger } from './logger.js';
+import { LC0_BACKENDS, LC0_BENCH } from '../config/constants.js';
+
+const log = logger.child('lc0-bench');
+
+/**
+ * Search a fixed number of nodes from each position with every combination of
+ * settings. Combinations that fail to start or search are reported, not thrown.
+ * @param {Object} baseConfig - Lc0Engine config (path, weightsPath, ...)
+ * @param {Object} options - { backends (default: the CPU backends the binary has, and the
+ *   others too when there is a GPU), threads, batchSizes, nodes, positions (FENs) }
+ * @returns {Promise<Array<Object>>} { backend, threads, batchSize, nodes, time (ms), nps, error }
+ */
+export async function benchmarkLc0(baseConfig, options = {}) {
+  const threads = options.threads || LC0_BENCH.THREADS;
+  const batchSizes = options.batchSizes || LC0_BENCH.BATCH_SIZES;
+  const nodes = options.nodes || LC0_BENCH.NODES;
+  const positions = options.positions || LC0_BENCH.POSITIONS;
+  const backends = options.backends || (await findBenchBackends(baseConfig));
+  const results = [];
+
+  for (const backend of backends) {
+    for (const threadCount of threads) {
+      for (const batchSize of batchSizes) {
+        const settings = { backend, threads: threadCount, batchSize };
+        log.info('Benchmarking', settings);
+        results.push({ ...settings, ...(await runBench(baseConfig, settings, nodes, positions)) });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Fastest combination that worked; ties go to fewer threads, then smaller batches
+ * @param {Array<Object>} results - From benchmarkLc0()
+ * @returns {Object|null} { backend, threads, batchSize }, null if nothing worked
+ */
+export function pickBestSettings(results) {
+  const [best] = results
+    .filter((result) => !result.error)
+    .sort((a, b) => b.nps - a.nps || a.threads - b.threads || a.batchSize - b.batchSize);
+  return best ? { backend: best.backend, threads: best.threads, batchSize: best.batchSize } : null;
+}
+
+/**
+ * Printable results table, fastest first, with the chosen combination marked
+ * @param {Array<Object>} results - From benchmarkLc0()
+ * @returns {string}
+ */
+export function formatBenchResults(results) {
+  const best = pickBestSettings(results);
+  const isBest = (result) =>
+    best &&
+    result.backend === best.backend &&
+    result.threads === best.threads &&
+    result.batchSize === best.batchSize;
+
+  const lines = [
+    `  ${'Backend'.padEnd(12)} ${'Threads'.padStart(7)} ${'Batch'.padStart(6)} ${'NPS'.padStart(9)}`,
+  ];
+  const sorted = [...results].sort((a, b) => (b.nps || 0) - (a.nps || 0));
+  for (const result of sorted) {
+    const columns = `${result.backend.padEnd(12)} ${String(result.threads).padStart(7)} ${String(
+      result.batchSize
+    ).padStart(6)}`;
+    lines.push(
+      result.error
+        ? `  ${columns} ${'failed'.padStart(9)}  ${result.error}`
+        : `${isBest(result) ? '*' : ' '} ${columns} ${String(result.nps).padStart(9)}`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Backends worth timing: the CPU ones the binary has, plus the rest with a GPU
+ */
+async function findBenchBackends(config) {
+  const available = await probeLc0Backends(config.path || 'lc0', config.args, config.uciTimeout);
+  if (!available) {
+    throw new Error('Lc0 does not list its backends; pass the backends to benchmark');
+  }
+
+  const cpu = available.filter((backend) => LC0_BACKENDS.CPU.includes(backend));
+  const gpu =
+    (config.gpu ?? detectGpu())
+      ? available.filter((backend) => !cpu.includes(backend) && !backend.includes('auto'))
+      : [];
+  if (cpu.length + gpu.length === 0) {
+    throw new Error(`No backend to benchmark (Lc0 has ${available.join(', ')})`);
+  }
+  return [...gpu, ...cpu];
+}
+
+async function runBench(baseConfig, settings, nodes, positions) {
+  // gpu: true so the backend under test is never swapped for a CPU one
+  const engine = new Lc0Engine({ ...baseConfig, ...settings, gpu: true, multiPV: 1 });
+  let totalNodes = 0;
+  let totalTime = 0;
+
+  try {
+    await engine.init();
+    for (const fen of positions) {
+      await engine.setPosition(fen);
+      const startTime = Date.now();
+      const result = await engine.getBestMove({ nodes });
+      // Prefer the engine's own count and clock; fall back to ours
+      totalNodes += result.evaluation?.nodes || nodes;
+      totalTime += result.evaluation?.time || Date.now() - startTime;
+    }
+    return {
+      nodes: totalNodes,
+      time: totalTime,
+      nps: Math.round((totalNodes * 1000) / Math.max(totalTime, 1)),
+      error: null,
+    };
+  } catch (error) {
+    log.warn('Benchmark failed', { ...settings, error: error.message });
+    return { nodes: totalNodes, time: totalTime, nps: 0, error: error.message };
+  } finally {
+    await engine.quit().catch(() => {});
+  }
+}
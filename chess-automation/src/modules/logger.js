@@ -0,0 +1,189 @@
+/**
+ * Structured Logging
+ * Leveled loggers with named children (one per engine, per batch run, ...).
+ * Console output stays readable text by default; a log file receives every
+ * record as a JSON line so long runs can be audited afterwards
+ */
+
+import fs from 'fs';
+import { LOGGING } from '../config/constants.js';
+
+const settings = {
+  level: LOGGING.DEFAULT_LEVEL,
+  format: 'text',
+  file: null,
+  fd: null,
+  transcriptDir: null, // UCI engines record their traffic here when set
+};
+
+/**
+ * Change how every logger writes
+ * @param {Object} options - { level, format ('text' or 'json'), file (JSON lines, appended),
+ *   transcriptDir (directory for UCI transcripts) }
+ * @throws {Error} On an unknown level or format
+ */
+export function configureLogging(options = {}) {
+  if (options.level !== undefined) {
+    assertLevel(options.level);
+    settings.level = options.level;
+  }
+  if (options.format !== undefined) {
+    if (!LOGGING.FORMATS.includes(options.format)) {
+      throw new Error(
+        `Unknown log format '${options.format}', expected ${LOGGING.FORMATS.join(' or ')}`
+      );
+    }
+    settings.format = options.format;
+  }
+  if (options.file !== undefined && options.file !== settings.file) {
+    closeLogFile();
+    settings.file = options.file;
+  }
+  if (options.transcriptDir !== undefined) {
+    settings.transcriptDir = options.transcriptDir;
+  }
+}
+
+/**
+ * Current logging settings
+ * @returns {Object} { level, format, file, transcriptDir }
+ */
+export function getLoggingSettings() {
+  const { level, format, file, transcriptDir } = settings;
+  return { level, format, file, transcriptDir };
+}
+
+/**
+ * Close the log file; it is reopened on the next record
+ */
+export function closeLogFile() {
+  if (settings.fd !== null) {
+    fs.closeSync(settings.fd);
+    settings.fd = null;
+  }
+}
+
+export class Logger {
+  /**
+   * @param {Object} options - { name, fields: bound to every record,
+   *   level: overrides the global level for this logger and its children }
+   */
+  constructor(options = {}) {
+    this.name = options.name || null;
+    this.fields = options.fields || {};
+    this.level = options.level || null;
+    if (this.level) {
+      assertLevel(this.level);
+    }
+  }
+
+  /**
+   * A logger for one part of the system, e.g. one engine
+   * @param {string} name - Appended to this logger's name with ':'
+   * @param {Object} options - { fields, level }
+   * @returns {Logger}
+   */
+  child(name, options = {}) {
+    return new Logger({
+      name: [this.name, name].filter(Boolean).join(':') || null,
+      fields: { ...this.fields, ...options.fields },
+      level: options.level || this.level,
+    });
+  }
+
+  /**
+   * @param {string} level - One of LOGGING.LEVELS
+   * @returns {boolean} Whether records at this level are written
+   */
+  isEnabled(level) {
+    const threshold = this.level || settings.level;
+    return LOGGING.LEVELS.indexOf(level) <= LOGGING.LEVELS.indexOf(threshold);
+  }
+
+  /**
+   * Write one record
+   * @param {string} level - One of LOGGING.LEVELS
+   * @param {string} message - Human-readable message
+   * @param {Object} fields - Structured data; an `error` field may be an Error
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const { error, ...data } = { ...this.fields, ...fields };
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      logger: this.name,
+      msg: message,
+      ...data,
+      ...(error !== undefined && { error: serializeError(error) }),
+    };
+
+    if (settings.file) {
+      writeLogFile(record);
+    }
+
+    const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    if (settings.format === 'json') {
+      write(JSON.stringify(record));
+      return;
+    }
+
+    // Bound fields identify the logger and are already in its name
+    const extra = Object.entries(fields)
+      .filter(([key, value]) => key !== 'error' && value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const text = [this.name && `[${this.name}]`, message, ...extra].filter(Boolean).join(' ');
+    if (error !== undefined) {
+      write(text, error);
+    } else {
+      write(text);
+    }
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  trace(message, fields) {
+    this.log('trace', message, fields);
+  }
+}
+
+/** Root logger; modules log through children of it */
+export const logger = new Logger();
+
+function assertLevel(level) {
+  if (!LOGGING.LEVELS.includes(level)) {
+    throw new Error(`Unknown log level '${level}', expected one of ${LOGGING.LEVELS.join(', ')}`);
+  }
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+// Synchronous so records written right before process.exit() are not lost
+function writeLogFile(record) {
+  if (settings.fd === null) {
+    settings.fd = fs.openSync(settings.file, 'a');
+  }
+  fs.writeSync(settings.fd, `${JSON.stringify(record)}\n`);
+}
@@ -3,12 +3,14 @@
  * Responsible for executing chess moves on the Chess.com board
  */
 
+import { logger } from './logger.js';
 import { SELECTORS, MOVE_DELAY } from '../config/constants.js';
 
 export class MoveExecutor {
   constructor(page) {
     this.page = page;
     this.lastMoveTime = 0;
+    this.logger = logger.child('moves');
   }
 
   /**
@@ -44,10 +46,10 @@ export class MoveExecutor {
       }
 
       this.lastMoveTime = Date.now();
-      console.log(`Move executed: ${move}`);
+      this.logger.debug(`Move executed: ${move}`);
       return true;
     } catch (error) {
-      console.error(`Failed to execute move ${move}:`, error);
+      this.logger.error(`Failed to execute move ${move}`, { error });
       return false;
     }
   }
@@ -131,7 +133,7 @@ export class MoveExecutor {
       const pieceSelector = pieceMap[piece.toLowerCase()] || pieceMap['q'];
       await this.page.click(pieceSelector);
     } catch (error) {
-      console.error('Promotion dialog not found or error selecting piece:', error);
+      this.logger.warn('Promotion dialog not found or error selecting piece', { error });
     }
   }
 
@@ -179,7 +181,7 @@ export class MoveExecutor {
     for (const move of moves) {
       const success = await this.executeMove(move, options);
       if (!success) {
-        console.error(`Failed to execute move sequence at: ${move}`);
+        this.logger.error(`Failed to execute move sequence at: ${move}`);
         return false;
       }
     }
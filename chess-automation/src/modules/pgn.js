@@ -0,0 +1,199 @@
+/**
+ * PGN Utilities
+ * Splitting multi-game PGN files, reading games chess.js cannot (Chess960) and
+ * writing annotated games back out
+ */
+
+import { Position, START_FEN } from './chess/position.js';
+import { findSanMove, moveToSan, moveToUci } from './chess/notation.js';
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+// Variant tag values used for Chess960 by lichess, chess.com and the common GUIs
+const CHESS960_VARIANTS = ['chess960', 'chess 960', 'fischerandom', 'fischer random', 'frc'];
+
+/**
+ * Split the contents of a PGN file into individual game texts
+ * @param {string} text - Raw PGN file contents
+ * @returns {string[]} One PGN string per game
+ */
+export function splitPgnGames(text) {
+  const games = [];
+  let current = [];
+  let inMoves = false;
+
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+
+    // A tag pair after movetext starts the next game
+    if (line.startsWith('[') && inMoves) {
+      games.push(current.join('\n').trim());
+      current = [];
+      inMoves = false;
+    }
+
+    if (line && !line.startsWith('[') && !line.startsWith('%')) {
+      inMoves = true;
+    }
+
+    current.push(rawLine);
+  }
+
+  const last = current.join('\n').trim();
+  if (last) {
+    games.push(last);
+  }
+
+  return games.filter((game) => game.length > 0);
+}
+
+/**
+ * Read the tag pairs of a game
+ * @param {string} pgn - PGN text of one game
+ * @returns {Object} Tag name to value
+ */
+export function parsePgnHeaders(pgn) {
+  const headers = {};
+  for (const [, name, value] of pgn.matchAll(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/gm)) {
+    headers[name] = value.replace(/\\(["\\])/g, '$1');
+  }
+  return headers;
+}
+
+/**
+ * Whether a game's Variant tag names Chess960
+ * @param {Object} headers - Tag name to value
+ * @returns {boolean}
+ */
+export function isChess960Game(headers) {
+  return CHESS960_VARIANTS.includes(String(headers.Variant || '').toLowerCase());
+}
+
+/**
+ * Replay the mainline of a game with the built-in move generator. Comments,
+ * variations and NAGs are skipped.
+ * @param {string} pgn - PGN text of one game
+ * @param {Object} options - { chess960: read it as Chess960 whatever its Variant tag says }
+ * @returns {Object} { headers, chess960, startFen, moves: [{ color, san, uci, before, after }] };
+ *   Chess960 castling is king-takes-rook in uci
+ * @throws {Error} If the starting FEN is invalid or a move is illegal or ambiguous
+ */
+export function readPgnGame(pgn, options = {}) {
+  const headers = parsePgnHeaders(pgn);
+  const chess960 = Boolean(options.chess960) || isChess960Game(headers);
+  const position = new Position(headers.FEN || START_FEN, { chess960 });
+  const startFen = position.toFen();
+  const moves = [];
+
+  for (const token of mainlineTokens(pgn)) {
+    const move = findSanMove(position, token);
+    if (!move) {
+      throw new Error(`Illegal or ambiguous move ${token} at ply ${moves.length + 1}`);
+    }
+    const before = position.toFen();
+    const { turn: color } = position;
+    const san = moveToSan(position, move);
+    position.makeMove(move);
+    moves.push({ color, san, uci: moveToUci(move), before, after: position.toFen() });
+  }
+
+  return { headers, chess960: position.chess960, startFen, moves };
+}
+
+/**
+ * Format a tag pair section, seven tag roster first
+ * @param {Object} headers - Tag name to value
+ * @returns {string}
+ */
+export function formatPgnHeaders(headers) {
+  const names = [
+    ...SEVEN_TAG_ROSTER.filter((name) => headers[name] !== undefined),
+    ...Object.keys(headers).filter((name) => !SEVEN_TAG_ROSTER.includes(name)),
+  ];
+
+  return names
+    .map(
+      (name) => `[${name} "${String(headers[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`
+    )
+    .join('\n');
+}
+
+/**
+ * Format a game as PGN text
+ * @param {Object} headers - Tag name to value
+ * @param {Array<Object>} moves - { san, nags?: number[], comment?: string } in game order
+ * @param {Object} options - { startColor: 'w'|'b', startMoveNumber: number, lineWidth: number }
+ * @returns {string}
+ */
+export function formatPgnGame(headers, moves, options = {}) {
+  const { startColor = 'w', startMoveNumber = 1, lineWidth = 80 } = options;
+  const tokens = [];
+  let moveNumber = startMoveNumber;
+  let color = startColor;
+  let needsNumber = true;
+
+  for (const move of moves) {
+    if (color === 'w') {
+      tokens.push(`${moveNumber}.`);
+    } else if (needsNumber) {
+      tokens.push(`${moveNumber}...`);
+    }
+    needsNumber = false;
+
+    tokens.push(move.san);
+    (move.nags || []).forEach((nag) => tokens.push(`$${nag}`));
+
+    if (move.comment) {
+      tokens.push(`{ ${move.comment.replace(/}/g, ')')} }`);
+      // Black's move after a comment needs its number repeated
+      needsNumber = true;
+    }
+
+    if (color === 'b') {
+      moveNumber++;
+    }
+    color = color === 'w' ? 'b' : 'w';
+  }
+
+  tokens.push(headers.Result || '*');
+
+  // Wrap movetext at the requested width
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > lineWidth) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  return `${formatPgnHeaders(headers)}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * SAN tokens of the mainline, without move numbers and the result
+ */
+function mainlineTokens(pgn) {
+  let text = pgn
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/^\s*[[%].*$/gm, ' ')
+    .replace(/;.*$/gm, ' ');
+
+  // Variations may nest, so remove the innermost until none are left
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, ' ');
+  } while (text !== previous);
+
+  return text
+    .replace(/\$\d+/g, ' ')
+    .replace(/\d+\.+/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token && !RESULTS.includes(token));
+}
@@ -0,0 +1,240 @@
+/**
+ * Polyglot Opening Books
+ * Reading, writing and building `.bin` books. A book is a list of 16-byte
+ * big-endian entries (key, move, weight, learn) sorted by the Polyglot
+ * Zobrist key of the position they belong to.
+ */
+
+import fs from 'fs/promises';
+import { Chess } from 'chess.js';
+import { Position } from './chess/position.js';
+import { findUciMove, moveToSan, moveToUci } from './chess/notation.js';
+import { polyglotKey } from './chess/zobrist.js';
+import { splitPgnGames } from './pgn.js';
+
+const ENTRY_SIZE = 16;
+const MAX_WEIGHT = 0xffff;
+const PROMOTIONS = ['', 'n', 'b', 'r', 'q'];
+
+export const BOOK_BUILD_DEFAULTS = {
+  minGames: 1, // times a move must have been played from a position
+  minScore: 0, // percent scored by the side making the move
+  maxPly: 30, // only moves up to this ply of each game
+};
+
+export class PolyglotBook {
+  /**
+   * @param {Array<Object>} entries - { key: bigint, move: number, weight, learn }
+   */
+  constructor(entries = []) {
+    this.entries = [...entries].sort((a, b) =>
+      a.key === b.key ? b.weight - a.weight : a.key < b.key ? -1 : 1
+    );
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Read a book from a `.bin` file
+   * @param {string} path - Book file
+   * @returns {Promise<PolyglotBook>}
+   */
+  static async load(path) {
+    return PolyglotBook.fromBuffer(await fs.readFile(path));
+  }
+
+  /**
+   * @param {Buffer} buffer - Book contents
+   * @returns {PolyglotBook}
+   * @throws {Error} If the size is not a whole number of entries
+   */
+  static fromBuffer(buffer) {
+    if (buffer.length % ENTRY_SIZE !== 0) {
+      throw new Error(`Invalid Polyglot book: size ${buffer.length} is not a multiple of 16`);
+    }
+
+    const entries = [];
+    for (let offset = 0; offset < buffer.length; offset += ENTRY_SIZE) {
+      entries.push({
+        key: buffer.readBigUInt64BE(offset),
+        move: buffer.readUInt16BE(offset + 8),
+        weight: buffer.readUInt16BE(offset + 10),
+        learn: buffer.readUInt32BE(offset + 12),
+      });
+    }
+    return new PolyglotBook(entries);
+  }
+
+  /**
+   * Book moves for a position, highest weight first. Entries whose move is not
+   * legal in the position (key collisions) are left out.
+   * @param {Position|string} position - Position or FEN
+   * @returns {Array<Object>} { move (UCI), san, weight, learn, probability }
+   */
+  lookup(position) {
+    const pos = position instanceof Position ? position : new Position(position);
+    const key = polyglotKey(pos);
+
+    // Binary search for the first entry with this key
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.entries[middle].key < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const moves = [];
+    for (let i = low; i < this.entries.length && this.entries[i].key === key; i++) {
+      const { move, weight, learn } = this.entries[i];
+      const legal = findUciMove(pos, decodeMove(move));
+      if (legal) {
+        moves.push({ move: moveToUci(legal), san: moveToSan(pos, legal), weight, learn });
+      }
+    }
+
+    const total = moves.reduce((sum, entry) => sum + entry.weight, 0);
+    return moves.map((entry) => ({
+      ...entry,
+      probability: total > 0 ? entry.weight / total : 1 / moves.length,
+    }));
+  }
+
+  /**
+   * Choose a book move at random, in proportion to the weights
+   * @param {Position|string} position - Position or FEN
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {Object|null} Book move, or null when the position is out of book
+   */
+  pickMove(position, random = Math.random) {
+    const moves = this.lookup(position);
+    let roll = random();
+    for (const entry of moves) {
+      roll -= entry.probability;
+      if (roll < 0) {
+        return entry;
+      }
+    }
+    return moves[moves.length - 1] || null;
+  }
+
+  /**
+   * @returns {Buffer} Book contents in `.bin` format
+   */
+  toBuffer() {
+    const buffer = Buffer.alloc(this.entries.length * ENTRY_SIZE);
+    this.entries.forEach((entry, index) => {
+      const offset = index * ENTRY_SIZE;
+      buffer.writeBigUInt64BE(entry.key, offset);
+      buffer.writeUInt16BE(entry.move, offset + 8);
+      buffer.writeUInt16BE(entry.weight, offset + 10);
+      buffer.writeUInt32BE(entry.learn || 0, offset + 12);
+    });
+    return buffer;
+  }
+
+  /**
+   * Write the book to a `.bin` file
+   * @param {string} path - Output file
+   * @returns {Promise<void>}
+   */
+  async save(path) {
+    await fs.writeFile(path, this.toBuffer());
+  }
+}
+
+/**
+ * Build a book from the games of a PGN file. A move gets weight 2 per win and
+ * 1 per draw for the side that played it, as Polyglot does; moves that never
+ * scored are left out. Games without a result count as draws.
+ * @param {string} pgnText - One or more games in PGN format
+ * @param {Object} options - { minGames, minScore (percent), maxPly }
+ * @returns {{ book: PolyglotBook, stats: Object }} stats: { games, skipped, positions, entries }
+ */
+export function buildPolyglotBook(pgnText, options = {}) {
+  const { minGames, minScore, maxPly } = { ...BOOK_BUILD_DEFAULTS, ...options };
+  const positions = new Map(); // key -> Map of encoded move -> { games, wins, draws }
+  const stats = { games: 0, skipped: 0, positions: 0, entries: 0 };
+
+  for (const pgn of splitPgnGames(pgnText)) {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(pgn);
+    } catch {
+      stats.skipped++;
+      continue;
+    }
+    stats.games++;
+
+    const { Result: result } = chess.getHeaders();
+    for (const played of chess.history({ verbose: true }).slice(0, maxPly)) {
+      const position = new Position(played.before);
+      const move = findUciMove(position, `${played.from}${played.to}${played.promotion || ''}`);
+      const key = polyglotKey(position);
+      const code = encodeMove(move);
+
+      if (!positions.has(key)) {
+        positions.set(key, new Map());
+      }
+      const moves = positions.get(key);
+      const record = moves.get(code) || { games: 0, wins: 0, draws: 0 };
+      record.games++;
+      if (result === (played.color === 'w' ? '1-0' : '0-1')) {
+        record.wins++;
+      } else if (result !== '1-0' && result !== '0-1') {
+        record.draws++;
+      }
+      moves.set(code, record);
+    }
+  }
+
+  const entries = [];
+  for (const [key, moves] of positions) {
+    const kept = [...moves]
+      .filter(([, record]) => {
+        const score = ((record.wins + record.draws / 2) / record.games) * 100;
+        return record.games >= minGames && score >= minScore;
+      })
+      .map(([move, record]) => ({ key, move, weight: 2 * record.wins + record.draws, learn: 0 }))
+      .filter((entry) => entry.weight > 0);
+
+    // Weights are 16 bits; scale a position's moves down together to keep their ratios
+    const heaviest = Math.max(0, ...kept.map((entry) => entry.weight));
+    if (heaviest > MAX_WEIGHT) {
+      kept.forEach((entry) => {
+        entry.weight = Math.max(1, Math.floor((entry.weight * MAX_WEIGHT) / heaviest));
+      });
+    }
+
+    if (kept.length > 0) {
+      stats.positions++;
+      entries.push(...kept);
+    }
+  }
+  stats.entries = entries.length;
+
+  return { book: new PolyglotBook(entries), stats };
+}
+
+/**
+ * Pack a move object into Polyglot's 16 bits: to (0-5), from (6-11) and
+ * promotion (12-14). Castling is stored as the king capturing its rook.
+ */
+function encodeMove(move) {
+  const to = move.castle ? move.rookFrom : move.to;
+  const square = (index) => (index >> 4) * 8 + (index & 7);
+  return square(to) | (square(move.from) << 6) | (PROMOTIONS.indexOf(move.promotion || '') << 12);
+}
+
+/**
+ * Unpack a Polyglot move into UCI (castling stays king-captures-rook)
+ */
+function decodeMove(code) {
+  const square = (index) => `${'abcdefgh'[index & 7]}${(index >> 3) + 1}`;
+  return `${square((code >> 6) & 63)}${square(code & 63)}${PROMOTIONS[(code >> 12) & 7] || ''}`;
+}
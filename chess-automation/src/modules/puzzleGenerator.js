@@ -0,0 +1,379 @@
+/**
+ * Puzzle Generator
+ * Finds the positions of finished games where a single move wins or a single
+ * move saves the game, checks that the solution stays the only move at every
+ * step, and exports them as a puzzle set with theme tags
+ */
+
+import crypto from 'crypto';
+import { Chess } from 'chess.js';
+import { splitPgnGames } from './pgn.js';
+import { mateScore } from './chess/score.js';
+import { formatCsv } from './csv.js';
+import { logger } from './logger.js';
+import { PUZZLE } from '../config/constants.js';
+
+const log = logger.child('puzzles');
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+
+/**
+ * What the best of two candidate moves does that the second best does not
+ * @param {Array<Object>} candidates - getCandidateMoves() results, best first
+ * @returns {string|null} 'winning' when only the best move keeps a decisive advantage,
+ *   'defending' when only the best move avoids a lost position, otherwise null
+ */
+export function classifyOnlyMove(candidates) {
+  if (candidates.length < 2) {
+    return null;
+  }
+  const [best, second] = candidates.map((candidate) => Math.round(candidate.evaluation * 100));
+
+  if (best >= PUZZLE.DECISIVE && second < PUZZLE.DECISIVE && best - second >= PUZZLE.MIN_GAP) {
+    return 'winning';
+  }
+  if (best >= PUZZLE.HOLD && second <= -PUZZLE.DECISIVE) {
+    return 'defending';
+  }
+  return null;
+}
+
+/**
+ * Theme tags for a solution: mate and mate-in-N, fork (a solving move attacks two
+ * pieces that are undefended, worth more than the attacker, or the king),
+ * hanging-piece (the first move takes an undefended piece), defensive (the only
+ * move that saves the game), crushing (wins without mate) and one-move, short or long
+ * @param {string} fen - Puzzle position, solver to move
+ * @param {Array<string>} solution - UCI moves, solver first
+ * @param {string} kind - 'winning' or 'defending' (see classifyOnlyMove)
+ * @returns {Array<string>}
+ */
+export function detectThemes(fen, solution, kind) {
+  const chess = new Chess(fen);
+  const solver = chess.turn();
+  const opponent = solver === 'w' ? 'b' : 'w';
+  const themes = new Set();
+  const solverMoves = Math.ceil(solution.length / 2);
+
+  solution.forEach((uci, index) => {
+    const before = chess.fen();
+    const move = play(chess, uci);
+    if (index % 2 === 1) {
+      return;
+    }
+
+    if (
+      index === 0 &&
+      move.captured &&
+      move.captured !== 'p' &&
+      new Chess(before).attackers(move.to, opponent).length === 0
+    ) {
+      themes.add('hanging-piece');
+    }
+    if (!chess.isCheckmate() && forkTargets(chess, move).length >= 2) {
+      themes.add('fork');
+    }
+  });
+
+  if (chess.isCheckmate()) {
+    themes.add('mate').add(`mate-in-${solverMoves}`);
+  } else {
+    themes.add(kind === 'defending' ? 'defensive' : 'crushing');
+  }
+  themes.add(solverMoves === 1 ? 'one-move' : solverMoves === 2 ? 'short' : 'long');
+
+  return [...themes];
+}
+
+/**
+ * One CSV row per puzzle; moves and themes are space-separated
+ * @param {Array<Object>} puzzles - PuzzleGenerator results
+ * @returns {string}
+ */
+export function formatPuzzleCsv(puzzles) {
+  const rows = [
+    [
+      'id',
+      'fen',
+      'moves',
+      'moves_san',
+      'themes',
+      'evaluation',
+      'game',
+      'white',
+      'black',
+      'date',
+      'ply',
+      'played',
+    ],
+  ];
+
+  for (const puzzle of puzzles) {
+    rows.push([
+      puzzle.id,
+      puzzle.fen,
+      puzzle.solution.join(' '),
+      puzzle.solutionSan.join(' '),
+      puzzle.themes.join(' '),
+      puzzle.evaluation,
+      puzzle.source.game,
+      puzzle.source.white,
+      puzzle.source.black,
+      puzzle.source.date,
+      puzzle.source.ply,
+      puzzle.source.played,
+    ]);
+  }
+
+  return formatCsv(rows);
+}
+
+/**
+ * Printable list of puzzles with a count per theme
+ * @param {Array<Object>} puzzles - PuzzleGenerator results
+ * @returns {string}
+ */
+export function formatPuzzleSummary(puzzles) {
+  const counts = {};
+  for (const puzzle of puzzles) {
+    for (const theme of puzzle.themes) {
+      counts[theme] = (counts[theme] || 0) + 1;
+    }
+  }
+
+  const lines = [`${puzzles.length} puzzle(s)`];
+  if (puzzles.length > 0) {
+    lines.push(
+      `  ${Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([theme, count]) => `${theme} ${count}`)
+        .join(', ')}`,
+      ''
+    );
+  }
+  for (const puzzle of puzzles) {
+    const { game, white, black, ply, played, found } = puzzle.source;
+    const missed = played && !found ? `, ${played} was played` : '';
+    lines.push(
+      `  ${puzzle.id}  game ${game} (${white} - ${black}), ply ${ply}: ` +
+        `${puzzle.solutionSan.join(' ')}  [${puzzle.themes.join(', ')}]${missed}`
+    );
+  }
+  return lines.join('\n');
+}
+
+export class PuzzleGenerator {
+  /**
+   * @param {EngineManager} engineManager - Initialized engine manager; each position is
+   *   searched with two lines
+   * @param {Object} config - { depth, player: only positions where a player whose name
+   *   contains this (case-insensitive) is to move }
+   */
+  constructor(engineManager, config = {}) {
+    this.engineManager = engineManager;
+    this.config = {
+      depth: 18,
+      player: null,
+      ...config,
+    };
+  }
+
+  /**
+   * Find the puzzles in every game. A position that occurs in several games gives
+   * one puzzle.
+   * @param {string} pgnText - One or more games in PGN format
+   * @returns {Promise<Array<Object>>} { id, fen, solution (UCI), solutionSan, themes,
+   *   evaluation (pawns, for the solver), source: { game, white, black, date, event, ply,
+   *   played (SAN, null after the last move), found (the player chose the solution) } }
+   */
+  async generateFromPgn(pgnText) {
+    const games = splitPgnGames(pgnText);
+    const puzzles = [];
+    const seen = new Set();
+
+    for (const [index, pgn] of games.entries()) {
+      log.info(`Scanning game ${index + 1}/${games.length}...`);
+      puzzles.push(...(await this.scanGame(pgn, index + 1, seen)));
+    }
+
+    return puzzles;
+  }
+
+  /**
+   * Puzzles from one game
+   * @param {string} pgn - PGN text of one game
+   * @param {number} game - Game number, for the puzzle source
+   * @param {Set<string>} seen - Positions already tried, shared between games
+   * @returns {Promise<Array<Object>>} Nothing for a game that does not parse
+   */
+  async scanGame(pgn, game, seen = new Set()) {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(pgn);
+    } catch (error) {
+      log.warn(`Skipping game ${game}: ${error.message}`);
+      return [];
+    }
+    const headers = chess.getHeaders();
+    const history = chess.history({ verbose: true });
+    const evaluations = commentEvaluations(chess);
+
+    const positions = history.map((move, index) => ({
+      fen: move.before,
+      ply: index + 1,
+      played: move,
+    }));
+    if (!chess.isGameOver()) {
+      positions.push({ fen: chess.fen(), ply: history.length + 1, played: null });
+    }
+
+    const puzzles = [];
+    for (const { fen, ply, played } of positions) {
+      const position = new Chess(fen);
+      const white = position.turn() === 'w';
+      const mover = (white ? headers.White : headers.Black) || '';
+      const key = fen.split(' ').slice(0, 4).join(' ');
+      // An [%eval] from the review that already has the mover lost rules both kinds out
+      const known = evaluations.get(fen);
+      const lost = known !== undefined && (white ? known : -known) * 100 <= -PUZZLE.DECISIVE;
+      const wanted =
+        !this.config.player || mover.toLowerCase().includes(this.config.player.toLowerCase());
+
+      if (!wanted || lost || seen.has(key) || position.moves().length < 2) {
+        continue;
+      }
+      seen.add(key);
+
+      const candidates = await this.searchLines(fen);
+      const kind = classifyOnlyMove(candidates);
+      if (!kind) {
+        continue;
+      }
+
+      const solution = await this.solve(fen, kind, candidates);
+      if (!solution) {
+        log.debug('Solution is not unique', { fen });
+        continue;
+      }
+
+      const playedUci = played ? `${played.from}${played.to}${played.promotion || ''}` : null;
+      puzzles.push({
+        id: crypto
+          .createHash('sha1')
+          .update(`${key} ${solution.join(' ')}`)
+          .digest('hex')
+          .slice(0, 8),
+        fen,
+        solution,
+        solutionSan: toSanLine(fen, solution),
+        themes: detectThemes(fen, solution, kind),
+        evaluation: candidates[0].evaluation,
+        source: {
+          game,
+          white: headers.White,
+          black: headers.Black,
+          date: headers.Date,
+          event: headers.Event,
+          ply,
+          played: played ? played.san : null,
+          found: playedUci === solution[0],
+        },
+      });
+    }
+
+    return puzzles;
+  }
+
+  /**
+   * Follow the solution: the solver's only move, the engine's reply, and so on while
+   * the solver's move stays the only one. A mate must be forced all the way.
+   * @param {string} fen - Puzzle position
+   * @param {string} kind - classifyOnlyMove() result for it
+   * @param {Array<Object>} candidates - The two lines already searched there
+   * @returns {Promise<Array<string>|null>} UCI moves ending with the solver's, null when the
+   *   line is not unique
+   */
+  async solve(fen, kind, candidates) {
+    const chess = new Chess(fen);
+    const maxLength = PUZZLE.MAX_SOLVER_MOVES * 2 - 1;
+    const solution = [];
+    let lines = candidates;
+
+    while (solution.length < maxLength) {
+      const [best] = lines;
+      play(chess, best.move);
+      solution.push(best.move);
+      if (chess.isGameOver() || solution.length === maxLength) {
+        break;
+      }
+
+      const reply = best.pv[1] || (await this.searchLines(chess.fen()))[0].move;
+      play(chess, reply);
+      solution.push(reply);
+
+      lines = await this.searchLines(chess.fen());
+      // A forced move is still the only move
+      if (chess.moves().length > 1 && classifyOnlyMove(lines) !== kind) {
+        solution.pop(); // end on the solver's last only move
+        chess.undo();
+        break;
+      }
+    }
+
+    return candidates[0].mate > 0 && !chess.isCheckmate() ? null : solution;
+  }
+
+  /**
+   * The two best lines of a position
+   */
+  async searchLines(fen) {
+    return this.engineManager.getCandidateMoves(fen, 2, { depth: this.config.depth });
+  }
+}
+
+/**
+ * Evaluations from [%eval] comments, by the FEN after the commented move
+ * @returns {Map<string, number>} White's score in pawns, mates as +/-(10000 - n)
+ */
+function commentEvaluations(chess) {
+  const evaluations = new Map();
+  for (const { fen, comment } of chess.getComments()) {
+    const match = /\[%eval\s+(#)?(-?[\d.]+)\]/.exec(comment);
+    if (!match) {
+      continue;
+    }
+    const value = Number(match[2]);
+    evaluations.set(fen, match[1] ? mateScore(value) : value);
+  }
+  return evaluations;
+}
+
+/**
+ * Pieces the moved piece attacks that it wins something against: the king,
+ * anything worth more, or anything undefended. Pawns are left out.
+ */
+function forkTargets(chess, move) {
+  const opponent = move.color === 'w' ? 'b' : 'w';
+  return chess
+    .board()
+    .flat()
+    .filter(
+      (piece) =>
+        piece &&
+        piece.color === opponent &&
+        piece.type !== 'p' &&
+        chess.attackers(piece.square, move.color).includes(move.to) &&
+        (piece.type === 'k' ||
+          PIECE_VALUES[piece.type] > PIECE_VALUES[move.piece] ||
+          chess.attackers(piece.square, opponent).length === 0)
+    );
+}
+
+function play(chess, uci) {
+  return chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+}
+
+function toSanLine(fen, solution) {
+  const chess = new Chess(fen);
+  return solution.map((uci) => play(chess, uci).san);
+}
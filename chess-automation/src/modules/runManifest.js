@@ -0,0 +1,149 @@
+/**
+ * Run Manifests
+ * Records what produced a set of results: the machine, each engine's binary
+ * and version, every UCI option and the checksums of weights files, so that
+ * reports made on different machines can be compared
+ */
+
+import crypto from 'crypto';
+import { createReadStream, constants as fsConstants } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of a file
+ * @param {string} file - Path
+ * @returns {Promise<string|null>} Hex digest, null when the file cannot be read
+ */
+export async function fileChecksum(file) {
+  const hash = crypto.createHash('sha256');
+  try {
+    for await (const chunk of createReadStream(file)) {
+      hash.update(chunk);
+    }
+  } catch {
+    return null;
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Where a command runs from: the path itself when it has a directory, otherwise
+ * the first match on PATH
+ * @param {string} command - Executable path or name
+ * @returns {Promise<string|null>} Absolute path, null when not found or not executable
+ */
+export async function findExecutable(command) {
+  if (command.includes('/') || command.includes('\\')) {
+    return (await isExecutable(command)) ? path.resolve(command) : null;
+  }
+
+  const extensions = process.platform === 'win32' ? ['', '.exe', '.cmd', '.bat'] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, command + extension);
+      if (await isExecutable(candidate)) {
+        return path.resolve(candidate);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The whole manifest for a run
+ * @param {Array<Object>} engines - EngineManager.getManifest() results
+ * @param {Object} extra - Anything else worth recording (command line, input files)
+ * @returns {Object} { version, createdAt, host: { platform, release, arch, cpu, cores, node },
+ *   engines, ...extra }
+ */
+export function buildRunManifest(engines, extra = {}) {
+  const cpus = os.cpus();
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    host: {
+      platform: os.platform(),
+      release: os.release(),
+      arch: os.arch(),
+      cpu: cpus[0]?.model || null,
+      cores: cpus.length,
+      node: process.version,
+    },
+    engines,
+    ...extra,
+  };
+}
+
+/**
+ * Write a run manifest as JSON
+ * @param {string} file - Destination
+ * @param {Array<Object>} engines - EngineManager.getManifest() results
+ * @param {Object} extra - See buildRunManifest()
+ * @returns {Promise<Object>} The manifest written
+ */
+export async function writeRunManifest(file, engines, extra = {}) {
+  const manifest = buildRunManifest(engines, extra);
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/**
+ * Everything two manifests disagree on, engines matched by id. The creation time
+ * is not compared.
+ * @param {Object} a - Manifest
+ * @param {Object} b - Manifest
+ * @returns {Array<Object>} { path: 'engines.sf.options.Hash', a, b }; empty when they match
+ */
+export function diffManifests(a, b) {
+  const byId = (manifest) =>
+    Object.fromEntries((manifest.engines || []).map((engine) => [engine.engineId, engine]));
+  const differences = [];
+
+  const compare = (left, right, where) => {
+    if (isObject(left) && isObject(right)) {
+      const keys = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+      for (const key of keys) {
+        compare(left[key], right[key], where ? `${where}.${key}` : key);
+      }
+    } else if (JSON.stringify(left) !== JSON.stringify(right)) {
+      differences.push({ path: where, a: left ?? null, b: right ?? null });
+    }
+  };
+
+  compare(a.host, b.host, 'host');
+  compare(byId(a), byId(b), 'engines');
+  return differences;
+}
+
+/**
+ * Printable comparison
+ * @param {Array<Object>} differences - diffManifests() result
+ * @returns {string}
+ */
+export function formatManifestDiff(differences) {
+  if (differences.length === 0) {
+    return 'Manifests match';
+  }
+  const show = (value) => (value === null ? '(none)' : JSON.stringify(value));
+  return differences
+    .map(({ path: where, a, b }) => `${where}: ${show(a)} -> ${show(b)}`)
+    .join('\n');
+}
+
+async function isExecutable(file) {
+  try {
+    await fs.access(file, fsConstants.X_OK);
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,985 @@
+/**
+ * Syzygy Tablebases
+ * Pure-JS WDL/DTZ probing of local Syzygy files (.rtbw/.rtbz), following the
+ * Stockfish prober. Tables are opened on first use and only the blocks a probe
+ * needs are read from disk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/** Win/draw/loss from the side to move; cursed wins and blessed losses are drawn by the 50-move rule */
+export const WDL = {
+  LOSS: -2,
+  BLESSED_LOSS: -1,
+  DRAW: 0,
+  CURSED_WIN: 1,
+  WIN: 2,
+};
+
+const WDL_NAMES = {
+  [WDL.LOSS]: 'loss',
+  [WDL.BLESSED_LOSS]: 'blessed-loss',
+  [WDL.DRAW]: 'draw',
+  [WDL.CURSED_WIN]: 'cursed-win',
+  [WDL.WIN]: 'win',
+};
+
+const MAGIC = { wdl: 0x5d23e871, dtz: 0xa50c66d7 };
+const EXTENSIONS = { '.rtbw': 'wdl', '.rtbz': 'dtz' };
+const TABLE_NAME = /^([KQRBNP]+)v([KQRBNP]+)$/;
+
+const FLAG = { STM: 1, MAPPED: 2, WIN_PLIES: 4, LOSS_PLIES: 8, WIDE: 16, SINGLE_VALUE: 128 };
+const CHANGE_STM = Symbol('change side to move');
+const MASK64 = (1n << 64n) - 1n;
+
+// Piece codes used inside the files: white pawn..king 1..6, black 9..14
+const PIECE_CODES = { P: 1, N: 2, B: 3, R: 4, Q: 5, K: 6 };
+
+// Index tables shared by all files, see initIndexTables()
+const MAP_PAWNS = new Array(64).fill(0);
+const MAP_B1H1H7 = new Array(64).fill(0);
+const MAP_A1D1D4 = new Array(64).fill(0);
+const MAP_KK = Array.from({ length: 10 }, () => new Array(64).fill(0));
+const BINOMIAL = Array.from({ length: 6 }, () => new Array(64).fill(0));
+const LEAD_PAWN_IDX = Array.from({ length: 6 }, () => new Array(64).fill(0));
+const LEAD_PAWNS_SIZE = Array.from({ length: 6 }, () => new Array(4).fill(0));
+
+initIndexTables();
+
+/**
+ * Result category of a WDL value: 'win', 'cursed-win', 'draw', 'blessed-loss' or 'loss'
+ * @param {number} wdl - WDL value
+ * @returns {string}
+ */
+export function wdlName(wdl) {
+  return WDL_NAMES[wdl];
+}
+
+/**
+ * Game result a WDL value leads to under the 50-move rule
+ * @param {number} wdl - WDL value from the side to move
+ * @returns {number} 1 win, 0 draw, -1 loss
+ */
+export function wdlOutcome(wdl) {
+  if (wdl === WDL.WIN) return 1;
+  if (wdl === WDL.LOSS) return -1;
+  return 0;
+}
+
+export class SyzygyTablebase {
+  /**
+   * @param {Object} config - { path: directories separated like the SyzygyPath
+   *   UCI option (':' on Unix, ';' on Windows), or an array of directories }
+   */
+  constructor(config = {}) {
+    const paths = config.path || [];
+    this.paths = Array.isArray(paths) ? paths : paths.split(path.delimiter).filter(Boolean);
+    this.files = new Map(); // table name, e.g. 'KRPvKR' -> { wdl, dtz } file paths
+    this.tables = new Map(); // 'KRPvKR.wdl' -> SyzygyTable
+    this.maxPieces = 0;
+  }
+
+  /**
+   * Find the table files in the configured directories
+   * @returns {Promise<void>}
+   * @throws {Error} If a directory cannot be read
+   */
+  async init() {
+    for (const dir of this.paths) {
+      for (const file of await fs.readdir(dir)) {
+        const { name, ext } = path.parse(file);
+        const type = EXTENSIONS[ext];
+        if (!type || !TABLE_NAME.test(name)) {
+          continue;
+        }
+
+        const entry = this.files.get(name) || {};
+        entry[type] ??= path.join(dir, file);
+        this.files.set(name, entry);
+        if (type === 'wdl') {
+          this.maxPieces = Math.max(this.maxPieces, name.length - 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a position is small enough for the available tables. Positions with
+   * castling rights are never in the tables.
+   * @param {Position} position - Position to check
+   * @returns {boolean}
+   */
+  canProbe(position) {
+    const { w, b } = position.castling;
+    const castling = [w.k, w.q, b.k, b.q].some((rook) => rook !== null);
+    return !castling && position.board.filter(Boolean).length <= this.maxPieces;
+  }
+
+  /**
+   * Win/draw/loss of a position from the side to move
+   * @param {Position} position - Position to probe (left unchanged)
+   * @returns {Promise<number|null>} WDL value, or null if the tables do not cover it
+   */
+  async probeWdl(position) {
+    if (!this.canProbe(position)) {
+      return null;
+    }
+    const result = await this.search(position.clone(), false);
+    return result && result.value;
+  }
+
+  /**
+   * Distance to zeroing (capture or pawn move) in plies, signed like the WDL value.
+   * May be one ply too long for positions that are not won or lost outright.
+   * @param {Position} position - Position to probe (left unchanged)
+   * @returns {Promise<number|null>} 0 for draws, null if the tables do not cover it
+   */
+  async probeDtz(position) {
+    if (!this.canProbe(position)) {
+      return null;
+    }
+    return this.searchDtz(position.clone());
+  }
+
+  /**
+   * Probe both tables
+   * @param {Position} position - Position to probe (left unchanged)
+   * @returns {Promise<Object|null>} { wdl, result, dtz } where result is the wdlName()
+   *   and dtz is null without DTZ tables; null if the WDL tables do not cover it
+   */
+  async probe(position) {
+    const wdl = await this.probeWdl(position);
+    if (wdl === null) {
+      return null;
+    }
+    return { wdl, result: wdlName(wdl), dtz: await this.probeDtz(position) };
+  }
+
+  /**
+   * Close all open table files
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all([...this.tables.values()].map((table) => table.close()));
+    this.tables.clear();
+  }
+
+  /**
+   * WDL of a position, resolving the captures the tables do not store values for.
+   * With checkZeroing, pawn moves are searched too (DTZ tables skip them).
+   * @returns {Promise<Object|null>} { value, zeroing: best move resets the 50-move counter }
+   */
+  async search(position, checkZeroing) {
+    const moves = position.legalMoves();
+    let best = WDL.LOSS;
+    let searched = 0;
+
+    for (const move of moves) {
+      if (!move.captured && (!checkZeroing || move.piece.toLowerCase() !== 'p')) {
+        continue;
+      }
+      searched++;
+
+      position.makeMove(move);
+      const reply = await this.search(position, false);
+      position.undoMove();
+      if (!reply) {
+        return null;
+      }
+
+      const value = 0 - reply.value;
+      if (value > best) {
+        best = value;
+        if (value >= WDL.WIN) {
+          return { value, zeroing: true };
+        }
+      }
+    }
+
+    // When every legal move was searched the stored value may be wrong (en passant
+    // rights are not part of the tables), so it is not probed
+    const noMoreMoves = searched > 0 && searched === moves.length;
+    let value = best;
+    if (!noMoreMoves) {
+      value = await this.probeTable(position, 'wdl');
+      if (value === null) {
+        return null;
+      }
+    }
+
+    if (best >= value) {
+      return { value: best, zeroing: best > WDL.DRAW || noMoreMoves };
+    }
+    return { value, zeroing: false };
+  }
+
+  async searchDtz(position) {
+    const searched = await this.search(position, true);
+    if (!searched) {
+      return null;
+    }
+
+    const wdl = searched.value;
+    if (wdl === WDL.DRAW) {
+      return 0;
+    }
+    if (searched.zeroing) {
+      return dtzBeforeZeroing(wdl);
+    }
+
+    const dtz = await this.probeTable(position, 'dtz', wdl);
+    if (dtz === null) {
+      return null;
+    }
+    if (dtz !== CHANGE_STM) {
+      const cursed = wdl === WDL.CURSED_WIN || wdl === WDL.BLESSED_LOSS;
+      return (dtz + (cursed ? 100 : 0)) * Math.sign(wdl);
+    }
+
+    // The table only stores the other side to move: take the best reply
+    let minDtz = 0xffff;
+    for (const move of position.legalMoves()) {
+      const zeroing = Boolean(move.captured) || move.piece.toLowerCase() === 'p';
+
+      position.makeMove(move);
+      let value;
+      if (zeroing) {
+        const reply = await this.search(position, false);
+        value = reply && 0 - dtzBeforeZeroing(reply.value);
+      } else {
+        const reply = await this.searchDtz(position);
+        value = reply === null ? null : 0 - reply;
+      }
+      if (value === null) {
+        position.undoMove();
+        return null;
+      }
+
+      if (value === 1 && position.isCheckmate()) {
+        minDtz = 1;
+      }
+      if (!zeroing) {
+        value += Math.sign(value);
+      }
+      if (value < minDtz && Math.sign(value) === Math.sign(wdl)) {
+        minDtz = value;
+      }
+      position.undoMove();
+    }
+
+    return minDtz === 0xffff ? -1 : minDtz;
+  }
+
+  /**
+   * Look a position up in its table
+   * @returns {Promise<number|symbol|null>} Stored value, CHANGE_STM when a DTZ table
+   *   only has the other side to move, or null when the table is missing
+   */
+  async probeTable(position, type, wdl = WDL.DRAW) {
+    const material = { w: '', b: '' };
+    for (const piece of 'KQRBNP') {
+      for (const color of ['w', 'b']) {
+        const letter = color === 'w' ? piece : piece.toLowerCase();
+        material[color] += piece.repeat(position.board.filter((p) => p === letter).length);
+      }
+    }
+
+    if (material.w.length + material.b.length === 2) {
+      return WDL.DRAW;
+    }
+
+    // Files are named with the stronger side first
+    let name = `${material.w}v${material.b}`;
+    let blackStronger = false;
+    if (!this.files.get(name)?.[type]) {
+      name = `${material.b}v${material.w}`;
+      blackStronger = material.w !== material.b;
+    }
+    const file = this.files.get(name)?.[type];
+    if (!file) {
+      return null;
+    }
+
+    const key = `${name}.${type}`;
+    if (!this.tables.has(key)) {
+      this.tables.set(key, new SyzygyTable(file, type, name));
+    }
+    return this.tables.get(key).probe(position, blackStronger, wdl);
+  }
+}
+
+/**
+ * One .rtbw or .rtbz file
+ */
+class SyzygyTable {
+  constructor(file, type, name) {
+    const [white, black] = name.split('v');
+    const count = (side, piece) => side.split(piece).length - 1;
+
+    this.file = file;
+    this.type = type;
+    this.symmetric = white === black;
+    this.pieceCount = name.length - 1;
+    this.hasPawns = name.includes('P');
+    this.hasUniquePieces = [white, black].some((side) =>
+      [...'PNBRQ'].some((piece) => count(side, piece) === 1)
+    );
+
+    // The side with fewer pawns leads, since that compresses better
+    const whitePawns = count(white, 'P');
+    const blackPawns = count(black, 'P');
+    const whiteLeads = !blackPawns || (whitePawns && blackPawns >= whitePawns);
+    this.pawnCount = whiteLeads ? [whitePawns, blackPawns] : [blackPawns, whitePawns];
+
+    this.handle = null;
+    this.opening = null;
+  }
+
+  async open() {
+    this.opening ??= (async () => {
+      this.handle = await fs.open(this.file, 'r');
+      const { size } = await this.handle.stat();
+
+      // The header has no stored length: read more until it parses
+      for (let length = 64 * 1024; ; length *= 4) {
+        const header = await this.read(0, Math.min(length, size));
+        try {
+          this.parse(header);
+          return;
+        } catch (error) {
+          if (!(error instanceof RangeError) || length >= size) {
+            throw error;
+          }
+        }
+      }
+    })();
+    return this.opening;
+  }
+
+  async close() {
+    await this.handle?.close();
+    this.handle = null;
+    this.opening = null;
+  }
+
+  async read(offset, length) {
+    const buffer = Buffer.alloc(length);
+    await this.handle.read(buffer, 0, length, offset);
+    return buffer;
+  }
+
+  /**
+   * Read the per-file piece order, grouping and compression parameters
+   */
+  parse(buffer) {
+    if (buffer.readUInt32LE(0) !== MAGIC[this.type]) {
+      throw new Error(`${this.file} is not a Syzygy ${this.type.toUpperCase()} table`);
+    }
+
+    const sides = this.type === 'wdl' && !this.symmetric ? 2 : 1;
+    const files = this.hasPawns ? 4 : 1;
+    const bothPawns = this.hasPawns && this.pawnCount[1] > 0;
+    let offset = 5; // magic and a flags byte that repeats what the name tells
+
+    this.items = [[], []]; // [side to move][leading pawn file]
+    for (let f = 0; f < files; f++) {
+      const orders = [
+        [buffer[offset] & 0xf, bothPawns ? buffer[offset + 1] & 0xf : 0xf],
+        [buffer[offset] >> 4, bothPawns ? buffer[offset + 1] >> 4 : 0xf],
+      ];
+      offset += bothPawns ? 2 : 1;
+
+      const pieces = [[], []];
+      for (let k = 0; k < this.pieceCount; k++, offset++) {
+        pieces[0].push(buffer[offset] & 0xf);
+        pieces[1].push(buffer[offset] >> 4);
+      }
+      for (let i = 0; i < sides; i++) {
+        this.items[i][f] = this.createPairsData(pieces[i], orders[i], f);
+      }
+    }
+    offset += offset % 2;
+
+    const each = (callback) => {
+      for (let f = 0; f < files; f++) {
+        for (let i = 0; i < sides; i++) {
+          callback(this.items[i][f]);
+        }
+      }
+    };
+
+    each((d) => {
+      offset = this.readSizes(d, buffer, offset);
+    });
+    if (this.type === 'dtz') {
+      offset = this.readDtzMap(buffer, offset, files);
+    }
+
+    const headerEnd = offset;
+    each((d) => {
+      d.sparseIndex = offset;
+      offset += d.sparseIndexSize * 6;
+    });
+    each((d) => {
+      d.blockLength = offset;
+      offset += d.blockLengthSize * 2;
+    });
+    each((d) => {
+      offset = Math.ceil(offset / 64) * 64;
+      d.data = offset;
+      offset += d.numBlocks * d.sizeofBlock;
+    });
+
+    if (headerEnd > buffer.length) {
+      throw new RangeError('Header is longer than the data read');
+    }
+    this.header = buffer.subarray(0, headerEnd);
+  }
+
+  /**
+   * Split the pieces into groups encoded together and size each group's index.
+   * The leading group is the pawns of one side, three unique pieces, or the kings.
+   */
+  createPairsData(pieces, order, file) {
+    const d = { pieces, groupLen: [1], groupIdx: [] };
+    let firstLen = this.hasPawns ? 0 : this.hasUniquePieces ? 3 : 2;
+    for (let i = 1; i < this.pieceCount; i++) {
+      if (--firstLen > 0 || pieces[i] === pieces[i - 1]) {
+        d.groupLen[d.groupLen.length - 1]++;
+      } else {
+        d.groupLen.push(1);
+      }
+    }
+
+    // Groups are encoded in a per-table order: order[0] is the leading group and
+    // order[1] the other side's pawns
+    const n = d.groupLen.length;
+    const bothPawns = this.hasPawns && this.pawnCount[1] > 0;
+    let next = bothPawns ? 2 : 1;
+    let freeSquares = 64 - d.groupLen[0] - (bothPawns ? d.groupLen[1] : 0);
+    let idx = 1;
+
+    for (let k = 0; next < n || k === order[0] || k === order[1]; k++) {
+      if (k === order[0]) {
+        d.groupIdx[0] = idx;
+        idx *= this.hasPawns
+          ? LEAD_PAWNS_SIZE[d.groupLen[0]][file]
+          : this.hasUniquePieces
+            ? 31332
+            : 462;
+      } else if (k === order[1]) {
+        d.groupIdx[1] = idx;
+        idx *= BINOMIAL[d.groupLen[1]][48 - d.groupLen[0]];
+      } else {
+        d.groupIdx[next] = idx;
+        idx *= BINOMIAL[d.groupLen[next]][freeSquares];
+        freeSquares -= d.groupLen[next++];
+      }
+    }
+    d.groupIdx[n] = idx;
+
+    return d;
+  }
+
+  /**
+   * Read the Huffman code parameters of one sub-table
+   */
+  readSizes(d, buffer, start) {
+    let offset = start;
+    d.flags = buffer[offset++];
+
+    if (d.flags & FLAG.SINGLE_VALUE) {
+      d.numBlocks = 0;
+      d.sizeofBlock = 0;
+      d.blockLengthSize = 0;
+      d.sparseIndexSize = 0;
+      d.singleValue = buffer[offset++];
+      return offset;
+    }
+
+    const tableSize = d.groupIdx[d.groupLen.length];
+    d.sizeofBlock = 2 ** buffer[offset++];
+    d.span = 2 ** buffer[offset++];
+    d.sparseIndexSize = Math.ceil(tableSize / d.span);
+    const padding = buffer[offset++];
+    d.numBlocks = buffer.readUInt32LE(offset);
+    offset += 4;
+    d.blockLengthSize = d.numBlocks + padding;
+    d.maxSymLen = buffer[offset++];
+    d.minSymLen = buffer[offset++];
+    d.lowestSym = offset;
+
+    // base64[l] is the lowest code of length minSymLen + l, left-aligned in 64 bits.
+    // Longer codes have lower values, so base64 decreases with the length.
+    const lengths = d.maxSymLen - d.minSymLen + 1;
+    const lowest = (l) => BigInt(buffer.readUInt16LE(d.lowestSym + 2 * l));
+    d.base64 = new Array(lengths).fill(0n);
+    for (let l = lengths - 2; l >= 0; l--) {
+      d.base64[l] = (d.base64[l + 1] + lowest(l) - lowest(l + 1)) / 2n;
+    }
+    for (let l = 0; l < lengths; l++) {
+      d.base64[l] = (d.base64[l] << BigInt(64 - l - d.minSymLen)) & MASK64;
+    }
+    offset += lengths * 2;
+
+    // Each symbol expands into a pair of symbols (recursive pairing); symlen is the
+    // number of values a symbol stands for, minus one
+    const symbols = buffer.readUInt16LE(offset);
+    offset += 2;
+    d.btree = offset;
+    d.symlen = new Array(symbols).fill(0);
+    const visited = new Array(symbols).fill(false);
+    const measure = (sym) => {
+      visited[sym] = true;
+      const { left, right } = readPair(buffer, d.btree, sym);
+      if (right === 0xfff) {
+        return 0;
+      }
+      if (!visited[left]) d.symlen[left] = measure(left);
+      if (!visited[right]) d.symlen[right] = measure(right);
+      return d.symlen[left] + d.symlen[right] + 1;
+    };
+    for (let sym = 0; sym < symbols; sym++) {
+      if (!visited[sym]) {
+        d.symlen[sym] = measure(sym);
+      }
+    }
+
+    return offset + symbols * 3 + (symbols % 2);
+  }
+
+  /**
+   * DTZ tables may store values through a per-result map
+   */
+  readDtzMap(buffer, start, files) {
+    let offset = start;
+    this.map = start;
+
+    for (let f = 0; f < files; f++) {
+      const d = this.items[0][f];
+      if (!(d.flags & FLAG.MAPPED)) {
+        continue;
+      }
+
+      d.mapIdx = [];
+      if (d.flags & FLAG.WIDE) {
+        offset += offset % 2;
+        for (let i = 0; i < 4; i++) {
+          d.mapIdx.push(Math.floor((offset - this.map) / 2) + 1);
+          offset += 2 * buffer.readUInt16LE(offset) + 2;
+        }
+      } else {
+        for (let i = 0; i < 4; i++) {
+          d.mapIdx.push(offset - this.map + 1);
+          offset += buffer[offset] + 1;
+        }
+      }
+    }
+
+    return offset + (offset % 2);
+  }
+
+  /**
+   * Probe a position whose material matches this table
+   * @param {Position} position - Position to look up
+   * @param {boolean} blackStronger - The table's first side is black in the position
+   * @param {number} wdl - WDL of the position (DTZ tables only)
+   * @returns {Promise<number|symbol>}
+   */
+  async probe(position, blackStronger, wdl) {
+    await this.open();
+
+    // Tables are stored for the stronger side as white, and symmetric tables only
+    // for white to move: flip colors and ranks otherwise
+    const flip = (this.symmetric && position.turn === 'b') || blackStronger;
+    const flipColor = flip ? 8 : 0;
+    const flipSquares = flip ? 56 : 0;
+    const stm = (flip ? 1 : 0) ^ (position.turn === 'b' ? 1 : 0);
+
+    const occupied = [];
+    for (let square = 0; square < 64; square++) {
+      const piece = position.board[(square >> 3) * 16 + (square & 7)];
+      if (piece) {
+        const code = PIECE_CODES[piece.toUpperCase()] + (piece === piece.toLowerCase() ? 8 : 0);
+        occupied.push({ square, code });
+      }
+    }
+
+    const squares = [];
+    const pieces = [];
+    let leadPawns = 0;
+    let tbFile = 0;
+
+    // With pawns there is one sub-table per file of the leading pawn (mirrored to a-d):
+    // the pawn nearest the edge and, on the same file, the lowest one
+    if (this.hasPawns) {
+      const leadCode = this.items[0][0].pieces[0] ^ flipColor;
+      for (const { square, code } of occupied) {
+        if (code === leadCode) {
+          squares.push(square ^ flipSquares);
+        }
+      }
+      leadPawns = squares.length;
+
+      let lead = 0;
+      squares.forEach((square, i) => {
+        if (MAP_PAWNS[square] > MAP_PAWNS[squares[lead]]) lead = i;
+      });
+      [squares[0], squares[lead]] = [squares[lead], squares[0]];
+      tbFile = Math.min(squares[0] & 7, 7 - (squares[0] & 7));
+    }
+
+    if (this.type === 'dtz' && !this.hasSideToMove(stm, tbFile)) {
+      return CHANGE_STM;
+    }
+
+    for (const { square, code } of occupied) {
+      if (!(this.hasPawns && code === (this.items[0][0].pieces[0] ^ flipColor))) {
+        squares.push(square ^ flipSquares);
+        pieces.push(code ^ flipColor);
+      }
+    }
+    pieces.unshift(...new Array(leadPawns).fill(null));
+
+    const d = this.items[this.type === 'wdl' ? stm : 0][tbFile];
+
+    // Put the pieces in the order the table encodes them
+    for (let i = leadPawns; i < squares.length - 1; i++) {
+      for (let j = i + 1; j < squares.length; j++) {
+        if (d.pieces[i] === pieces[j]) {
+          [pieces[i], pieces[j]] = [pieces[j], pieces[i]];
+          [squares[i], squares[j]] = [squares[j], squares[i]];
+          break;
+        }
+      }
+    }
+
+    // Mirror so the leading piece is on files a-d
+    if ((squares[0] & 7) > 3) {
+      squares.forEach((square, i) => {
+        squares[i] = square ^ 7;
+      });
+    }
+
+    const idx = this.hasPawns
+      ? this.encodePawns(squares, leadPawns)
+      : this.encodePieces(squares, d);
+    const value = await this.decompress(d, this.encodeRemaining(squares, d, idx));
+    return this.type === 'wdl' ? value - 2 : this.mapDtz(d, value, wdl);
+  }
+
+  encodePawns(squares, leadPawns) {
+    let idx = LEAD_PAWN_IDX[leadPawns][squares[0]];
+    const rest = squares.slice(1, leadPawns).sort((a, b) => MAP_PAWNS[a] - MAP_PAWNS[b]);
+    squares.splice(1, rest.length, ...rest);
+    for (let i = 1; i < leadPawns; i++) {
+      idx += BINOMIAL[i][MAP_PAWNS[squares[i]]];
+    }
+    return idx;
+  }
+
+  /**
+   * Index of the leading group of a pawnless table, using its 8 symmetries
+   */
+  encodePieces(squares, d) {
+    const rank = (square) => square >> 3;
+
+    // Leading piece below rank 5
+    if (rank(squares[0]) > 3) {
+      squares.forEach((square, i) => {
+        squares[i] = square ^ 56;
+      });
+    }
+
+    // First leading piece off the a1-h8 diagonal goes below it
+    for (let i = 0; i < d.groupLen[0]; i++) {
+      if (!offDiagonal(squares[i])) {
+        continue;
+      }
+      if (offDiagonal(squares[i]) > 0) {
+        for (let j = i; j < squares.length; j++) {
+          squares[j] = ((squares[j] >> 3) | (squares[j] << 3)) & 63;
+        }
+      }
+      break;
+    }
+
+    if (!this.hasUniquePieces) {
+      return MAP_KK[MAP_A1D1D4[squares[0]]][squares[1]];
+    }
+
+    const [s0, s1, s2] = squares;
+    const adjust1 = s1 > s0 ? 1 : 0;
+    const adjust2 = (s2 > s0 ? 1 : 0) + (s2 > s1 ? 1 : 0);
+
+    if (offDiagonal(s0)) {
+      return (MAP_A1D1D4[s0] * 63 + (s1 - adjust1)) * 62 + s2 - adjust2;
+    }
+    if (offDiagonal(s1)) {
+      return (6 * 63 + rank(s0) * 28 + MAP_B1H1H7[s1]) * 62 + s2 - adjust2;
+    }
+    if (offDiagonal(s2)) {
+      return (
+        6 * 63 * 62 + 4 * 28 * 62 + rank(s0) * 7 * 28 + (rank(s1) - adjust1) * 28 + MAP_B1H1H7[s2]
+      );
+    }
+    return (
+      6 * 63 * 62 +
+      4 * 28 * 62 +
+      4 * 7 * 28 +
+      rank(s0) * 7 * 6 +
+      (rank(s1) - adjust1) * 6 +
+      (rank(s2) - adjust2)
+    );
+  }
+
+  /**
+   * Add the other groups to the index: each group's squares, sorted and
+   * skipping the squares taken by earlier groups
+   */
+  encodeRemaining(squares, d, leadIdx) {
+    let idx = leadIdx * d.groupIdx[0];
+    let [start] = d.groupLen;
+    let remainingPawns = this.hasPawns && this.pawnCount[1] > 0;
+
+    for (let next = 1; next < d.groupLen.length; next++) {
+      const length = d.groupLen[next];
+      const group = squares.slice(start, start + length).sort((a, b) => a - b);
+      squares.splice(start, length, ...group);
+
+      let n = 0;
+      group.forEach((square, i) => {
+        const adjust = squares.slice(0, start).filter((earlier) => square > earlier).length;
+        n += BINOMIAL[i + 1][square - adjust - (remainingPawns ? 8 : 0)];
+      });
+
+      remainingPawns = false;
+      idx += n * d.groupIdx[next];
+      start += length;
+    }
+
+    return idx;
+  }
+
+  hasSideToMove(stm, file) {
+    const { flags } = this.items[0][file];
+    return (flags & FLAG.STM) === stm || (this.symmetric && !this.hasPawns);
+  }
+
+  /**
+   * Convert a stored DTZ value to plies
+   */
+  mapDtz(d, stored, wdl) {
+    let value = stored;
+    if (d.flags & FLAG.MAPPED) {
+      const index = d.mapIdx[[1, 3, 0, 2, 0][wdl + 2]] + value;
+      value =
+        d.flags & FLAG.WIDE
+          ? this.header.readUInt16LE(this.map + 2 * index)
+          : this.header[this.map + index];
+    }
+
+    // Values are stored in moves unless the flags say plies
+    if (
+      (wdl === WDL.WIN && !(d.flags & FLAG.WIN_PLIES)) ||
+      (wdl === WDL.LOSS && !(d.flags & FLAG.LOSS_PLIES)) ||
+      wdl === WDL.CURSED_WIN ||
+      wdl === WDL.BLESSED_LOSS
+    ) {
+      value *= 2;
+    }
+    return value + 1;
+  }
+
+  /**
+   * Decode the value stored at an index
+   */
+  async decompress(d, idx) {
+    if (d.flags & FLAG.SINGLE_VALUE) {
+      return d.singleValue;
+    }
+
+    // Every span values a sparse entry gives the block and offset of the middle
+    // value; walk the block lengths from there
+    const k = Math.floor(idx / d.span);
+    const entry = await this.read(d.sparseIndex + k * 6, 6);
+    let block = entry.readUInt32LE(0);
+    let offset = entry.readUInt16LE(4) + (idx % d.span) - d.span / 2;
+
+    const blockLength = async (index) =>
+      (await this.read(d.blockLength + index * 2, 2)).readUInt16LE(0);
+    while (offset < 0) {
+      block--;
+      offset += (await blockLength(block)) + 1;
+    }
+    for (let length = await blockLength(block); offset > length; ) {
+      offset -= length + 1;
+      block++;
+      length = await blockLength(block);
+    }
+
+    // Canonical Huffman codes, read 32 bits at a time; the next block is ignored
+    const data = await this.read(d.data + block * d.sizeofBlock, d.sizeofBlock + 8);
+    const lowestSym = (l) => this.header.readUInt16LE(d.lowestSym + 2 * l);
+    let buf64 = data.readBigUInt64BE(0);
+    let position = 8;
+    let bits = 64;
+    let sym;
+
+    for (;;) {
+      let len = 0;
+      while (buf64 < d.base64[len]) {
+        len++;
+      }
+      sym = Number((buf64 - d.base64[len]) >> BigInt(64 - len - d.minSymLen));
+      sym = (sym + lowestSym(len)) & 0xffff;
+
+      if (offset < d.symlen[sym] + 1) {
+        break;
+      }
+      offset -= d.symlen[sym] + 1;
+      len += d.minSymLen;
+      buf64 = (buf64 << BigInt(len)) & MASK64;
+      bits -= len;
+      if (bits <= 32) {
+        bits += 32;
+        buf64 |= BigInt(data.readUInt32BE(position)) << BigInt(64 - bits);
+        position += 4;
+      }
+    }
+
+    // Expand the symbol down to the single value at the offset
+    while (d.symlen[sym]) {
+      const { left, right } = readPair(this.header, d.btree, sym);
+      if (offset < d.symlen[left] + 1) {
+        sym = left;
+      } else {
+        offset -= d.symlen[left] + 1;
+        sym = right;
+      }
+    }
+    return readPair(this.header, d.btree, sym).left;
+  }
+}
+
+/**
+ * Symbols a pair expands into: 12 bits each, packed in 3 bytes
+ */
+function readPair(buffer, btree, sym) {
+  const offset = btree + sym * 3;
+  return {
+    left: ((buffer[offset + 1] & 0xf) << 8) | buffer[offset],
+    right: (buffer[offset + 2] << 4) | (buffer[offset + 1] >> 4),
+  };
+}
+
+/**
+ * Signed distance of a square from the a1-h8 diagonal (positive above it)
+ */
+function offDiagonal(square) {
+  return (square >> 3) - (square & 7);
+}
+
+/**
+ * DTZ of the move before a capture or pawn move, from the WDL after it
+ */
+function dtzBeforeZeroing(wdl) {
+  switch (wdl) {
+    case WDL.WIN:
+      return 1;
+    case WDL.CURSED_WIN:
+      return 101;
+    case WDL.BLESSED_LOSS:
+      return -101;
+    case WDL.LOSS:
+      return -1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Fill the lookup tables used to turn a position into a table index
+ */
+function initIndexTables() {
+  const isKingMove = (a, b) =>
+    Math.abs((a >> 3) - (b >> 3)) <= 1 && Math.abs((a & 7) - (b & 7)) <= 1;
+
+  // Squares below the a1-h8 diagonal -> 0..27
+  let code = 0;
+  for (let square = 0; square < 64; square++) {
+    if (offDiagonal(square) < 0) {
+      MAP_B1H1H7[square] = code++;
+    }
+  }
+
+  // The a1-d1-d4 triangle -> 0..9, diagonal squares last
+  const diagonal = [];
+  code = 0;
+  for (let square = 0; square <= 27; square++) {
+    if (offDiagonal(square) < 0 && (square & 7) <= 3) {
+      MAP_A1D1D4[square] = code++;
+    } else if (!offDiagonal(square) && (square & 7) <= 3) {
+      diagonal.push(square);
+    }
+  }
+  diagonal.forEach((square) => {
+    MAP_A1D1D4[square] = code++;
+  });
+
+  // The 462 king pairs with the first king in the triangle; with the first king on
+  // the diagonal the second is not above it. Pairs with both on the diagonal go last.
+  const bothOnDiagonal = [];
+  code = 0;
+  for (let idx = 0; idx < 10; idx++) {
+    for (let s1 = 0; s1 <= 27; s1++) {
+      if (MAP_A1D1D4[s1] !== idx || (idx === 0 && s1 !== 1)) {
+        continue;
+      }
+      for (let s2 = 0; s2 < 64; s2++) {
+        if (isKingMove(s1, s2)) {
+          continue;
+        }
+        if (!offDiagonal(s1) && offDiagonal(s2) > 0) {
+          continue;
+        }
+        if (!offDiagonal(s1) && !offDiagonal(s2)) {
+          bothOnDiagonal.push([idx, s2]);
+        } else {
+          MAP_KK[idx][s2] = code++;
+        }
+      }
+    }
+  }
+  bothOnDiagonal.forEach(([idx, s2]) => {
+    MAP_KK[idx][s2] = code++;
+  });
+
+  // Binomial coefficients: ways to choose k of n squares
+  BINOMIAL[0][0] = 1;
+  for (let n = 1; n < 64; n++) {
+    for (let k = 0; k < 6 && k <= n; k++) {
+      BINOMIAL[k][n] = (k > 0 ? BINOMIAL[k - 1][n - 1] : 0) + (k < n ? BINOMIAL[k][n - 1] : 0);
+    }
+  }
+
+  // MAP_PAWNS counts the squares left for other pawns when the leading pawn is on a
+  // square (47 on a2, 2 fewer per rank). Leading pawn indexes restart on every file.
+  let available = 47;
+  for (let leadPawns = 1; leadPawns <= 5; leadPawns++) {
+    for (let file = 0; file < 4; file++) {
+      let idx = 0;
+      for (let rank = 1; rank <= 6; rank++) {
+        const square = rank * 8 + file;
+        if (leadPawns === 1) {
+          MAP_PAWNS[square] = available--;
+          MAP_PAWNS[square ^ 7] = available--;
+        }
+        LEAD_PAWN_IDX[leadPawns][square] = idx;
+        idx += BINOMIAL[leadPawns - 1][MAP_PAWNS[square]];
+      }
+      LEAD_PAWNS_SIZE[leadPawns][file] = idx;
+    }
+  }
+}
@@ -0,0 +1,512 @@
+/**
+ * Tournament Module
+ * Plays offline engine-vs-engine matches between configured engines
+ */
+
+import { EngineManager } from './engineManager.js';
+import { Position, START_FEN } from './chess/position.js';
+import { findUciMove, moveToSan } from './chess/notation.js';
+import { formatScore } from './chess/score.js';
+import { formatPgnGame } from './pgn.js';
+import { eloEstimate, formatElo } from './elo.js';
+import { logger } from './logger.js';
+import { ENGINES_CONFIG, getEngineManagerConfig } from '../config/engines.config.js';
+
+export const TOURNAMENT_DEFAULTS = {
+  format: 'round-robin', // round-robin or gauntlet (first engine plays everyone else)
+  rounds: 1, // how many times the whole schedule is repeated
+  timeControl: { type: 'movetime', movetime: 500 },
+  adjudication: {
+    resignScore: 6, // pawns; a side resigns after resignMoves own moves at or below -resignScore
+    resignMoves: 4,
+    drawScore: 0.1, // pawns; draw after drawMoves plies within +/- drawScore
+    drawMoves: 10,
+    drawMinPly: 60, // no draw adjudication before this ply
+    maxPlies: 400, // games longer than this are drawn
+  },
+};
+
+/**
+ * Parse a time control specification
+ * @param {string} spec - 'movetime=500', 'depth=10', 'nodes=20000' or '<base>+<inc>' in seconds
+ * @returns {Object} { type, ... }
+ * @throws {Error} If the specification cannot be read
+ */
+export function parseTimeControl(spec) {
+  const text = String(spec).trim();
+  const [key, value] = text.split('=');
+
+  if (value !== undefined) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`Invalid time control: ${spec}`);
+    }
+    switch (key) {
+      case 'movetime':
+        return { type: 'movetime', movetime: number };
+      case 'depth':
+        return { type: 'depth', depth: number };
+      case 'nodes':
+        return { type: 'nodes', nodes: number };
+      default:
+        throw new Error(`Invalid time control: ${spec}`);
+    }
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    throw new Error(`Invalid time control: ${spec}`);
+  }
+
+  return {
+    type: 'clock',
+    base: Math.round(Number(match[1]) * 1000),
+    increment: Math.round(Number(match[2] || 0) * 1000),
+  };
+}
+
+/**
+ * Format a time control for the PGN TimeControl tag
+ */
+function formatTimeControl(timeControl) {
+  switch (timeControl.type) {
+    case 'clock':
+      return `${timeControl.base / 1000}+${timeControl.increment / 1000}`;
+    case 'movetime':
+      return `movetime ${timeControl.movetime}ms`;
+    case 'depth':
+      return `depth ${timeControl.depth}`;
+    case 'nodes':
+      return `nodes ${timeControl.nodes}`;
+    default:
+      return '-';
+  }
+}
+
+/**
+ * Read an opening book of starting positions: one FEN or EPD per line,
+ * blank lines and lines starting with '#' are ignored
+ * @param {string} text - File contents
+ * @returns {string[]} Validated FEN strings
+ * @throws {Error} If a line is not a legal position
+ */
+export function parseOpenings(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line, index) => {
+      const fields = line.split(/\s+/);
+      // EPD lines carry opcodes instead of move counters
+      const counters = fields.slice(4, 6).every((field) => /^\d+$/.test(field))
+        ? fields.slice(4, 6)
+        : [];
+      const fen = [...fields.slice(0, 4), ...counters].join(' ');
+
+      try {
+        return new Position(fen).toFen();
+      } catch (error) {
+        throw new Error(`Opening ${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+export class Tournament {
+  constructor(config = {}) {
+    this.config = {
+      ...TOURNAMENT_DEFAULTS,
+      engines: [],
+      event: 'Engine tournament',
+      ...config,
+      openings: config.openings?.length ? config.openings : [START_FEN],
+      adjudication: { ...TOURNAMENT_DEFAULTS.adjudication, ...config.adjudication },
+    };
+
+    // Pools may repeat ids to weight selection; a tournament needs each engine once
+    this.engineIds = [...new Set(this.config.engines)];
+    this.managers = new Map();
+    this.games = [];
+    this.logger = logger.child('tournament');
+  }
+
+  /**
+   * Start every participating engine
+   */
+  async init() {
+    if (this.engineIds.length < 2) {
+      throw new Error('A tournament needs at least two engines');
+    }
+
+    for (const engineId of this.engineIds) {
+      if (!ENGINES_CONFIG[engineId]) {
+        throw new Error(`Engine configuration not found: ${engineId}`);
+      }
+
+      this.logger.info(`Initializing engine: ${engineId} (${ENGINES_CONFIG[engineId].name})`);
+      const manager = new EngineManager({
+        ...getEngineManagerConfig(engineId),
+        logger: this.logger.child(engineId),
+      });
+      await manager.init();
+      this.managers.set(engineId, manager);
+    }
+  }
+
+  /**
+   * Build the list of games. Every opening is played twice per pairing with colors swapped.
+   * @returns {Array<Object>} { round, white, black, opening, openingIndex }
+   */
+  createSchedule() {
+    const pairings = [];
+
+    if (this.config.format === 'gauntlet') {
+      const [challenger, ...opponents] = this.engineIds;
+      opponents.forEach((opponent) => pairings.push([challenger, opponent]));
+    } else if (this.config.format === 'round-robin') {
+      for (let i = 0; i < this.engineIds.length; i++) {
+        for (let j = i + 1; j < this.engineIds.length; j++) {
+          pairings.push([this.engineIds[i], this.engineIds[j]]);
+        }
+      }
+    } else {
+      throw new Error(`Unknown tournament format: ${this.config.format}`);
+    }
+
+    const schedule = [];
+    for (let round = 1; round <= this.config.rounds; round++) {
+      for (const [first, second] of pairings) {
+        this.config.openings.forEach((opening, openingIndex) => {
+          schedule.push({ round, white: first, black: second, opening, openingIndex });
+          schedule.push({ round, white: second, black: first, opening, openingIndex });
+        });
+      }
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Play the whole schedule
+   * @param {Function} onGame - Optional callback after each finished game
+   * @returns {Promise<Array>} Finished games
+   */
+  async run(onGame = null) {
+    const schedule = this.createSchedule();
+    this.logger.info(`Tournament: ${schedule.length} games, ${this.engineIds.length} engines`);
+
+    for (let i = 0; i < schedule.length; i++) {
+      const game = await this.playGame({ ...schedule[i], number: i + 1 });
+      this.games.push(game);
+
+      this.logger.info(
+        `Game ${i + 1}/${schedule.length}: ${game.white} - ${game.black} ${game.result} (${game.termination})`
+      );
+
+      if (onGame) {
+        await onGame(game);
+      }
+    }
+
+    return this.games;
+  }
+
+  /**
+   * Search options for the side to move under the configured time control
+   */
+  getSearchOptions(clocks) {
+    const { timeControl } = this.config;
+
+    switch (timeControl.type) {
+      case 'clock':
+        return {
+          wtime: clocks.w,
+          btime: clocks.b,
+          winc: timeControl.increment,
+          binc: timeControl.increment,
+        };
+      case 'depth':
+        return { depth: timeControl.depth };
+      case 'nodes':
+        return { nodes: timeControl.nodes };
+      case 'movetime':
+      default:
+        return { time: timeControl.movetime };
+    }
+  }
+
+  /**
+   * Play a single game
+   * @param {Object} pairing - { round, number, white, black, opening }
+   * @returns {Promise<Object>} Game record
+   */
+  async playGame(pairing) {
+    const { white, black, opening } = pairing;
+    const { adjudication, timeControl } = this.config;
+    const position = new Position(opening);
+    const players = { w: white, b: black };
+    const clocks = { w: timeControl.base, b: timeControl.base };
+    const repetitions = new Map();
+    const resignCounts = { w: 0, b: 0 };
+    const moves = [];
+    let drawCount = 0;
+    let result = null;
+    let termination = null;
+
+    for (const engineId of [white, black]) {
+      await this.managers.get(engineId).newGame();
+    }
+
+    const lose = (color, reason) => {
+      result = color === 'w' ? '0-1' : '1-0';
+      termination = reason;
+    };
+    const draw = (reason) => {
+      result = '1/2-1/2';
+      termination = reason;
+    };
+
+    while (!result) {
+      const key = position.toFen().split(' ').slice(0, 4).join(' ');
+      repetitions.set(key, (repetitions.get(key) || 0) + 1);
+
+      if (position.legalMoves().length === 0) {
+        if (position.isCheck()) {
+          lose(position.turn, 'checkmate');
+        } else {
+          draw('stalemate');
+        }
+        break;
+      }
+      if (position.isInsufficientMaterial()) {
+        draw('insufficient material');
+        break;
+      }
+      if (position.isFiftyMoveDraw()) {
+        draw('fifty-move rule');
+        break;
+      }
+      if (repetitions.get(key) >= 3) {
+        draw('threefold repetition');
+        break;
+      }
+      if (moves.length >= adjudication.maxPlies) {
+        draw('adjudication: maximum game length');
+        break;
+      }
+
+      const color = position.turn;
+      const engineId = players[color];
+      const startTime = Date.now();
+
+      let analysis;
+      try {
+        analysis = await this.managers
+          .get(engineId)
+          .analyzePosition(position.toFen(), this.getSearchOptions(clocks));
+      } catch (error) {
+        lose(color, `${engineId} failed: ${error.message}`);
+        break;
+      }
+
+      const elapsed = Date.now() - startTime;
+      if (timeControl.type === 'clock') {
+        clocks[color] -= elapsed;
+        if (clocks[color] < 0) {
+          lose(color, 'time forfeit');
+          break;
+        }
+        clocks[color] += timeControl.increment;
+      }
+
+      const move = findUciMove(position, analysis.bestMove);
+      if (!move) {
+        lose(color, `illegal move ${analysis.bestMove} by ${engineId}`);
+        break;
+      }
+
+      moves.push({
+        uci: analysis.bestMove,
+        san: moveToSan(position, move),
+        evaluation: analysis.evaluation,
+        depth: analysis.depth,
+        time: elapsed,
+      });
+      position.makeMove(move);
+
+      // Resign: the mover's own evaluation stays hopeless for several moves
+      if (analysis.evaluation <= -adjudication.resignScore) {
+        resignCounts[color]++;
+        if (resignCounts[color] >= adjudication.resignMoves) {
+          lose(color, 'adjudication: resign');
+        }
+      } else {
+        resignCounts[color] = 0;
+      }
+
+      // Draw: both sides agree the position is level for a stretch of plies
+      if (
+        moves.length >= adjudication.drawMinPly &&
+        Math.abs(analysis.evaluation) <= adjudication.drawScore
+      ) {
+        drawCount++;
+        if (!result && drawCount >= adjudication.drawMoves) {
+          draw('adjudication: draw');
+        }
+      } else {
+        drawCount = 0;
+      }
+    }
+
+    const game = {
+      ...pairing,
+      result,
+      termination,
+      moves,
+      finalFen: position.toFen(),
+    };
+    game.pgn = this.formatGame(game);
+    return game;
+  }
+
+  /**
+   * Format a finished game as PGN
+   */
+  formatGame(game) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '.');
+    const headers = {
+      Event: this.config.event,
+      Site: 'Local',
+      Date: date,
+      Round: `${game.round}.${game.number}`,
+      White: ENGINES_CONFIG[game.white]?.name || game.white,
+      Black: ENGINES_CONFIG[game.black]?.name || game.black,
+      Result: game.result,
+      TimeControl: formatTimeControl(this.config.timeControl),
+      Termination: game.termination,
+    };
+
+    if (game.opening !== START_FEN) {
+      headers.SetUp = '1';
+      headers.FEN = game.opening;
+    }
+
+    const [, startColor, , , , fullmove] = game.opening.split(' ');
+    const moves = game.moves.map((move) => ({
+      san: move.san,
+      comment: `${formatScore(move.evaluation, { sign: true })}/${move.depth} ${(move.time / 1000).toFixed(2)}s`,
+    }));
+
+    return formatPgnGame(headers, moves, {
+      startColor,
+      startMoveNumber: Number(fullmove) || 1,
+    });
+  }
+
+  /**
+   * All games as one PGN document
+   * @returns {string}
+   */
+  toPgn() {
+    return this.games.map((game) => game.pgn).join('\n');
+  }
+
+  /**
+   * Pairwise and overall results with Elo estimates
+   * @returns {Array<Object>} Rows sorted by points
+   */
+  getCrosstable() {
+    const rows = new Map(
+      this.engineIds.map((id) => [
+        id,
+        { id, name: ENGINES_CONFIG[id]?.name || id, wins: 0, draws: 0, losses: 0, opponents: {} },
+      ])
+    );
+
+    const record = (id, opponent, points) => {
+      const row = rows.get(id);
+      row.opponents[opponent] = row.opponents[opponent] || { points: 0, games: 0 };
+      row.opponents[opponent].points += points;
+      row.opponents[opponent].games++;
+      if (points === 1) row.wins++;
+      else if (points === 0) row.losses++;
+      else row.draws++;
+    };
+
+    for (const game of this.games) {
+      const whitePoints = game.result === '1-0' ? 1 : game.result === '0-1' ? 0 : 0.5;
+      record(game.white, game.black, whitePoints);
+      record(game.black, game.white, 1 - whitePoints);
+    }
+
+    return [...rows.values()]
+      .map((row) => ({
+        ...row,
+        games: row.wins + row.draws + row.losses,
+        points: row.wins + row.draws / 2,
+        rating: eloEstimate(row),
+      }))
+      .sort((a, b) => b.points - a.points);
+  }
+
+  /**
+   * Crosstable as a printable text table
+   * @returns {string}
+   */
+  formatCrosstable() {
+    const rows = this.getCrosstable();
+    const width = Math.max(...rows.map((row) => row.id.length), 6);
+    const lines = [];
+
+    lines.push(
+      [
+        '#'.padEnd(3),
+        'Engine'.padEnd(width),
+        ...rows.map((_, index) => `${index + 1}`.padStart(7)),
+        'Points'.padStart(9),
+        'Games'.padStart(6),
+        'Elo'.padStart(7),
+        '+/-'.padStart(6),
+      ].join(' ')
+    );
+
+    rows.forEach((row, index) => {
+      const cells = rows.map((opponent) => {
+        if (opponent.id === row.id) return '-'.padStart(7);
+        const stats = row.opponents[opponent.id];
+        return (stats ? `${stats.points}/${stats.games}` : '').padStart(7);
+      });
+
+      lines.push(
+        [
+          `${index + 1}`.padEnd(3),
+          row.id.padEnd(width),
+          ...cells,
+          `${row.points}`.padStart(9),
+          `${row.games}`.padStart(6),
+          formatElo(row.rating.elo).padStart(7),
+          (Number.isFinite(row.rating.error) ? `${Math.round(row.rating.error)}` : 'inf').padStart(
+            6
+          ),
+        ].join(' ')
+      );
+    });
+
+    lines.push('');
+    lines.push('Elo is each engine against its own opponents, with a 95% error bar.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Shut down every engine
+   */
+  async cleanup() {
+    for (const [id, manager] of this.managers) {
+      try {
+        await manager.quit();
+      } catch (error) {
+        this.logger.error(`Error cleaning up engine ${id}`, { error });
+      }
+    }
+    this.managers.clear();
+  }
+}
@@ -3,9 +3,12 @@
  * Provides visual feedback for moves and analysis
  */
 
+import { logger } from './logger.js';
+
 export class UIHighlighter {
   constructor(page) {
     this.page = page;
+    this.logger = logger.child('highlighter');
     this.highlightStyles = {
       bestMove: 'rgba(0, 255, 0, 0.5)',
       alternativeMove: 'rgba(255, 255, 0, 0.3)',
@@ -21,7 +24,7 @@ export class UIHighlighter {
   async init() {
     await this.injectStyles();
     await this.injectHighlightFunctions();
-    console.log('UI Highlighter initialized');
+    this.logger.debug('UI Highlighter initialized');
   }
 
   /**
@@ -162,10 +165,9 @@ export class UIHighlighter {
           this.highlights.clear();
         },
 
-        drawArrow(from, to, color = '#00ff00') {
+        drawArrow() {
           // Implementation for drawing arrows between squares
           // This would require SVG overlay on the board
-          console.log(`Drawing arrow from ${from} to ${to} with color ${color}`);
         },
 
         showEvaluation(data) {
@@ -301,6 +303,7 @@ export class UIHighlighter {
    * @param {string} color - Arrow color
    */
   async drawArrow(from, to, color = '#00ff00') {
+    this.logger.debug(`Drawing arrow from ${from} to ${to} with color ${color}`);
     await this.page.evaluate(
       (f, t, c) => {
         if (window.chessHighlighter) {
@@ -0,0 +1,37 @@
+/**
+ * Analysis View Helpers
+ * Score formatting and eval bar math for the analysis board
+ */
+
+import { formatScore as formatPawns, isMateScore } from '../modules/chess/score.js';
+
+/**
+ * Turn a score from the side to move into White's point of view
+ * @param {number} score - Pawns (mate scores are +/-10000 offsets)
+ * @param {string} fen - Position the score belongs to
+ * @returns {number}
+ */
+export function whiteScore(score, fen) {
+  return fen.split(' ')[1] === 'b' ? -score : score;
+}
+
+/**
+ * Format a score for display: '+0.35', '-1.20', '#3' or '#-2'
+ * @param {number} score - Pawns, mate in n as 10000 - n and mated in n as -10000 + n
+ * @returns {string}
+ */
+export function formatScore(score) {
+  return formatPawns(score, { sign: true });
+}
+
+/**
+ * Share of the eval bar that is White's, as a percentage. Uses a logistic
+ * curve so a pawn or two moves the bar noticeably and large scores saturate.
+ * @param {number} score - Pawns from White's point of view
+ * @returns {number} 0..100
+ */
+export function evalBarPercent(score) {
+  if (isMateScore(score)) return score > 0 ? 100 : 0;
+  const winChance = 2 / (1 + Math.exp(-0.368208 * score)) - 1;
+  return Math.round((50 + 50 * winChance) * 10) / 10;
+}
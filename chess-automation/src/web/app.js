@@ -0,0 +1,667 @@
+/**
+ * Analysis Board
+ * Browser app served by the analysis server. Positions are analyzed by every
+ * selected engine in parallel over the server's WebSocket; lines, arrows and
+ * the eval bar use the per-engine colors from ENGINE_COLORS.
+ */
+
+import { GameTree } from './gameTree.js';
+import { evalBarPercent, formatScore, whiteScore } from './analysisView.js';
+import { Position, colorOf, parseSquare, squareName } from '../modules/chess/position.js';
+import { moveToUci, pvToSan } from '../modules/chess/notation.js';
+
+const GLYPHS = { k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '♟' };
+const ANALYZE_DELAY = 150; // ms to wait before analyzing while stepping through moves
+
+const state = {
+  tree: new GameTree(),
+  flipped: false,
+  engines: [],
+  selected: new Set(),
+  multiPV: 3,
+  socket: null,
+  jobs: new Map(), // job id -> { engineId, fen, lines: Map(multipv -> update), status }
+  pending: new Map(), // request id -> engine id, until the server answers with the job
+  requestCounter: 0,
+  selectedSquare: null,
+  analyzeTimer: null,
+};
+
+const $ = (id) => document.getElementById(id);
+
+// --- Server ---
+
+async function loadEngines() {
+  const [engines, status] = await Promise.all([
+    fetch('/api/engines').then((response) => response.json()),
+    fetch('/api/status').then((response) => response.json()),
+  ]);
+
+  state.engines = engines.filter((engine) => engine.enabled);
+  const preferred = status.dualAnalysisEngines.filter((id) =>
+    state.engines.some((engine) => engine.id === id && engine.running)
+  );
+  state.selected = new Set(preferred.length > 0 ? preferred : [status.defaultEngine]);
+  renderEngineList();
+}
+
+function connect() {
+  const socket = new WebSocket(`ws://${window.location.host}/ws`);
+  state.socket = socket;
+
+  socket.addEventListener('open', () => {
+    setStatus('Connected');
+    scheduleAnalysis(0);
+  });
+  socket.addEventListener('message', (event) => handleMessage(JSON.parse(event.data)));
+  socket.addEventListener('close', () => {
+    setStatus('Disconnected from the analysis server, retrying...', true);
+    state.jobs.clear();
+    setTimeout(connect, 2000);
+  });
+}
+
+function send(message) {
+  if (state.socket?.readyState === WebSocket.OPEN) {
+    state.socket.send(JSON.stringify(message));
+  }
+}
+
+function handleMessage(message) {
+  switch (message.type) {
+    case 'job': {
+      const { job, requestId } = message;
+      if (requestId && state.pending.has(requestId)) {
+        state.pending.delete(requestId);
+        state.jobs.set(job.id, { engineId: job.engine, fen: job.fen, lines: new Map() });
+      }
+      const entry = state.jobs.get(job.id);
+      if (entry) {
+        entry.status = job.status;
+        if (job.status === 'failed') {
+          setStatus(`${job.engineName}: ${job.error}`, true);
+        }
+      }
+      break;
+    }
+    case 'info': {
+      const entry = state.jobs.get(message.jobId);
+      if (entry && message.update.pv?.length) {
+        entry.lines.set(message.update.multipv || 1, message.update);
+        renderAnalysis();
+      }
+      break;
+    }
+    case 'error':
+      setStatus(message.message, true);
+      break;
+  }
+}
+
+/**
+ * Stop the running searches and start new ones for the current position
+ */
+function analyze() {
+  for (const [id, entry] of state.jobs) {
+    if (entry.status === 'queued' || entry.status === 'running') {
+      send({ type: 'cancel', jobId: id });
+    }
+  }
+  state.jobs.clear();
+  state.pending.clear();
+
+  const { fen } = state.tree.current;
+  if (new Position(fen).legalMoves().length === 0) {
+    renderAnalysis();
+    return;
+  }
+
+  for (const engineId of state.selected) {
+    const requestId = String(++state.requestCounter);
+    state.pending.set(requestId, engineId);
+    send({
+      type: 'analyze',
+      requestId,
+      fen,
+      engine: engineId,
+      multiPV: state.multiPV,
+      infinite: true,
+    });
+  }
+  renderAnalysis();
+}
+
+function scheduleAnalysis(delay = ANALYZE_DELAY) {
+  clearTimeout(state.analyzeTimer);
+  state.analyzeTimer = setTimeout(analyze, delay);
+}
+
+/**
+ * Latest lines of every engine for the current position, best first
+ * @returns {Array<Object>} { engine, lines }
+ */
+function currentAnalysis() {
+  const { fen } = state.tree.current;
+  return [...state.jobs.values()]
+    .filter((entry) => entry.fen === fen && entry.lines.size > 0)
+    .map((entry) => ({
+      engine: state.engines.find((engine) => engine.id === entry.engineId),
+      lines: [...entry.lines.values()].sort((a, b) => a.multipv - b.multipv),
+    }))
+    .filter(({ engine }) => engine);
+}
+
+// --- Board ---
+
+function squareAt(row, column) {
+  const file = state.flipped ? 7 - column : column;
+  const rank = state.flipped ? row : 7 - row;
+  return squareName(rank * 16 + file);
+}
+
+function renderBoard() {
+  const board = $('board');
+  const arrows = $('arrows');
+  board.querySelectorAll('.square').forEach((square) => square.remove());
+
+  const { current } = state.tree;
+  const position = new Position(current.fen);
+  const targets = state.selectedSquare ? legalTargets(position, state.selectedSquare) : [];
+  const king = position.isCheck() ? squareName(position.kings[position.turn]) : null;
+
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      const name = squareAt(row, column);
+      const square = document.createElement('div');
+      square.className = `square ${(row + column) % 2 === 0 ? 'light' : 'dark'}`;
+      square.dataset.square = name;
+
+      if (current.uci && [current.uci.slice(0, 2), current.uci.slice(2, 4)].includes(name)) {
+        square.classList.add('last-move');
+      }
+      square.classList.toggle('selected', name === state.selectedSquare);
+      square.classList.toggle('target', targets.includes(name));
+      square.classList.toggle('check', name === king);
+
+      if (row === 7) square.append(coordinate('file', name[0]));
+      if (column === 0) square.append(coordinate('rank', name[1]));
+
+      const piece = position.get(name);
+      if (piece) {
+        const glyph = document.createElement('span');
+        glyph.className = `piece ${colorOf(piece) === 'w' ? 'white' : 'black'}`;
+        glyph.textContent = GLYPHS[piece.toLowerCase()];
+        square.append(glyph);
+      }
+
+      board.insertBefore(square, arrows);
+    }
+  }
+
+  $('fen-input').value = current.fen;
+  $('eval-bar').classList.toggle('flipped', state.flipped);
+}
+
+function coordinate(kind, text) {
+  const label = document.createElement('span');
+  label.className = `coord ${kind}`;
+  label.textContent = text;
+  return label;
+}
+
+function legalTargets(position, from) {
+  const index = parseSquare(from);
+  return position
+    .legalMoves()
+    .filter((move) => move.from === index)
+    .map((move) => squareName(move.to));
+}
+
+/**
+ * Play a move entered on the board, asking for the piece on promotion
+ */
+async function tryMove(from, to) {
+  const position = new Position(state.tree.current.fen);
+  const moves = position
+    .legalMoves()
+    .filter((move) => squareName(move.from) === from && squareName(move.to) === to);
+  if (moves.length === 0) {
+    return false;
+  }
+
+  let [move] = moves;
+  if (moves.length > 1) {
+    move = await choosePromotion(moves, to);
+    if (!move) {
+      return true;
+    }
+  }
+
+  state.tree.play(moveToUci(move));
+  update();
+  return true;
+}
+
+function choosePromotion(moves, to) {
+  const picker = $('promotion');
+  const target = $('board').querySelector(`[data-square="${to}"]`).getBoundingClientRect();
+  picker.replaceChildren();
+  picker.style.left = `${target.left}px`;
+  picker.style.top = `${target.top}px`;
+  picker.hidden = false;
+
+  return new Promise((resolve) => {
+    for (const move of moves) {
+      const button = document.createElement('button');
+      button.textContent = GLYPHS[move.promotion];
+      button.addEventListener('click', () => {
+        picker.hidden = true;
+        resolve(move);
+      });
+      picker.append(button);
+    }
+    const cancel = document.createElement('button');
+    cancel.textContent = '✕';
+    cancel.addEventListener('click', () => {
+      picker.hidden = true;
+      resolve(null);
+    });
+    picker.append(cancel);
+  });
+}
+
+/**
+ * Drag-and-drop and click-to-move on the board
+ */
+function setupBoardInput() {
+  const board = $('board');
+  let drag = null;
+
+  board.addEventListener('pointerdown', (event) => {
+    const square = event.target.closest('.square');
+    if (!square || event.button !== 0) {
+      return;
+    }
+    const name = square.dataset.square;
+
+    if (state.selectedSquare && state.selectedSquare !== name) {
+      const from = state.selectedSquare;
+      state.selectedSquare = null;
+      tryMove(from, name).then((moved) => moved || renderBoard());
+      if (!ownPiece(name)) {
+        return;
+      }
+    }
+
+    if (!ownPiece(name)) {
+      state.selectedSquare = null;
+      renderBoard();
+      return;
+    }
+
+    state.selectedSquare = name;
+    renderBoard();
+
+    const source = board.querySelector(`[data-square="${name}"] .piece`);
+    const ghost = source.cloneNode(true);
+    ghost.classList.add('dragging');
+    ghost.style.left = `${event.clientX}px`;
+    ghost.style.top = `${event.clientY}px`;
+    document.body.append(ghost);
+    source.classList.add('drag-source');
+    drag = { from: name, ghost, source };
+    board.setPointerCapture(event.pointerId);
+  });
+
+  board.addEventListener('pointermove', (event) => {
+    if (drag) {
+      drag.ghost.style.left = `${event.clientX}px`;
+      drag.ghost.style.top = `${event.clientY}px`;
+    }
+  });
+
+  board.addEventListener('pointerup', (event) => {
+    if (!drag) {
+      return;
+    }
+    const { from, ghost, source } = drag;
+    drag = null;
+    ghost.remove();
+    source.classList.remove('drag-source');
+
+    const target = document
+      .elementsFromPoint(event.clientX, event.clientY)
+      .find((element) => element.classList?.contains('square'));
+    if (target && target.dataset.square !== from) {
+      state.selectedSquare = null;
+      tryMove(from, target.dataset.square).then((moved) => moved || renderBoard());
+    }
+  });
+}
+
+function ownPiece(name) {
+  const position = new Position(state.tree.current.fen);
+  const piece = position.get(name);
+  return piece !== null && colorOf(piece) === position.turn;
+}
+
+/**
+ * Candidate arrows in engine colors; the best line of each engine is drawn boldest
+ */
+function renderArrows(analysis) {
+  const svg = $('arrows');
+  const markup = [];
+
+  const center = (name) => {
+    const file = name.charCodeAt(0) - 97;
+    const rank = Number(name[1]) - 1;
+    return state.flipped ? [7 - file + 0.5, rank + 0.5] : [file + 0.5, 7 - rank + 0.5];
+  };
+
+  for (const { engine, lines } of analysis) {
+    lines.forEach((line, index) => {
+      const [x1, y1] = center(line.pv[0].slice(0, 2));
+      const [x2, y2] = center(line.pv[0].slice(2, 4));
+      const id = `head-${engine.id.replace(/\W/g, '')}`;
+      const opacity = index === 0 ? 0.85 : 0.45;
+      const width = index === 0 ? 0.16 : 0.1;
+
+      // Stop short of the square center so the head does not cover the piece
+      const length = Math.hypot(x2 - x1, y2 - y1);
+      const endX = x2 - ((x2 - x1) / length) * 0.3;
+      const endY = y2 - ((y2 - y1) / length) * 0.3;
+
+      markup.push(
+        `<marker id="${id}" viewBox="0 0 10 10" refX="3" refY="5" markerWidth="3" markerHeight="3" orient="auto">` +
+          `<path d="M0,0 L10,5 L0,10 z" fill="${engine.color}" /></marker>` +
+          `<line x1="${x1}" y1="${y1}" x2="${endX}" y2="${endY}" stroke="${engine.color}" ` +
+          `stroke-width="${width}" stroke-linecap="round" opacity="${opacity}" marker-end="url(#${id})" />`
+      );
+    });
+  }
+
+  svg.innerHTML = markup.join('');
+}
+
+// --- Panels ---
+
+function renderEngineList() {
+  const list = $('engine-list');
+  list.replaceChildren();
+
+  for (const engine of state.engines) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.selected.has(engine.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        state.selected.add(engine.id);
+      } else {
+        state.selected.delete(engine.id);
+      }
+      scheduleAnalysis(0);
+    });
+
+    const swatch = document.createElement('span');
+    swatch.className = 'engine-swatch';
+    swatch.style.background = engine.color;
+
+    label.append(checkbox, swatch, engine.name);
+    list.append(label);
+  }
+}
+
+function renderAnalysis() {
+  const { fen } = state.tree.current;
+  const analysis = currentAnalysis();
+  const container = $('lines');
+  container.replaceChildren();
+
+  for (const { engine, lines } of analysis) {
+    const section = document.createElement('div');
+    section.className = 'engine-lines';
+    section.style.borderLeftColor = engine.color;
+
+    const [best] = lines;
+    const header = document.createElement('header');
+    header.innerHTML =
+      `<strong style="color: ${engine.color}">${engine.name}</strong>` +
+      `<span>depth ${best.depth ?? '-'}${best.nps ? ` · ${Math.round(best.nps / 1000)} kn/s` : ''}</span>`;
+    section.append(header);
+
+    for (const line of lines) {
+      section.append(renderLine(fen, line, engine.color));
+    }
+    container.append(section);
+  }
+
+  // The eval bar follows the first engine that has a line
+  const top = analysis[0]?.lines[0];
+  const score = top ? whiteScore(top.score ?? 0, fen) : 0;
+  $('eval-fill').style.height = `${evalBarPercent(score)}%`;
+  $('eval-label').textContent = top ? formatScore(score) : '';
+
+  const consensus = $('consensus');
+  const bestMoves = new Set(analysis.map(({ lines }) => lines[0].pv[0]));
+  if (analysis.length < 2) {
+    consensus.textContent = '';
+    consensus.className = 'consensus';
+  } else if (bestMoves.size === 1) {
+    consensus.textContent = `✓ Consensus: ${analysis[0].lines[0].pvSan?.[0]}`;
+    consensus.className = 'consensus agree';
+  } else {
+    consensus.textContent = `⚠ Engines disagree (${bestMoves.size} different moves)`;
+    consensus.className = 'consensus disagree';
+  }
+
+  renderArrows(analysis);
+}
+
+function renderLine(fen, line, color) {
+  const row = document.createElement('div');
+  row.className = 'line';
+
+  const score = document.createElement('span');
+  score.className = 'score';
+  score.style.color = color;
+  score.textContent = line.score !== undefined ? formatScore(whiteScore(line.score, fen)) : '';
+  row.append(score);
+
+  const san = line.pvSan || pvToSan(fen, line.pv);
+  const [, turn, , , , fullmove] = fen.split(' ');
+  const moves = document.createElement('span');
+  san.forEach((move, index) => {
+    const ply = index + (turn === 'b' ? 1 : 0);
+    if (ply % 2 === 0 || index === 0) {
+      const number = Number(fullmove) + Math.floor(ply / 2);
+      moves.append(`${number}${ply % 2 === 0 ? '.' : '...'} `);
+    }
+    const token = document.createElement('span');
+    token.className = 'pv-move';
+    token.textContent = move;
+    token.title = 'Play the line up to here';
+    token.addEventListener('click', () => {
+      state.tree.playLine(line.pv.slice(0, index + 1));
+      update();
+    });
+    moves.append(token, ' ');
+  });
+  row.append(moves);
+
+  return row;
+}
+
+/**
+ * Move list with variations indented under the move they replace
+ */
+function renderMoves() {
+  const container = $('moves');
+  container.replaceChildren(...renderVariation(state.tree.root));
+  container.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+}
+
+function renderVariation(start) {
+  const elements = [];
+  let showNumber = true;
+
+  for (let node = start; node.children.length > 0; [node] = node.children) {
+    const [main, ...variations] = node.children;
+    elements.push(...renderMove(main, showNumber));
+
+    for (const variation of variations) {
+      const block = document.createElement('span');
+      block.className = 'variation';
+      block.append(...renderMove(variation, true), ...renderVariation(variation));
+      elements.push(block);
+    }
+    showNumber = variations.length > 0;
+  }
+
+  return elements;
+}
+
+function renderMove(node, showNumber) {
+  const elements = [];
+  const number = GameTree.moveNumber(node);
+  if (showNumber || !number.endsWith('...')) {
+    const label = document.createElement('span');
+    label.className = 'number';
+    label.textContent = number;
+    elements.push(label);
+  }
+
+  const move = document.createElement('span');
+  move.className = `move${node === state.tree.current ? ' current' : ''}`;
+  move.textContent = node.san;
+  move.addEventListener('click', () => {
+    state.tree.goTo(node.id);
+    update();
+  });
+  elements.push(move, ' ');
+  return elements;
+}
+
+function setStatus(text, isError = false) {
+  const status = $('status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Redraw after the current node changed
+ */
+function update() {
+  state.selectedSquare = null;
+  renderBoard();
+  renderMoves();
+  renderAnalysis();
+  scheduleAnalysis();
+}
+
+// --- Controls ---
+
+function setupControls() {
+  $('nav-start').addEventListener('click', () => navigate('start'));
+  $('nav-back').addEventListener('click', () => navigate('back'));
+  $('nav-forward').addEventListener('click', () => navigate('forward'));
+  $('nav-end').addEventListener('click', () => navigate('end'));
+  $('flip').addEventListener('click', flip);
+
+  $('promote').addEventListener('click', () => {
+    state.tree.promote(variationStart(state.tree.current)?.id);
+    renderMoves();
+  });
+  $('delete').addEventListener('click', () => {
+    state.tree.deleteNode(state.tree.current.id);
+    update();
+  });
+
+  $('multipv').addEventListener('change', (event) => {
+    state.multiPV = Number(event.target.value);
+    scheduleAnalysis(0);
+  });
+
+  $('fen-load').addEventListener('click', () => {
+    try {
+      state.tree = new GameTree($('fen-input').value.trim());
+      setStatus('Position loaded');
+      update();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  });
+
+  $('pgn-load').addEventListener('click', () => {
+    try {
+      state.tree = GameTree.fromPgn($('pgn-input').value);
+      setStatus(`Loaded ${state.tree.nodes.size - 1} moves`);
+      update();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  });
+
+  $('pgn-export').addEventListener('click', async () => {
+    const pgn = state.tree.toPgn();
+    $('pgn-input').value = pgn;
+    try {
+      await navigator.clipboard.writeText(pgn);
+      setStatus('PGN copied to the clipboard');
+    } catch {
+      setStatus('PGN written to the text box');
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.target.matches('input, textarea, select')) {
+      return;
+    }
+    const actions = {
+      ArrowLeft: 'back',
+      ArrowRight: 'forward',
+      ArrowUp: 'start',
+      ArrowDown: 'end',
+    };
+    if (actions[event.key]) {
+      event.preventDefault();
+      navigate(actions[event.key]);
+    } else if (event.key === 'f') {
+      flip();
+    }
+  });
+}
+
+function navigate(direction) {
+  const before = state.tree.current;
+  state.tree[direction]();
+  if (state.tree.current !== before) {
+    update();
+  }
+}
+
+function flip() {
+  state.flipped = !state.flipped;
+  renderBoard();
+  renderAnalysis();
+}
+
+/**
+ * First move of the variation containing a node (the node itself for main-line moves)
+ */
+function variationStart(node) {
+  let entry = node;
+  while (entry.parent && entry.parent.children[0] === entry) {
+    entry = entry.parent;
+  }
+  return entry.parent ? entry : null;
+}
+
+// --- Start ---
+
+setupBoardInput();
+setupControls();
+update();
+loadEngines()
+  .then(connect)
+  .catch((error) => setStatus(`Could not reach the analysis server: ${error.message}`, true));
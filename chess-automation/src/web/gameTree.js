@@ -0,0 +1,275 @@
+/**
+ * Game Tree
+ * Moves and variations of the analysis board. Shared by the browser app and
+ * Node, so it only depends on the chess modules.
+ */
+
+import { Position, START_FEN } from '../modules/chess/position.js';
+import { findSanMove, findUciMove, moveToSan, moveToUci } from '../modules/chess/notation.js';
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+export class GameTree {
+  /**
+   * @param {string} fen - Starting position
+   */
+  constructor(fen = START_FEN) {
+    this.reset(fen);
+  }
+
+  /**
+   * Start over from a position
+   * @param {string} fen - Starting position
+   * @throws {Error} If the FEN is invalid
+   */
+  reset(fen = START_FEN) {
+    const position = new Position(fen);
+    this.nodes = new Map();
+    this.nextId = 0;
+    this.headers = {};
+    this.root = this.createNode(null, null, null, position.toFen());
+    this.current = this.root;
+  }
+
+  createNode(parent, uci, san, fen) {
+    const node = { id: this.nextId++, parent, uci, san, fen, children: [] };
+    this.nodes.set(node.id, node);
+    return node;
+  }
+
+  /**
+   * Play a move from the current node. An existing continuation is reused;
+   * otherwise the move starts a new variation (or extends the line).
+   * @param {string} move - Move in UCI or SAN
+   * @returns {Object|null} The new current node, or null if the move is illegal
+   */
+  play(move) {
+    const position = new Position(this.current.fen);
+    const legal = findUciMove(position, move) || findSanMove(position, move);
+    if (!legal) {
+      return null;
+    }
+
+    const uci = moveToUci(legal);
+    let child = this.current.children.find((node) => node.uci === uci);
+    if (!child) {
+      const san = moveToSan(position, legal);
+      position.makeMove(legal);
+      child = this.createNode(this.current, uci, san, position.toFen());
+      this.current.children.push(child);
+    }
+
+    this.current = child;
+    return child;
+  }
+
+  /**
+   * Play a sequence of moves from the current node
+   * @param {string[]} moves - Moves in UCI or SAN
+   * @returns {number} Number of moves played before the first illegal one
+   */
+  playLine(moves) {
+    let played = 0;
+    for (const move of moves) {
+      if (!this.play(move)) {
+        break;
+      }
+      played++;
+    }
+    return played;
+  }
+
+  goTo(id) {
+    const node = this.nodes.get(id);
+    if (node) {
+      this.current = node;
+    }
+    return this.current;
+  }
+
+  back() {
+    this.current = this.current.parent || this.current;
+    return this.current;
+  }
+
+  forward() {
+    this.current = this.current.children[0] || this.current;
+    return this.current;
+  }
+
+  start() {
+    this.current = this.root;
+    return this.current;
+  }
+
+  end() {
+    while (this.current.children.length > 0) {
+      [this.current] = this.current.children;
+    }
+    return this.current;
+  }
+
+  /**
+   * Nodes from the root to a node
+   * @param {Object} node - Tree node (default: current)
+   * @returns {Array<Object>}
+   */
+  path(node = this.current) {
+    const nodes = [];
+    for (let entry = node; entry; entry = entry.parent) {
+      nodes.unshift(entry);
+    }
+    return nodes;
+  }
+
+  /**
+   * Remove a move and everything after it
+   * @param {number} id - Node id
+   */
+  deleteNode(id) {
+    const node = this.nodes.get(id);
+    if (!node?.parent) {
+      return;
+    }
+
+    if (this.path().includes(node)) {
+      this.current = node.parent;
+    }
+    node.parent.children = node.parent.children.filter((child) => child !== node);
+
+    const stack = [node];
+    while (stack.length > 0) {
+      const entry = stack.pop();
+      this.nodes.delete(entry.id);
+      stack.push(...entry.children);
+    }
+  }
+
+  /**
+   * Move a variation one place up among its siblings; the first one is the main line
+   * @param {number} id - Node id
+   */
+  promote(id) {
+    const node = this.nodes.get(id);
+    const siblings = node?.parent?.children;
+    const index = siblings ? siblings.indexOf(node) : -1;
+    if (index > 0) {
+      [siblings[index - 1], siblings[index]] = [siblings[index], siblings[index - 1]];
+    }
+  }
+
+  /**
+   * Move number label of a node, e.g. '12.' for white or '12...' for black
+   */
+  static moveNumber(node) {
+    const [, turn, , , , fullmove] = node.parent.fen.split(' ');
+    return turn === 'w' ? `${fullmove}.` : `${fullmove}...`;
+  }
+
+  /**
+   * Export as PGN with all variations
+   * @returns {string}
+   */
+  toPgn() {
+    const headers = { ...this.headers };
+    if (this.root.fen !== START_FEN) {
+      headers.SetUp = '1';
+      headers.FEN = this.root.fen;
+    }
+    const result = headers.Result || '*';
+
+    const tags = Object.entries(headers).map(
+      ([name, value]) => `[${name} "${String(value).replace(/[\\"]/g, '\\$&')}"]`
+    );
+    const movetext = [...formatLine(this.root, true), result].join(' ');
+    return `${tags.length > 0 ? `${tags.join('\n')}\n\n` : ''}${wrap(movetext)}\n`;
+  }
+
+  /**
+   * Build a tree from a PGN game, variations included. Comments and NAGs are dropped.
+   * @param {string} text - PGN of one game
+   * @returns {GameTree}
+   * @throws {Error} On an illegal move or unbalanced parentheses
+   */
+  static fromPgn(text) {
+    const headers = {};
+    for (const [, name, value] of text.matchAll(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/gm)) {
+      headers[name] = value;
+    }
+
+    const tree = new GameTree(headers.FEN || START_FEN);
+    tree.headers = Object.fromEntries(
+      Object.entries(headers).filter(([name]) => name !== 'FEN' && name !== 'SetUp')
+    );
+
+    const movetext = text.replace(/^\s*\[.*\]\s*$/gm, '');
+    const tokens = movetext.match(/\{[^}]*\}|;[^\n]*|\(|\)|\$\d+|[^\s(){};]+/g) || [];
+    // Each open variation remembers where to continue after it closes
+    const stack = [];
+
+    for (const token of tokens) {
+      if (token === '(') {
+        stack.push(tree.current);
+        tree.back();
+      } else if (token === ')') {
+        if (stack.length === 0) {
+          throw new Error('Unbalanced ")" in PGN');
+        }
+        tree.current = stack.pop();
+      } else if (!/^(?:[{;$]|\d+\.+$|[!?]+$)/.test(token) && !RESULTS.includes(token)) {
+        if (!tree.play(token.replace(/^\d+\.+/, ''))) {
+          throw new Error(`Illegal move in PGN: ${token}`);
+        }
+      }
+    }
+
+    if (stack.length > 0) {
+      throw new Error('Unclosed variation in PGN');
+    }
+    tree.start();
+    return tree;
+  }
+}
+
+/**
+ * Movetext tokens for the line continuing from a node, with variations in parentheses
+ */
+function formatLine(node, needsNumber) {
+  const tokens = [];
+  let showNumber = needsNumber;
+
+  for (let entry = node; entry.children.length > 0; [entry] = entry.children) {
+    const [main, ...variations] = entry.children;
+    tokens.push(formatMove(main, showNumber));
+
+    for (const variation of variations) {
+      tokens.push(`(${[formatMove(variation, true), ...formatLine(variation, false)].join(' ')})`);
+    }
+    showNumber = variations.length > 0;
+  }
+
+  return tokens;
+}
+
+function formatMove(node, showNumber) {
+  const number = GameTree.moveNumber(node);
+  if (number.endsWith('...')) {
+    return showNumber ? `${number} ${node.san}` : node.san;
+  }
+  return `${number} ${node.san}`;
+}
+
+function wrap(text, width = 80) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  lines.push(line);
+  return lines.join('\n');
+}
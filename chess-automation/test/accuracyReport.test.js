@@ -0,0 +1,157 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AccuracyReport,
+  formatAccuracyCsv,
+  formatAccuracyReport,
+  gamePhase,
+  moveAccuracy,
+  scoreMoves,
+  summarizeAccuracy,
+  winProbability,
+} from '../src/modules/accuracyReport.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+function move(fields) {
+  return {
+    ply: 1,
+    color: 'w',
+    san: 'e4',
+    fenBefore: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    bestScore: 0,
+    playedScore: 0,
+    cpLoss: 0,
+    classification: null,
+    book: false,
+    tablebase: null,
+    ...fields,
+  };
+}
+
+test('turns scores into winning chances and winning chances lost into accuracy', () => {
+  assert.equal(winProbability(0), 50);
+  assert.ok(Math.abs(winProbability(300) + winProbability(-300) - 100) < 1e-9);
+  assert.equal(winProbability(5000), winProbability(1000));
+  assert.ok(winProbability(1000) > 97);
+
+  assert.ok(moveAccuracy(0) > 99.99);
+  assert.ok(Math.abs(moveAccuracy(30) - 25) < 1);
+  assert.equal(moveAccuracy(100), 0);
+});
+
+test('splits games into opening, middlegame and endgame by move number and material', () => {
+  const start = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR';
+  assert.equal(gamePhase(`${start} w KQkq - 0 1`), 'opening');
+  assert.equal(gamePhase(`${start} w KQkq - 0 20`), 'middlegame');
+  // Both queens and a pair of rooks off before move 12 ends the opening
+  assert.equal(gamePhase('1nb1kbn1/pppppppp/8/8/8/8/PPPPPPPP/1NB1KBN1 w - - 0 8'), 'middlegame');
+  assert.equal(gamePhase('4k3/3r1p2/8/8/8/8/5P2/3RK3 w - - 0 9'), 'endgame');
+});
+
+test('scores moves from the centipawns, or from the exact result where tablebases know it', () => {
+  const endgame = '8/8/8/8/8/2k5/8/3QK3 w - - 0 60';
+  const [best, mistake, tablebaseDraw, bookMove] = scoreMoves([
+    move({ bestScore: 40, playedScore: 40 }),
+    move({ fenBefore: endgame, bestScore: 30, playedScore: -200, cpLoss: 230 }),
+    move({
+      fenBefore: endgame,
+      bestScore: 1000,
+      playedScore: 1000,
+      cpLoss: 0,
+      tablebase: { before: 'win', after: 'draw' },
+      classification: 'blunder',
+    }),
+    move({ fenBefore: endgame, book: true }),
+  ]);
+
+  assert.equal(best.winLoss, 0);
+  assert.ok(Math.abs(mistake.winLoss - (winProbability(30) - winProbability(-200))) < 1e-9);
+  assert.equal(mistake.phase, 'endgame');
+  assert.equal(tablebaseDraw.winLoss, 50);
+  assert.equal(bookMove.phase, 'opening');
+});
+
+test('weighs a single bad move more than a plain average would', () => {
+  const moves = [
+    { accuracy: 100, cpLoss: 0, winLoss: 0, classification: null },
+    { accuracy: 100, cpLoss: 0, winLoss: 0, classification: null },
+    { accuracy: 10, cpLoss: 400, winLoss: 60, classification: 'blunder' },
+  ];
+  const summary = summarizeAccuracy(moves);
+
+  assert.ok(summary.accuracy < 70);
+  assert.equal(summary.averageCpLoss, 133);
+  assert.equal(summary.averageWinLoss, 20);
+  assert.equal(summary.blunders, 1);
+  assert.equal(summarizeAccuracy([]).accuracy, null);
+});
+
+test('reports accuracy per game, player, phase and month', async () => {
+  const search = (cp, pv) => ({ info: [`info depth 5 score cp ${cp} pv ${pv}`], bestmove: pv });
+  const mock = createMockEngine({
+    searches: [
+      search(30, 'e2e4'),
+      search(-30, 'e7e5'),
+      search(30, 'g1f3'),
+      search(200, 'b8c6'), // 2. Qh5 gives black a 2-pawn edge
+      search(20, 'd2d4'),
+      search(-20, 'd7d5'),
+    ],
+  });
+  const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args });
+  const pgn = `[White "Student"]
+[Black "Coach"]
+[Date "2024.03.05"]
+[Result "*"]
+
+1. e4 e5 2. Qh5 *
+
+[White "Coach"]
+[Black "Student"]
+[Date "2024.04.10"]
+[Result "*"]
+
+1. d4 *`;
+
+  try {
+    await manager.init();
+    const report = await new AccuracyReport(manager, { depth: 5 }).analyzePgn(pgn);
+
+    const [first] = report.games;
+    assert.equal(first.white.moves, 2);
+    assert.equal(first.white.mistakes, 1);
+    assert.equal(first.white.averageCpLoss, 115);
+    assert.equal(first.white.phases.opening.moves, 2);
+    assert.equal(first.black.accuracy, 100);
+
+    const [coach, student] = report.players;
+    assert.equal(coach.player, 'Coach');
+    assert.equal(coach.games, 2);
+    assert.equal(coach.accuracy, 100);
+    assert.equal(student.player, 'Student');
+    assert.ok(student.accuracy < 75);
+    assert.deepEqual(
+      student.months.map((month) => [month.month, month.games, month.moves, month.mistakes]),
+      [
+        ['2024.03', 1, 2, 1],
+        ['2024.04', 1, 0, 0],
+      ]
+    );
+
+    const csv = formatAccuracyCsv(report).trim().split('\n');
+    assert.equal(csv.length, 5);
+    assert.match(csv[0], /^game,date,event,player,color,opponent,result,moves,accuracy,acpl/);
+    assert.match(csv[1], /^1,2024\.03\.05,\?,Student,white,Coach,\*,2,/);
+    assert.match(formatAccuracyReport(report), /Student: accuracy \d+\.\d%, ACPL 115/);
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
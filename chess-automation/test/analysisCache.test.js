@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AnalysisCache, getSearchLimit, normalizeFen } from '../src/modules/analysisCache.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1';
+
+let dir;
+let restoreConsole;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+  restoreConsole = muteConsole();
+});
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  restoreConsole();
+});
+
+function request(options, extra = {}) {
+  return { fen: START_FEN, engine: 'sf', kind: 'analysis', multiPV: 1, options, ...extra };
+}
+
+test('normalizeFen drops counters and uncapturable en passant squares', () => {
+  assert.equal(normalizeFen(AFTER_E4), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -');
+  assert.equal(
+    normalizeFen(AFTER_E4.replace('0 1', '3 17')),
+    normalizeFen(AFTER_E4.replace(' e3 ', ' - '))
+  );
+});
+
+test('keeps Chess960 positions that differ only in castling rights apart', async () => {
+  const fen = 'bqnb1rkr/pppppppp/8/8/8/8/PPPPPPPP/BQNB1RKR w KQkq - 0 1';
+  const noCastling = fen.replace('KQkq', '-');
+  assert.equal(normalizeFen(fen, true), 'bqnb1rkr/pppppppp/8/8/8/8/PPPPPPPP/BQNB1RKR w KQkq -');
+  assert.equal(normalizeFen(fen.replace('KQkq', 'Kk'), true).split(' ')[2], 'Kk');
+  assert.equal(normalizeFen(noCastling, true).split(' ')[2], '-');
+
+  const cache = new AnalysisCache();
+  await cache.set(request({ depth: 10 }, { fen, chess960: true }), { bestMove: 'g1h1' });
+  assert.deepEqual(cache.get(request({ depth: 10 }, { fen, chess960: true })), {
+    bestMove: 'g1h1',
+  });
+  assert.equal(cache.get(request({ depth: 10 }, { fen: noCastling, chess960: true })), null);
+  assert.equal(cache.get(request({ depth: 10 }, { fen })), null);
+});
+
+test('getSearchLimit skips clock and infinite searches', () => {
+  assert.deepEqual(getSearchLimit({ depth: 12 }), { type: 'depth', value: 12 });
+  assert.deepEqual(getSearchLimit({ time: 500 }), { type: 'time', value: 500 });
+  assert.deepEqual(getSearchLimit({}), { type: 'default', value: 0 });
+  assert.equal(getSearchLimit({ infinite: true }), null);
+  assert.equal(getSearchLimit({ wtime: 1000, btime: 1000 }), null);
+});
+
+test('deeper results answer shallower requests, not the other way round', async () => {
+  const cache = new AnalysisCache();
+  await cache.set(request({ depth: 18 }), { bestMove: 'e2e4' });
+  await cache.set(request({ depth: 22 }), { bestMove: 'd2d4' });
+
+  assert.deepEqual(cache.get(request({ depth: 12 })), { bestMove: 'd2d4' });
+  assert.deepEqual(cache.get(request({ depth: 20 })), { bestMove: 'd2d4' });
+  assert.equal(cache.get(request({ depth: 25 })), null);
+  assert.equal(cache.get(request({ time: 100 })), null);
+  assert.equal(cache.get(request({ depth: 12 }, { engine: 'lc0' })), null);
+  assert.equal(cache.get(request({ depth: 12 }, { multiPV: 3 })), null);
+  assert.equal(cache.get(request({ depth: 12 }, { kind: 'candidates' })), null);
+
+  assert.deepEqual(cache.getStatistics(), {
+    hits: 2,
+    misses: 5,
+    writes: 2,
+    evictions: 0,
+    entries: 2,
+    hitRate: 2 / 7,
+  });
+});
+
+test('evicts least recently used entries beyond the size limit', async () => {
+  const cache = new AnalysisCache({ maxEntries: 2 });
+  await cache.set(request({ depth: 10 }), 'a');
+  await cache.set(request({ depth: 10 }, { engine: 'b' }), 'b');
+  cache.get(request({ depth: 10 }));
+  await cache.set(request({ depth: 10 }, { engine: 'c' }), 'c');
+
+  assert.equal(cache.get(request({ depth: 10 })), 'a');
+  assert.equal(cache.get(request({ depth: 10 }, { engine: 'b' })), null);
+  assert.equal(cache.getStatistics().evictions, 1);
+});
+
+test('persists to JSON lines, skips damaged lines and compacts', async () => {
+  const file = path.join(dir, 'nested', 'cache.jsonl');
+  const cache = new AnalysisCache({ path: file });
+  await cache.load();
+  await cache.set(request({ depth: 10 }), { bestMove: 'e2e4' });
+  await cache.set(request({ depth: 10 }), { bestMove: 'g1f3' });
+  fs.appendFileSync(file, '{"fen": "broken\n');
+
+  const reloaded = new AnalysisCache({ path: file });
+  await reloaded.load();
+  assert.deepEqual(reloaded.get(request({ depth: 8 })), { bestMove: 'g1f3' });
+  assert.equal(reloaded.getStatistics().entries, 1);
+
+  await reloaded.compact();
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+
+  await reloaded.clear();
+  assert.equal(fs.readFileSync(file, 'utf8'), '');
+});
+
+test('EngineManager serves repeated positions from the cache', async () => {
+  const mock = createMockEngine({});
+  const cache = new AnalysisCache({ path: path.join(dir, 'manager.jsonl') });
+  const manager = new EngineManager({
+    engine: 'uci',
+    engineId: 'mock',
+    path: mock.path,
+    args: mock.args,
+    cache,
+  });
+  try {
+    await manager.init();
+
+    const first = await manager.analyzePosition(START_FEN, { depth: 16 });
+    const second = await manager.analyzePosition(START_FEN.replace('0 1', '0 9'), { depth: 12 });
+    assert.equal(first.cached, undefined);
+    assert.equal(second.cached, true);
+    assert.equal(second.bestMove, first.bestMove);
+
+    await manager.analyzePosition(START_FEN, { depth: 16, cache: false });
+    const candidates = await manager.getCandidateMoves(START_FEN, 3, { depth: 10 });
+    const fewer = await manager.getCandidateMoves(START_FEN, 2, { depth: 10 });
+    assert.deepEqual(fewer, candidates.slice(0, 2));
+
+    const goCommands = mock.commands().filter((command) => command.startsWith('go'));
+    assert.equal(goCommands.length, 3);
+    assert.deepEqual(manager.getStatus().cache, {
+      hits: 2,
+      misses: 2,
+      writes: 2,
+      evictions: 0,
+      entries: 2,
+      hitRate: 0.5,
+    });
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
@@ -0,0 +1,202 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisCache } from '../src/modules/analysisCache.js';
+import { AnalysisScheduler, formatSchedulerStatistics } from '../src/modules/analysisScheduler.js';
+import { GameReview } from '../src/modules/gameReview.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { muteConsole, registerMockEngine } from './helpers/mockEngine.js';
+
+const FENS = [
+  START_FEN,
+  'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+  'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2',
+  'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2',
+];
+
+let mocks = [];
+let restoreConsole;
+
+before(() => {
+  restoreConsole = muteConsole();
+  mocks = [
+    registerMockEngine('sched-mock', { search: { delay: 50 } }, { searchTimeout: 2000 }),
+    registerMockEngine('sched-crash', { crashOn: 'go' }, { searchTimeout: 2000 }),
+  ];
+});
+
+after(() => {
+  mocks.forEach((mock) => mock.cleanup());
+  restoreConsole();
+});
+
+test('spreads queued positions over warm instances and reports throughput', async () => {
+  const scheduler = new AnalysisScheduler({ engines: ['sched-mock'], instances: 2 });
+  await scheduler.start();
+
+  try {
+    const jobs = [];
+    for (const fen of FENS) {
+      jobs.push(await scheduler.enqueue(fen, { depth: 10 }));
+    }
+    const results = await Promise.all(jobs.map((job) => job.promise));
+
+    assert.deepEqual(
+      results.map((result) => result.fen),
+      FENS
+    );
+    assert.ok(results.every((result) => result.engineId === 'sched-mock' && result.bestMove));
+    assert.deepEqual(new Set(results.map((result) => result.instance)), new Set([1, 2]));
+
+    await scheduler.drain();
+    const stats = scheduler.getStatistics();
+    assert.equal(stats.instances, 2);
+    assert.equal(stats.completed, 4);
+    assert.equal(stats.queued, 0);
+    assert.equal(stats.running, 0);
+    assert.equal(stats.nodes, 40000);
+    assert.deepEqual(
+      stats.perInstance.map((instance) => instance.completed),
+      [2, 2]
+    );
+    assert.ok(stats.positionsPerSecond > 0);
+    assert.match(formatSchedulerStatistics(stats), /^4 position\(s\) in .* on 2 instance\(s\)/);
+  } finally {
+    await scheduler.stop();
+  }
+});
+
+test('runs higher priorities first and makes producers wait for room', async () => {
+  const scheduler = new AnalysisScheduler({ engines: ['sched-mock'], instances: 1, maxQueue: 2 });
+  await scheduler.start();
+
+  try {
+    const finished = [];
+    const track = (job, label) => job.promise.then(() => finished.push(label));
+
+    const first = track(await scheduler.enqueue(FENS[0]), 'first');
+    const low = track(await scheduler.enqueue(FENS[1], { priority: -1 }), 'low');
+    const urgent = track(await scheduler.enqueue(FENS[2], { priority: 5 }), 'urgent');
+
+    // The queue is full until the instance takes the next job
+    let accepted = false;
+    const waiting = scheduler.enqueue(FENS[3]).then((job) => {
+      accepted = true;
+      return track(job, 'last');
+    });
+    assert.equal(accepted, false);
+    assert.equal(scheduler.getStatistics().queued, 2);
+
+    await Promise.all([first, low, urgent, await waiting]);
+    // 'last' was queued behind 'low' but outranks it
+    assert.deepEqual(finished, ['first', 'urgent', 'last', 'low']);
+  } finally {
+    await scheduler.stop();
+  }
+});
+
+test('stops searches at their time budget', async () => {
+  const scheduler = new AnalysisScheduler({ engines: ['sched-mock'], instances: 1 });
+  await scheduler.start();
+
+  try {
+    const capped = await scheduler.analyzePosition(START_FEN, { infinite: true, timeBudget: 150 });
+    assert.equal(capped.overBudget, true);
+    assert.ok(capped.bestMove);
+
+    const timed = await scheduler.analyzePosition(FENS[1], { timeBudget: 300 });
+    assert.equal(timed.overBudget, undefined);
+    assert.ok(mocks[0].commands().includes('go movetime 300'));
+    assert.equal(scheduler.getStatistics().overBudget, 1);
+  } finally {
+    await scheduler.stop();
+  }
+});
+
+test('retires instances that cannot be restarted and fails work only they could do', async () => {
+  const scheduler = new AnalysisScheduler({
+    engines: ['sched-crash', 'sched-mock'],
+    instances: 2,
+    supervision: { maxRestarts: 0 },
+  });
+  await scheduler.start();
+
+  try {
+    const crashing = await scheduler.enqueue(FENS[0], { engine: 'sched-crash', depth: 1 });
+    const stranded = await scheduler.enqueue(FENS[1], { engine: 'sched-crash', depth: 1 });
+    const other = await scheduler.enqueue(FENS[2], { depth: 1 });
+
+    await assert.rejects(crashing.promise);
+    await assert.rejects(stranded.promise, /No running instance of sched-crash/);
+    assert.equal((await other.promise).engineId, 'sched-mock');
+
+    const stats = scheduler.getStatistics();
+    assert.equal(stats.instances, 1);
+    assert.equal(stats.failed, 2);
+    assert.equal(stats.perInstance[0].retired, true);
+    await assert.rejects(
+      scheduler.enqueue(FENS[3], { engine: 'sched-crash' }),
+      /No running instance of sched-crash/
+    );
+  } finally {
+    await scheduler.stop();
+  }
+});
+
+test('reviews several games at once through the scheduler', async () => {
+  const scheduler = new AnalysisScheduler({ engines: ['sched-mock'], instances: 2 });
+  await scheduler.start();
+
+  try {
+    const review = new GameReview(scheduler, { depth: 5, concurrency: 2 });
+    const reviews = await review.reviewPgn(
+      [
+        '[White "A"]\n\n1. e4 e5 2. Nf3 *',
+        '[White "B"]\n\n1. d4 *',
+        '[White "C"]\n\n1. c4 c5 *',
+      ].join('\n\n')
+    );
+
+    assert.deepEqual(
+      reviews.map((game) => [game.headers.White, game.moves.map((move) => move.san)]),
+      [
+        ['A', ['e4', 'e5', 'Nf3']],
+        ['B', ['d4']],
+        ['C', ['c4', 'c5']],
+      ]
+    );
+    assert.equal(scheduler.getStatistics().completed, 4 + 2 + 3);
+  } finally {
+    await scheduler.stop();
+  }
+});
+
+test('serves budgeted searches from the cache on a second review', async () => {
+  const cache = new AnalysisCache();
+  const scheduler = new AnalysisScheduler({
+    engines: ['sched-mock'],
+    instances: 1,
+    timeBudget: 2000,
+    cache,
+  });
+  await scheduler.start();
+
+  try {
+    const review = new GameReview(scheduler, { depth: 5 });
+    const pgn = '[White "A"]\n\n1. e4 e5 *';
+
+    await review.reviewPgn(pgn);
+    assert.equal(scheduler.getStatistics().cached, 0);
+    assert.equal(cache.getStatistics().entries, 3);
+
+    const searches = mocks[0].commands().filter((command) => command.startsWith('go')).length;
+    await review.reviewPgn(pgn);
+    assert.equal(scheduler.getStatistics().cached, 3);
+    assert.equal(cache.getStatistics().hits, 3);
+    assert.equal(
+      mocks[0].commands().filter((command) => command.startsWith('go')).length,
+      searches
+    );
+  } finally {
+    await scheduler.stop();
+  }
+});
@@ -0,0 +1,333 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { AnalysisCache } from '../src/modules/analysisCache.js';
+import { AnalysisServer } from '../src/modules/analysisServer.js';
+import { ENGINE_POOLS } from '../src/config/engines.config.js';
+import { muteConsole, registerMockEngine } from './helpers/mockEngine.js';
+
+const FOOLS_MATE = '[Event "Test"]\n\n1. f3 e5 2. g4 Qh4# 0-1';
+const E4_FEN = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+const CHESS960_GAME = `[Variant "Chess960"]
+[FEN "1r2k2r/pppppppp/8/8/8/8/PPPPPPPP/1R3K1R w KQkq - 0 1"]
+
+1. O-O O-O-O *`;
+
+let mocks = [];
+let restoreConsole;
+let server;
+let baseUrl;
+
+async function request(method, path, body, headers = { 'Content-Type': 'application/json' }) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: typeof body === 'string' || body === undefined ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(id, statuses = ['done', 'failed', 'cancelled']) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const { body } = await request('GET', `/api/jobs/${id}`);
+    if (statuses.includes(body.status)) {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not reach ${statuses.join('/')}`);
+}
+
+before(async () => {
+  restoreConsole = muteConsole();
+  mocks = [
+    registerMockEngine('mock-server-a', { search: { delay: 150 } }),
+    registerMockEngine('mock-server-b', {
+      search: { info: ['info depth 6 score cp -40 pv e7e5'] },
+    }),
+    registerMockEngine('mock-server-c', {}),
+    registerMockEngine('mock-server-960', {
+      options: ['option name UCI_Chess960 type check default false'],
+      search: { info: ['info depth 4 score cp 10 pv a2a3'], bestmove: 'a2a3' },
+    }),
+    registerMockEngine('mock-server-cache', {
+      search: { info: ['info depth 5 score cp 20 pv e7e5'] },
+    }),
+  ];
+  ENGINE_POOLS['mock-server'] = ['mock-server-a'];
+
+  server = new AnalysisServer({ pool: 'mock-server', port: 0 });
+  const { port } = await server.start();
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  await server.stop();
+  delete ENGINE_POOLS['mock-server'];
+  mocks.forEach((mock) => mock.cleanup());
+  restoreConsole();
+});
+
+test('analyzes a FEN with the requested engine', async () => {
+  const submitted = await request('POST', '/api/analyze', {
+    fen: E4_FEN,
+    engine: 'mock-server-b',
+    depth: 6,
+  });
+  assert.equal(submitted.status, 202);
+  assert.equal(submitted.body.engine, 'mock-server-b');
+  assert.equal(submitted.body.type, 'fen');
+
+  const job = await waitForJob(submitted.body.id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.result.bestMove, 'e7e5');
+  assert.equal(job.result.bestMoveSan, 'e5');
+  assert.equal(job.lines[0].depth, 6);
+  assert.ok(mocks[1].commands().includes('go depth 6'));
+
+  const engines = await request('GET', '/api/engines');
+  const engine = engines.body.find((entry) => entry.id === 'mock-server-b');
+  assert.equal(engine.running, true);
+  assert.equal(engine.health.state, 'healthy');
+});
+
+test('analyzes every position of a PGN game', async () => {
+  const submitted = await request('POST', '/api/analyze?engine=mock-server-b&depth=4', FOOLS_MATE, {
+    'Content-Type': 'application/x-chess-pgn',
+  });
+  assert.equal(submitted.status, 202);
+
+  const job = await waitForJob(submitted.body.id);
+  assert.equal(job.type, 'pgn');
+  assert.equal(job.headers.Event, 'Test');
+  assert.deepEqual(job.progress, { analyzed: 5, total: 5 });
+  assert.deepEqual(
+    job.result.map((entry) => [entry.ply, entry.san]),
+    [
+      [0, null],
+      [1, 'f3'],
+      [2, 'e5'],
+      [3, 'g4'],
+      [4, 'Qh4#'],
+    ]
+  );
+  assert.equal(job.result[4].gameOver, true);
+  assert.equal(job.result[4].analysis, null);
+  assert.ok(job.result[0].analysis.bestMove);
+});
+
+test('analyzes Chess960 games with the engine in Chess960 mode', async () => {
+  const submitted = await request('POST', '/api/analyze', {
+    pgn: CHESS960_GAME,
+    engine: 'mock-server-960',
+    depth: 4,
+  });
+  assert.equal(submitted.status, 202);
+
+  const job = await waitForJob(submitted.body.id);
+  assert.equal(job.status, 'done');
+  assert.deepEqual(
+    job.result.map((entry) => [entry.san, entry.fen]),
+    [
+      [null, '1r2k2r/pppppppp/8/8/8/8/PPPPPPPP/1R3K1R w KQkq - 0 1'],
+      ['O-O', '1r2k2r/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 b kq - 1 1'],
+      ['O-O-O', '2kr3r/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 w - - 2 2'],
+    ]
+  );
+  assert.ok(mocks[3].commands().includes('setoption name UCI_Chess960 value true'));
+});
+
+test('answers repeated searches from the cache unless the request opts out', async () => {
+  const cache = new AnalysisCache();
+  const cachedServer = new AnalysisServer({ pool: 'mock-server', port: 0, cache });
+  const { port } = await cachedServer.start();
+  const sharedUrl = baseUrl;
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  try {
+    const analyze = async (body) => {
+      const submitted = await request('POST', '/api/analyze', {
+        fen: E4_FEN,
+        engine: 'mock-server-cache',
+        depth: 5,
+        ...body,
+      });
+      return (await waitForJob(submitted.body.id)).result;
+    };
+    const searches = () => mocks[4].commands().filter((command) => command.startsWith('go'));
+
+    const first = await analyze();
+    assert.equal(first.bestMove, 'e7e5');
+    assert.equal(first.cached, undefined);
+
+    const second = await analyze();
+    assert.equal(second.bestMove, 'e7e5');
+    assert.equal(second.cached, true);
+    assert.equal(searches().length, 1);
+
+    const fresh = await analyze({ cache: false });
+    assert.equal(fresh.cached, undefined);
+    assert.equal(searches().length, 2);
+    assert.equal(cache.getStatistics().hits, 1);
+  } finally {
+    baseUrl = sharedUrl;
+    await cachedServer.stop();
+  }
+});
+
+test('queues jobs per engine and cancels queued work', async () => {
+  const first = await request('POST', '/api/analyze', { fen: E4_FEN });
+  const second = await request('POST', '/api/analyze', { fen: E4_FEN, time: 100 });
+  const other = await request('POST', '/api/analyze', { fen: E4_FEN, engine: 'mock-server-b' });
+
+  assert.equal(first.body.engine, 'mock-server-a');
+  assert.equal(second.body.status, 'queued');
+  assert.equal(second.body.queuePosition, 1);
+  // A different engine does not wait behind the busy one
+  assert.equal(other.body.status, 'running');
+
+  const cancelled = await request('DELETE', `/api/jobs/${second.body.id}`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+
+  assert.equal((await waitForJob(first.body.id)).status, 'done');
+  const again = await request('DELETE', `/api/jobs/${first.body.id}`);
+  assert.equal(again.status, 409);
+
+  const status = await request('GET', '/api/status');
+  assert.equal(status.body.defaultEngine, 'mock-server-a');
+  assert.equal(status.body.queued, 0);
+});
+
+test('rejects invalid requests', async () => {
+  const badFen = await request('POST', '/api/analyze', { fen: 'not a fen' });
+  assert.equal(badFen.status, 400);
+
+  const badEngine = await request('POST', '/api/analyze', { fen: E4_FEN, engine: 'missing' });
+  assert.equal(badEngine.status, 400);
+  assert.match(badEngine.body.error, /Unknown engine/);
+
+  const badDepth = await request('POST', '/api/analyze', { fen: E4_FEN, depth: -2 });
+  assert.match(badDepth.body.error, /Invalid depth/);
+
+  const infinitePgn = await request('POST', '/api/analyze', { pgn: FOOLS_MATE, infinite: true });
+  assert.equal(infinitePgn.status, 400);
+
+  assert.equal((await request('GET', '/api/jobs/999')).status, 404);
+  assert.equal((await request('GET', '/api/nothing')).status, 404);
+});
+
+test('refuses cross-origin requests and bodies a form could send', async () => {
+  const evil = { 'Content-Type': 'application/json', Origin: 'http://evil.example' };
+  const crossSite = await request('POST', '/api/analyze', { fen: E4_FEN }, evil);
+  assert.equal(crossSite.status, 403);
+  assert.match(crossSite.body.error, /Cross-origin/);
+  assert.equal((await request('DELETE', '/api/jobs/1', undefined, evil)).status, 403);
+
+  // A page on a domain rebound to 127.0.0.1 is same-origin to the browser, not to the server
+  const rebound = { origin: 'http://attacker.example:8765', host: 'attacker.example:8765' };
+  assert.equal(server.isSameOrigin({ headers: rebound }), false);
+  const local = { origin: 'http://localhost:8765', host: 'localhost:8765' };
+  assert.equal(server.isSameOrigin({ headers: local }), true);
+
+  const form = await request('POST', '/api/analyze', `fen=${encodeURIComponent(E4_FEN)}`, {
+    'Content-Type': 'application/x-www-form-urlencoded',
+  });
+  assert.equal(form.status, 415);
+  const plain = await request('POST', '/api/analyze', JSON.stringify({ fen: E4_FEN }), {
+    'Content-Type': 'text/plain',
+  });
+  assert.equal(plain.status, 415);
+
+  const board = await request(
+    'POST',
+    '/api/analyze',
+    { fen: E4_FEN, engine: 'mock-server-b' },
+    { 'Content-Type': 'application/json; charset=utf-8', Origin: baseUrl }
+  );
+  assert.equal(board.status, 202);
+  await waitForJob(board.body.id);
+
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`, {
+    origin: 'http://evil.example',
+  });
+  const status = await new Promise((resolve) => {
+    socket.once('error', () => resolve('error'));
+    socket.once('unexpected-response', (req, response) => resolve(response.statusCode));
+    socket.once('open', () => resolve('open'));
+  });
+  socket.on('error', () => {});
+  socket.terminate();
+  assert.equal(status, 403);
+});
+
+test('streams live lines over WebSocket until cancelled', async () => {
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`);
+  const messages = [];
+  await new Promise((resolve) => socket.once('open', resolve));
+
+  try {
+    const finished = new Promise((resolve) => {
+      socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+
+        if (message.type === 'info' && message.update.depth === 3) {
+          socket.send(JSON.stringify({ type: 'cancel', jobId: message.jobId }));
+        }
+        if (message.type === 'job' && message.job.status === 'cancelled') {
+          resolve(message.job);
+        }
+      });
+    });
+
+    socket.send(
+      JSON.stringify({
+        type: 'analyze',
+        fen: E4_FEN,
+        engine: 'mock-server-c',
+        infinite: true,
+        requestId: 'r1',
+      })
+    );
+    const job = await finished;
+
+    assert.equal(messages[0].type, 'job');
+    assert.equal(messages[0].requestId, 'r1');
+    const infos = messages.filter((message) => message.type === 'info');
+    assert.deepEqual(
+      infos.map((message) => message.update.depth),
+      [1, 2, 3]
+    );
+    assert.equal(infos[0].update.pvSan.length, 1);
+    assert.equal(job.result.bestMove, infos[2].update.pv[0]);
+    assert.ok(mocks[2].commands().includes('go infinite'));
+    assert.ok(mocks[2].commands().includes('stop'));
+
+    socket.send(JSON.stringify({ type: 'bogus' }));
+    const error = await new Promise((resolve) =>
+      socket.on('message', (data) => resolve(JSON.parse(data.toString())))
+    );
+    assert.equal(error.type, 'error');
+  } finally {
+    socket.close();
+  }
+});
+
+test('serves the analysis board and nothing outside it', async () => {
+  const page = await fetch(`${baseUrl}/`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  assert.match(await page.text(), /src="\/web\/app\.js"/);
+
+  const module = await fetch(`${baseUrl}/modules/chess/position.js`);
+  assert.match(module.headers.get('content-type'), /text\/javascript/);
+
+  for (const path of ['/modules/engineManager.js', '/web/../index.js', '/%2e%2e/package.json']) {
+    assert.equal((await fetch(`${baseUrl}${path}`)).status, 404, path);
+  }
+
+  const engines = await request('GET', '/api/engines');
+  assert.match(engines.body.find((entry) => entry.id === 'mock-server-a').color, /^#[0-9a-f]{6}$/);
+});
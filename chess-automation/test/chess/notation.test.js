@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position, START_FEN } from '../../src/modules/chess/position.js';
+import { pvToSan, sanToUci, uciToSan } from '../../src/modules/chess/notation.js';
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+describe('UCI to SAN', () => {
+  it('converts simple and capturing moves', () => {
+    assert.equal(uciToSan(START_FEN, 'e2e4'), 'e4');
+    assert.equal(uciToSan(START_FEN, 'g1f3'), 'Nf3');
+    assert.equal(uciToSan(KIWIPETE, 'e5f7'), 'Nxf7');
+    assert.equal(uciToSan(KIWIPETE, 'd5e6'), 'dxe6');
+  });
+
+  it('writes castling', () => {
+    assert.equal(uciToSan(KIWIPETE, 'e1g1'), 'O-O');
+    assert.equal(uciToSan(KIWIPETE, 'e1c1'), 'O-O-O');
+  });
+
+  it('disambiguates by file, rank or square', () => {
+    assert.equal(uciToSan('4k3/8/8/8/8/8/8/R4RK1 w - - 0 1', 'a1d1'), 'Rad1');
+    assert.equal(uciToSan('4k3/8/8/R7/8/8/8/R3K3 w - - 0 1', 'a1a3'), 'R1a3');
+    assert.equal(uciToSan('k7/8/8/8/8/2Q1Q3/8/2Q1K3 w - - 0 1', 'c3d2'), 'Qc3d2');
+  });
+
+  it('marks promotions, checks and mates', () => {
+    assert.equal(uciToSan('7k/1P6/8/8/8/8/8/K7 w - - 0 1', 'b7b8q'), 'b8=Q+');
+    assert.equal(uciToSan('7k/1P6/8/8/8/8/8/K7 w - - 0 1', 'b7b8n'), 'b8=N');
+    assert.equal(
+      uciToSan('rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2', 'd8h4'),
+      'Qh4#'
+    );
+  });
+
+  it('reads Chess960 castling king-takes-rook', () => {
+    // King f1, rooks b1 and h1: f1g1 is a king move, only f1h1 castles
+    const position = new Position('1r2k2r/8/8/8/8/8/8/1R3K1R w KQkq - 0 1', { chess960: true });
+
+    assert.equal(uciToSan(position, 'f1g1'), 'Kg1');
+    assert.equal(uciToSan(position, 'f1h1'), 'O-O');
+    assert.equal(uciToSan(position, 'f1b1'), 'O-O-O');
+    assert.equal(sanToUci(position, 'O-O'), 'f1h1');
+    assert.deepEqual(pvToSan(position, ['f1h1', 'e8b8']), ['O-O', 'O-O-O']);
+  });
+
+  it('rejects illegal moves', () => {
+    assert.throws(() => uciToSan(START_FEN, 'e2e5'), /Illegal move/);
+    assert.throws(() => uciToSan(START_FEN, 'nonsense'), /Illegal move/);
+  });
+});
+
+describe('SAN to UCI', () => {
+  it('round-trips every legal move of the perft positions', () => {
+    for (const fen of [
+      START_FEN,
+      KIWIPETE,
+      'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    ]) {
+      const position = new Position(fen);
+      for (const move of position.legalMoves()) {
+        const uci = `${'abcdefgh'[move.from & 7]}${(move.from >> 4) + 1}${'abcdefgh'[move.to & 7]}${(move.to >> 4) + 1}${move.promotion || ''}`;
+        assert.equal(sanToUci(position, uciToSan(position, uci)), uci);
+      }
+    }
+  });
+
+  it('tolerates annotations and redundant disambiguation', () => {
+    assert.equal(sanToUci(START_FEN, 'Ngf3!?'), 'g1f3');
+    assert.equal(sanToUci(KIWIPETE, '0-0'), 'e1g1');
+    assert.equal(sanToUci('7k/1P6/8/8/8/8/8/K7 w - - 0 1', 'b8Q+'), 'b7b8q');
+  });
+
+  it('rejects ambiguous moves', () => {
+    assert.throws(() => sanToUci('4k3/8/8/8/8/8/8/R4RK1 w - - 0 1', 'Rd1'), /ambiguous/);
+  });
+});
+
+describe('PV to SAN', () => {
+  it('converts a principal variation and stops at the first illegal move', () => {
+    assert.deepEqual(pvToSan(START_FEN, ['e2e4', 'e7e5', 'g1f3', 'b8c6']), [
+      'e4',
+      'e5',
+      'Nf3',
+      'Nc6',
+    ]);
+    assert.deepEqual(pvToSan(START_FEN, ['e2e4', 'e2e4', 'g1f3']), ['e4']);
+  });
+});
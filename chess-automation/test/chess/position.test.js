@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position, START_FEN, validateFen } from '../../src/modules/chess/position.js';
+
+// Reference counts from https://www.chessprogramming.org/Perft_Results
+const PERFT_SUITE = [
+  { name: 'start position', fen: START_FEN, counts: [20, 400, 8902, 197281] },
+  {
+    name: 'kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862],
+  },
+  {
+    name: 'position 3',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238],
+  },
+  {
+    name: 'position 4',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467],
+  },
+  {
+    name: 'position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379],
+  },
+  {
+    name: 'position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890],
+  },
+];
+
+describe('Position perft', () => {
+  for (const { name, fen, counts } of PERFT_SUITE) {
+    it(`matches reference node counts for ${name}`, () => {
+      const position = new Position(fen);
+      counts.forEach((expected, index) => {
+        assert.equal(position.perft(index + 1), expected, `depth ${index + 1}`);
+      });
+      // perft must leave the position untouched
+      assert.equal(position.toFen(), fen);
+    });
+  }
+});
+
+// Chess960 reference counts from the same page, with Shredder-FEN castling rights
+const CHESS960_PERFT_SUITE = [
+  {
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    counts: [21, 528, 12189],
+  },
+  {
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    counts: [21, 807, 18002],
+  },
+  {
+    fen: 'b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GE - 1 9',
+    counts: [20, 479, 10471],
+  },
+];
+
+describe('Chess960 positions', () => {
+  it('match reference node counts', () => {
+    for (const { fen, counts } of CHESS960_PERFT_SUITE) {
+      const position = new Position(fen);
+      assert.equal(position.chess960, true, 'Shredder-FEN rights switch Chess960 on');
+      counts.forEach((expected, index) => {
+        assert.equal(position.perft(index + 1), expected, `${fen} depth ${index + 1}`);
+      });
+    }
+  });
+
+  it('read X-FEN and Shredder-FEN rights and write X-FEN', () => {
+    const xfen = 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w KQkq - 2 9';
+    assert.equal(new Position(xfen, { chess960: true }).toFen(), xfen);
+    assert.equal(new Position(CHESS960_PERFT_SUITE[0].fen).toFen(), xfen);
+
+    // The inner of two rooks on the same side keeps its file letter
+    const inner = new Position('4k3/8/8/8/8/8/8/1RRK4 w C - 0 1');
+    assert.equal(inner.castling.w.q, 2);
+    assert.equal(inner.castlingString(), 'C');
+
+    // Without Chess960, rights need the king and rooks on their standard squares
+    assert.equal(new Position(xfen).castlingString(), '-');
+  });
+
+  it('castle with the king staying on its square', () => {
+    const position = new Position('1r4kr/8/8/8/8/8/8/1R4KR w KQkq - 0 1', { chess960: true });
+    const castle = position.legalMoves().find((move) => move.castle === 'k');
+    position.makeMove(castle);
+    assert.equal(position.toFen(), '1r4kr/8/8/8/8/8/8/1R3RK1 b kq - 1 1');
+  });
+});
+
+describe('Position FEN handling', () => {
+  it('round-trips FEN strings', () => {
+    for (const { fen } of PERFT_SUITE) {
+      assert.equal(new Position(fen).toFen(), fen);
+    }
+  });
+
+  it('fills in missing move counters', () => {
+    const position = new Position('8/8/8/8/8/8/8/K6k w - -');
+    assert.equal(position.toFen(), '8/8/8/8/8/8/8/K6k w - - 0 1');
+  });
+
+  it('drops castling rights that do not match the board', () => {
+    const position = new Position('4k3/8/8/8/8/8/8/4K2R w KQkq - 0 1');
+    assert.equal(position.castlingString(), 'K');
+  });
+
+  it('rejects malformed and impossible positions', () => {
+    const invalid = [
+      'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1',
+      'rnbqkbnr/pppppppp/9/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+      'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w kq - 0 1',
+      'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1',
+      'P3k3/8/8/8/8/8/8/4K3 w - - 0 1',
+      '4k3/8/8/8/8/8/8/4K2R w - e6 0 1',
+      '4k2R/8/8/8/8/8/8/4K3 w - - 0 1',
+    ];
+    for (const fen of invalid) {
+      assert.equal(validateFen(fen).valid, false, fen);
+      assert.throws(() => new Position(fen), /Invalid FEN/);
+    }
+  });
+
+  it('only records en passant squares that can be captured', () => {
+    const position = new Position();
+    const [move] = position.legalMoves().filter((m) => m.from === 0x14 && m.to === 0x34);
+    position.makeMove(move);
+    assert.equal(position.toFen(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+
+    const open = new Position('4k3/8/8/8/3p4/8/4P3/4K3 w - - 0 1');
+    const [push] = open.legalMoves().filter((m) => m.from === 0x14 && m.to === 0x34);
+    open.makeMove(push);
+    assert.equal(open.toFen(), '4k3/8/8/8/3pP3/8/8/4K3 b - e3 0 1');
+  });
+});
+
+describe('Position game state', () => {
+  it('detects checkmate', () => {
+    const position = new Position('rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3');
+    assert.equal(position.isCheck(), true);
+    assert.equal(position.isCheckmate(), true);
+    assert.equal(position.isGameOver(), true);
+  });
+
+  it('detects stalemate', () => {
+    const position = new Position('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    assert.equal(position.isCheck(), false);
+    assert.equal(position.isStalemate(), true);
+  });
+
+  it('detects insufficient material', () => {
+    assert.equal(new Position('8/8/8/4k3/8/8/8/4KN2 w - - 0 1').isInsufficientMaterial(), true);
+    assert.equal(new Position('8/8/8/4k3/2b5/8/8/4KB2 w - - 0 1').isInsufficientMaterial(), true);
+    assert.equal(new Position('8/8/8/2b1k3/8/8/8/4KB2 w - - 0 1').isInsufficientMaterial(), false);
+    assert.equal(new Position('8/8/8/4k3/8/8/4P3/4K3 w - - 0 1').isInsufficientMaterial(), false);
+  });
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MATE_SCORE, formatScore, isMateScore, mateScore } from '../../src/modules/chess/score.js';
+
+test('encodes UCI mate scores around MATE_SCORE', () => {
+  assert.equal(mateScore(3), MATE_SCORE - 3);
+  assert.equal(mateScore(-2), -MATE_SCORE + 2);
+  assert.equal(mateScore(0), -MATE_SCORE);
+  assert.ok(isMateScore(mateScore(1)) && isMateScore(mateScore(-40)));
+  assert.ok(!isMateScore(35.5) && !isMateScore(-120));
+});
+
+test('formats evaluations in pawns and mates as #n', () => {
+  assert.equal(formatScore(0.3), '0.30');
+  assert.equal(formatScore(-1.256), '-1.26');
+  assert.equal(formatScore(0.3, { sign: true }), '+0.30');
+  assert.equal(formatScore(0, { sign: true }), '0.00');
+  assert.equal(formatScore(mateScore(3)), '#3');
+  assert.equal(formatScore(mateScore(-2), { sign: true }), '#-2');
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position, START_FEN } from '../../src/modules/chess/position.js';
+import { polyglotKey } from '../../src/modules/chess/zobrist.js';
+
+// Reference keys from the Polyglot book format specification
+const POLYGLOT_KEYS = [
+  { fen: START_FEN, key: 0x463b96181691fc9cn },
+  { fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1', key: 0x823c9b50fd114196n },
+  {
+    fen: 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2',
+    key: 0x0756b94461c50fb0n,
+  },
+  {
+    fen: 'rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2',
+    key: 0x662fafb965db29d4n,
+  },
+  {
+    fen: 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+    key: 0x22a48b5a8e47ff78n,
+  },
+  {
+    fen: 'rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 0 4',
+    key: 0x00fdd303c946bdd9n,
+  },
+  {
+    fen: 'rnbqkbnr/p1pppppp/8/8/PpP4P/8/1P1PPPP1/RNBQKBNR b KQkq c3 0 3',
+    key: 0x3c8123ea7b067637n,
+  },
+  {
+    fen: 'rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 0 4',
+    key: 0x5c3f9b829b279560n,
+  },
+];
+
+describe('Polyglot keys', () => {
+  it('match the reference keys', () => {
+    for (const { fen, key } of POLYGLOT_KEYS) {
+      assert.equal(polyglotKey(fen), key, fen);
+    }
+  });
+
+  it('accept positions as well as FENs and ignore move counters', () => {
+    const fen = POLYGLOT_KEYS[2].fen.replace(/ 0 2$/, ' 7 31');
+    assert.equal(polyglotKey(new Position(fen)), POLYGLOT_KEYS[2].key);
+  });
+
+  it('ignore an en passant square no pawn can capture on', () => {
+    const withSquare = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1';
+    const without = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+    assert.equal(polyglotKey(withSquare), polyglotKey(without));
+  });
+});
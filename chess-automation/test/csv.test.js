@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, formatCsv } from '../src/modules/csv.js';
+
+describe('CSV utilities', () => {
+  it('quotes only cells that need it', () => {
+    assert.equal(csvCell('Nf3'), 'Nf3');
+    assert.equal(csvCell(12.5), '12.5');
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+    assert.equal(csvCell('Carlsen, Magnus'), '"Carlsen, Magnus"');
+    assert.equal(csvCell('the "Immortal"'), '"the ""Immortal"""');
+    assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  });
+
+  it('joins rows with a trailing newline', () => {
+    assert.equal(
+      formatCsv([
+        ['fen', 'eval'],
+        ['8/8 w', 0.3],
+      ]),
+      'fen,eval\n8/8 w,0.3\n'
+    );
+  });
+});
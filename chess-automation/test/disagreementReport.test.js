@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatDisagreementCsv,
+  formatDisagreementHtml,
+  positionsFromEpd,
+  positionsFromPgn,
+  rankDisagreements,
+  summarizeDisagreement,
+} from '../src/modules/disagreementReport.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+
+const GAMES = `[White "Anna"]
+[Black "Ben"]
+
+1. e4 e5 2. Nf3 *
+
+[White "Cleo"]
+[Black "Dan"]
+
+1. e4 c5 *
+`;
+
+function results(engines, consensus) {
+  return { engines, consensus, divergence: 0 };
+}
+
+test('collects each position of a PGN once, labelled with the game and move', () => {
+  const positions = positionsFromPgn(GAMES);
+
+  assert.deepEqual(
+    positions.map(({ label, played }) => [label, played]),
+    [
+      ['Anna - Ben, 1.', 'e4'],
+      ['Anna - Ben, 1...', 'e5'],
+      ['Anna - Ben, 2.', 'Nf3'],
+    ]
+  );
+  assert.equal(positions[0].fen, START_FEN);
+});
+
+test('reads EPD positions with their ids and skips finished games', () => {
+  const epd = [
+    '# coaching set',
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - id "start";',
+    '7k/5Q2/6K1/8/8/8/8/8 b - -',
+    '',
+    '4k3/8/8/8/8/8/8/4K2R w K -',
+  ].join('\n');
+
+  assert.deepEqual(
+    positionsFromEpd(epd).map(({ label }) => label),
+    ['start', 'Line 5']
+  );
+  assert.throws(() => positionsFromEpd('not a position'), /Line 1:/);
+});
+
+test('summarizes moves and eval gaps and ranks the widest disagreement first', () => {
+  const split = summarizeDisagreement(
+    { fen: START_FEN, label: 'split', played: 'e4' },
+    results(
+      {
+        stockfish: { bestMove: 'e2e4', evaluation: 0.3, color: '#00ff00' },
+        lc0: { bestMove: 'd2d4', evaluation: 0.1 },
+        maia: { bestMove: 'g1f3', evaluation: -0.2 },
+      },
+      'e2e4'
+    )
+  );
+  assert.deepEqual(split.engines.stockfish, {
+    move: 'e2e4',
+    san: 'e4',
+    evaluation: 0.3,
+    color: '#00ff00',
+  });
+  assert.equal(split.consensus, 'e4');
+  assert.equal(split.uniqueMoves, 3);
+  assert.equal(split.evalGap, 0.5);
+
+  // Mate scores are capped at 10 pawns
+  const mate = summarizeDisagreement(
+    { fen: START_FEN, label: 'mate', played: null },
+    results(
+      {
+        stockfish: { bestMove: 'e2e4', evaluation: 9995 },
+        maia: { bestMove: 'e2e4', evaluation: 0.5 },
+      },
+      'e2e4'
+    )
+  );
+  assert.equal(mate.uniqueMoves, 1);
+  assert.equal(mate.evalGap, 9.5);
+
+  const ranked = rankDisagreements([mate, split]);
+  assert.deepEqual(
+    ranked.map(({ rank, label }) => [rank, label]),
+    [
+      [1, 'split'],
+      [2, 'mate'],
+    ]
+  );
+
+  const csv = formatDisagreementCsv(ranked).split('\n');
+  assert.equal(
+    csv[0],
+    'rank,position,fen,played,consensus,unique_moves,eval_gap,' +
+      'stockfish_move,stockfish_eval,lc0_move,lc0_eval,maia_move,maia_eval'
+  );
+  assert.equal(csv[1], `1,split,${START_FEN},e4,e4,3,0.5,e4,0.30,d4,0.10,Nf3,-0.20`);
+  assert.ok(csv[2].endsWith(',e4,#5,,,e4,0.50'));
+
+  const html = formatDisagreementHtml(ranked, { title: 'Club <games>' });
+  assert.match(html, /<title>Club &lt;games&gt;<\/title>/);
+  assert.match(html, /<td class="differ">Nf3 <span class="eval">-0.20<\/span><\/td>/);
+  assert.match(html, /background:#00ff00/);
+});
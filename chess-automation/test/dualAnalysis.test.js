@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DualAnalysis } from '../src/modules/dualAnalysis.js';
+import { ENGINE_COLORS } from '../src/config/engines.config.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { muteConsole, registerMockEngine, settle } from './helpers/mockEngine.js';
+
+let mocks = [];
+let depthMock;
+let restoreConsole;
+
+const TIMEOUTS = { readyTimeout: 200, searchTimeout: 1000 };
+
+before(() => {
+  restoreConsole = muteConsole();
+  mocks = [
+    registerMockEngine('stockfish-mock', {}, TIMEOUTS),
+    registerMockEngine(
+      'maia-mock',
+      { search: { info: ['info depth 1 score cp 5 pv d2d4'] } },
+      TIMEOUTS
+    ),
+    registerMockEngine('maia-mock-hanging', { search: { hang: true } }, TIMEOUTS),
+    registerMockEngine('broken-mock', { noReadyok: true }, TIMEOUTS),
+  ];
+  depthMock = registerMockEngine('depth-mock', {}, TIMEOUTS);
+  mocks.push(depthMock);
+});
+
+after(() => {
+  mocks.forEach((mock) => mock.cleanup());
+  restoreConsole();
+});
+
+test('runs both engines and measures their disagreement', async () => {
+  const dual = new DualAnalysis({
+    engines: { stockfish: 'stockfish-mock', maia: 'maia-mock' },
+    depth: 10,
+  });
+  try {
+    const results = await dual.analyzePosition(START_FEN);
+
+    assert.equal(results.engines.stockfish.bestMove, dual.results.get('stockfish').bestMove);
+    assert.equal(results.engines.maia.bestMove, 'd2d4');
+    assert.equal(results.engines.stockfish.color, ENGINE_COLORS.stockfish);
+    assert.equal(results.engines.maia.color, ENGINE_COLORS.maia);
+    assert.equal(results.summary.totalEngines, 2);
+    assert.equal(results.summary.uniqueMoves, 2);
+    assert.equal(results.divergence, 0.5);
+
+    const comparison = dual.getComparison();
+    assert.equal(comparison.length, 2);
+    assert.ok(comparison.every((entry) => entry.candidates.length > 0));
+  } finally {
+    await dual.cleanup();
+  }
+});
+
+test('continues with the engines that initialize', async () => {
+  const dual = new DualAnalysis({ engines: { stockfish: 'stockfish-mock', maia: 'broken-mock' } });
+  try {
+    await dual.init();
+    assert.deepEqual([...dual.engines.keys()], ['stockfish']);
+
+    const results = await dual.analyzePosition(START_FEN);
+    assert.equal(results.summary.totalEngines, 1);
+    assert.equal(results.summary.consensusStrength, 1);
+  } finally {
+    await dual.cleanup();
+  }
+});
+
+test('fails when no engine initializes', async () => {
+  const dual = new DualAnalysis({ engines: { maia: 'broken-mock' } });
+  await assert.rejects(dual.init(), /No engines could be initialized/);
+});
+
+test('a hanging engine does not block the other result', async () => {
+  const dual = new DualAnalysis({
+    engines: { stockfish: 'stockfish-mock', maia: 'maia-mock-hanging' },
+  });
+  try {
+    const results = await dual.analyzePosition(START_FEN);
+    assert.deepEqual(Object.keys(results.engines), ['stockfish']);
+    assert.equal(dual.results.get('maia'), undefined);
+  } finally {
+    await dual.cleanup();
+  }
+});
+
+test('analyzes a batch of positions and ranks them by disagreement', async () => {
+  const dual = new DualAnalysis({ engines: { stockfish: 'stockfish-mock', maia: 'maia-mock' } });
+  const positions = [
+    { fen: START_FEN, label: 'start', played: 'e4' },
+    { fen: '4k3/8/8/8/8/8/8/3QK3 w - - 0 1', label: 'endgame', played: null },
+  ];
+  const seen = [];
+
+  try {
+    const entries = await dual.analyzeBatch(positions, { depth: 5 }, (entry) =>
+      seen.push(entry.label)
+    );
+
+    assert.deepEqual(seen, ['start', 'endgame']);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].rank, 1);
+    assert.ok(entries[0].uniqueMoves >= entries[1].uniqueMoves);
+
+    const start = entries.find((entry) => entry.label === 'start');
+    assert.equal(start.engines.maia.san, 'd4');
+    assert.equal(start.played, 'e4');
+  } finally {
+    await dual.cleanup();
+  }
+});
+
+test('searches to the requested depth unless a time or node limit is given', async () => {
+  const dual = new DualAnalysis({ engines: { stockfish: 'depth-mock' }, depth: 12 });
+  try {
+    await dual.analyzePosition(START_FEN);
+    await dual.analyzePosition(START_FEN, { depth: 7 });
+    await dual.analyzePosition(START_FEN, { nodes: 5000 });
+    await dual.analyzePosition(START_FEN, { time: 2000 });
+    await settle();
+
+    const searches = depthMock.commands().filter((command) => command.startsWith('go'));
+    assert.deepEqual(searches, [
+      'go depth 12',
+      'go depth 10',
+      'go depth 7',
+      'go depth 7',
+      'go nodes 5000',
+      'go nodes 5000',
+      'go movetime 2000',
+      'go movetime 1000',
+    ]);
+  } finally {
+    await dual.cleanup();
+  }
+});
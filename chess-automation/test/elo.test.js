@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { eloEstimate, eloFromScore, formatElo, scoreFromElo } from '../src/modules/elo.js';
+
+describe('Elo utilities', () => {
+  it('converts between score and Elo difference', () => {
+    assert.equal(eloFromScore(0.5), 0);
+    assert.ok(Math.abs(eloFromScore(0.75) - 190.85) < 0.01);
+    assert.ok(Math.abs(scoreFromElo(eloFromScore(0.64)) - 0.64) < 1e-9);
+    assert.equal(eloFromScore(1), Infinity);
+    assert.equal(eloFromScore(0), -Infinity);
+  });
+
+  it('estimates Elo with a symmetric-ish 95% error bar', () => {
+    const estimate = eloEstimate({ wins: 30, draws: 40, losses: 30 });
+    assert.equal(estimate.games, 100);
+    assert.equal(estimate.score, 0.5);
+    assert.equal(estimate.elo, 0);
+    assert.ok(estimate.error > 40 && estimate.error < 60, `error ${estimate.error}`);
+    assert.ok(estimate.lower < 0 && estimate.upper > 0);
+  });
+
+  it('reports an infinite error bar for perfect scores', () => {
+    const estimate = eloEstimate({ wins: 4 });
+    assert.equal(estimate.elo, Infinity);
+    assert.equal(estimate.error, Infinity);
+    assert.equal(eloEstimate({}).elo, null);
+  });
+
+  it('formats Elo values', () => {
+    assert.equal(formatElo(12.4), '+12');
+    assert.equal(formatElo(-7.6), '-8');
+    assert.equal(formatElo(Infinity), '+inf');
+    assert.equal(formatElo(null), '-');
+  });
+});
@@ -0,0 +1,228 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  applyEngineConfig,
+  checkEngines,
+  formatEngineCheck,
+  loadEngineConfigFile,
+  parseEngineConfig,
+  saveEngineSettings,
+  validateEngineConfig,
+} from '../src/modules/engineConfigFile.js';
+import { EngineConfigError } from '../src/modules/engines/engineErrors.js';
+import {
+  DUAL_ANALYSIS_ENGINES,
+  ENGINE_POOLS,
+  ENGINES_CONFIG,
+} from '../src/config/engines.config.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+const builtIn = {
+  engines: { ...ENGINES_CONFIG },
+  pools: { ...ENGINE_POOLS },
+  dual: { ...DUAL_ANALYSIS_ENGINES },
+};
+
+function restore(target, saved) {
+  Object.keys(target).forEach((key) => delete target[key]);
+  Object.assign(target, saved);
+}
+
+let restoreConsole;
+let dir;
+before(() => {
+  restoreConsole = muteConsole();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-config-'));
+});
+after(() => {
+  restoreConsole();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+afterEach(() => {
+  restore(ENGINES_CONFIG, builtIn.engines);
+  restore(ENGINE_POOLS, builtIn.pools);
+  restore(DUAL_ANALYSIS_ENGINES, builtIn.dual);
+});
+
+test('reports every schema problem with where it is', () => {
+  const data = parseEngineConfig(`
+engines:
+  my-sf:
+    name: My Stockfish
+    type: stockfish-nativ
+    config:
+      thread: 4
+      hash: big
+  komodo:
+    name: Komodo
+    type: uci
+    config:
+      multiPV: 0
+      options:
+        Hash: [256]
+pools:
+  mine: [my-sf, nope]
+dual: {}
+`);
+
+  const { problems } = validateEngineConfig(data);
+  assert.deepEqual(problems, [
+    'dual: unknown section (expected replace, engines, pools, dualAnalysis)',
+    "engines.my-sf.type: unknown value 'stockfish-nativ' " +
+      '(expected one of stockfish, lc0, maia, uci, stockfish-native)',
+    "engines.my-sf.config.thread: unknown setting (did you mean 'threads'?)",
+    "engines.my-sf.config.hash: expected integer, got 'big'",
+    'engines.komodo.config.multiPV: must be at least 1, got 0',
+    'engines.komodo.config.options.Hash: expected string or number or boolean, got a list',
+    "pools.mine[1]: unknown engine 'nope'",
+  ]);
+
+  assert.deepEqual(
+    validateEngineConfig({ engines: { x: { name: 'X', type: 'uci', config: {} } } }).problems,
+    ['engines.x.config.path: required for engines of type uci']
+  );
+  assert.throws(() => parseEngineConfig('{ "engines": ', 'engines.json'), EngineConfigError);
+});
+
+test('resolves paths against the file and checks executables and weights', async () => {
+  const file = path.join(dir, 'missing.yaml');
+  fs.writeFileSync(
+    file,
+    `engines:
+  maia-2200:
+    name: Maia 2200
+    type: lc0
+    config:
+      path: ./bin/lc0
+      weightsPath: weights/maia-2200.pb.gz
+  off:
+    name: Disabled
+    type: uci
+    enabled: false
+    config:
+      path: /nowhere/engine
+`
+  );
+
+  await assert.rejects(loadEngineConfigFile(file), (error) => {
+    assert.ok(error instanceof EngineConfigError);
+    assert.deepEqual(error.problems, [
+      `engines.maia-2200.config.path: ${path.join(dir, 'bin/lc0')} not found or not executable`,
+      `engines.maia-2200.config.weightsPath: ${path.join(dir, 'weights/maia-2200.pb.gz')} not found`,
+    ]);
+    return true;
+  });
+
+  const config = await loadEngineConfigFile(file, { checkFiles: false });
+  assert.equal(
+    config.engines['maia-2200'].config.weightsPath,
+    path.join(dir, 'weights/maia-2200.pb.gz')
+  );
+  assert.equal(config.engines['maia-2200'].enabled, true);
+});
+
+test('applies file entries over the built-in ones', async () => {
+  const file = path.join(dir, 'engines.json');
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      engines: {
+        'maia-1500': { name: 'Maia 1500 (CPU)', type: 'lc0', config: { backend: 'eigen' } },
+      },
+      pools: { mine: ['maia-1500', 'stockfish-native-max'] },
+      dualAnalysis: { best: 'stockfish-native-max', human: 'maia-1500' },
+    })
+  );
+
+  applyEngineConfig(await loadEngineConfigFile(file, { checkFiles: false }));
+  assert.equal(ENGINES_CONFIG['maia-1500'].config.backend, 'eigen');
+  assert.ok(ENGINES_CONFIG['stockfish-native-max']);
+  assert.deepEqual(ENGINE_POOLS.mine, ['maia-1500', 'stockfish-native-max']);
+  assert.ok(ENGINE_POOLS.stockfish);
+  assert.deepEqual(DUAL_ANALYSIS_ENGINES, { best: 'stockfish-native-max', human: 'maia-1500' });
+
+  applyEngineConfig({
+    replace: true,
+    engines: { solo: { name: 'Solo', type: 'uci', enabled: true, config: { path: '/x' } } },
+    pools: { solo: ['solo'] },
+    dualAnalysis: null,
+  });
+  assert.deepEqual(Object.keys(ENGINES_CONFIG), ['solo']);
+  assert.deepEqual(Object.keys(ENGINE_POOLS), ['solo']);
+});
+
+test('saves engine settings into a new or existing file', async () => {
+  const file = path.join(dir, 'saved.yaml');
+  const saved = await saveEngineSettings(file, 'maia-1500', { backend: 'eigen', threads: 2 });
+  assert.equal(saved.name, ENGINES_CONFIG['maia-1500'].name);
+  assert.equal(saved.config.weightsPath, path.resolve('./weights/maia-1500.pb.gz'));
+
+  await saveEngineSettings(file, 'maia-1500', { batchSize: 64 });
+  const config = await loadEngineConfigFile(file, { checkFiles: false });
+  assert.deepEqual(Object.keys(config.engines), ['maia-1500']);
+  assert.equal(config.engines['maia-1500'].type, 'lc0');
+  const { backend, threads, batchSize } = config.engines['maia-1500'].config;
+  assert.deepEqual([backend, threads, batchSize], ['eigen', 2, 64]);
+
+  const json = path.join(dir, 'saved.json');
+  fs.writeFileSync(json, JSON.stringify({ pools: { mine: ['stockfish-native-max'] } }));
+  await saveEngineSettings(json, 'lc0-default', { backend: 'blas' });
+  const written = JSON.parse(fs.readFileSync(json, 'utf8'));
+  assert.deepEqual(written.pools, { mine: ['stockfish-native-max'] });
+  assert.equal(written.engines['lc0-default'].config.backend, 'blas');
+
+  await assert.rejects(saveEngineSettings(file, 'maia-1500', { threads: -1 }), (error) => {
+    assert.ok(error instanceof EngineConfigError);
+    assert.deepEqual(error.problems, [
+      'engines.maia-1500.config.threads: must be at least 0, got -1',
+    ]);
+    return true;
+  });
+  await assert.rejects(saveEngineSettings(file, 'nope', {}), /no engine named 'nope'/);
+});
+
+test('checks that each engine answers uci and isready', async () => {
+  const working = createMockEngine({ name: 'Mock 2.0' });
+  const silent = createMockEngine({ noReadyok: true });
+
+  try {
+    applyEngineConfig({
+      engines: {
+        working: {
+          name: 'Working',
+          type: 'uci',
+          config: { path: working.path, args: working.args },
+        },
+        silent: {
+          name: 'Silent',
+          type: 'uci',
+          config: { path: silent.path, args: silent.args, readyTimeout: 200 },
+        },
+      },
+      pools: {},
+    });
+
+    const results = await checkEngines(['working', 'silent', 'unknown']);
+    assert.deepEqual(
+      results.map(({ id, ok, engine, error }) => [id, ok, engine, error]),
+      [
+        ['working', true, 'Mock 2.0', undefined],
+        ['silent', false, null, 'Timeout waiting for readyok'],
+        ['unknown', false, null, "no engine named 'unknown' is configured"],
+      ]
+    );
+    assert.ok(results[0].options > 0);
+    assert.ok(working.commands().includes('quit'));
+
+    const report = formatEngineCheck(results);
+    assert.match(report, /✓ working\s+Mock 2\.0 \(6 options/);
+    assert.match(report, /✗ silent\s+Timeout waiting for readyok/);
+    assert.match(report, /1\/3 engines answered uci and isready/);
+  } finally {
+    working.cleanup();
+    silent.cleanup();
+  }
+});
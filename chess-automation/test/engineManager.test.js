@@ -0,0 +1,360 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { EngineCrashError } from '../src/modules/engines/engineErrors.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { STANDARD_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+async function withManager(scenario, config, callback) {
+  const mock = createMockEngine(scenario);
+  const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args, ...config });
+  try {
+    await manager.init();
+    await callback(manager, mock);
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+}
+
+test('analyzePosition adds SAN and records history', async () => {
+  const scenario = {
+    search: { info: ['info depth 14 score cp 28 pv g1f3 d7d5 d2d4'], bestmove: 'g1f3' },
+  };
+
+  await withManager(scenario, {}, async (manager) => {
+    const analysis = await manager.analyzePosition(START_FEN, { depth: 14 });
+
+    assert.equal(analysis.bestMove, 'g1f3');
+    assert.equal(analysis.bestMoveSan, 'Nf3');
+    assert.equal(analysis.evaluation, 0.28);
+    assert.equal(analysis.depth, 14);
+    assert.deepEqual(analysis.pvSan, ['Nf3', 'd5', 'd4']);
+    assert.equal(analysis.engineType, 'uci');
+    assert.equal(manager.getHistory().length, 1);
+
+    const status = manager.getStatus();
+    assert.equal(status.isReady, true);
+    assert.equal(status.currentPosition, START_FEN);
+    assert.equal(status.historySize, 1);
+  });
+});
+
+test('analysis results carry the full info of the final line', async () => {
+  const scenario = {
+    search: {
+      info: [
+        'info depth 20 currmove e2e4 currmovenumber 1',
+        'info depth 20 seldepth 29 multipv 1 score cp 31 upperbound wdl 120 820 60 nodes 900000 nps 1500000 hashfull 210 tbhits 4 time 600 pv e2e4 e7e5',
+        'info depth 20 currmove d2d4 currmovenumber 2',
+        'info string some engine chatter',
+      ],
+    },
+  };
+
+  await withManager(scenario, {}, async (manager) => {
+    const analysis = await manager.analyzePosition(START_FEN);
+
+    assert.equal(analysis.evaluation, 0.31);
+    assert.equal(analysis.mate, null);
+    assert.deepEqual(analysis.wdl, { win: 0.12, draw: 0.82, loss: 0.06 });
+    assert.equal(analysis.info.seldepth, 29);
+    assert.equal(analysis.info.hashfull, 210);
+    assert.equal(analysis.info.tbhits, 4);
+    assert.equal(analysis.info.bound, 'upper');
+    assert.deepEqual(analysis.moveStats, []);
+  });
+});
+
+test('analyzePosition validates the FEN before searching', async () => {
+  await withManager({}, {}, async (manager, mock) => {
+    await assert.rejects(manager.analyzePosition('not a fen'), /Invalid FEN/);
+    assert.ok(!mock.commands().some((command) => command.startsWith('go')));
+  });
+});
+
+test('illegal engine moves are reported without SAN', async () => {
+  const scenario = { search: { info: ['info depth 3 score cp 0 pv e2e5'], bestmove: 'e2e5' } };
+
+  await withManager(scenario, {}, async (manager) => {
+    const analysis = await manager.analyzePosition(START_FEN);
+    assert.equal(analysis.bestMove, 'e2e5');
+    assert.equal(analysis.bestMoveSan, null);
+    assert.deepEqual(analysis.pvSan, []);
+  });
+});
+
+test('getCandidateMoves ranks multi-PV lines', async () => {
+  await withManager({}, {}, async (manager) => {
+    const candidates = await manager.getCandidateMoves(START_FEN, 2, { depth: 10 });
+
+    assert.deepEqual(
+      candidates.map(({ rank, evaluation }) => ({ rank, evaluation })),
+      [
+        { rank: 1, evaluation: 0.3 },
+        { rank: 2, evaluation: 0.2 },
+      ]
+    );
+    assert.ok(candidates.every((candidate) => candidate.san));
+  });
+});
+
+test('requests before init are refused', async () => {
+  const manager = new EngineManager({ engine: 'uci', path: '/unused' });
+  await assert.rejects(manager.analyzePosition(START_FEN), /Engine not ready/);
+  await assert.rejects(manager.getCandidateMoves(START_FEN), /Engine not ready/);
+});
+
+test('unknown engine types are rejected', async () => {
+  const manager = new EngineManager({ engine: 'deep-blue' });
+  await assert.rejects(manager.init(), /Unknown engine type: deep-blue/);
+});
+
+test('switchEngine replaces the running engine', async () => {
+  const mock = createMockEngine({});
+  const manager = new EngineManager({
+    engine: 'uci',
+    path: mock.path,
+    args: mock.args,
+    verbose: false,
+  });
+  try {
+    await manager.init();
+    const first = manager.currentEngine;
+    await manager.switchEngine('stockfish');
+
+    assert.notEqual(manager.currentEngine, first);
+    assert.equal(first.process, null);
+    assert.equal(manager.getStatus().engineType, 'stockfish');
+    assert.equal(manager.currentEngine.getInfo().type, 'stockfish');
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
+
+test('a search that outlives the timeout rejects', async () => {
+  await withManager({ search: { delay: 2000 } }, { searchTimeout: 200 }, async (manager) => {
+    await assert.rejects(manager.analyzePosition(START_FEN), /Search timeout/);
+    assert.equal(manager.getHistory().length, 0);
+  });
+});
+
+const FAST_RESTARTS = { supervision: { initialDelay: 20, maxDelay: 100, maxRestarts: 2 } };
+
+test('a crashed engine is restarted and serves the next request', async () => {
+  await withManager(
+    { crashOnSearch: [1], crashCode: 9 },
+    { ...FAST_RESTARTS, hash: 32 },
+    async (manager, mock) => {
+      await assert.rejects(manager.analyzePosition(START_FEN), EngineCrashError);
+      assert.equal(manager.getStatus().health.state, 'restarting');
+
+      const analysis = await manager.analyzePosition(START_FEN);
+      assert.ok(analysis.bestMove);
+
+      const { health } = manager.getStatus();
+      assert.equal(health.state, 'healthy');
+      assert.equal(health.restarts, 1);
+      assert.equal(health.consecutiveCrashes, 0);
+      assert.match(health.lastError, /exit code 9/);
+      assert.ok(health.lastCrashAt);
+
+      const commands = mock.commands();
+      assert.equal(commands.filter((command) => command === 'uci').length, 2);
+      assert.equal(
+        commands.filter((command) => command === 'setoption name Hash value 32').length,
+        2
+      );
+    }
+  );
+});
+
+test('an engine killed while idle is restarted', async () => {
+  await withManager({}, FAST_RESTARTS, async (manager) => {
+    manager.currentEngine.process.kill('SIGKILL');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(manager.getStatus().health.state, 'restarting');
+
+    const candidates = await manager.getCandidateMoves(START_FEN, 2);
+    assert.equal(candidates.length, 2);
+    assert.equal(manager.getStatus().health.restarts, 1);
+  });
+});
+
+test('an engine that keeps crashing is marked failed', async () => {
+  await withManager({ crashOnSearch: [1, 2, 3, 4] }, FAST_RESTARTS, async (manager) => {
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(manager.analyzePosition(START_FEN), EngineCrashError);
+    }
+
+    await assert.rejects(manager.analyzePosition(START_FEN), /Engine not ready \(.*died/);
+    const { health } = manager.getStatus();
+    assert.equal(health.state, 'failed');
+    assert.equal(health.consecutiveCrashes, 3);
+    assert.equal(health.restarts, 2);
+  });
+});
+
+test('restart delays back off exponentially up to the cap', () => {
+  const manager = new EngineManager({
+    supervision: { initialDelay: 500, maxDelay: 3000 },
+  });
+  assert.deepEqual(
+    [1, 2, 3, 4, 5].map((attempt) => manager.getRestartDelay(attempt)),
+    [500, 1000, 2000, 3000, 3000]
+  );
+});
+
+test('quit cancels a pending restart', async () => {
+  const mock = createMockEngine({});
+  const manager = new EngineManager({
+    engine: 'uci',
+    path: mock.path,
+    args: mock.args,
+    supervision: { initialDelay: 60000 },
+  });
+  try {
+    await manager.init();
+    manager.currentEngine.process.kill('SIGKILL');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const started = Date.now();
+    await manager.quit();
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(manager.getStatus().health.state, 'stopped');
+    assert.equal(mock.commands().filter((command) => command === 'uci').length, 1);
+  } finally {
+    mock.cleanup();
+  }
+});
+
+test('analyzeStream adds SAN to updates and records the final analysis', async () => {
+  const scenario = {
+    search: {
+      info: [
+        'info depth 1 score cp 10 pv e2e4',
+        'info depth 2 score cp 20 pv e2e4 e7e5',
+        'info depth 3 score cp 15 pv g1f3 d7d5',
+      ],
+    },
+  };
+
+  await withManager(scenario, {}, async (manager) => {
+    const stream = manager.analyzeStream(START_FEN, { depth: 3 });
+    const updates = [];
+    for await (const update of stream) {
+      updates.push(update);
+    }
+
+    assert.deepEqual(
+      updates.map((update) => update.pvSan),
+      [['e4'], ['e4', 'e5'], ['Nf3', 'd5']]
+    );
+    assert.ok(updates.every((update) => update.engineType === 'uci'));
+
+    const analysis = await stream.result;
+    assert.equal(analysis.bestMoveSan, 'Nf3');
+    assert.equal(analysis.evaluation, 0.15);
+    assert.equal(manager.getHistory().at(-1), analysis);
+  });
+});
+
+test('analyzeStream rejects invalid FENs up front', () => {
+  const manager = new EngineManager({ engine: 'uci' });
+  assert.throws(() => manager.analyzeStream('8/8/8/8 w - - 0 1'), /Invalid FEN/);
+});
+
+test('analyzeStream fails when the engine crashes mid-search', async () => {
+  await withManager({ crashOnSearch: [1] }, FAST_RESTARTS, async (manager) => {
+    const stream = manager.analyzeStream(START_FEN, { infinite: true });
+    const updates = [];
+    await assert.rejects(async () => {
+      for await (const update of stream) {
+        updates.push(update);
+      }
+    }, EngineCrashError);
+    assert.deepEqual(updates, []);
+  });
+});
+
+test('reproducible mode searches a fixed node count on one thread from an empty hash', async () => {
+  const scenario = { options: STANDARD_OPTIONS };
+
+  await withManager(
+    scenario,
+    { threads: 8, hash: 1024, reproducible: { nodes: 5000 } },
+    async (manager, mock) => {
+      await manager.analyzePosition(START_FEN, { depth: 30 });
+      await manager.getCandidateMoves(START_FEN, 2, { time: 1000 });
+
+      const commands = mock.commands();
+      assert.ok(commands.includes('setoption name Threads value 1'));
+      assert.ok(commands.includes('setoption name Hash value 16'));
+      assert.ok(!commands.some((command) => /value (8|1024)$/.test(command)));
+
+      const searches = commands.filter((command) => command.startsWith('go'));
+      assert.deepEqual(searches, ['go nodes 5000', 'go nodes 5000']);
+      // Every search follows a ucinewgame
+      const starts = commands
+        .map((command, index) => (command.startsWith('go') ? index : -1))
+        .filter((index) => index >= 0);
+      for (const index of starts) {
+        const previous = commands
+          .slice(0, index)
+          .filter((command) => /^(go|ucinewgame)/.test(command));
+        assert.equal(previous.at(-1), 'ucinewgame');
+      }
+    }
+  );
+});
+
+test('Chess960 positions switch the engine to UCI_Chess960 and back', async () => {
+  const scenario = {
+    options: [...STANDARD_OPTIONS, 'option name UCI_Chess960 type check default false'],
+    searches: [
+      { info: ['info depth 10 score cp 20 pv f1h1 e8b8'], bestmove: 'f1h1' },
+      { info: ['info depth 10 score cp 20 pv e2e4'], bestmove: 'e2e4' },
+    ],
+  };
+
+  await withManager(scenario, {}, async (manager, mock) => {
+    const analysis = await manager.analyzePosition('1r2k2r/8/8/8/8/8/8/1R3K1R w HBhb - 0 1', {
+      depth: 10,
+    });
+    assert.equal(analysis.bestMove, 'f1h1');
+    assert.equal(analysis.bestMoveSan, 'O-O');
+    assert.deepEqual(analysis.pvSan, ['O-O', 'O-O-O']);
+
+    await manager.analyzePosition(START_FEN, { depth: 10 });
+
+    assert.deepEqual(
+      mock.commands().filter((command) => /UCI_Chess960|^go/.test(command)),
+      [
+        'setoption name UCI_Chess960 value true',
+        'go depth 10',
+        'setoption name UCI_Chess960 value false',
+        'go depth 10',
+      ]
+    );
+  });
+});
+
+test('engines without UCI_Chess960 refuse Chess960 positions', async () => {
+  await withManager({ options: STANDARD_OPTIONS }, {}, async (manager) => {
+    const fen = '1r2k2r/8/8/8/8/8/8/1R3K1R w KQkq - 0 1';
+    await assert.rejects(
+      manager.analyzePosition(fen, { chess960: true }),
+      /does not support Chess960/
+    );
+    // The same board read as standard chess has no castling rights to misread
+    const analysis = await manager.analyzePosition(fen, { depth: 5 });
+    assert.ok(analysis.bestMove);
+  });
+});
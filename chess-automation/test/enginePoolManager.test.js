@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnginePoolManager } from '../src/modules/enginePoolManager.js';
+import { ENGINE_POOLS } from '../src/config/engines.config.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { muteConsole, registerMockEngine } from './helpers/mockEngine.js';
+
+let mocks = [];
+let restoreConsole;
+
+const TIMEOUTS = { readyTimeout: 200 };
+
+before(() => {
+  restoreConsole = muteConsole();
+  mocks = [
+    registerMockEngine(
+      'mock-e4',
+      { search: { info: ['info depth 8 score cp 30 pv e2e4'] } },
+      TIMEOUTS
+    ),
+    registerMockEngine(
+      'mock-d4',
+      { search: { info: ['info depth 8 score cp 25 pv d2d4'] } },
+      TIMEOUTS
+    ),
+    registerMockEngine('mock-broken', { noReadyok: true }, TIMEOUTS),
+  ];
+  ENGINE_POOLS['mock-pair'] = ['mock-e4', 'mock-d4'];
+  ENGINE_POOLS['mock-with-broken'] = ['mock-broken', 'mock-e4'];
+});
+
+after(() => {
+  delete ENGINE_POOLS['mock-pair'];
+  delete ENGINE_POOLS['mock-with-broken'];
+  mocks.forEach((mock) => mock.cleanup());
+  restoreConsole();
+});
+
+test('sequential selection alternates engines and tags results', async () => {
+  const pool = new EnginePoolManager({ pool: 'mock-pair', selection: 'sequential' });
+  try {
+    await pool.init();
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await pool.analyzePosition(START_FEN, { depth: 8 }));
+    }
+
+    assert.deepEqual(
+      results.map((result) => [result.engineId, result.bestMove]),
+      [
+        ['mock-e4', 'e2e4'],
+        ['mock-d4', 'd2d4'],
+        ['mock-e4', 'e2e4'],
+        ['mock-d4', 'd2d4'],
+      ]
+    );
+    assert.equal(results[0].engineName, 'Mock mock-e4');
+
+    const stats = pool.getStatistics();
+    assert.equal(stats.totalMoves, 4);
+    assert.deepEqual(stats.engineUsage, { 'mock-e4': 2, 'mock-d4': 2 });
+    assert.equal(stats.health['mock-e4'].state, 'healthy');
+    assert.equal(stats.health['mock-d4'].restarts, 0);
+    assert.ok(pool.getPoolInfo().engines.every((engine) => engine.initialized));
+  } finally {
+    await pool.cleanup();
+  }
+});
+
+test('single selection keeps the first engine', async () => {
+  const pool = new EnginePoolManager({ pool: 'mock-pair', selection: 'single' });
+  try {
+    await pool.init();
+    await pool.analyzePosition(START_FEN);
+    await pool.analyzePosition(START_FEN);
+
+    assert.equal(pool.getCurrentEngineInfo().id, 'mock-e4');
+    assert.equal(pool.engines.size, 1);
+  } finally {
+    await pool.cleanup();
+  }
+});
+
+test('switchToEngine initializes the requested engine on demand', async () => {
+  const pool = new EnginePoolManager({ pool: 'mock-pair', selection: 'single' });
+  try {
+    await pool.init();
+    await pool.switchToEngine('mock-d4');
+
+    const result = await pool.analyzePosition(START_FEN);
+    assert.equal(result.engineId, 'mock-d4');
+    await assert.rejects(pool.switchToEngine('nope'), /Unknown engine: nope/);
+  } finally {
+    await pool.cleanup();
+  }
+});
+
+test('an engine that never becomes ready is dropped from the pool', async () => {
+  const pool = new EnginePoolManager({ pool: 'mock-with-broken', selection: 'sequential' });
+  try {
+    await assert.rejects(pool.init(), /Timeout waiting for readyok/);
+    assert.deepEqual(pool.poolEngines, ['mock-e4']);
+
+    await pool.selectAndInitEngine();
+    const result = await pool.analyzePosition(START_FEN);
+    assert.equal(result.engineId, 'mock-e4');
+  } finally {
+    await pool.cleanup();
+  }
+});
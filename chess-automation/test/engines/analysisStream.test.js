@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisStream } from '../../src/modules/engines/analysisStream.js';
+
+async function collect(stream) {
+  const updates = [];
+  for await (const update of stream) {
+    updates.push(update);
+  }
+  return updates;
+}
+
+test('yields buffered and later updates, then ends with the result', async () => {
+  const stream = new AnalysisStream();
+  stream.push({ multipv: 1, depth: 1 });
+
+  const collecting = collect(stream);
+  stream.push({ multipv: 2, depth: 1 });
+  stream.push({ multipv: 1, depth: 2 });
+  stream.end({ move: 'e2e4' });
+
+  assert.deepEqual(
+    (await collecting).map(({ multipv, depth }) => [multipv, depth]),
+    [
+      [1, 1],
+      [2, 1],
+      [1, 2],
+    ]
+  );
+  assert.deepEqual(await stream.result, { move: 'e2e4' });
+  assert.deepEqual(
+    stream.getLines().map(({ multipv, depth }) => [multipv, depth]),
+    [
+      [1, 2],
+      [2, 1],
+    ]
+  );
+});
+
+test('errors reach both the iterator and the result', async () => {
+  const stream = new AnalysisStream();
+  const collecting = collect(stream);
+  stream.fail(new Error('engine died'));
+
+  await assert.rejects(collecting, /engine died/);
+  await assert.rejects(stream.result, /engine died/);
+});
+
+test('breaking out of the loop cancels once', async () => {
+  const stream = new AnalysisStream();
+  let cancels = 0;
+  stream.onCancel(() => cancels++);
+  stream.push({ depth: 1 });
+  stream.push({ depth: 2 });
+
+  for await (const update of stream) {
+    assert.equal(update.depth, 1);
+    break;
+  }
+  stream.cancel();
+
+  assert.equal(cancels, 1);
+  assert.equal(stream.cancelled, true);
+});
+
+test('an abort signal cancels, even before callbacks are registered', () => {
+  const controller = new AbortController();
+  controller.abort();
+  const stream = new AnalysisStream({ signal: controller.signal });
+
+  let cancelled = false;
+  stream.onCancel(() => {
+    cancelled = true;
+  });
+  assert.equal(cancelled, true);
+});
@@ -0,0 +1,209 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Lc0Engine } from '../../src/modules/engines/lc0Engine.js';
+import { START_FEN } from '../../src/modules/chess/position.js';
+import { LC0_OPTIONS, createMockEngine, muteConsole } from '../helpers/mockEngine.js';
+
+let restoreConsole;
+let weightsDir;
+before(() => {
+  restoreConsole = muteConsole();
+  weightsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lc0-weights-'));
+});
+after(() => {
+  restoreConsole();
+  fs.rmSync(weightsDir, { recursive: true, force: true });
+});
+
+function createWeights(name) {
+  const file = path.join(weightsDir, name);
+  fs.writeFileSync(file, '');
+  return file;
+}
+
+async function withLc0(scenario, config, callback) {
+  const mock = createMockEngine({ name: 'Lc0 v0.31.0', options: LC0_OPTIONS, ...scenario });
+  const engine = new Lc0Engine({ path: mock.path, args: mock.args, ...config });
+  try {
+    await engine.init();
+    await callback(engine, mock);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+}
+
+test('spawns with weights, backend and threads and sets Lc0 options', async () => {
+  const weightsPath = createWeights('t2-768.pb.gz');
+  await withLc0(
+    {},
+    { weightsPath, backend: 'eigen', threads: 2, batchSize: 64, multiPV: 2 },
+    async (engine, mock) => {
+      assert.deepEqual(engine.getSpawnCommand().args, [
+        ...mock.args,
+        '--weights',
+        weightsPath,
+        '--backend',
+        'eigen',
+        '--threads',
+        '2',
+      ]);
+      assert.equal(engine.isMaia, false);
+
+      const commands = mock.commands();
+      assert.ok(commands.includes('setoption name MultiPV value 2'));
+      assert.ok(commands.includes('setoption name MinibatchSize value 64'));
+      assert.ok(!commands.some((command) => command.includes('Temperature value')));
+    }
+  );
+});
+
+test('falls back to a CPU backend the binary has when there is no GPU', async () => {
+  await withLc0({}, { backend: 'cuda-auto', gpu: false }, async (engine, mock) => {
+    assert.equal(engine.config.backend, 'blas');
+    assert.deepEqual(engine.getSpawnCommand().args, [...mock.args, '--backend', 'blas']);
+
+    // The probe asks for the option list before the engine itself starts
+    const commands = mock.commands();
+    assert.equal(commands[0], 'uci');
+    assert.equal(commands.filter((command) => command === 'uci').length, 2);
+  });
+
+  await withLc0({}, { backend: 'cuda-auto', gpu: true }, async (engine, mock) => {
+    assert.equal(engine.config.backend, 'cuda-auto');
+    assert.equal(mock.commands().filter((command) => command === 'uci').length, 1);
+  });
+
+  const mock = createMockEngine({
+    options: [
+      'option name Backend type combo default cuda-auto var cuda-auto var cuda-fp16',
+      'option name Threads type spin default 0 min 0 max 128',
+    ],
+  });
+  try {
+    await assert.rejects(
+      new Lc0Engine({ path: mock.path, args: mock.args, gpu: false }).init(),
+      /No GPU found and .* has no CPU backend \(it has cuda-auto, cuda-fp16\)/
+    );
+  } finally {
+    mock.cleanup();
+  }
+});
+
+test('missing weights fall back to the default network', async () => {
+  await withLc0({}, { weightsPath: path.join(weightsDir, 'missing.pb.gz') }, async (engine) => {
+    assert.equal(engine.config.weightsPath, null);
+    assert.ok(!engine.getSpawnCommand().args.includes('--weights'));
+    assert.equal(engine.getInfo().weights, 'default');
+  });
+});
+
+test('Maia weights search by nodes and return a single candidate with WDL', async () => {
+  const weightsPath = createWeights('maia-1500.pb.gz');
+  const scenario = {
+    search: {
+      info: [
+        'info depth 1 seldepth 2 time 30 nodes 1 score cp 12 wdl 310 540 150 nps 33 tbhits 0 pv e2e4 e7e5',
+      ],
+      bestmove: 'e2e4',
+    },
+  };
+
+  await withLc0(scenario, { weightsPath, temperature: 1.0, nodes: 1 }, async (engine, mock) => {
+    assert.equal(engine.isMaia, true);
+    assert.equal(engine.getInfo().name, 'Maia (Human-like)');
+
+    await engine.setPosition(START_FEN);
+    const candidates = await engine.getCandidateMoves(3, { time: 500 });
+
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].move, 'e2e4');
+    assert.equal(candidates[0].evaluation, 0.12);
+    assert.deepEqual(candidates[0].wdl, { win: 0.31, draw: 0.54, loss: 0.15 });
+
+    const commands = mock.commands();
+    assert.ok(commands.includes('setoption name Temperature value 1'));
+    assert.ok(commands.includes('go nodes 1'));
+  });
+});
+
+test('sets the Syzygy path from the engine config', async () => {
+  const options = [...LC0_OPTIONS, 'option name SyzygyPath type string default <empty>'];
+  await withLc0(
+    { options },
+    { syzygyPath: '/tb/345', syzygyProbeLimit: 5 },
+    async (engine, mock) => {
+      const commands = mock.commands();
+      assert.ok(commands.includes('setoption name SyzygyPath value /tb/345'));
+      assert.ok(!commands.some((command) => command.includes('SyzygyProbeLimit')));
+    }
+  );
+});
+
+test('rejects options the network binary does not declare', async () => {
+  const mock = createMockEngine({ options: LC0_OPTIONS });
+  const engine = new Lc0Engine({
+    path: mock.path,
+    args: mock.args,
+    options: { SyzygyPath: '/tb' },
+  });
+  try {
+    await assert.rejects(engine.init(), /has no UCI option named 'SyzygyPath'/);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('init rejects when Lc0 never sends readyok', async () => {
+  const mock = createMockEngine({ options: LC0_OPTIONS, noReadyok: true });
+  const engine = new Lc0Engine({ path: mock.path, args: mock.args, readyTimeout: 200 });
+  try {
+    await assert.rejects(engine.init(), /Timeout waiting for readyok/);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('verbose move stats give policy priors for candidates', async () => {
+  const scenario = {
+    search: {
+      info: [
+        'info string e2e4  (322 ) N:      40 (+ 0) (P: 13.30%) (WL:  0.04) (D: 0.50) (M: 120.0) (Q:  0.04) (U: 0.08) (S:  0.12) (V:  0.04) ',
+        'info string d2d4  (293 ) N:      60 (+ 0) (P: 22.41%) (WL:  0.03) (D: 0.52) (M: 121.0) (Q:  0.03) (U: 0.06) (S:  0.09) (V:  0.03) ',
+        'info string node  ( 20) N:     100 (+ 0) (P: 100.00%) (WL:  0.03) (D: 0.51) (M: 120.5) (Q:  0.03) (V:  0.03) ',
+        'info depth 3 seldepth 6 time 40 nodes 100 score cp 9 wdl 250 600 150 hashfull 3 nps 2500 tbhits 0 multipv 1 pv d2d4 d7d5',
+        'info depth 3 seldepth 5 time 40 nodes 100 score cp 12 wdl 270 580 150 hashfull 3 nps 2500 tbhits 0 multipv 2 pv e2e4 e7e5',
+      ],
+    },
+  };
+
+  await withLc0(scenario, { verboseMoveStats: true }, async (engine, mock) => {
+    assert.ok(mock.commands().includes('setoption name VerboseMoveStats value true'));
+
+    await engine.setPosition(START_FEN);
+    const result = await engine.getBestMove({ multiPV: 2 });
+
+    assert.deepEqual(
+      result.moveStats.map((stats) => [stats.move, stats.visits]),
+      [
+        ['d2d4', 60],
+        ['e2e4', 40],
+      ]
+    );
+    assert.deepEqual(
+      result.candidates.map((candidate) => [candidate.move, candidate.policy]),
+      [
+        ['d2d4', 0.2241],
+        ['e2e4', 0.133],
+      ]
+    );
+    assert.equal(result.evaluation.hashfull, 3);
+    assert.equal(result.evaluation.seldepth, 6);
+    assert.deepEqual(result.evaluation.wdl, { win: 0.25, draw: 0.6, loss: 0.15 });
+  });
+});
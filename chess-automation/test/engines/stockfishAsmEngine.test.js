@@ -0,0 +1,346 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockfishAsmEngine } from '../../src/modules/engines/stockfishAsmEngine.js';
+import { EngineCrashError } from '../../src/modules/engines/engineErrors.js';
+import { START_FEN } from '../../src/modules/chess/position.js';
+import { STANDARD_OPTIONS, createMockEngine, muteConsole, settle } from '../helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+async function startEngine(scenario, config = {}) {
+  const mock = createMockEngine(scenario);
+  const engine = new StockfishAsmEngine({ path: mock.path, args: mock.args, ...config });
+  return { mock, engine };
+}
+
+async function withEngine(scenario, config, callback) {
+  const { mock, engine } = await startEngine(scenario, config);
+  try {
+    await engine.init();
+    await callback(engine, mock);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+}
+
+test('init reads the engine id and applies configured options', async () => {
+  await withEngine(
+    { name: 'Stockfish 17' },
+    { threads: 2, hash: 64, options: { 'Skill Level': 12 } },
+    async (engine, mock) => {
+      assert.equal(engine.getIsReady(), true);
+      assert.equal(engine.getInfo().name, 'Stockfish 17');
+      assert.equal(engine.getInfo().type, 'stockfish');
+      assert.ok(engine.hasOption('skill level'));
+
+      const commands = mock.commands();
+      assert.equal(commands[0], 'uci');
+      assert.ok(commands.includes('setoption name Threads value 2'));
+      assert.ok(commands.includes('setoption name Hash value 64'));
+      assert.ok(commands.includes('setoption name Skill Level value 12'));
+      assert.equal(commands.at(-1), 'isready');
+    }
+  );
+});
+
+test('engine traffic is logged at info only when verbose', async () => {
+  const traffic = async (config) => {
+    const lines = [];
+    const { log } = console;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+      await withEngine({}, config, async () => {});
+    } finally {
+      console.log = log;
+    }
+    return lines.filter((line) => /\] [<>] /.test(line));
+  };
+
+  assert.deepEqual(await traffic({}), []);
+  assert.ok((await traffic({ verbose: true })).some((line) => line.endsWith('> uci')));
+});
+
+test('passes Syzygy settings only to engines that declare them', async () => {
+  const options = [
+    ...STANDARD_OPTIONS,
+    'option name SyzygyPath type string default <empty>',
+    'option name SyzygyProbeLimit type spin default 7 min 0 max 7',
+  ];
+  const config = { syzygyPath: '/tb/345:/tb/6', syzygyProbeLimit: 5 };
+
+  await withEngine({ options }, config, async (engine, mock) => {
+    const commands = mock.commands();
+    assert.ok(commands.includes('setoption name SyzygyPath value /tb/345:/tb/6'));
+    assert.ok(commands.includes('setoption name SyzygyProbeLimit value 5'));
+  });
+  await withEngine({}, config, async (engine, mock) => {
+    assert.ok(!mock.commands().some((command) => command.includes('Syzygy')));
+  });
+});
+
+test('init rejects out-of-range option values', async () => {
+  const { mock, engine } = await startEngine({}, { options: { 'Skill Level': 25 } });
+  try {
+    await assert.rejects(engine.init(), /must be between 0 and 20/);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('getBestMove collects info lines, including lines split across writes', async () => {
+  const scenario = {
+    search: {
+      splitWrites: true,
+      info: [
+        'info depth 1 score cp 10 pv d2d4',
+        'info depth 12 seldepth 18 score cp 35 wdl 400 500 100 nodes 50000 nps 500000 time 100 pv e2e4 e7e5 g1f3',
+      ],
+      bestmove: 'e2e4 ponder e7e5',
+    },
+  };
+
+  await withEngine(scenario, {}, async (engine) => {
+    await engine.setPosition(START_FEN);
+    const result = await engine.getBestMove({ depth: 12 });
+
+    assert.equal(result.move, 'e2e4');
+    assert.equal(result.ponder, 'e7e5');
+    assert.equal(result.evaluation.depth, 12);
+    assert.equal(result.evaluation.seldepth, 18);
+    assert.equal(result.evaluation.score, 0.35);
+    assert.deepEqual(result.evaluation.pv, ['e2e4', 'e7e5', 'g1f3']);
+    assert.deepEqual(result.candidates[0].wdl, { win: 0.4, draw: 0.5, loss: 0.1 });
+  });
+});
+
+test('malformed info lines do not produce NaN fields', async () => {
+  const scenario = {
+    search: {
+      info: [
+        'info',
+        'info depth',
+        'info depth abc score cp',
+        'info score mate',
+        'info depth 9 score cp 20 wdl 1 2 nodes x pv g1f3',
+        'info string NNUE evaluation using nn-1111.nnue',
+      ],
+      bestmove: 'g1f3',
+    },
+  };
+
+  await withEngine(scenario, {}, async (engine) => {
+    await engine.setPosition(START_FEN);
+    const result = await engine.getBestMove({ depth: 9 });
+
+    assert.equal(result.move, 'g1f3');
+    assert.equal(result.candidates.length, 1);
+    const [candidate] = result.candidates;
+    assert.equal(candidate.evaluation, 0.2);
+    assert.equal(candidate.depth, 9);
+    assert.equal(candidate.nodes, undefined);
+    assert.equal(candidate.wdl, null);
+    for (const value of Object.values(result.evaluation ?? {})) {
+      assert.ok(!Number.isNaN(value));
+    }
+  });
+});
+
+test('mate scores are encoded from the side to move', async () => {
+  const scenario = {
+    searches: [
+      { info: ['info depth 5 score mate 3 pv d1h5'], bestmove: 'd1h5' },
+      { info: ['info depth 5 score mate -2 pv e1e2'], bestmove: 'e1e2' },
+    ],
+  };
+
+  await withEngine(scenario, {}, async (engine) => {
+    await engine.setPosition(START_FEN);
+    const winning = await engine.getBestMove({ depth: 5 });
+    const losing = await engine.getBestMove({ depth: 5 });
+
+    assert.equal(winning.evaluation.score, 9997);
+    assert.equal(winning.evaluation.mate, 3);
+    assert.equal(losing.evaluation.score, -9998);
+  });
+});
+
+test('getCandidateMoves sets MultiPV for the search and restores it', async () => {
+  await withEngine({}, { multiPV: 1 }, async (engine, mock) => {
+    await engine.setPosition(START_FEN);
+    const candidates = await engine.getCandidateMoves(3, { depth: 10 });
+
+    await settle();
+    assert.equal(candidates.length, 3);
+    assert.deepEqual(
+      candidates.map((candidate) => candidate.evaluation),
+      [0.3, 0.2, 0.1]
+    );
+
+    const commands = mock.commands();
+    const go = commands.findIndex((command) => command.startsWith('go'));
+    assert.equal(commands[go - 1], 'setoption name MultiPV value 3');
+    assert.equal(commands.at(-1), 'setoption name MultiPV value 1');
+  });
+});
+
+test('waitFor rejects when the engine never sends uciok', async () => {
+  const { mock, engine } = await startEngine({ noUciok: true }, { uciTimeout: 200 });
+  try {
+    await assert.rejects(engine.init(), /Timeout waiting for uciok/);
+    assert.equal(engine.getIsReady(), false);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('init rejects when the engine never sends readyok', async () => {
+  const { mock, engine } = await startEngine({ noReadyok: true }, { readyTimeout: 200 });
+  try {
+    await assert.rejects(engine.init(), /Timeout waiting for readyok/);
+    assert.equal(engine.getIsReady(), false);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('slow readyok within the timeout is accepted', async () => {
+  await withEngine({ readyDelay: 100 }, { readyTimeout: 1000 }, async (engine) => {
+    assert.equal(engine.getIsReady(), true);
+  });
+});
+
+test('newGame rejects when readyok is slower than the ready timeout', async () => {
+  await withEngine({ readyDelay: 400 }, { readyTimeout: 1000 }, async (engine) => {
+    engine.config.readyTimeout = 100;
+    await assert.rejects(engine.newGame(), /Timeout waiting for readyok/);
+  });
+});
+
+test('a hanging search is stopped at the search timeout', async () => {
+  await withEngine({ search: { hang: true } }, { searchTimeout: 300 }, async (engine, mock) => {
+    await engine.setPosition(START_FEN);
+    await assert.rejects(engine.getBestMove({ depth: 30 }), /Search timeout/);
+    await settle();
+    assert.equal(mock.commands().at(-1), 'stop');
+  });
+});
+
+test('a missing binary rejects init', async () => {
+  const engine = new StockfishAsmEngine({
+    path: '/nonexistent/stockfish',
+    uciTimeout: 500,
+  });
+  await assert.rejects(engine.init(), /ENOENT/);
+  await engine.quit();
+});
+
+test('a crash mid-search rejects with EngineCrashError without waiting for the timeout', async () => {
+  const crashes = [];
+  await withEngine(
+    { crashOnSearch: [1], crashCode: 3 },
+    { searchTimeout: 10000 },
+    async (engine) => {
+      engine.onCrash = (error) => crashes.push(error);
+      await engine.setPosition(START_FEN);
+
+      const started = Date.now();
+      const error = await engine.getBestMove({ depth: 10 }).catch((e) => e);
+
+      assert.ok(error instanceof EngineCrashError);
+      assert.equal(error.exitCode, 3);
+      assert.ok(Date.now() - started < 2000);
+      assert.equal(engine.getIsReady(), false);
+      assert.deepEqual(crashes, [error]);
+      await assert.rejects(engine.getBestMove(), /Engine process not initialized/);
+    }
+  );
+});
+
+test('restart brings the engine back with the options it had', async () => {
+  await withEngine({ crashOnSearch: [1] }, { hash: 64 }, async (engine, mock) => {
+    await engine.setOption('Skill Level', 5);
+    await engine.setPosition(START_FEN);
+    await assert.rejects(engine.getCandidateMoves(3, { depth: 5 }), EngineCrashError);
+
+    await engine.restart();
+    assert.equal(engine.getIsReady(), true);
+
+    const commands = mock.commands();
+    const restartAt = commands.lastIndexOf('uci');
+    const replayed = commands.slice(restartAt);
+    assert.ok(replayed.includes('setoption name Hash value 64'));
+    assert.ok(replayed.includes('setoption name Skill Level value 5'));
+    assert.ok(!replayed.includes('setoption name MultiPV value 3'));
+
+    await engine.setPosition(START_FEN);
+    const result = await engine.getBestMove({ depth: 5 });
+    assert.ok(result.move);
+  });
+});
+
+test('analyzeStream yields every depth and PV of an infinite search until cancelled', async () => {
+  await withEngine({ search: { interval: 5 } }, { multiPV: 1 }, async (engine, mock) => {
+    const stream = engine.analyzeStream(START_FEN, { infinite: true, multiPV: 2 });
+
+    const updates = [];
+    for await (const update of stream) {
+      updates.push(update);
+      if (update.depth === 3 && update.multipv === 2) {
+        break;
+      }
+    }
+
+    assert.deepEqual(
+      updates.map(({ depth, multipv }) => [depth, multipv]),
+      [
+        [1, 1],
+        [1, 2],
+        [2, 1],
+        [2, 2],
+        [3, 1],
+        [3, 2],
+      ]
+    );
+    assert.equal(updates[0].score, 0.3);
+    assert.equal(updates[0].nodes, 1000);
+    assert.equal(updates[0].nps, 123450);
+    assert.ok(updates[0].pv.length > 0);
+
+    const result = await stream.result;
+    assert.equal(result.move, updates[4].pv[0]);
+
+    await settle();
+    const commands = mock.commands();
+    assert.ok(commands.includes('go infinite'));
+    assert.ok(commands.includes('stop'));
+    assert.equal(commands.at(-1), 'setoption name MultiPV value 1');
+    assert.equal(engine.infoListeners.size, 0);
+  });
+});
+
+test('analyzeStream stops when its abort signal fires', async () => {
+  await withEngine({ search: { interval: 5 } }, {}, async (engine) => {
+    const controller = new AbortController();
+    const stream = engine.analyzeStream(START_FEN, {
+      infinite: true,
+      signal: controller.signal,
+    });
+
+    setTimeout(() => controller.abort(), 100);
+    const updates = [];
+    for await (const update of stream) {
+      updates.push(update);
+    }
+
+    assert.equal(updates.length, 3);
+    assert.ok((await stream.result).move);
+  });
+});
@@ -0,0 +1,175 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { UciEngine, parseOptionLine } from '../../src/modules/engines/uciEngine.js';
+
+// A minimal UCI engine run as `node -e`, so the restart test needs no binary
+const FAKE_ENGINE = `
+const readline = require('readline');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (line === 'uci') {
+    console.log('id name Fake 1.0');
+    console.log('option name Hash type spin default 16 min 1 max 1024');
+    console.log('option name Style type combo default Normal var Solid var Normal var Risky');
+    console.log('uciok');
+  } else if (line === 'isready') {
+    console.log('readyok');
+  } else if (line === 'quit') {
+    process.exit(0);
+  }
+});
+`;
+
+const OPTION_LINES = [
+  'option name Hash type spin default 16 min 1 max 33554432',
+  'option name Skill Level type spin default 20 min 0 max 20',
+  'option name Ponder type check default false',
+  'option name Backend type combo default cuda-auto var cuda-auto var eigen var blas',
+  'option name Clear Hash type button',
+  'option name SyzygyPath type string default <empty>',
+];
+
+let restoreConsole;
+before(() => {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  restoreConsole = () => Object.assign(console, { log, warn, error });
+});
+after(() => restoreConsole());
+
+/**
+ * An engine that knows OPTION_LINES without running a process
+ */
+function engineWithOptions() {
+  const engine = new UciEngine({ name: 'Test Engine' });
+  for (const line of OPTION_LINES) {
+    const option = parseOptionLine(line);
+    engine.options.set(option.name.toLowerCase(), option);
+  }
+  return engine;
+}
+
+test('parses spin, check, combo, button and string option lines', () => {
+  assert.deepEqual(parseOptionLine(OPTION_LINES[0]), {
+    name: 'Hash',
+    type: 'spin',
+    default: '16',
+    vars: [],
+    min: 1,
+    max: 33554432,
+  });
+  assert.equal(parseOptionLine(OPTION_LINES[2]).default, 'false');
+  assert.deepEqual(parseOptionLine(OPTION_LINES[3]).vars, ['cuda-auto', 'eigen', 'blas']);
+  assert.deepEqual(parseOptionLine(OPTION_LINES[4]), {
+    name: 'Clear Hash',
+    type: 'button',
+    default: null,
+    vars: [],
+  });
+  assert.equal(parseOptionLine(OPTION_LINES[5]).default, '<empty>');
+});
+
+test('keeps keywords and spaces inside option names and values', () => {
+  assert.equal(parseOptionLine(OPTION_LINES[1]).name, 'Skill Level');
+  assert.equal(
+    parseOptionLine('option name Use max Depth type check default true').name,
+    'Use max Depth'
+  );
+
+  const style = parseOptionLine(
+    'option name Style type combo default Very Solid var Very Solid var Normal var Risky'
+  );
+  assert.equal(style.default, 'Very Solid');
+  assert.deepEqual(style.vars, ['Very Solid', 'Normal', 'Risky']);
+
+  const empty = parseOptionLine('option name EvalFile type string default');
+  assert.equal(empty.default, '');
+});
+
+test('ignores lines that are not complete option declarations', () => {
+  assert.equal(parseOptionLine('id name Stockfish 17'), null);
+  assert.equal(parseOptionLine('uciok'), null);
+  assert.equal(parseOptionLine('option name Hash'), null);
+  assert.equal(parseOptionLine('option type spin default 1'), null);
+});
+
+test('validates values against the declared options', () => {
+  const engine = engineWithOptions();
+
+  assert.equal(engine.validateOption('hash', 256), '256');
+  assert.equal(engine.validateOption('Skill Level', '0'), '0');
+  assert.equal(engine.validateOption('Ponder', true), 'true');
+  assert.equal(engine.validateOption('Ponder', 'false'), 'false');
+  assert.equal(engine.validateOption('Backend', 'EIGEN'), 'eigen');
+  assert.equal(engine.validateOption('Clear Hash'), null);
+  assert.equal(engine.validateOption('SyzygyPath', '/tb/3-4-5'), '/tb/3-4-5');
+});
+
+test('rejects unknown options and invalid values', () => {
+  const engine = engineWithOptions();
+
+  assert.throws(
+    () => engine.validateOption('Contempt', 10),
+    /Test Engine has no UCI option named 'Contempt'/
+  );
+  assert.throws(() => engine.validateOption('Hash', 0), /must be between 1 and 33554432, got 0/);
+  assert.throws(() => engine.validateOption('Skill Level', 21), /between 0 and 20/);
+  assert.throws(() => engine.validateOption('Hash', '1.5'), /expects an integer, got '1.5'/);
+  assert.throws(() => engine.validateOption('Ponder', 'yes'), /expects true or false/);
+  assert.throws(
+    () => engine.validateOption('Backend', 'cuda'),
+    /must be one of cuda-auto, eigen, blas, got 'cuda'/
+  );
+});
+
+test('starts again after quit, rediscovering options and reapplying configured ones', async () => {
+  const engine = new UciEngine({
+    name: 'Fake',
+    path: process.execPath,
+    args: ['-e', FAKE_ENGINE],
+    options: { Hash: 64, Style: 'risky' },
+  });
+  const sent = [];
+  const sendCommand = engine.sendCommand.bind(engine);
+  engine.sendCommand = (command) => {
+    sent.push(command);
+    return sendCommand(command);
+  };
+
+  try {
+    await engine.init();
+    await engine.quit();
+    assert.equal(engine.getIsReady(), false);
+
+    await engine.init();
+    assert.equal(engine.getIsReady(), true);
+    assert.equal(engine.getInfo().name, 'Fake 1.0');
+    assert.deepEqual(
+      engine.getOptions().map((option) => option.name),
+      ['Hash', 'Style']
+    );
+    assert.equal(sent.filter((command) => command === 'uci').length, 2);
+    assert.equal(sent.filter((command) => command === 'setoption name Hash value 64').length, 2);
+    assert.equal(
+      sent.filter((command) => command === 'setoption name Style value Risky').length,
+      2
+    );
+  } finally {
+    await engine.quit();
+  }
+});
+
+test('fails to start when a configured option is invalid', async () => {
+  const engine = new UciEngine({
+    name: 'Fake',
+    path: process.execPath,
+    args: ['-e', FAKE_ENGINE],
+    options: { Hash: 4096 },
+  });
+  try {
+    await assert.rejects(engine.init(), /Option 'Hash' must be between 1 and 1024, got 4096/);
+  } finally {
+    await engine.quit();
+  }
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInfoLine, parseLc0MoveStats } from '../../src/modules/engines/uciInfo.js';
+
+test('parses a full Stockfish search line', () => {
+  const info = parseInfoLine(
+    'info depth 24 seldepth 33 multipv 2 score cp -17 wdl 31 900 69 nodes 2512345 nps 1234567 hashfull 412 tbhits 7 time 2035 pv e7e5 g1f3 b8c6'
+  );
+
+  assert.deepEqual(info, {
+    depth: 24,
+    seldepth: 33,
+    multipv: 2,
+    cp: -17,
+    score: -0.17,
+    wdl: { win: 0.031, draw: 0.9, loss: 0.069 },
+    nodes: 2512345,
+    nps: 1234567,
+    hashfull: 412,
+    tbhits: 7,
+    time: 2035,
+    pv: ['e7e5', 'g1f3', 'b8c6'],
+  });
+});
+
+test('parses mate scores and bounds', () => {
+  assert.deepEqual(parseInfoLine('info depth 30 score mate 4 pv h5f7'), {
+    depth: 30,
+    mate: 4,
+    score: 9996,
+    pv: ['h5f7'],
+  });
+  assert.equal(parseInfoLine('info score mate -3').score, -9997);
+
+  const lower = parseInfoLine('info depth 18 score cp 55 lowerbound nodes 100 pv d2d4');
+  assert.equal(lower.bound, 'lower');
+  assert.equal(lower.nodes, 100);
+  assert.equal(parseInfoLine('info depth 18 score cp 40 upperbound').bound, 'upper');
+  assert.equal(parseInfoLine('info depth 18 score cp 40').bound, undefined);
+});
+
+test('parses currmove, refutation, currline and cpuload', () => {
+  assert.deepEqual(parseInfoLine('info depth 12 currmove e2e4 currmovenumber 3'), {
+    depth: 12,
+    currmove: 'e2e4',
+    currmovenumber: 3,
+  });
+  assert.deepEqual(parseInfoLine('info refutation d1h5 g6h5 cpuload 870'), {
+    refutation: ['d1h5', 'g6h5'],
+    cpuload: 870,
+  });
+  assert.deepEqual(parseInfoLine('info currline 1 e2e4 e7e5 sbhits 2').currline, {
+    cpu: 1,
+    moves: ['e2e4', 'e7e5'],
+  });
+  assert.deepEqual(parseInfoLine('info currline g1f3').currline, { cpu: null, moves: ['g1f3'] });
+});
+
+test('string takes the rest of the line', () => {
+  assert.deepEqual(parseInfoLine('info string NNUE evaluation using nn-1111.nnue  enabled'), {
+    string: 'NNUE evaluation using nn-1111.nnue  enabled',
+  });
+  assert.deepEqual(parseInfoLine('info depth 2 string depth 5 score cp 3'), {
+    depth: 2,
+    string: 'depth 5 score cp 3',
+  });
+});
+
+test('pv stops at the first token that is not a move', () => {
+  const info = parseInfoLine('info pv e2e4 e7e5 nodes 50 multipv 1');
+  assert.deepEqual(info.pv, ['e2e4', 'e7e5']);
+  assert.equal(info.nodes, 50);
+  assert.equal(info.multipv, 1);
+});
+
+test('malformed values are skipped', () => {
+  assert.deepEqual(parseInfoLine('info depth x score cp wdl 1 2 nodes'), {});
+  assert.deepEqual(parseInfoLine('info'), {});
+  assert.deepEqual(parseInfoLine('info score foo 3 depth 4'), { depth: 4 });
+});
+
+test('parses Lc0 verbose move stats', () => {
+  const info = parseInfoLine(
+    'info string d2d4  (293 ) N:     120 (+ 2) (P: 22.41%) (WL:  0.02862) (D: 0.376) (M: 133.4) (Q:  0.02862) (U: 0.09441) (S:  0.12303) (V:  0.0257) '
+  );
+
+  assert.deepEqual(info.moveStats, {
+    move: 'd2d4',
+    visits: 120,
+    inFlight: 2,
+    policy: 0.2241,
+    q: 0.02862,
+    wl: 0.02862,
+    d: 0.376,
+    m: 133.4,
+    u: 0.09441,
+    s: 0.12303,
+    v: 0.0257,
+  });
+});
+
+test('Lc0 stats tolerate older formats and unevaluated nodes', () => {
+  const stats = parseLc0MoveStats(
+    'a2a3  (204 ) N:       0 (+ 0) (P:  2.01%) (Q: -0.01234) (U: 0.12345) (Q+U:  0.11111) (V:  -.----) '
+  );
+  assert.equal(stats.visits, 0);
+  assert.equal(stats.policy, 0.0201);
+  assert.equal(stats.q, -0.01234);
+  assert.equal(stats.v, null);
+  assert.equal(stats.wl, null);
+
+  assert.equal(parseLc0MoveStats('node  ( 20) N:    1000 (+ 0) (P: 100.00%)').move, 'node');
+  assert.equal(parseLc0MoveStats('NNUE evaluation enabled'), null);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UciEngine } from '../../src/modules/engines/uciEngine.js';
+import {
+  UciTranscript,
+  parseTranscript,
+  replayTranscript,
+} from '../../src/modules/engines/uciTranscript.js';
+import { START_FEN } from '../../src/modules/chess/position.js';
+import { createMockEngine, muteConsole } from '../helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+test('records both directions and replays to the same search result', async () => {
+  const mock = createMockEngine({
+    name: 'Recorder 1.0',
+    search: {
+      info: [
+        'info depth 12 multipv 1 score cp 35 nodes 9000 pv e2e4 e7e5',
+        'info depth 12 multipv 2 score cp 20 nodes 9000 pv d2d4 d7d5',
+      ],
+      bestmove: 'e2e4',
+    },
+  });
+  const transcript = new UciTranscript();
+  const engine = new UciEngine({ path: mock.path, args: mock.args, transcript });
+
+  try {
+    await engine.init();
+    await engine.setPosition(START_FEN);
+    const live = await engine.getBestMove({ depth: 12, multiPV: 2 });
+
+    const [{ dir, line }] = transcript.entries;
+    assert.deepEqual([dir, line], ['send', 'uci']);
+    assert.ok(transcript.entries.some((entry) => entry.line === 'id name Recorder 1.0'));
+    assert.ok(transcript.entries.every((entry) => entry.t >= 0));
+
+    const replay = replayTranscript(transcript.entries);
+    assert.equal(replay.engine.name, 'Recorder 1.0');
+    assert.deepEqual(
+      replay.options.map((option) => option.name),
+      engine.getOptions().map((option) => option.name)
+    );
+    assert.equal(replay.searches.length, 1);
+
+    const [search] = replay.searches;
+    assert.equal(search.position, `fen ${START_FEN}`);
+    assert.equal(search.go, 'go depth 12');
+    assert.deepEqual(search.result, live);
+    assert.deepEqual(replay.errors, []);
+  } finally {
+    await engine.quit();
+    mock.cleanup();
+  }
+});
+
+test('writes a transcript per engine into the configured directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uci-transcripts-'));
+  const mock = createMockEngine({ search: { bestmove: 'g1f3' } });
+  const engine = new UciEngine({
+    name: 'Mock Engine',
+    path: mock.path,
+    args: mock.args,
+    transcriptDir: dir,
+  });
+
+  try {
+    await engine.init();
+    await engine.setPosition(START_FEN);
+    await engine.getBestMove({ depth: 1 });
+    await engine.quit();
+
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^mock-engine-.*\.jsonl$/);
+
+    const { engine: name, entries } = parseTranscript(
+      fs.readFileSync(path.join(dir, files[0]), 'utf8')
+    );
+    assert.equal(name, 'Mock Engine');
+    assert.deepEqual(entries.at(-1), { t: entries.at(-1).t, dir: 'send', line: 'quit' });
+    assert.equal(replayTranscript(entries).searches[0].result.move, 'g1f3');
+  } finally {
+    mock.cleanup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replays transcripts pasted as plain text', () => {
+  const { entries } = parseTranscript(`
+> position startpos moves e2e4
+> go nodes 1
+< info string e7e5  (322 ) N:       1 (+ 0) (P: 21.50%) (Q:  0.01)
+< info depth 1 seldepth 1 time 3 nodes 1 score cp -12 pv e7e5
+< bestmove e7e5
+> go infinite
+< info depth 5 score mate -3 pv g8f6
+`);
+
+  const { searches } = replayTranscript(entries);
+  assert.equal(searches.length, 2);
+  assert.equal(searches[0].position, 'startpos moves e2e4');
+  assert.equal(searches[0].result.move, 'e7e5');
+  assert.equal(searches[0].result.evaluation.score, -0.12);
+  assert.equal(searches[0].result.moveStats[0].policy, 0.215);
+  assert.equal(searches[1].result, null);
+
+  assert.throws(() => parseTranscript('> uci\nuciok'), /Line 2:/);
+});
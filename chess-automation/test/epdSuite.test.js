@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EpdSuiteRunner, isSolution, parseEpd, parseEpdSuite } from '../src/modules/epdSuite.js';
+import { muteConsole, registerMockEngine } from './helpers/mockEngine.js';
+
+const WAC_001 = '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - bm Qg6; id "WAC.001";';
+const START_EPD = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -';
+
+describe('EPD parsing', () => {
+  it('reads bm, id and move counters', () => {
+    const record = parseEpd(WAC_001);
+    assert.equal(record.id, 'WAC.001');
+    assert.deepEqual(record.bm, ['g3g6']);
+    assert.deepEqual(record.bmSan, ['Qg6']);
+    assert.deepEqual(record.am, []);
+    assert.equal(record.fen, '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - 0 1');
+
+    const counted = parseEpd(`${START_EPD} am e2e4; hmvc 3; fmvn 12; c1 "a; b";`);
+    assert.deepEqual(counted.am, ['e2e4']);
+    assert.deepEqual(counted.amSan, ['e4']);
+    assert.ok(counted.fen.endsWith(' 3 12'));
+    assert.deepEqual(counted.operations.c1, ['a; b']);
+  });
+
+  it('reads STS points and checks answers', () => {
+    const record = parseEpd(`${START_EPD} bm d4 Nf3; c0 "d4=10, Nf3=10, e4=6";`);
+    assert.deepEqual(record.bm, ['d2d4', 'g1f3']);
+    assert.deepEqual(
+      [...record.points],
+      [
+        ['d2d4', 10],
+        ['g1f3', 10],
+        ['e2e4', 6],
+      ]
+    );
+    assert.equal(isSolution(record, 'g1f3'), true);
+    assert.equal(isSolution(record, 'e2e4'), false);
+    assert.equal(isSolution(parseEpd(`${START_EPD} am e4;`), 'd2d4'), true);
+  });
+
+  it('skips comments and reports the failing line', () => {
+    assert.equal(parseEpdSuite(`# WAC\n\n${WAC_001}\n`).length, 1);
+    assert.throws(() => parseEpdSuite(`${WAC_001}\n${START_EPD} bm Qg6;`), /Line 2: .*illegal bm/);
+    assert.throws(() => parseEpdSuite(`${START_EPD} id "x";`), /Line 1: no bm or am/);
+  });
+});
+
+describe('EpdSuiteRunner', () => {
+  let mock;
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = muteConsole();
+    mock = registerMockEngine('mock-epd', {
+      searches: [
+        {
+          info: [
+            'info depth 1 score cp 50 time 10 pv f6d5',
+            'info depth 2 score cp 200 time 20 pv g3g6',
+            'info depth 3 score cp 900 time 40 pv g3f4',
+            'info depth 4 score mate 3 time 80 pv g3g6',
+            'info depth 5 score mate 3 time 90 pv g3g6',
+          ],
+        },
+        { info: ['info depth 5 score cp 30 time 15 pv e2e4'] },
+        { info: ['info depth 5 score cp 30 time 15 pv e2e4'] },
+      ],
+    });
+  });
+
+  after(() => {
+    mock.cleanup();
+    restoreConsole();
+  });
+
+  it('scores positions and measures time-to-solution', async () => {
+    const positions = parseEpdSuite(
+      [WAC_001, `${START_EPD} am e4; id "avoid";`, `${START_EPD} bm d4; c0 "d4=10, e4=6";`].join(
+        '\n'
+      )
+    );
+    const runner = new EpdSuiteRunner({
+      engines: ['mock-epd', 'mock-epd'],
+      timeControl: { type: 'depth', depth: 5 },
+      positions,
+    });
+
+    try {
+      await runner.init();
+      const results = await runner.run();
+
+      assert.deepEqual(
+        results.map((result) => [result.id, result.solved, result.bestMove]),
+        [
+          ['WAC.001', true, 'g3g6'],
+          ['avoid', false, 'e2e4'],
+          ['#3', false, 'e2e4'],
+        ]
+      );
+      // Found at depth 2 but abandoned at depth 3, so it counts from depth 4
+      assert.equal(results[0].timeToSolution, 80);
+      assert.equal(results[0].depthToSolution, 4);
+      assert.equal(results[1].timeToSolution, null);
+      assert.equal(results[2].points, 6);
+      assert.ok(mock.commands().includes('go depth 5'));
+
+      const [summary] = runner.getSummary();
+      assert.equal(runner.getSummary().length, 1);
+      assert.deepEqual(
+        [summary.solved, summary.failed, summary.points, summary.maxPoints],
+        [1, 2, 7, 12]
+      );
+      assert.equal(summary.averageTimeToSolution, 80);
+
+      const report = runner.formatReport();
+      assert.match(report, /WAC\.001\s+ok 0\.08s/);
+      assert.match(report, /avoid\s+-- e4/);
+      assert.match(report, /mock-epd: 1\/3 solved \(33\.3%\), 7\/12 pts/);
+    } finally {
+      await runner.cleanup();
+    }
+  });
+
+  it('rejects clock time controls', () => {
+    assert.throws(
+      () => new EpdSuiteRunner({ timeControl: { type: 'clock', base: 1000, increment: 0 } }),
+      /fixed movetime, depth or nodes/
+    );
+  });
+});
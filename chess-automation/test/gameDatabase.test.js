@@ -0,0 +1,174 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  GameDatabase,
+  materialSignature,
+  parseMaterialQuery,
+} from '../src/modules/gameDatabase.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+const ITALIAN = `[Event "Club Championship"]
+[Date "2023.05.14"]
+[White "Alice Smith"]
+[Black "Bob Jones"]
+[Result "1-0"]
+[ECO "C50"]
+
+1. e4 e5 2. Nf3 Nc6 3. Bc4 Bc5 1-0`;
+
+// Reaches the position after 2...Nc6 of the game above by another move order
+const TRANSPOSED = `[Event "Club Championship"]
+[Date "2024.01.??"]
+[White "Carol White"]
+[Black "Alice Smith"]
+[Result "0-1"]
+[ECO "C44"]
+
+1. Nf3 Nc6 2. e4 e5 3. d4 0-1`;
+
+const ENDGAME = `[Event "Training"]
+[Date "2022.11.02"]
+[White "Dan"]
+[Black "Erin"]
+[Result "1-0"]
+[SetUp "1"]
+[FEN "4k2r/8/8/8/8/8/4P3/R3K3 w - - 0 1"]
+
+1. Ra8+ Kd7 2. Rxh8 Ke6 1-0`;
+
+const ILLEGAL = `[White "Nobody"]
+
+1. e4 e5 2. Ke3 *`;
+
+const AFTER_NC6 = 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3';
+
+let restoreConsole;
+let dir;
+before(() => {
+  restoreConsole = muteConsole();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-db-'));
+});
+after(() => {
+  restoreConsole();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createDatabase(file = null) {
+  const database = new GameDatabase({ path: file });
+  await database.load();
+  await database.importPgn([ITALIAN, TRANSPOSED, ENDGAME, ILLEGAL].join('\n\n'), {
+    source: 'club.pgn',
+  });
+  return database;
+}
+
+test('material signatures and partial material queries', () => {
+  assert.equal(materialSignature(START_FEN), 'KQRRBBNNPPPPPPPPvKQRRBBNNPPPPPPPP');
+  assert.equal(materialSignature('4k2r/8/8/8/8/8/4P3/R3K3 w - - 0 1'), 'KRPvKR');
+
+  assert.equal(parseMaterialQuery('KRPvKR')('KRPvKR'), true);
+  assert.equal(parseMaterialQuery('krvkr')('KRPvKR'), false);
+  assert.equal(parseMaterialQuery('KR+vKR')('KRPvKR'), true);
+  assert.equal(parseMaterialQuery('vK')('KRPvKR'), false);
+  assert.equal(parseMaterialQuery('KQ+vKQ+')(materialSignature(START_FEN)), true);
+  assert.throws(() => parseMaterialQuery('KRX'), /Invalid material query 'KRX'/);
+});
+
+test('imports games, skips duplicates and finds positions by any move order', async () => {
+  const database = await createDatabase();
+  assert.deepEqual(database.getStatistics().games, 3);
+
+  const again = await database.importPgn(ITALIAN);
+  assert.deepEqual(again, { imported: 0, duplicates: 1, errors: [] });
+
+  const results = database.search({ fen: AFTER_NC6 });
+  assert.deepEqual(
+    results.map(({ id, ply, nextMove }) => [id, ply, nextMove]),
+    [
+      [1, 4, 'Bc4'],
+      [2, 4, 'd4'],
+    ]
+  );
+  assert.equal(results[0].headers.White, 'Alice Smith');
+  assert.equal(results[0].fen, AFTER_NC6);
+  assert.deepEqual(database.search({ fen: AFTER_NC6, player: 'carol' }).length, 1);
+  assert.equal(database.getGame(3).source, 'club.pgn');
+});
+
+test('reports games it cannot read', async () => {
+  const database = new GameDatabase();
+  const { imported, errors } = await database.importPgn(`${ITALIAN}\n\n${ILLEGAL}`);
+  assert.equal(imported, 1);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].game, 2);
+});
+
+test('filters by material, player, ECO, date and result', async () => {
+  const database = await createDatabase();
+  const ids = (query) => database.search(query).map((result) => result.id);
+
+  const [rookEnding] = database.search({ material: 'KRPvKR' });
+  assert.deepEqual([rookEnding.id, rookEnding.ply], [3, 0]);
+  const [won] = database.search({ material: 'KR+vK' });
+  assert.deepEqual(
+    [won.ply, won.nextMove, won.fen],
+    [3, 'Ke6', '7R/3k4/8/8/8/8/4P3/4K3 b - - 0 2']
+  );
+  assert.deepEqual(ids({ material: 'KQ+vKQ+' }), [1, 2]);
+
+  assert.deepEqual(ids({ player: 'alice' }), [1, 2]);
+  assert.deepEqual(ids({ white: 'alice' }), [1]);
+  assert.deepEqual(ids({ black: 'ERIN' }), [3]);
+  assert.deepEqual(ids({ eco: 'C5' }), [1]);
+  assert.deepEqual(ids({ eco: 'C40-C49' }), [2]);
+  assert.deepEqual(ids({ dateFrom: '2023', dateTo: '2023.12' }), [1]);
+  assert.deepEqual(ids({ dateFrom: '2024.01' }), [2]);
+  assert.deepEqual(ids({ result: '1-0', player: 'dan' }), [3]);
+  assert.deepEqual(ids({ limit: 2 }), [1, 2]);
+  assert.equal(database.search({ player: 'alice' })[0].fen, null);
+
+  assert.throws(() => database.search({ eco: 'Z1' }), /Invalid ECO query/);
+  assert.throws(() => database.search({ result: 'won' }), /Invalid result 'won'/);
+});
+
+test('persists to JSON lines and exports games back to PGN', async () => {
+  const file = path.join(dir, 'games.jsonl');
+  await createDatabase(file);
+
+  const reloaded = new GameDatabase({ path: file });
+  await reloaded.load();
+  assert.equal(reloaded.getStatistics().games, 3);
+  assert.equal((await reloaded.importPgn(ENDGAME)).duplicates, 1);
+
+  const pgn = reloaded.exportPgn(reloaded.search({ material: 'KRPvKR' }));
+  assert.match(pgn, /\[FEN "4k2r\/8\/8\/8\/8\/8\/4P3\/R3K3 w - - 0 1"\]/);
+  assert.match(pgn, /1\. Ra8\+ Kd7 2\. Rxh8 Ke6 1-0/);
+
+  const copy = new GameDatabase();
+  await copy.importPgn(reloaded.exportPgn([1, 2, 3]));
+  assert.deepEqual(
+    copy.games.map((game) => game.moves),
+    reloaded.games.map((game) => game.moves)
+  );
+});
+
+test('search results go straight into an EngineManager', async () => {
+  const database = await createDatabase();
+  const mock = createMockEngine({ search: { bestmove: 'f1c4' } });
+  const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args });
+
+  try {
+    await manager.init();
+    const [result] = database.search({ fen: AFTER_NC6 });
+    const analysis = await manager.analyzePosition(result.fen, { depth: 5 });
+    assert.equal(analysis.bestMoveSan, 'Bc4');
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameReview } from '../src/modules/gameReview.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { readPgnGame } from '../src/modules/pgn.js';
+import { STANDARD_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+/**
+ * Stands in for an initialized EngineManager without a book, answering each search in turn
+ * @param {Array<Object>} results - { evaluation, bestMove } from the side to move
+ */
+function scriptedEngine(results) {
+  const pending = [...results];
+  return {
+    analyzePosition: async () => pending.shift(),
+    getBookMoves: () => [],
+  };
+}
+
+test('classifies moves by capped centipawn loss and annotates the PGN', async () => {
+  // The final position is mate and needs no search
+  const engine = scriptedEngine([
+    { evaluation: 0.3, bestMove: 'e2e4' },
+    { evaluation: -0.3, bestMove: 'e7e5' },
+    { evaluation: 0.35, bestMove: 'g1f3' },
+    { evaluation: 0.3, bestMove: 'g7g6' },
+    { evaluation: 1.8, bestMove: 'f1c4' },
+    { evaluation: -1.5, bestMove: 'd8e7' },
+    { evaluation: 9999, bestMove: 'h5f7' },
+  ]);
+  const review = await new GameReview(engine, { depth: 8 }).reviewGame(
+    '1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7# 1-0'
+  );
+
+  // Allowing mate in one counts as losing the capped 10 pawns, not 100
+  assert.deepEqual(
+    review.moves.map(({ san, cpLoss, classification }) => [san, cpLoss, classification]),
+    [
+      ['e4', 0, null],
+      ['e5', 0, null],
+      ['Qh5', 65, 'inaccuracy'],
+      ['Nc6', 210, 'mistake'],
+      ['Bc4', 0, null],
+      ['Nf6', 850, 'blunder'],
+      ['Qxf7#', 0, null],
+    ]
+  );
+  assert.equal(review.moves[5].evaluation, 9999);
+  assert.equal(review.moves[5].bestSan, 'Qe7');
+  assert.deepEqual(review.summary, {
+    white: { moves: 4, averageCpLoss: 16, inaccuracies: 1, mistakes: 0, blunders: 0 },
+    black: { moves: 3, averageCpLoss: 353, inaccuracies: 0, mistakes: 1, blunders: 1 },
+  });
+
+  const movetext = review.annotatedPgn.split('\n\n')[1].replace(/\n/g, ' ').trim();
+  assert.equal(
+    movetext,
+    '1. e4 { [%eval 0.30] } 1... e5 { [%eval 0.35] } 2. Qh5 $6 { [%eval -0.30] ' +
+      'Inaccuracy. Nf3 was best. } 2... Nc6 $2 { [%eval 1.80] Mistake. g6 was best. } ' +
+      '3. Bc4 { [%eval 1.50] } 3... Nf6 $4 { [%eval #1] Blunder. Qe7 was best. } 4. Qxf7# 1-0'
+  );
+});
+
+test('the best move is never an error, and finished games need no search', async () => {
+  const engine = scriptedEngine([
+    { evaluation: 0.2, bestMove: 'f2f3' },
+    { evaluation: 0.1, bestMove: 'e7e5' },
+    { evaluation: -0.2, bestMove: 'g2g4' },
+    { evaluation: 9999, bestMove: 'd8h4' },
+  ]);
+  const review = await new GameReview(engine).reviewGame('1. f3 e5 2. g4 Qh4# 0-1');
+
+  // g4 allows mate, but it is the move the engine asked for
+  assert.deepEqual(
+    review.moves.map(({ cpLoss, classification }) => [cpLoss, classification]),
+    [
+      [0, null],
+      [0, null],
+      [0, null],
+      [0, null],
+    ]
+  );
+  assert.equal(review.moves[2].evaluation, -9999);
+  assert.equal(review.moves[3].evaluation, -10000);
+  assert.match(review.annotatedPgn, /2\. g4 \{ \[%eval #-1\] \} 2\.\.\.\sQh4# 0-1/);
+});
+
+// King on f1/e8, rooks on b and h: both sides can castle short in one move
+const START = '1r2k2r/pppppppp/8/8/8/8/PPPPPPPP/1R3K1R w KQkq - 0 1';
+const GAME = `[White "Student"]
+[Black "Coach"]
+[Variant "Chess960"]
+[FEN "${START}"]
+[SetUp "1"]
+
+1. O-O { castles at once } (1. Kg1 Kf8) O-O $1 *`;
+
+test('reads Chess960 games with X-FEN rights and king-takes-rook castling', () => {
+  const game = readPgnGame(GAME);
+
+  assert.equal(game.chess960, true);
+  assert.equal(game.headers.Variant, 'Chess960');
+  assert.deepEqual(
+    game.moves.map(({ san, uci }) => [san, uci]),
+    [
+      ['O-O', 'f1h1'],
+      ['O-O', 'e8h8'],
+    ]
+  );
+  assert.equal(game.moves[1].after, '1r3rk1/pppppppp/8/8/8/8/PPPPPPPP/1R3RK1 w - - 2 2');
+  assert.throws(() => readPgnGame(GAME.replace('Chess960', 'Standard')), /Illegal or ambiguous/);
+});
+
+test('reviews a Chess960 game with the engine in UCI_Chess960 mode', async () => {
+  const search = (cp, pv) => ({ info: [`info depth 8 score cp ${cp} pv ${pv}`], bestmove: pv });
+  const mock = createMockEngine({
+    options: [...STANDARD_OPTIONS, 'option name UCI_Chess960 type check default false'],
+    searches: [search(20, 'f1h1'), search(-20, 'e8h8'), search(20, 'a2a3')],
+  });
+  const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args });
+
+  try {
+    await manager.init();
+    const [review] = await new GameReview(manager, { depth: 8 }).reviewPgn(GAME);
+
+    assert.deepEqual(
+      review.moves.map(({ san, uci, bestSan, cpLoss }) => [san, uci, bestSan, cpLoss]),
+      [
+        ['O-O', 'f1h1', 'O-O', 0],
+        ['O-O', 'e8h8', 'O-O', 0],
+      ]
+    );
+    assert.match(review.annotatedPgn, /\[Variant "Chess960"\]/);
+    assert.match(review.annotatedPgn, /^1\. O-O \{ \[%eval 0\.20\] \} 1\.\.\. O-O/m);
+
+    const commands = mock.commands();
+    assert.ok(commands.includes('setoption name UCI_Chess960 value true'));
+    assert.ok(commands.includes(`position fen ${START}`));
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
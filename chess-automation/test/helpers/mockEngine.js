@@ -0,0 +1,105 @@
+/**
+ * Helpers for running engine classes against the mock UCI engine
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ENGINES_CONFIG } from '../../src/config/engines.config.js';
+
+const MOCK_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'mockUciEngine.js');
+
+export const STANDARD_OPTIONS = [
+  'option name Threads type spin default 1 min 1 max 512',
+  'option name Hash type spin default 16 min 1 max 33554432',
+  'option name MultiPV type spin default 1 min 1 max 500',
+  'option name Skill Level type spin default 20 min 0 max 20',
+  'option name Ponder type check default false',
+  'option name Clear Hash type button',
+];
+
+export const LC0_OPTIONS = [
+  'option name WeightsFile type string default <autodiscover>',
+  'option name Backend type combo default cuda-auto var cuda-auto var eigen var blas',
+  'option name Threads type spin default 0 min 0 max 128',
+  'option name MinibatchSize type spin default 0 min 0 max 1024',
+  'option name MultiPV type spin default 1 min 1 max 500',
+  'option name Temperature type string default 0',
+  'option name CacheHistoryLength type spin default 0 min 0 max 7',
+  'option name PolicyTemperature type string default 1.359',
+  'option name FpuValue type string default 0.443',
+  'option name VerboseMoveStats type check default false',
+];
+
+/**
+ * Write a scenario for the mock engine. The engine runs as `node mockUciEngine.js
+ * <scenario>`, so the returned path and args work as an engine config on any platform.
+ * @param {Object} scenario - See mockUciEngine.js for the supported fields
+ * @returns {Object} { path, args, commands(), cleanup() }
+ */
+export function createMockEngine(scenario = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-uci-'));
+  const scenarioPath = path.join(dir, 'scenario.json');
+  const logFile = path.join(dir, 'commands.log');
+
+  fs.writeFileSync(
+    scenarioPath,
+    JSON.stringify({ options: STANDARD_OPTIONS, ...scenario, logFile })
+  );
+
+  return {
+    path: process.execPath,
+    args: [MOCK_SCRIPT, scenarioPath],
+    commands() {
+      return fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim().split('\n') : [];
+    },
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Create a mock engine and add it to ENGINES_CONFIG as a UCI engine
+ * @param {string} id - Engine id
+ * @param {Object} scenario - See mockUciEngine.js for the supported fields
+ * @param {Object} config - Engine settings besides the command, e.g. searchTimeout
+ * @returns {Object} { path, args, commands(), cleanup() }; cleanup() also removes the engine
+ */
+export function registerMockEngine(id, scenario = {}, config = {}) {
+  const mock = createMockEngine(scenario);
+  ENGINES_CONFIG[id] = {
+    name: `Mock ${id}`,
+    type: 'uci',
+    enabled: true,
+    config: { path: mock.path, args: mock.args, readyTimeout: 500, ...config },
+  };
+  return {
+    ...mock,
+    cleanup() {
+      delete ENGINES_CONFIG[id];
+      mock.cleanup();
+    },
+  };
+}
+
+/**
+ * Silence console output from the engine classes
+ * @returns {Function} Restores the original console methods
+ */
+export function muteConsole() {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return () => Object.assign(console, { log, warn, error });
+}
+
+/**
+ * Give the mock engine time to log commands that were just written
+ * @param {number} ms - Milliseconds to wait
+ */
+export function settle(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
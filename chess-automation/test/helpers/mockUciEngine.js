@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Mock UCI Engine
+ * A scriptable stand-in for a real engine binary. Behaviour is read from the
+ * scenario JSON file given as the first argument; any further arguments (such
+ * as Lc0's --weights/--backend flags) are recorded and otherwise ignored.
+ *
+ * Scenario fields:
+ *   name, author         - reported with `id name` / `id author`
+ *   options              - raw `option name ...` lines to declare
+ *   uciDelay, readyDelay - milliseconds before uciok / readyok
+ *   noUciok, noReadyok   - never answer uci / isready
+ *   crashOn              - 'uci' | 'isready' | 'go' | 'position': exit when received
+ *   crashCode            - exit code used for crashes (default 1)
+ *   crashOnSearch        - 1-based `go` numbers that crash; counted across restarts
+ *                          of the same mock, so a restarted engine can recover
+ *   search               - default search behaviour (see below)
+ *   searches             - per-`go` search behaviours, used in order before `search`
+ *   logFile              - every received command is appended here
+ *
+ * Search fields:
+ *   delay       - milliseconds before output starts
+ *   info        - raw info lines to print (default: one line per MultiPV)
+ *   bestmove    - move to report (default: the last multipv 1 move printed, else a legal move)
+ *   hang        - never answer, not even to `stop`
+ *   crash       - exit after printing the info lines
+ *   interval    - milliseconds between info lines
+ *   splitWrites - write every line in two chunks to exercise line buffering
+ *
+ * `go infinite` prints its info lines (default: depths 1-3) and answers only
+ * after `stop`.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { Position } from '../../src/modules/chess/position.js';
+import { findUciMove, moveToUci } from '../../src/modules/chess/notation.js';
+
+const scenario = JSON.parse(fs.readFileSync(process.argv[2], 'utf8'));
+const searches = [...(scenario.searches || [])];
+
+let position = new Position();
+let multiPV = 1;
+let stopSearch = null;
+let stopRequested = false;
+
+function send(line, split = false) {
+  if (split && line.length > 1) {
+    const middle = Math.floor(line.length / 2);
+    process.stdout.write(line.slice(0, middle));
+    setTimeout(() => process.stdout.write(`${line.slice(middle)}\n`), 5);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+function later(delay, callback) {
+  return setTimeout(callback, delay || 0);
+}
+
+function crash() {
+  process.exit(scenario.crashCode ?? 1);
+}
+
+function defaultInfoLines(depths) {
+  const moves = position.legalMoves().slice(0, multiPV);
+  return depths.flatMap((depth) =>
+    moves.map(
+      (move, index) =>
+        `info depth ${depth} seldepth ${depth + 4} multipv ${index + 1} score cp ${30 - index * 10} nodes ${depth * 1000} nps 123450 time ${depth * 10} pv ${moveToUci(move)}`
+    )
+  );
+}
+
+function finishSearch(search, lines) {
+  const legal = position.legalMoves();
+  const pvMove = lines
+    .filter((line) => !/ multipv (?!1 )/.test(line))
+    .map((line) => line.match(/ pv (\S+)/)?.[1])
+    .filter(Boolean)
+    .at(-1);
+  const bestmove = search.bestmove || pvMove || (legal.length > 0 ? moveToUci(legal[0]) : '(none)');
+  send(`bestmove ${bestmove}`, search.splitWrites);
+}
+
+function searchNumber() {
+  return fs
+    .readFileSync(scenario.logFile, 'utf8')
+    .split('\n')
+    .filter((line) => line.startsWith('go')).length;
+}
+
+function startSearch(command) {
+  if (scenario.crashOnSearch?.includes(searchNumber())) {
+    crash();
+  }
+
+  const search = searches.shift() || scenario.search || {};
+  const infinite = command.includes('infinite');
+  stopRequested = false;
+  if (search.hang) {
+    return;
+  }
+
+  later(search.delay, () => {
+    const lines = search.info || defaultInfoLines(infinite ? [1, 2, 3] : [10]);
+    const interval = search.interval ?? (search.splitWrites ? 10 : 0);
+    let offset = 0;
+    for (const line of lines) {
+      // Keep split lines in order by spacing them out
+      setTimeout(() => send(line, search.splitWrites), offset);
+      offset += interval;
+    }
+    setTimeout(() => {
+      if (search.crash) {
+        crash();
+      }
+      if (infinite && !stopRequested) {
+        // Infinite searches only report a move once stopped
+        stopSearch = () => finishSearch(search, lines);
+      } else {
+        finishSearch(search, lines);
+      }
+    }, offset + 1);
+  });
+}
+
+function setPosition(command) {
+  const [, kind, ...rest] = command.split(' ');
+  const movesIndex = rest.indexOf('moves');
+  const setup = movesIndex === -1 ? rest : rest.slice(0, movesIndex);
+  const moves = movesIndex === -1 ? [] : rest.slice(movesIndex + 1);
+
+  position = new Position(kind === 'startpos' ? undefined : setup.join(' '));
+  for (const uci of moves) {
+    position.makeMove(findUciMove(position, uci));
+  }
+}
+
+function handleCommand(command) {
+  if (scenario.logFile) {
+    fs.appendFileSync(scenario.logFile, `${command}\n`);
+  }
+
+  const [keyword] = command.split(' ');
+  if (scenario.crashOn === keyword) {
+    crash();
+  }
+
+  switch (keyword) {
+    case 'uci':
+      send(`id name ${scenario.name || 'MockEngine 1.0'}`);
+      send(`id author ${scenario.author || 'Test Suite'}`);
+      (scenario.options || []).forEach((line) => send(line));
+      if (!scenario.noUciok) {
+        later(scenario.uciDelay, () => send('uciok'));
+      }
+      break;
+    case 'isready':
+      if (!scenario.noReadyok) {
+        later(scenario.readyDelay, () => send('readyok'));
+      }
+      break;
+    case 'setoption': {
+      const match = command.match(/^setoption name MultiPV value (\d+)$/i);
+      if (match) {
+        multiPV = Number(match[1]);
+      }
+      break;
+    }
+    case 'position':
+      setPosition(command);
+      break;
+    case 'go':
+      startSearch(command);
+      break;
+    case 'stop':
+      stopRequested = true;
+      stopSearch?.();
+      stopSearch = null;
+      break;
+    case 'quit':
+      process.exit(0);
+      break;
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (line.trim()) {
+    handleCommand(line.trim());
+  }
+});
@@ -0,0 +1,875 @@
+/**
+ * Syzygy tables for the three-piece endgames, a king and one piece or pawn
+ * against a lone king. They are solved by retrograde analysis and written in the
+ * Syzygy file format (Re-Pair symbols, canonical Huffman blocks, sparse index,
+ * DTZ maps), so the prober can be tested on compressed tables without
+ * downloading the official ones.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CODES = { P: 1, N: 2, B: 3, R: 4, Q: 5, K: 6 };
+const BLACK = 8;
+const MAGIC = { wdl: 0x5d23e871, dtz: 0xa50c66d7 };
+const FLAG = { MAPPED: 2, WIN_PLIES: 4, LOSS_PLIES: 8, SINGLE_VALUE: 128 };
+// White cannot lose, so a bishop or knight never promotes better than a queen or rook
+const PROMOTIONS = ['Q', 'R'];
+const PIECES = ['Q', 'R', 'B', 'N', 'P'];
+const POSITIONS = 2 * 64 * 64 * 64;
+
+// Small blocks and spans, so that probes cross block boundaries
+const BLOCK_BITS = 5;
+const SPAN_BITS = 6;
+const PAIR_ROUNDS = 24;
+
+const KING_STEPS = [
+  [-1, -1],
+  [-1, 0],
+  [-1, 1],
+  [0, -1],
+  [0, 1],
+  [1, -1],
+  [1, 0],
+  [1, 1],
+];
+const KNIGHT_STEPS = [
+  [-2, -1],
+  [-2, 1],
+  [-1, -2],
+  [-1, 2],
+  [1, -2],
+  [1, 2],
+  [2, -1],
+  [2, 1],
+];
+const RAYS = {
+  Q: KING_STEPS,
+  R: [
+    [-1, 0],
+    [1, 0],
+    [0, -1],
+    [0, 1],
+  ],
+  B: [
+    [-1, -1],
+    [-1, 1],
+    [1, -1],
+    [1, 1],
+  ],
+};
+
+// Piece order inside each file, per side to move, and where the leading pawn's
+// index goes among the other groups. Different orders exercise the reordering.
+const LAYOUTS = {
+  pieces: {
+    wdl: [
+      ['K', 'X', 'k'],
+      ['k', 'K', 'X'],
+    ],
+    dtz: [['X', 'k', 'K']],
+  },
+  pawns: {
+    wdl: [
+      { pieces: ['X', 'K', 'k'], order: 0 },
+      { pieces: ['X', 'k', 'K'], order: 1 },
+    ],
+    dtz: [{ pieces: ['X', 'k', 'K'], order: 2 }],
+  },
+};
+
+const MAP_A1D1D4 = new Array(64).fill(0);
+const MAP_B1H1H7 = new Array(64).fill(0);
+initIndexTables();
+
+// Move targets by square, precomputed since the solver visits every position
+const KING_TARGETS = Array.from({ length: 64 }, (_, square) => steps(square, KING_STEPS));
+const KNIGHT_TARGETS = Array.from({ length: 64 }, (_, square) => steps(square, KNIGHT_STEPS));
+const NEAR = new Uint8Array(64 * 64);
+for (let square = 0; square < 64; square++) {
+  NEAR[square * 64 + square] = 1;
+  KING_TARGETS[square].forEach((to) => (NEAR[square * 64 + to] = 1));
+}
+// Squares along each ray from each square, nearest first
+const LINES = Object.fromEntries(
+  Object.entries(RAYS).map(([piece, rays]) => [
+    piece,
+    Array.from({ length: 64 }, (_, square) =>
+      rays.map((ray) => {
+        const line = [];
+        for (let to = shift(square, ray); to >= 0; to = shift(to, ray)) {
+          line.push(to);
+        }
+        return line;
+      })
+    ),
+  ])
+);
+LINES.N = KNIGHT_TARGETS.map((targets) => targets.map((to) => [to]));
+// Whether a piece attacks a square, by [from, blocker, target]
+const ATTACKED = Object.fromEntries(
+  Object.entries(LINES).map(([piece, lines]) => {
+    const attacked = new Uint8Array(64 * 64 * 64);
+    for (let from = 0; from < 64; from++) {
+      for (let blocker = 0; blocker < 64; blocker++) {
+        for (const line of lines[from]) {
+          for (const to of line) {
+            attacked[(from * 64 + blocker) * 64 + to] = 1;
+            if (to === blocker) {
+              break;
+            }
+          }
+        }
+      }
+    }
+    return [piece, attacked];
+  })
+);
+
+/**
+ * Index of a position in solveEndgame() results
+ * @param {boolean} blackToMove - Side to move
+ * @param {number} whiteKing - Square, a1 = 0 and h8 = 63
+ * @param {number} piece - Square of the white piece or pawn
+ * @param {number} blackKing - Square
+ * @returns {number}
+ */
+export function positionIndex(blackToMove, whiteKing, piece, blackKing) {
+  return (((blackToMove ? 1 : 0) * 64 + whiteKing) * 64 + piece) * 64 + blackKing;
+}
+
+/**
+ * Solve KXvK: WDL and DTZ (plies, signed like the WDL) of every legal position
+ * @param {string} piece - 'Q', 'R', 'B', 'N' or 'P'
+ * @param {Object} promotions - Solved KQvK and KRvK by piece, for 'P'
+ * @returns {Object} { piece, legal, wdl, dtz } indexed by positionIndex()
+ */
+export function solveEndgame(piece, promotions = {}) {
+  const legal = new Uint8Array(POSITIONS);
+  const inCheck = new Uint8Array(POSITIONS);
+  const exitBest = new Int8Array(POSITIONS).fill(-3); // best result of moves leaving KXvK
+  const succStart = new Int32Array(POSITIONS + 1);
+  const moveList = new MoveList();
+
+  let index = 0;
+  for (let blackToMove = 0; blackToMove < 2; blackToMove++) {
+    for (let wk = 0; wk < 64; wk++) {
+      for (let x = 0; x < 64; x++) {
+        for (let bk = 0; bk < 64; bk++, index++) {
+          succStart[index] = moveList.length;
+          if (!isLegal(piece, blackToMove, wk, x, bk)) {
+            continue;
+          }
+          legal[index] = 1;
+
+          if (blackToMove) {
+            inCheck[index] = attacks(piece, x, bk, wk) ? 1 : 0;
+            for (const to of KING_TARGETS[bk]) {
+              if (isNear(to, wk)) {
+                continue;
+              }
+              if (to === x) {
+                exitBest[index] = 0; // bare kings
+              } else if (!attacks(piece, x, to, wk)) {
+                moveList.add(positionIndex(false, wk, x, to), 0);
+              }
+            }
+            continue;
+          }
+
+          for (const to of KING_TARGETS[wk]) {
+            if (to !== x && !isNear(to, bk)) {
+              moveList.add(positionIndex(true, to, x, bk), 0);
+            }
+          }
+          if (piece === 'P') {
+            const push = x + 8;
+            if (push === wk || push === bk) {
+              continue;
+            }
+            if (push >> 3 === 7) {
+              for (const promoted of PROMOTIONS) {
+                const value = -promotions[promoted].wdl[positionIndex(true, wk, push, bk)];
+                exitBest[index] = Math.max(exitBest[index], value);
+              }
+              continue;
+            }
+            moveList.add(positionIndex(true, wk, push, bk), 1);
+            if (x >> 3 === 1 && x + 16 !== wk && x + 16 !== bk) {
+              moveList.add(positionIndex(true, wk, x + 16, bk), 1);
+            }
+          } else {
+            for (const line of LINES[piece][x]) {
+              for (const to of line) {
+                if (to === wk || to === bk) {
+                  break;
+                }
+                moveList.add(positionIndex(true, wk, to, bk), 0);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  succStart[POSITIONS] = moveList.length;
+  const succ = moveList.targets.subarray(0, moveList.length);
+  const succZeroing = moveList.zeroing.subarray(0, moveList.length);
+
+  const moves = (index) => succStart[index + 1] - succStart[index];
+  const mated = (index) => moves(index) === 0 && exitBest[index] === -3 && inCheck[index];
+
+  // Predecessors, for working back from the resolved positions
+  const predStart = new Int32Array(POSITIONS + 1);
+  for (const target of succ) {
+    predStart[target + 1]++;
+  }
+  for (let index = 0; index < POSITIONS; index++) {
+    predStart[index + 1] += predStart[index];
+  }
+  const pred = new Int32Array(succ.length);
+  const predZeroing = new Uint8Array(succ.length);
+  const fill = predStart.slice(0, POSITIONS);
+  for (let index = 0; index < POSITIONS; index++) {
+    for (let i = succStart[index]; i < succStart[index + 1]; i++) {
+      const slot = fill[succ[i]]++;
+      pred[slot] = index;
+      predZeroing[slot] = succZeroing[i];
+    }
+  }
+
+  // WDL: a position is won if a move reaches a lost one, lost once every move reaches a won one
+  const wdl = new Int8Array(POSITIONS);
+  const resolved = new Uint8Array(POSITIONS);
+  const remaining = new Int32Array(POSITIONS);
+  const queue = [];
+  for (let index = 0; index < POSITIONS; index++) {
+    if (!legal[index]) {
+      continue;
+    }
+    remaining[index] = moves(index);
+    if (mated(index)) {
+      wdl[index] = -2;
+    } else if (exitBest[index] === 2) {
+      wdl[index] = 2;
+    } else {
+      continue;
+    }
+    resolved[index] = 1;
+    queue.push(index);
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const index = queue[head];
+    for (let i = predStart[index]; i < predStart[index + 1]; i++) {
+      const before = pred[i];
+      if (resolved[before]) {
+        continue;
+      }
+      if (wdl[index] === -2) {
+        wdl[before] = 2;
+      } else if (--remaining[before] > 0 || exitBest[before] > -2) {
+        continue;
+      } else {
+        wdl[before] = -2;
+      }
+      resolved[before] = 1;
+      queue.push(before);
+    }
+  }
+
+  // DTZ: one ply for a winning capture, pawn move or mate, otherwise one more than the
+  // fastest reply for the winner and the slowest for the loser
+  const dtz = new Int16Array(POSITIONS);
+  let level = [];
+  for (let index = 0; index < POSITIONS; index++) {
+    if (wdl[index] === 2) {
+      let immediate = exitBest[index] === 2;
+      for (let i = succStart[index]; i < succStart[index + 1] && !immediate; i++) {
+        immediate = wdl[succ[i]] === -2 && (succZeroing[i] === 1 || mated(succ[i]));
+      }
+      if (immediate) {
+        dtz[index] = 1;
+        level.push(index);
+      }
+    } else if (wdl[index] === -2) {
+      remaining[index] = 0;
+      for (let i = succStart[index]; i < succStart[index + 1]; i++) {
+        remaining[index] += 1 - succZeroing[i];
+      }
+      if (remaining[index] === 0) {
+        dtz[index] = -1;
+        level.push(index);
+      }
+    }
+  }
+  for (let distance = 1; level.length > 0; distance++) {
+    const next = [];
+    for (const index of level) {
+      for (let i = predStart[index]; i < predStart[index + 1]; i++) {
+        const before = pred[i];
+        if (predZeroing[i] || dtz[before] !== 0 || wdl[before] !== -wdl[index]) {
+          continue;
+        }
+        if (wdl[before] === -2 && --remaining[before] > 0) {
+          continue;
+        }
+        dtz[before] = (distance + 1) * Math.sign(wdl[before]);
+        next.push(before);
+      }
+    }
+    level = next;
+  }
+
+  return { piece, legal, wdl, dtz };
+}
+
+/**
+ * Solve and write KXvK.rtbw and KXvK.rtbz for each piece, with the tables a
+ * pawn promotes into
+ * @param {string} dir - Directory to write to
+ * @param {Array<string>} pieces - Pieces to write tables for
+ * @returns {Object} solveEndgame() results by table name, e.g. KRvK
+ */
+export function writeSyzygyTables(dir, pieces = PIECES) {
+  const solved = {};
+  const promotions = {};
+  const needed = pieces.includes('P') ? [...new Set([...PROMOTIONS, ...pieces])] : pieces;
+
+  for (const piece of PIECES.filter((candidate) => needed.includes(candidate))) {
+    const solution = solveEndgame(piece, promotions);
+    if (PROMOTIONS.includes(piece)) {
+      promotions[piece] = solution;
+    }
+    if (pieces.includes(piece)) {
+      const name = `K${piece}vK`;
+      solved[name] = solution;
+      fs.writeFileSync(path.join(dir, `${name}.rtbw`), buildTable('wdl', solution));
+      fs.writeFileSync(path.join(dir, `${name}.rtbz`), buildTable('dtz', solution));
+    }
+  }
+  return solved;
+}
+
+/**
+ * Every n-th legal position of a solved endgame
+ * @param {Object} solution - solveEndgame() result
+ * @param {number} every - Step between samples
+ * @returns {Array<Object>} { fen, wdl, dtz }
+ */
+export function sampleSolvedPositions(solution, every) {
+  const samples = [];
+  for (let index = 0, seen = 0; index < POSITIONS; index++) {
+    if (solution.legal[index] && seen++ % every === 0) {
+      samples.push({
+        fen: toFen(solution.piece, ...decodeIndex(index)),
+        wdl: solution.wdl[index],
+        dtz: solution.dtz[index],
+      });
+    }
+  }
+  return samples;
+}
+
+/**
+ * FEN of a KXvK position
+ */
+export function toFen(piece, blackToMove, whiteKing, square, blackKing) {
+  const board = new Array(64).fill(null);
+  board[whiteKing] = 'K';
+  board[square] = piece;
+  board[blackKing] = 'k';
+
+  const ranks = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let text = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const occupant = board[rank * 8 + file];
+      if (occupant) {
+        text += `${empty || ''}${occupant}`;
+        empty = 0;
+      } else {
+        empty++;
+      }
+    }
+    ranks.push(text + (empty || ''));
+  }
+  return `${ranks.join('/')} ${blackToMove ? 'b' : 'w'} - - 0 1`;
+}
+
+function decodeIndex(index) {
+  return [index >= POSITIONS / 2, (index >> 12) & 63, (index >> 6) & 63, index & 63];
+}
+
+function shift(square, [df, dr]) {
+  const file = (square & 7) + df;
+  const rank = (square >> 3) + dr;
+  return file >= 0 && file < 8 && rank >= 0 && rank < 8 ? rank * 8 + file : -1;
+}
+
+function steps(square, offsets) {
+  return offsets.map((offset) => shift(square, offset)).filter((to) => to >= 0);
+}
+
+function isNear(a, b) {
+  return NEAR[a * 64 + b] === 1;
+}
+
+/**
+ * Whether a white piece on `from` attacks `target`, with `blocker` the only other piece
+ */
+function attacks(piece, from, target, blocker) {
+  if (piece === 'P') {
+    return target >> 3 === (from >> 3) + 1 && Math.abs((target & 7) - (from & 7)) === 1;
+  }
+  return ATTACKED[piece][(from * 64 + blocker) * 64 + target] === 1;
+}
+
+function isLegal(piece, blackToMove, wk, x, bk) {
+  if (wk === x || x === bk || isNear(wk, bk)) {
+    return false;
+  }
+  if (piece === 'P' && (x >> 3 === 0 || x >> 3 === 7)) {
+    return false;
+  }
+  return blackToMove || !attacks(piece, x, bk, wk);
+}
+
+/**
+ * The file's piece orders, index sizes and values for one table
+ */
+function tableLayout(type, solution) {
+  const pawns = solution.piece === 'P';
+  const code = (letter) =>
+    letter === 'k' ? CODES.K + BLACK : CODES[letter === 'X' ? solution.piece : letter];
+  const files = pawns ? 4 : 1;
+
+  const sides = (pawns ? LAYOUTS.pawns : LAYOUTS.pieces)[type].map((layout) => {
+    const { pieces, order } = pawns ? layout : { pieces: layout, order: 0 };
+    return { pieces: pieces.map(code), order };
+  });
+
+  return Array.from({ length: files }, () =>
+    sides.map(({ pieces, order }) => {
+      // Nest the groups: the leading group at `order` among the rest
+      const sizes = pawns ? [6, 63, 62] : [31332];
+      const nesting = sizes.map((_, group) => group).slice(1);
+      nesting.splice(order, 0, 0);
+      const groupIdx = [];
+      let size = 1;
+      for (const group of nesting) {
+        groupIdx[group] = size;
+        size *= sizes[group];
+      }
+      return { pieces, order, groupIdx, values: new Array(size).fill(null) };
+    })
+  );
+}
+
+/**
+ * Index of a position in one sub-table, the way the prober computes it
+ */
+function tableIndex(pawns, sub, placed) {
+  let squares = sub.slots.map((slot) => placed[slot]);
+  if ((squares[0] & 7) > 3) {
+    squares = squares.map((square) => square ^ 7);
+  }
+  if (!pawns) {
+    return leadingIndex(squares);
+  }
+
+  let index = ((squares[0] >> 3) - 1) * sub.groupIdx[0];
+  for (let i = 1; i < squares.length; i++) {
+    const below = squares.slice(0, i).filter((square) => square < squares[i]).length;
+    index += (squares[i] - below) * sub.groupIdx[i];
+  }
+  return index;
+}
+
+/**
+ * Index of three unique pieces, reduced by the board's eight symmetries
+ */
+function leadingIndex(input) {
+  const offDiagonal = (square) => (square >> 3) - (square & 7);
+  const rank = (square) => square >> 3;
+  let squares = input;
+
+  if (rank(squares[0]) > 3) {
+    squares = squares.map((square) => square ^ 56);
+  }
+  const first = squares.findIndex((square) => offDiagonal(square) !== 0);
+  if (first !== -1 && offDiagonal(squares[first]) > 0) {
+    squares = squares.map((square) => ((square >> 3) | (square << 3)) & 63);
+  }
+
+  const [s0, s1, s2] = squares;
+  const adjust1 = s1 > s0 ? 1 : 0;
+  const adjust2 = (s2 > s0 ? 1 : 0) + (s2 > s1 ? 1 : 0);
+  if (offDiagonal(s0)) {
+    return (MAP_A1D1D4[s0] * 63 + (s1 - adjust1)) * 62 + s2 - adjust2;
+  }
+  if (offDiagonal(s1)) {
+    return (6 * 63 + rank(s0) * 28 + MAP_B1H1H7[s1]) * 62 + s2 - adjust2;
+  }
+  if (offDiagonal(s2)) {
+    return (
+      6 * 63 * 62 + 4 * 28 * 62 + rank(s0) * 7 * 28 + (rank(s1) - adjust1) * 28 + MAP_B1H1H7[s2]
+    );
+  }
+  return (
+    6 * 63 * 62 +
+    4 * 28 * 62 +
+    4 * 7 * 28 +
+    rank(s0) * 7 * 6 +
+    (rank(s1) - adjust1) * 6 +
+    rank(s2) -
+    adjust2
+  );
+}
+
+/**
+ * A whole .rtbw or .rtbz file
+ */
+function buildTable(type, solution) {
+  const pawns = solution.piece === 'P';
+  const layout = tableLayout(type, solution);
+  const sides = layout[0].length;
+
+  // Values: WDL + 2, or for DTZ (white to move only) an index into the win map
+  const winMap = [];
+  if (type === 'dtz') {
+    const plies = new Set();
+    for (let index = 0; index < POSITIONS / 2; index++) {
+      if (solution.wdl[index] === 2) {
+        plies.add(solution.dtz[index] - 1);
+      }
+    }
+    winMap.push(...[...plies].sort((a, b) => a - b));
+  }
+  const winValue = new Map(winMap.map((plies, value) => [plies, value]));
+
+  // Each piece's place in [white king, white piece, black king]
+  const slots = { [CODES.K]: 0, [CODES[solution.piece]]: 1, [CODES.K + BLACK]: 2 };
+  for (const subs of layout) {
+    subs.forEach((sub) => (sub.slots = sub.pieces.map((code) => slots[code])));
+  }
+
+  for (let index = 0; index < POSITIONS; index++) {
+    const side = index >= POSITIONS / 2 ? 1 : 0;
+    if (!solution.legal[index] || side >= sides) {
+      continue;
+    }
+    const [blackToMove, wk, x, bk] = decodeIndex(index);
+    const value =
+      type === 'wdl' ? solution.wdl[index] + 2 : (winValue.get(solution.dtz[index] - 1) ?? 0);
+    const file = pawns ? Math.min(x & 7, 7 - (x & 7)) : 0;
+    const sub = layout[file][side];
+    const tableIdx = tableIndex(pawns, sub, [wk, x, bk]);
+
+    if (sub.values[tableIdx] !== null && sub.values[tableIdx] !== value) {
+      throw new Error(`${toFen(solution.piece, blackToMove, wk, x, bk)} shares index ${tableIdx}`);
+    }
+    sub.values[tableIdx] = value;
+  }
+
+  const header = new ByteWriter();
+  header.u32(MAGIC[type]);
+  header.u8((sides === 2 ? 1 : 0) | (pawns ? 2 : 0));
+  for (const subs of layout) {
+    header.u8(subs[0].order | ((subs[sides - 1].order ?? 0) << 4));
+    subs[0].pieces.forEach((code, k) => header.u8(code | (subs[sides - 1].pieces[k] << 4)));
+  }
+  header.align(2);
+
+  const compressed = layout.flatMap((subs) => subs.map((sub) => compress(fillGaps(sub.values))));
+  compressed.forEach((sub) => {
+    const flags =
+      type === 'dtz' && !sub.single ? FLAG.MAPPED | FLAG.WIN_PLIES | FLAG.LOSS_PLIES : 0;
+    header.bytes.push(...sub.sizes(flags));
+  });
+  if (type === 'dtz') {
+    compressed.forEach((sub) => {
+      if (!sub.single) {
+        // Maps for win, loss, cursed win and blessed loss
+        for (const map of [winMap, [], [], []]) {
+          header.u8(map.length);
+          map.forEach((value) => header.u8(value));
+        }
+      }
+    });
+    header.align(2);
+  }
+
+  compressed.forEach((sub) => sub.sparseIndex.forEach((byte) => header.u8(byte)));
+  compressed.forEach((sub) => sub.blockLengths.forEach((length) => header.u16(length)));
+  compressed.forEach((sub) => {
+    header.align(64);
+    sub.blocks.forEach((block) => header.bytes.push(...block));
+  });
+  return Buffer.from(header.bytes);
+}
+
+/**
+ * Unreachable indexes take the value before them, which compresses best
+ */
+function fillGaps(values) {
+  const first = values.find((value) => value !== null) ?? 0;
+  let previous = first;
+  return values.map((value) => {
+    previous = value ?? previous;
+    return previous;
+  });
+}
+
+/**
+ * Compress one sub-table: pair frequent neighbours into symbols, give the symbols
+ * canonical Huffman codes and cut the code stream into blocks
+ */
+function compress(values) {
+  if (values.every((value) => value === values[0])) {
+    return {
+      single: true,
+      sizes: (flags) => [flags | FLAG.SINGLE_VALUE, values[0]],
+      sparseIndex: [],
+      blockLengths: [],
+      blocks: [],
+    };
+  }
+
+  const distinct = [...new Set(values)].sort((a, b) => a - b);
+  const symbols = distinct.map((value) => ({ left: value, right: 0xfff, values: 1 }));
+  let sequence = values.map((value) => distinct.indexOf(value));
+  sequence = pairSymbols(sequence, symbols);
+
+  // Huffman code lengths, then number the symbols longest code first
+  const frequency = new Map();
+  sequence.forEach((symbol) => frequency.set(symbol, (frequency.get(symbol) || 0) + 1));
+  const lengths = codeLengths(frequency);
+  const coded = [...lengths.keys()].sort((a, b) => lengths.get(b) - lengths.get(a) || a - b);
+  const uncoded = symbols.map((_, symbol) => symbol).filter((symbol) => !lengths.has(symbol));
+  const ids = new Map([...coded, ...uncoded].map((symbol, id) => [symbol, id]));
+
+  const minLength = Math.min(...lengths.values());
+  const maxLength = Math.max(...lengths.values());
+  const count = (length) => coded.filter((symbol) => lengths.get(symbol) === length).length;
+  const levels = maxLength - minLength + 1;
+  const lowest = new Array(levels).fill(0);
+  const base = new Array(levels).fill(0);
+  for (let l = levels - 2; l >= 0; l--) {
+    lowest[l] = lowest[l + 1] + count(minLength + l + 1);
+    base[l] = (base[l + 1] + count(minLength + l + 1)) / 2;
+  }
+  const code = (symbol) => {
+    const l = lengths.get(symbol) - minLength;
+    return { bits: base[l] + ids.get(symbol) - lowest[l], length: lengths.get(symbol) };
+  };
+
+  // Blocks of whole symbols
+  const blockSize = 2 ** BLOCK_BITS;
+  const blocks = [];
+  const blockValues = [];
+  let block = null;
+  let used = 0;
+  for (const symbol of sequence) {
+    const { bits, length } = code(symbol);
+    if (!block || used + length > blockSize * 8) {
+      block = new Array(blockSize).fill(0);
+      blocks.push(block);
+      blockValues.push(0);
+      used = 0;
+    }
+    for (let bit = length - 1; bit >= 0; bit--, used++) {
+      if (Math.floor(bits / 2 ** bit) % 2) {
+        block[used >> 3] |= 0x80 >> (used & 7);
+      }
+    }
+    blockValues[blockValues.length - 1] += symbols[symbol].values;
+  }
+
+  // Each sparse entry locates the value in the middle of its span
+  const span = 2 ** SPAN_BITS;
+  const sparseIndex = [];
+  let current = 0;
+  let start = 0;
+  for (let k = 0; k < Math.ceil(values.length / span); k++) {
+    const middle = k * span + span / 2;
+    while (current < blocks.length - 1 && middle >= start + blockValues[current]) {
+      start += blockValues[current++];
+    }
+    const offset = middle - start;
+    sparseIndex.push(current & 0xff, (current >> 8) & 0xff, (current >> 16) & 0xff, current >> 24);
+    sparseIndex.push(offset & 0xff, offset >> 8);
+  }
+
+  const btree = new Array(symbols.length);
+  symbols.forEach((symbol, original) => {
+    const left = symbol.right === 0xfff ? symbol.left : ids.get(symbol.left);
+    const right = symbol.right === 0xfff ? 0xfff : ids.get(symbol.right);
+    btree[ids.get(original)] = [left & 0xff, (left >> 8) | ((right & 0xf) << 4), right >> 4];
+  });
+
+  return {
+    single: false,
+    sizes: (flags) => {
+      const sizes = new ByteWriter();
+      sizes.u8(flags);
+      sizes.u8(BLOCK_BITS);
+      sizes.u8(SPAN_BITS);
+      sizes.u8(0);
+      sizes.u32(blocks.length);
+      sizes.u8(maxLength);
+      sizes.u8(minLength);
+      lowest.forEach((symbol) => sizes.u16(symbol));
+      sizes.u16(symbols.length);
+      btree.forEach((entry) => sizes.bytes.push(...entry));
+      if (symbols.length % 2) {
+        sizes.u8(0);
+      }
+      return sizes.bytes;
+    },
+    sparseIndex,
+    blockLengths: blockValues.map((length) => length - 1),
+    blocks,
+  };
+}
+
+/**
+ * Re-Pair: repeatedly replace the most frequent pair of neighbouring symbols by a
+ * new symbol that expands into them
+ */
+function pairSymbols(input, symbols) {
+  let sequence = input;
+  for (let round = 0; round < PAIR_ROUNDS; round++) {
+    const counts = new Map();
+    let previous = -1;
+    for (let i = 0; i + 1 < sequence.length; i++) {
+      const key = sequence[i] * 4096 + sequence[i + 1];
+      // Count runs like a-a-a as one pair, not two overlapping ones
+      if (key !== previous) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+        previous = key;
+      } else {
+        previous = -1;
+      }
+    }
+
+    let best = null;
+    for (const [key, count] of counts) {
+      const pairValues = symbols[Math.floor(key / 4096)].values + symbols[key % 4096].values;
+      if (count >= 4 && pairValues <= 256 && (!best || count > best.count)) {
+        best = { key, count, values: pairValues };
+      }
+    }
+    if (!best) {
+      break;
+    }
+
+    const left = Math.floor(best.key / 4096);
+    const right = best.key % 4096;
+    const paired = [];
+    for (let i = 0; i < sequence.length; i++) {
+      if (sequence[i] === left && sequence[i + 1] === right) {
+        paired.push(symbols.length);
+        i++;
+      } else {
+        paired.push(sequence[i]);
+      }
+    }
+    if (new Set(paired).size < 2) {
+      break;
+    }
+    symbols.push({ left, right, values: best.values });
+    sequence = paired;
+  }
+  return sequence;
+}
+
+function codeLengths(frequency) {
+  const lengths = new Map([...frequency.keys()].map((symbol) => [symbol, 0]));
+  let nodes = [...frequency].map(([symbol, weight]) => ({ weight, symbols: [symbol] }));
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.weight - b.weight);
+    const [a, b] = nodes;
+    nodes = nodes.slice(2);
+    const merged = [...a.symbols, ...b.symbols];
+    merged.forEach((symbol) => lengths.set(symbol, lengths.get(symbol) + 1));
+    nodes.push({ weight: a.weight + b.weight, symbols: merged });
+  }
+  return lengths;
+}
+
+/**
+ * Growable moveList of moves: target position and whether the move is zeroing
+ */
+class MoveList {
+  constructor() {
+    this.length = 0;
+    this.targets = new Int32Array(1 << 16);
+    this.zeroing = new Uint8Array(1 << 16);
+  }
+
+  add(target, zeroing) {
+    if (this.length === this.targets.length) {
+      const targets = new Int32Array(this.length * 2);
+      const zeroingMoves = new Uint8Array(this.length * 2);
+      targets.set(this.targets);
+      zeroingMoves.set(this.zeroing);
+      this.targets = targets;
+      this.zeroing = zeroingMoves;
+    }
+    this.targets[this.length] = target;
+    this.zeroing[this.length++] = zeroing;
+  }
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  u8(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  u16(value) {
+    this.u8(value);
+    this.u8(value >> 8);
+  }
+
+  u32(value) {
+    this.u16(value & 0xffff);
+    this.u16(value >>> 16);
+  }
+
+  align(size) {
+    while (this.bytes.length % size) {
+      this.bytes.push(0);
+    }
+  }
+}
+
+/**
+ * The index maps of the Syzygy format, as in the prober
+ */
+function initIndexTables() {
+  const offDiagonal = (square) => (square >> 3) - (square & 7);
+  let code = 0;
+  for (let square = 0; square < 64; square++) {
+    if (offDiagonal(square) < 0) {
+      MAP_B1H1H7[square] = code++;
+    }
+  }
+
+  code = 0;
+  const diagonal = [];
+  for (let square = 0; square <= 27; square++) {
+    if (offDiagonal(square) < 0 && (square & 7) <= 3) {
+      MAP_A1D1D4[square] = code++;
+    } else if (!offDiagonal(square) && (square & 7) <= 3) {
+      diagonal.push(square);
+    }
+  }
+  diagonal.forEach((square) => {
+    MAP_A1D1D4[square] = code++;
+  });
+}
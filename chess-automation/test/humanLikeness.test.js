@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  HumanLikenessAnalyzer,
+  collectMoves,
+  findMaiaBands,
+  formatHumanLikenessReport,
+  summarizeHumanLikeness,
+} from '../src/modules/humanLikeness.js';
+import { LC0_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+const GAME = `[White "Student"]
+[Black "Coach"]
+
+1. e4 e5 2. Nf3 *`;
+
+let restoreConsole;
+let weightsDir;
+before(() => {
+  restoreConsole = muteConsole();
+  weightsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maia-weights-'));
+});
+after(() => {
+  restoreConsole();
+  fs.rmSync(weightsDir, { recursive: true, force: true });
+});
+
+function policyLines(policies) {
+  return Object.entries(policies).map(
+    ([move, policy]) =>
+      `info string ${move}  (100 ) N:       0 (+ 0) (P: ${(policy * 100).toFixed(2)}%) (Q:  0.00)`
+  );
+}
+
+function createBand(rating, positions) {
+  const weightsPath = path.join(weightsDir, `maia-${rating}.pb.gz`);
+  fs.writeFileSync(weightsPath, '');
+  const mock = createMockEngine({
+    options: LC0_OPTIONS,
+    searches: positions.map((policies) => ({ info: policyLines(policies) })),
+  });
+  return {
+    mock,
+    band: { rating, config: { engine: 'lc0', path: mock.path, args: mock.args, weightsPath } },
+  };
+}
+
+test('collects unforced moves with their player and move number', () => {
+  const moves = collectMoves(
+    `${GAME}\n\n[White "A"]\n[Black "B"]\n[FEN "4k3/8/8/8/8/8/8/R3K3 b - - 0 30"]\n[SetUp "1"]\n\n30... Kd7 *`
+  );
+
+  assert.deepEqual(
+    moves.map(({ game, number, player, san, uci }) => [game, number, player, san, uci]),
+    [
+      [1, '1.', 'Student', 'e4', 'e2e4'],
+      [1, '1...', 'Coach', 'e5', 'e7e5'],
+      [1, '2.', 'Student', 'Nf3', 'g1f3'],
+      [2, '30...', 'B', 'Kd7', 'e8d7'],
+    ]
+  );
+});
+
+test('scores played moves with every band and picks the closest one', async () => {
+  const low = createBand(1100, [
+    { e2e4: 0.5, d2d4: 0.3 },
+    { e7e5: 0.1, c7c5: 0.6 },
+    { g1f3: 0.4, b1c3: 0.45 },
+  ]);
+  const high = createBand(1900, [
+    { e2e4: 0.4, d2d4: 0.45 },
+    { e7e5: 0.5, c7c5: 0.3 },
+    { g1f3: 0.7, b1c3: 0.1 },
+  ]);
+
+  try {
+    const analyzer = new HumanLikenessAnalyzer({
+      bands: [low.band, high.band],
+      surpriseThreshold: 0.45,
+    });
+    const { moves, players } = await analyzer.analyzePgn(GAME);
+
+    assert.deepEqual(moves[0].policies[1100], {
+      policy: 0.5,
+      top: { move: 'e2e4', san: 'e4', policy: 0.5 },
+    });
+
+    const [student, coach] = players;
+    assert.equal(student.player, 'Student');
+    assert.equal(student.bestBand, 1900);
+    assert.deepEqual(
+      student.bands.map(({ rating, matchRate }) => [rating, matchRate]),
+      [
+        [1100, 0.5],
+        [1900, 0.5],
+      ]
+    );
+    assert.deepEqual(
+      student.surprising.map(({ san, policy, expected }) => [san, policy, expected.san]),
+      [['e4', 0.4, 'd4']]
+    );
+    assert.equal(coach.bestBand, 1900);
+    assert.deepEqual(coach.surprising, []);
+
+    const commands = low.mock.commands();
+    assert.ok(commands.includes('setoption name VerboseMoveStats value true'));
+    assert.ok(commands.includes('setoption name PolicyTemperature value 1'));
+    assert.ok(commands.includes('go nodes 1'));
+
+    const report = formatHumanLikenessReport(players);
+    assert.match(report, /Student \(2 moves\): plays most like Maia 1900/);
+    assert.match(report, /game 1, 1\. e4 \(40\.0%, Maia expected d4 \(45\.0%\)\)/);
+  } finally {
+    low.mock.cleanup();
+    high.mock.cleanup();
+  }
+});
+
+test('players without scored moves get no band', () => {
+  const [summary] = summarizeHumanLikeness([{ player: 'X', uci: 'e2e4', policies: {} }]);
+  assert.equal(summary.bestBand, null);
+  assert.deepEqual(summary.surprising, []);
+});
+
+test('finds bands whose weights are on disk', async () => {
+  fs.writeFileSync(path.join(weightsDir, 'maia-1200.pb.gz'), '');
+
+  const bands = await findMaiaBands([1100, 1200, 1300], { weightsDir });
+  assert.deepEqual(
+    bands.map(({ rating, config }) => [rating, config.weightsPath, config.engine]),
+    [[1200, path.join(weightsDir, 'maia-1200.pb.gz'), 'lc0']]
+  );
+  await assert.rejects(
+    new HumanLikenessAnalyzer({ bands: [] }).analyzePgn(GAME),
+    /No Maia weights found/
+  );
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmarkLc0, formatBenchResults, pickBestSettings } from '../src/modules/lc0Bench.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { LC0_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+test('times every CPU backend, thread count and batch size the binary has', async () => {
+  const mock = createMockEngine({
+    name: 'Lc0 v0.31.0',
+    options: LC0_OPTIONS,
+    search: {
+      info: ['info depth 3 seldepth 5 time 50 nodes 200 nps 4000 score cp 20 pv e2e4'],
+      bestmove: 'e2e4',
+    },
+  });
+
+  try {
+    const results = await benchmarkLc0(
+      { path: mock.path, args: mock.args, gpu: false },
+      { threads: [1, 2], batchSizes: [32], nodes: 200, positions: [START_FEN, START_FEN] }
+    );
+
+    assert.deepEqual(
+      results.map(({ backend, threads, batchSize, nodes, time, nps, error }) => [
+        backend,
+        threads,
+        batchSize,
+        nodes,
+        time,
+        nps,
+        error,
+      ]),
+      [
+        ['eigen', 1, 32, 400, 100, 4000, null],
+        ['eigen', 2, 32, 400, 100, 4000, null],
+        ['blas', 1, 32, 400, 100, 4000, null],
+        ['blas', 2, 32, 400, 100, 4000, null],
+      ]
+    );
+    assert.ok(mock.commands().includes('setoption name MinibatchSize value 32'));
+    assert.ok(mock.commands().includes('go nodes 200'));
+    assert.deepEqual(pickBestSettings(results), { backend: 'eigen', threads: 1, batchSize: 32 });
+  } finally {
+    mock.cleanup();
+  }
+});
+
+test('picks the fastest working combination and marks it in the table', () => {
+  const results = [
+    { backend: 'eigen', threads: 4, batchSize: 64, nps: 900, error: null },
+    { backend: 'blas', threads: 2, batchSize: 128, nps: 1200, error: null },
+    { backend: 'blas', threads: 2, batchSize: 64, nps: 1200, error: null },
+    { backend: 'onednn', threads: 2, batchSize: 64, nps: 0, error: 'Engine process exited' },
+  ];
+
+  assert.deepEqual(pickBestSettings(results), { backend: 'blas', threads: 2, batchSize: 64 });
+  assert.equal(pickBestSettings(results.slice(3)), null);
+
+  const lines = formatBenchResults(results).split('\n');
+  assert.match(lines[0], /Backend\s+Threads\s+Batch\s+NPS/);
+  assert.match(
+    lines.find((line) => line.startsWith('*')),
+    /^\* blas\s+2\s+64\s+1200$/
+  );
+  assert.match(lines.at(-1), /onednn\s+2\s+64\s+failed {2}Engine process exited/);
+});
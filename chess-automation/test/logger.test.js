@@ -0,0 +1,98 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Logger, configureLogging, getLoggingSettings, logger } from '../src/modules/logger.js';
+
+/**
+ * Run a callback with console output captured as [method, ...args]
+ */
+function capture(callback) {
+  const output = [];
+  const { log, warn, error } = console;
+  console.log = (...args) => output.push(['log', ...args]);
+  console.warn = (...args) => output.push(['warn', ...args]);
+  console.error = (...args) => output.push(['error', ...args]);
+  try {
+    callback();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+  return output;
+}
+
+afterEach(() => {
+  configureLogging({ level: 'info', format: 'text', file: null, transcriptDir: null });
+});
+
+test('writes text records at or above the level, prefixed with the logger name', () => {
+  const engine = logger.child('pool').child('maia-1500');
+  const failure = new Error('boom');
+
+  const output = capture(() => {
+    engine.info('ready', { nodes: 1, weights: 'maia-1500.pb.gz' });
+    engine.debug('hidden');
+    engine.warn('slow');
+    engine.error('failed', { error: failure });
+  });
+
+  assert.deepEqual(output, [
+    ['log', '[pool:maia-1500] ready nodes=1 weights=maia-1500.pb.gz'],
+    ['warn', '[pool:maia-1500] slow'],
+    ['error', '[pool:maia-1500] failed', failure],
+  ]);
+
+  configureLogging({ level: 'trace' });
+  assert.equal(capture(() => engine.trace('> uci')).length, 1);
+});
+
+test('child loggers can log below the global level', () => {
+  const verbose = new Logger({ name: 'engine' }).child('traffic', { level: 'trace' });
+  assert.equal(verbose.isEnabled('trace'), true);
+  assert.equal(logger.isEnabled('debug'), false);
+  assert.throws(() => configureLogging({ level: 'loud' }), /Unknown log level 'loud'/);
+  assert.throws(() => configureLogging({ format: 'xml' }), /Unknown log format 'xml'/);
+});
+
+test('writes JSON records to the console and the log file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  const file = path.join(dir, 'run.log');
+
+  try {
+    configureLogging({ format: 'json', file });
+    assert.equal(getLoggingSettings().file, file);
+
+    const epd = logger.child('epd', { fields: { suite: 'wac' } });
+    const output = capture(() => {
+      epd.info('solved', { id: 'WAC.001' });
+      epd.error('failed', { error: new Error('timeout') });
+    });
+    configureLogging({ file: null });
+
+    const [solved] = output.map(([, line]) => JSON.parse(line));
+    assert.equal(solved.level, 'info');
+    assert.equal(solved.logger, 'epd');
+    assert.equal(solved.msg, 'solved');
+    assert.equal(solved.suite, 'wac');
+    assert.equal(solved.id, 'WAC.001');
+    assert.ok(!Number.isNaN(Date.parse(solved.time)));
+
+    const records = fs
+      .readFileSync(file, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      records.map(({ level, msg }) => [level, msg]),
+      [
+        ['info', 'solved'],
+        ['error', 'failed'],
+      ]
+    );
+    assert.equal(records[1].error.message, 'timeout');
+    assert.match(records[1].error.stack, /Error: timeout/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
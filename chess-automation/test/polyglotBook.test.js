@@ -0,0 +1,129 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolyglotBook, buildPolyglotBook } from '../src/modules/polyglotBook.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { polyglotKey } from '../src/modules/chess/zobrist.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+const GAMES = `[Result "1-0"]
+
+1. e4 e5 2. Nf3 Nc6 3. Bc4 Nf6 4. O-O 1-0
+
+[Result "1/2-1/2"]
+
+1. e4 {main line} c5 2. Nf3 d6 1/2-1/2
+
+[Result "1-0"]
+
+1. e4 c5 2. Nf3 Nc6 1-0
+
+[Result "0-1"]
+
+1. d4 d5 0-1
+`;
+
+const AFTER_E4 = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+const ITALIAN = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4';
+
+describe('Polyglot books', () => {
+  it('weights moves by the results of the side that played them', () => {
+    const { book, stats } = buildPolyglotBook(GAMES);
+    assert.deepEqual(stats, { games: 4, skipped: 0, positions: 8, entries: 8 });
+
+    // e4 won twice and drew once; d4 lost its only game and is left out
+    assert.deepEqual(
+      book.lookup(START_FEN).map(({ san, weight }) => [san, weight]),
+      [['e4', 5]]
+    );
+
+    const replies = book.lookup(AFTER_E4);
+    assert.deepEqual(
+      replies.map(({ move, weight, probability }) => [move, weight, probability]),
+      [['c7c5', 1, 1]]
+    );
+  });
+
+  it('filters by games, score and ply', () => {
+    const frequent = buildPolyglotBook(GAMES, { minGames: 2 }).book;
+    assert.deepEqual(
+      frequent.lookup(START_FEN).map((entry) => entry.san),
+      ['e4']
+    );
+    assert.deepEqual(frequent.lookup(ITALIAN), []);
+
+    const winning = buildPolyglotBook(GAMES, { minScore: 70 }).book;
+    assert.equal(winning.lookup(START_FEN)[0].weight, 5);
+    assert.deepEqual(
+      winning.lookup('rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2'),
+      []
+    );
+
+    const { stats } = buildPolyglotBook(GAMES, { maxPly: 1 });
+    assert.equal(stats.positions, 1);
+  });
+
+  it('writes castling as king takes rook and reads back what it wrote', () => {
+    const { book } = buildPolyglotBook(GAMES);
+    const castle = book.entries.find((entry) => entry.key === polyglotKey(ITALIAN));
+    assert.equal(castle.move, 7 | (4 << 6)); // e1h1
+
+    const copy = PolyglotBook.fromBuffer(book.toBuffer());
+    assert.equal(copy.size, book.size);
+    assert.deepEqual(copy.lookup(ITALIAN), [
+      { move: 'e1g1', san: 'O-O', weight: 2, learn: 0, probability: 1 },
+    ]);
+    assert.throws(() => PolyglotBook.fromBuffer(Buffer.alloc(20)), /multiple of 16/);
+  });
+
+  it('picks moves in proportion to their weights', () => {
+    const key = polyglotKey(START_FEN);
+    const e2e4 = 28 | (12 << 6);
+    const d2d4 = 27 | (11 << 6);
+    const book = new PolyglotBook([
+      { key, move: d2d4, weight: 1, learn: 0 },
+      { key, move: e2e4, weight: 3, learn: 0 },
+    ]);
+
+    assert.equal(book.pickMove(START_FEN, () => 0.7).move, 'e2e4');
+    assert.equal(book.pickMove(START_FEN, () => 0.8).move, 'd2d4');
+    assert.equal(book.pickMove(AFTER_E4), null);
+  });
+});
+
+describe('EngineManager with a book', () => {
+  let restoreConsole;
+  before(() => {
+    restoreConsole = muteConsole();
+  });
+  after(() => restoreConsole());
+
+  it('answers book positions without searching', async () => {
+    const mock = createMockEngine({ search: { bestmove: 'g1f3' } });
+    const { book } = buildPolyglotBook(GAMES);
+    const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args, book });
+
+    try {
+      await manager.init();
+
+      const inBook = await manager.analyzePosition(START_FEN, { depth: 10 });
+      assert.equal(inBook.inBook, true);
+      assert.equal(inBook.bestMove, 'e2e4');
+      assert.equal(inBook.bestMoveSan, 'e4');
+      assert.equal(inBook.evaluation, null);
+      assert.deepEqual(
+        inBook.bookMoves.map((entry) => entry.move),
+        ['e2e4']
+      );
+      assert.ok(!mock.commands().some((command) => command.startsWith('go')));
+
+      const searched = await manager.analyzePosition(START_FEN, { depth: 10, book: false });
+      assert.equal(searched.inBook, false);
+      assert.equal(searched.bestMove, 'g1f3');
+      assert.equal(manager.getHistory().length, 2);
+    } finally {
+      await manager.quit();
+      mock.cleanup();
+    }
+  });
+});
@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PuzzleGenerator,
+  classifyOnlyMove,
+  detectThemes,
+  formatPuzzleCsv,
+} from '../src/modules/puzzleGenerator.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { STANDARD_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+// Two lines per search; each is [score, pv]
+function lines(...entries) {
+  return {
+    info: entries.map(
+      ([score, pv], index) => `info depth 12 multipv ${index + 1} score ${score} pv ${pv}`
+    ),
+    bestmove: entries[0][1].split(' ')[0],
+  };
+}
+
+test('finds the only move that wins and the only move that holds', () => {
+  const candidates = (best, second) => [{ evaluation: best }, { evaluation: second }];
+
+  assert.equal(classifyOnlyMove(candidates(4.5, 0.3)), 'winning');
+  assert.equal(classifyOnlyMove(candidates(9999, 1.2)), 'winning');
+  assert.equal(classifyOnlyMove(candidates(0, -9999)), 'defending');
+  assert.equal(classifyOnlyMove(candidates(-0.5, -4)), 'defending');
+  // Two winning moves, a small gap, or a position lost either way
+  assert.equal(classifyOnlyMove(candidates(9998, 9997)), null);
+  assert.equal(classifyOnlyMove(candidates(3.2, 2.5)), null);
+  assert.equal(classifyOnlyMove(candidates(-2, -9999)), null);
+  assert.equal(classifyOnlyMove([{ evaluation: 5 }]), null);
+});
+
+test('tags mates, forks and hanging pieces', () => {
+  assert.deepEqual(detectThemes('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', ['a1a8'], 'winning'), [
+    'mate',
+    'mate-in-1',
+    'one-move',
+  ]);
+  assert.deepEqual(
+    detectThemes('r3k3/8/8/1N6/8/8/8/4K3 w - - 0 1', ['b5c7', 'e8d7', 'c7a8'], 'winning'),
+    ['fork', 'crushing', 'short']
+  );
+  assert.deepEqual(detectThemes('k7/8/8/3q4/8/8/8/K2R4 w - - 0 1', ['d1d5'], 'winning'), [
+    'hanging-piece',
+    'crushing',
+    'one-move',
+  ]);
+});
+
+test('exports the missed mate and the only defence found in the games', async () => {
+  const mock = createMockEngine({
+    options: STANDARD_OPTIONS,
+    searches: [
+      // Game 1, before 1. Kf2: only Ra8 mates
+      lines(['mate 1', 'a1a8'], ['cp 40', 'a1a2']),
+      // Game 1, after 1. Kf2
+      lines(['cp 0', 'h7h6'], ['cp 0', 'g7g6']),
+      // Game 2, before 1... h6: anything but luft is mated
+      lines(['cp 0', 'h7h6 a1a2'], ['mate -1', 'g8f8 a1a8']),
+      // Game 2, the next solving move is not the only one
+      lines(['cp 0', 'g8h7'], ['cp -10', 'g7g6']),
+      // Game 2, after 1... h6
+      lines(['cp 0', 'g1f2'], ['cp 0', 'g1g2']),
+    ],
+  });
+  const manager = new EngineManager({
+    engine: 'uci',
+    path: mock.path,
+    args: mock.args,
+    multiPV: 2,
+  });
+  const pgn = `[White "Student"]
+[Black "Coach"]
+[Date "2024.05.01"]
+[FEN "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1"]
+[SetUp "1"]
+
+1. Kf2 *
+
+[White "Coach"]
+[Black "Student"]
+[FEN "6k1/5ppp/8/8/8/8/8/R5K1 b - - 0 1"]
+[SetUp "1"]
+
+1... h6 *`;
+
+  try {
+    await manager.init();
+    const puzzles = await new PuzzleGenerator(manager, { depth: 12 }).generateFromPgn(pgn);
+
+    assert.deepEqual(
+      puzzles.map((puzzle) => [
+        puzzle.fen,
+        puzzle.solution,
+        puzzle.solutionSan,
+        puzzle.themes,
+        puzzle.source.game,
+        puzzle.source.played,
+        puzzle.source.found,
+      ]),
+      [
+        [
+          '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1',
+          ['a1a8'],
+          ['Ra8#'],
+          ['mate', 'mate-in-1', 'one-move'],
+          1,
+          'Kf2',
+          false,
+        ],
+        [
+          '6k1/5ppp/8/8/8/8/8/R5K1 b - - 0 1',
+          ['h7h6'],
+          ['h6'],
+          ['defensive', 'one-move'],
+          2,
+          'h6',
+          true,
+        ],
+      ]
+    );
+    assert.match(puzzles[0].id, /^[0-9a-f]{8}$/);
+
+    const csv = formatPuzzleCsv(puzzles).trim().split('\n');
+    assert.equal(
+      csv[0],
+      'id,fen,moves,moves_san,themes,evaluation,game,white,black,date,ply,played'
+    );
+    assert.match(
+      csv[1],
+      /,6k1\/5ppp\/8\/8\/8\/8\/8\/R5K1 w - - 0 1,a1a8,Ra8#,mate mate-in-1 one-move,/
+    );
+
+    // Positions where another player is to move are not searched
+    const none = await new PuzzleGenerator(manager, { player: 'nobody' }).generateFromPgn(pgn);
+    assert.deepEqual(none, []);
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
+
+test('keeps a mate only while every solving move is the only one', async () => {
+  const fen = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+  const first = [
+    { move: 'a1a2', evaluation: 9998, mate: 2, pv: ['a1a2', 'g8h8'] },
+    { move: 'g1f2', evaluation: 0.4, mate: null, pv: ['g1f2'] },
+  ];
+  const mock = createMockEngine({
+    options: STANDARD_OPTIONS,
+    searches: [
+      lines(['mate 1', 'a2a8'], ['cp 50', 'a2b2']),
+      // A second mate in the same position
+      lines(['mate 1', 'a2a8'], ['mate 1', 'a2b2']),
+    ],
+  });
+  const manager = new EngineManager({
+    engine: 'uci',
+    path: mock.path,
+    args: mock.args,
+    multiPV: 2,
+  });
+
+  try {
+    await manager.init();
+    const generator = new PuzzleGenerator(manager, { depth: 12 });
+
+    assert.deepEqual(await generator.solve(fen, 'winning', first), ['a1a2', 'g8h8', 'a2a8']);
+    assert.equal(await generator.solve(fen, 'winning', first), null);
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+  }
+});
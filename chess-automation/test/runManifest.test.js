@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { diffManifests, fileChecksum, formatManifestDiff } from '../src/modules/runManifest.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { STANDARD_OPTIONS, createMockEngine, muteConsole } from './helpers/mockEngine.js';
+
+let restoreConsole;
+before(() => {
+  restoreConsole = muteConsole();
+});
+after(() => restoreConsole());
+
+test('records the binary, version and option values of a reproducible run', async () => {
+  const mock = createMockEngine({
+    name: 'Mockfish 17',
+    options: [...STANDARD_OPTIONS, 'option name EvalFile type string default <empty>'],
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  const evalFile = path.join(dir, 'net.nnue');
+  fs.writeFileSync(evalFile, 'weights');
+  const file = path.join(dir, 'run.manifest.json');
+  const manager = new EngineManager({
+    engine: 'uci',
+    path: mock.path,
+    args: mock.args,
+    engineId: 'mock',
+    options: { EvalFile: evalFile, 'Skill Level': 10 },
+    reproducible: true,
+    manifest: file,
+  });
+
+  try {
+    await manager.init();
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const [engine] = manifest.engines;
+
+    assert.equal(manifest.version, 1);
+    assert.equal(manifest.host.node, process.version);
+    assert.equal(engine.engineId, 'mock');
+    assert.equal(engine.name, 'Mockfish 17');
+    assert.equal(engine.binary.sha256, await fileChecksum(mock.path));
+    assert.equal(engine.options.Threads, '1');
+    assert.equal(engine.options.Hash, '16');
+    assert.equal(engine.options['Skill Level'], '10');
+    assert.equal(engine.options.Ponder, 'false');
+    assert.ok(!('Clear Hash' in engine.options));
+    assert.deepEqual(engine.files, [
+      { source: 'EvalFile', path: evalFile, sha256: await fileChecksum(evalFile) },
+    ]);
+    assert.deepEqual(engine.reproducible, { threads: 1, nodes: 1000000, hash: 16 });
+  } finally {
+    await manager.quit();
+    mock.cleanup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('lists what differs between two manifests', () => {
+  const manifest = (sha256, hash, extra = []) => ({
+    createdAt: new Date().toISOString(),
+    host: { platform: 'linux', cores: 8 },
+    engines: [
+      { engineId: 'sf', binary: { sha256 }, options: { Hash: hash, Threads: 1 } },
+      ...extra,
+    ],
+  });
+  const a = manifest('aaa', 16);
+
+  assert.deepEqual(diffManifests(a, manifest('aaa', 16)), []);
+  assert.equal(formatManifestDiff([]), 'Manifests match');
+
+  const differences = diffManifests(a, manifest('bbb', 32, [{ engineId: 'lc0' }]));
+  assert.deepEqual(
+    differences.map(({ path: where }) => where),
+    ['engines.lc0', 'engines.sf.binary.sha256', 'engines.sf.options.Hash']
+  );
+  assert.equal(
+    formatManifestDiff(differences),
+    [
+      'engines.lc0: (none) -> {"engineId":"lc0"}',
+      'engines.sf.binary.sha256: "aaa" -> "bbb"',
+      'engines.sf.options.Hash: 16 -> 32',
+    ].join('\n')
+  );
+});
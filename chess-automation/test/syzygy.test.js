@@ -0,0 +1,228 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SyzygyTablebase, WDL, wdlOutcome } from '../src/modules/syzygy.js';
+import { GameReview } from '../src/modules/gameReview.js';
+import { EngineManager } from '../src/modules/engineManager.js';
+import { Position } from '../src/modules/chess/position.js';
+import { createMockEngine, muteConsole } from './helpers/mockEngine.js';
+import { sampleSolvedPositions, writeSyzygyTables } from './helpers/syzygyTables.js';
+
+const WDL_MAGIC = [0x71, 0xe8, 0x23, 0x5d];
+const DTZ_MAGIC = [0xd7, 0x66, 0x0c, 0xa5];
+const SINGLE_VALUE = 0x80;
+
+// Piece codes in table files: queen 5, king 6, black +8
+const KQVK_PIECES = [0x55, 0x66, 0xee];
+
+/**
+ * KQvK tables where every position has one value: a WDL table with white to
+ * move won and black to move lost, and a DTZ table storing 5 moves for white
+ */
+function writeTables(dir) {
+  const wdl = [...WDL_MAGIC, 0, 0x00, ...KQVK_PIECES, 0, SINGLE_VALUE, 4, SINGLE_VALUE, 0];
+  const dtz = [...DTZ_MAGIC, 0, 0x00, ...KQVK_PIECES, 0, SINGLE_VALUE, 5];
+  fs.writeFileSync(path.join(dir, 'KQvK.rtbw'), Buffer.from(wdl));
+  fs.writeFileSync(path.join(dir, 'KQvK.rtbz'), Buffer.from(dtz));
+}
+
+const WHITE_TO_MOVE = '4k3/8/8/8/8/8/8/3QK3 w - - 0 1';
+const BLACK_TO_MOVE = '4k3/8/8/8/8/8/8/3QK3 b - - 0 1';
+
+describe('SyzygyTablebase', () => {
+  let dir;
+  let tablebase;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syzygy-'));
+    writeTables(dir);
+    fs.writeFileSync(path.join(dir, 'README.txt'), '');
+    tablebase = new SyzygyTablebase({ path: dir });
+    await tablebase.init();
+  });
+  after(async () => {
+    await tablebase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds table files and the largest piece count', () => {
+    assert.deepEqual([...tablebase.files.keys()], ['KQvK']);
+    assert.equal(tablebase.maxPieces, 3);
+    assert.equal(tablebase.canProbe(new Position(WHITE_TO_MOVE)), true);
+    assert.equal(tablebase.canProbe(new Position('4k3/8/8/8/8/8/8/R3K3 w Q - 0 1')), false);
+    assert.equal(tablebase.canProbe(new Position('4k3/8/8/8/8/8/8/2RQK3 w - - 0 1')), false);
+  });
+
+  it('probes WDL from the side to move, with either color stronger', async () => {
+    assert.equal(await tablebase.probeWdl(new Position(WHITE_TO_MOVE)), WDL.WIN);
+    assert.equal(await tablebase.probeWdl(new Position(BLACK_TO_MOVE)), WDL.LOSS);
+    assert.equal(await tablebase.probeWdl(new Position('3qk3/8/8/8/8/8/8/4K3 b - - 0 1')), WDL.WIN);
+    assert.equal(
+      await tablebase.probeWdl(new Position('3qk3/8/8/8/8/8/8/4K3 w - - 0 1')),
+      WDL.LOSS
+    );
+  });
+
+  it('resolves captures before trusting the table', async () => {
+    // Black takes the undefended queen
+    const hanging = new Position('8/8/8/8/8/8/3kQ3/7K b - - 0 1');
+    assert.equal(await tablebase.probeWdl(hanging), WDL.DRAW);
+    assert.equal(await tablebase.probeDtz(hanging), 0);
+    assert.equal(await tablebase.probeWdl(new Position('4k3/8/8/8/8/8/8/4K3 w - - 0 1')), 0);
+  });
+
+  it('converts DTZ to plies and searches one ply for the side the table lacks', async () => {
+    assert.deepEqual(await tablebase.probe(new Position(WHITE_TO_MOVE)), {
+      wdl: WDL.WIN,
+      result: 'win',
+      dtz: 11,
+    });
+    assert.equal(await tablebase.probeDtz(new Position(BLACK_TO_MOVE)), -12);
+  });
+
+  it('returns null without a table and rejects files that are not tables', async () => {
+    assert.equal(await tablebase.probeWdl(new Position('4k3/8/8/8/8/8/8/3RK3 w - - 0 1')), null);
+
+    const other = fs.mkdtempSync(path.join(os.tmpdir(), 'syzygy-'));
+    fs.writeFileSync(path.join(other, 'KRvK.rtbw'), Buffer.alloc(16));
+    const broken = new SyzygyTablebase({ path: [other] });
+    try {
+      await broken.init();
+      await assert.rejects(
+        broken.probeWdl(new Position('4k3/8/8/8/8/8/8/3RK3 w - - 0 1')),
+        /is not a Syzygy WDL table/
+      );
+    } finally {
+      await broken.close();
+      fs.rmSync(other, { recursive: true, force: true });
+    }
+  });
+
+  it('counts cursed wins and blessed losses as draws', () => {
+    assert.deepEqual(
+      [WDL.LOSS, WDL.BLESSED_LOSS, WDL.DRAW, WDL.CURSED_WIN, WDL.WIN].map(wdlOutcome),
+      [-1, 0, 0, 0, 1]
+    );
+  });
+});
+
+describe('SyzygyTablebase with compressed tables', () => {
+  let dir;
+  let tablebase;
+  let solved;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syzygy-'));
+    solved = writeSyzygyTables(dir);
+    tablebase = new SyzygyTablebase({ path: dir });
+    await tablebase.init();
+  });
+  after(async () => {
+    await tablebase.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const probe = (fen) => tablebase.probe(new Position(fen));
+
+  it('probes mates, stalemates and either color stronger in KRvK', async () => {
+    assert.deepEqual(await probe('k7/8/1K6/8/8/8/8/7R w - - 0 1'), {
+      wdl: WDL.WIN,
+      result: 'win',
+      dtz: 1,
+    });
+    assert.deepEqual(await probe('k7/2K5/8/8/8/8/8/7R b - - 0 1'), {
+      wdl: WDL.LOSS,
+      result: 'loss',
+      dtz: -2,
+    });
+    assert.deepEqual(await probe('k1K5/7R/8/8/8/8/8/8 b - - 0 1'), {
+      wdl: WDL.DRAW,
+      result: 'draw',
+      dtz: 0,
+    });
+    assert.deepEqual(await probe('K7/8/1k6/8/8/8/8/7r b - - 0 1'), {
+      wdl: WDL.WIN,
+      result: 'win',
+      dtz: 1,
+    });
+  });
+
+  it('probes pawn tables by file and side to move', async () => {
+    assert.equal((await probe('4k3/4P3/4K3/8/8/8/8/8 b - - 0 1')).result, 'draw');
+    assert.deepEqual(await probe('4k3/4P3/4K3/8/8/8/8/8 w - - 0 1'), {
+      wdl: WDL.WIN,
+      result: 'win',
+      dtz: 5,
+    });
+    assert.deepEqual(await probe('8/4p3/8/8/8/8/8/K3k3 b - - 0 1'), {
+      wdl: WDL.WIN,
+      result: 'win',
+      dtz: 1,
+    });
+    assert.equal((await probe('8/8/8/8/8/4k3/4p3/4K3 w - - 0 1')).result, 'draw');
+  });
+
+  it('agrees with retrograde analysis across the tables', async () => {
+    for (const name of ['KRvK', 'KPvK']) {
+      const mismatches = [];
+      for (const { fen, wdl, dtz } of sampleSolvedPositions(solved[name], 997)) {
+        const position = new Position(fen);
+        const probed = {
+          fen,
+          wdl: await tablebase.probeWdl(position),
+          dtz: await tablebase.probeDtz(position),
+        };
+        if (probed.wdl !== wdl || probed.dtz !== dtz) {
+          mismatches.push({ ...probed, expected: { wdl, dtz } });
+        }
+      }
+      assert.deepEqual(mismatches, [], name);
+    }
+  });
+});
+
+describe('GameReview with tablebases', () => {
+  let restoreConsole;
+  let dir;
+  before(() => {
+    restoreConsole = muteConsole();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syzygy-'));
+    writeTables(dir);
+  });
+  after(() => {
+    restoreConsole();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('judges endgame moves by the exact result instead of centipawns', async () => {
+    // The engine claims every move loses 18 pawns; the tables know only Qc2+ throws the win
+    const mock = createMockEngine({
+      search: { info: ['info depth 1 score cp 900 pv d1d2'], bestmove: 'd1d2' },
+    });
+    const manager = new EngineManager({ engine: 'uci', path: mock.path, args: mock.args });
+    const tablebase = new SyzygyTablebase({ path: dir });
+    const pgn = `[FEN "8/8/8/8/8/2k5/8/3QK3 w - - 0 1"]
+[SetUp "1"]
+
+1. Qd2+ Kb3 2. Qc2+ Kxc2 *`;
+
+    try {
+      await manager.init();
+      await tablebase.init();
+      const review = await new GameReview(manager, { depth: 1, tablebase }).reviewGame(pgn);
+
+      assert.deepEqual(
+        review.moves.map((move) => move.classification),
+        [null, null, 'blunder', null]
+      );
+      assert.deepEqual(review.moves[1].tablebase, { before: 'loss', after: 'loss' });
+      assert.deepEqual(review.moves[2].tablebase, { before: 'win', after: 'draw' });
+      assert.equal(review.summary.white.blunders, 1);
+      assert.match(review.annotatedPgn, /Win → draw \(tablebase\)\./);
+    } finally {
+      await manager.quit();
+      await tablebase.close();
+      mock.cleanup();
+    }
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tournament, parseOpenings, parseTimeControl } from '../src/modules/tournament.js';
+import { START_FEN } from '../src/modules/chess/position.js';
+import { muteConsole, registerMockEngine } from './helpers/mockEngine.js';
+
+/**
+ * Play one game from the start position between two mock engines
+ * @param {Object} white - Mock scenario for White
+ * @param {Object} black - Mock scenario for Black
+ * @param {Object} config - Tournament settings, e.g. timeControl or adjudication
+ * @returns {Promise<Object>} The game record
+ */
+async function playMockGame(white, black, config = {}) {
+  const mocks = [registerMockEngine('game-white', white), registerMockEngine('game-black', black)];
+  const tournament = new Tournament({
+    engines: ['game-white', 'game-black'],
+    timeControl: { type: 'depth', depth: 1 },
+    ...config,
+  });
+  try {
+    await tournament.init();
+    return await tournament.playGame({
+      round: 1,
+      number: 1,
+      white: 'game-white',
+      black: 'game-black',
+      opening: START_FEN,
+    });
+  } finally {
+    await tournament.cleanup();
+    mocks.forEach((mock) => mock.cleanup());
+  }
+}
+
+/**
+ * Searches that play the given moves in order
+ */
+function playing(...moves) {
+  return { searches: moves.map((bestmove) => ({ bestmove })) };
+}
+
+describe('Tournament configuration', () => {
+  it('parses time controls', () => {
+    assert.deepEqual(parseTimeControl('movetime=250'), { type: 'movetime', movetime: 250 });
+    assert.deepEqual(parseTimeControl('depth=8'), { type: 'depth', depth: 8 });
+    assert.deepEqual(parseTimeControl('nodes=5000'), { type: 'nodes', nodes: 5000 });
+    assert.deepEqual(parseTimeControl('60+0.6'), { type: 'clock', base: 60000, increment: 600 });
+    assert.deepEqual(parseTimeControl('10'), { type: 'clock', base: 10000, increment: 0 });
+    assert.throws(() => parseTimeControl('fast'), /Invalid time control/);
+    assert.throws(() => parseTimeControl('depth=0'), /Invalid time control/);
+  });
+
+  it('reads FEN and EPD opening books', () => {
+    const openings = parseOpenings(
+      [
+        '# comment',
+        '',
+        'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+        'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - id "Sicilian";',
+      ].join('\n')
+    );
+    assert.deepEqual(openings, [
+      'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1',
+      'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1',
+    ]);
+    assert.throws(() => parseOpenings('not a fen at all'), /Opening 1: Invalid FEN/);
+  });
+
+  it('schedules color-swapped pairs for every opening', () => {
+    const tournament = new Tournament({
+      engines: ['a', 'b', 'c', 'a'],
+      openings: [START_FEN, 'x'],
+    });
+    const schedule = tournament.createSchedule();
+    assert.equal(schedule.length, 3 * 2 * 2);
+    assert.deepEqual(
+      schedule.slice(0, 2).map((game) => [game.white, game.black]),
+      [
+        ['a', 'b'],
+        ['b', 'a'],
+      ]
+    );
+  });
+
+  it('schedules a gauntlet around the first engine', () => {
+    const tournament = new Tournament({ engines: ['a', 'b', 'c'], format: 'gauntlet', rounds: 2 });
+    const schedule = tournament.createSchedule();
+    assert.equal(schedule.length, 2 * 2 * 2);
+    assert.ok(schedule.every((game) => game.white === 'a' || game.black === 'a'));
+  });
+});
+
+describe('Tournament crosstable', () => {
+  it('totals points per pairing and sorts by score', () => {
+    const tournament = new Tournament({ engines: ['a', 'b', 'c'] });
+    tournament.games = [
+      { white: 'a', black: 'b', result: '1-0' },
+      { white: 'b', black: 'a', result: '1/2-1/2' },
+      { white: 'a', black: 'c', result: '0-1' },
+      { white: 'c', black: 'a', result: '0-1' },
+      { white: 'b', black: 'c', result: '0-1' },
+      { white: 'c', black: 'b', result: '1-0' },
+    ];
+
+    const rows = tournament.getCrosstable();
+    assert.deepEqual(
+      rows.map((row) => [row.id, row.points, row.games]),
+      [
+        ['c', 3, 4],
+        ['a', 2.5, 4],
+        ['b', 0.5, 4],
+      ]
+    );
+    assert.deepEqual(rows[1].opponents.b, { points: 1.5, games: 2 });
+    assert.ok(rows[0].rating.elo > 0 && rows[2].rating.elo < 0);
+    assert.match(tournament.formatCrosstable(), /c\s+-\s+1\/2\s+2\/2\s+3\s+4/);
+  });
+});
+
+describe('Tournament games', () => {
+  let restoreConsole;
+  before(() => {
+    restoreConsole = muteConsole();
+  });
+  after(() => restoreConsole());
+
+  it('ends in checkmate', async () => {
+    const game = await playMockGame(playing('f2f3', 'g2g4'), playing('e7e5', 'd8h4'));
+    assert.equal(game.result, '0-1');
+    assert.equal(game.termination, 'checkmate');
+    assert.deepEqual(
+      game.moves.map((move) => move.san),
+      ['f3', 'e5', 'g4', 'Qh4#']
+    );
+    assert.match(game.pgn, /\[Termination "checkmate"\]/);
+    assert.match(game.pgn, /2\.\.\. Qh4# \{ \+0\.30\/10 [\d.]+s \} 0-1\s*$/);
+  });
+
+  it('draws by threefold repetition', async () => {
+    const game = await playMockGame(
+      playing('g1f3', 'f3g1', 'g1f3', 'f3g1'),
+      playing('g8f6', 'f6g8', 'g8f6', 'f6g8')
+    );
+    assert.equal(game.result, '1/2-1/2');
+    assert.equal(game.termination, 'threefold repetition');
+    assert.equal(game.moves.length, 8);
+    assert.equal(game.finalFen.split(' ')[0], START_FEN.split(' ')[0]);
+  });
+
+  it('forfeits an illegal move', async () => {
+    const game = await playMockGame(playing('e2e4', 'e1e3'), playing('e7e5'));
+    assert.equal(game.result, '0-1');
+    assert.equal(game.termination, 'illegal move e1e3 by game-white');
+    assert.equal(game.moves.length, 2);
+  });
+
+  it('forfeits on time when the clock runs out', async () => {
+    const game = await playMockGame(
+      {},
+      { search: { delay: 300 } },
+      {
+        timeControl: { type: 'clock', base: 200, increment: 0 },
+      }
+    );
+    assert.equal(game.result, '1-0');
+    assert.equal(game.termination, 'time forfeit');
+    assert.equal(game.moves.length, 1);
+  });
+
+  it('adjudicates a resignation after several hopeless evaluations', async () => {
+    const hopeless = { search: { info: ['info depth 1 score cp -800'] } };
+    const game = await playMockGame(
+      hopeless,
+      {},
+      {
+        adjudication: { resignScore: 6, resignMoves: 3 },
+      }
+    );
+    assert.equal(game.result, '0-1');
+    assert.equal(game.termination, 'adjudication: resign');
+    assert.equal(game.moves.length, 5);
+  });
+
+  it('adjudicates a draw once both sides see a level position', async () => {
+    const level = { search: { info: ['info depth 1 score cp 5'] } };
+    const game = await playMockGame(level, level, {
+      adjudication: { drawScore: 0.1, drawMoves: 4, drawMinPly: 2 },
+    });
+    assert.equal(game.result, '1/2-1/2');
+    assert.equal(game.termination, 'adjudication: draw');
+    assert.equal(game.moves.length, 5);
+  });
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evalBarPercent, formatScore, whiteScore } from '../../src/web/analysisView.js';
+
+const BLACK_TO_MOVE = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+
+test('formats scores and mates from White', () => {
+  assert.equal(formatScore(0.35), '+0.35');
+  assert.equal(formatScore(-1.2), '-1.20');
+  assert.equal(formatScore(9997), '#3');
+  assert.equal(formatScore(-9998), '#-2');
+  assert.equal(whiteScore(0.5, BLACK_TO_MOVE), -0.5);
+});
+
+test('maps scores onto the eval bar', () => {
+  assert.equal(evalBarPercent(0), 50);
+  assert.ok(evalBarPercent(1) > 58 && evalBarPercent(1) < 60);
+  assert.equal(evalBarPercent(-1), 100 - evalBarPercent(1));
+  assert.ok(evalBarPercent(20) > 99);
+  assert.equal(evalBarPercent(9990), 100);
+  assert.equal(evalBarPercent(-9990), 0);
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameTree } from '../../src/web/gameTree.js';
+import { START_FEN } from '../../src/modules/chess/position.js';
+
+describe('GameTree', () => {
+  it('plays moves and reuses existing continuations', () => {
+    const tree = new GameTree();
+    tree.playLine(['e4', 'e7e5', 'Nf3']);
+    assert.deepEqual(
+      tree.path().map((node) => node.san),
+      [null, 'e4', 'e5', 'Nf3']
+    );
+    assert.equal(tree.play('Ke3'), null);
+
+    tree.back();
+    const { size } = tree.nodes;
+    tree.play('g1f3');
+    assert.equal(tree.nodes.size, size);
+    assert.equal(GameTree.moveNumber(tree.current), '2.');
+  });
+
+  it('branches variations, promotes and deletes them', () => {
+    const tree = new GameTree();
+    tree.playLine(['e4', 'e5']);
+    tree.back();
+    const sicilian = tree.play('c5');
+    tree.play('Nf3');
+
+    assert.deepEqual(
+      tree.root.children[0].children.map((node) => node.san),
+      ['e5', 'c5']
+    );
+    tree.promote(sicilian.id);
+    assert.equal(tree.root.children[0].children[0], sicilian);
+
+    tree.deleteNode(sicilian.id);
+    assert.equal(tree.current.san, 'e4');
+    assert.equal(tree.nodes.size, 3);
+    tree.end();
+    assert.equal(tree.current.san, 'e5');
+  });
+
+  it('round-trips PGN with nested variations', () => {
+    const pgn = [
+      '[White "A"]',
+      '[Result "1-0"]',
+      '',
+      '1. e4 e5 (1... c5 2. Nf3 (2. c3) 2... d6) 2. Nf3 {main} Nc6 $1 3. Bb5 1-0',
+    ].join('\n');
+    const tree = GameTree.fromPgn(pgn);
+
+    assert.equal(tree.current, tree.root);
+    assert.equal(tree.headers.White, 'A');
+    assert.equal(
+      tree.toPgn(),
+      '[White "A"]\n[Result "1-0"]\n\n' +
+        '1. e4 e5 (1... c5 2. Nf3 (2. c3) 2... d6) 2. Nf3 Nc6 3. Bb5 1-0\n'
+    );
+    assert.throws(() => GameTree.fromPgn('1. e4 e5)'), /Unbalanced/);
+    assert.throws(() => GameTree.fromPgn('1. e4 Ke7'), /Illegal move in PGN: Ke7/);
+  });
+
+  it('starts from a FEN position', () => {
+    const fen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+    const tree = GameTree.fromPgn(`[SetUp "1"]\n[FEN "${fen}"]\n\n1... e5 2.Nf3 *`);
+    assert.equal(tree.root.fen, fen);
+    assert.equal(tree.nodes.size, 3);
+    assert.match(tree.toPgn(), /\[FEN "[^"]+"\]\n\n1\.\.\. e5 2\. Nf3 \*\n$/);
+    assert.equal(new GameTree().toPgn(), '*\n');
+    assert.equal(new GameTree(START_FEN).root.fen, START_FEN);
+  });
+});